@@ -0,0 +1,4 @@
+// Lets Jest run the ES modules in src and config under Node
+module.exports = {
+    presets: [['@babel/preset-env', { targets: { node: 'current' } }]]
+};
@@ -5,60 +5,467 @@
  */
 
 const gameConfig = {
+    // Simulation loop settings
+    simulation: {
+        fixedTimeStep: 1 / 60, // Seconds simulated per step, independent of frame rate
+        maxFrameTime: 0.25 // Longest frame delta fed to the simulation
+    },
+
     // Physics settings
     physics: {
         gravity: 9.8,
         balanceThreshold: 0.8,
         balanceRecoveryRate: 0.1,
-        windChangeFrequency: 3,
-        maxWindForce: 0.5
+        maxWindForce: 0.5,
+        windScale: 1, // Multiplies maxWindForce whatever the difficulty (set by levels)
+        ropeSwayBalanceEffect: 0.3, // Balance change per unit of sideways rope speed under the feet
+
+        // Wind model (strengths are fractions/multiples of maxWindForce)
+        wind: {
+            changeInterval: 3, // Seconds between rolls for a new baseline, gust or lull
+            rampTime: 1.5, // Seconds for the baseline to ease most of the way to a new value
+            gustChance: 0.25,
+            gustWarningTime: 1.5, // Seconds the HUD warns before a gust lands
+            gustStrength: 1.5,
+            gustRiseTime: 0.4,
+            gustHoldTime: 1.0,
+            gustFallTime: 1.2,
+            lullChance: 0.2,
+            lullDuration: 3,
+            lullTurbulenceScale: 0.3,
+            turbulence: 0.15,
+            turbulenceFrequency: 0.8,
+            turbulenceSpatialFrequency: 3, // How quickly turbulence changes along the rope
+
+            // Wind field along the rope
+            shelterFactor: 0.35, // Wind strength near the mountains relative to mid-span
+            gustFrontSpeed: 0.25, // Fraction of the rope a gust front travels per second
+            previewDistance: 0.2, // How far ahead the HUD previews the wind (fraction of rope)
+            previewSamples: 8
+        }
     },
-    
+
     // Character settings
     character: {
         maxSpeed: 5,
         acceleration: 1,
         deceleration: 2,
         height: 2,
-        width: 0.5
+        width: 0.5,
+        mass: 70, // Weighs the rope down while walking on it
+
+        // Rope stepping
+        stepDistance: 0.03, // Fraction of rope length covered by one step
+        stepTime: 0.5, // Seconds to complete one step on level rope
+        slopeStepEffort: 4, // Extra step time per unit of uphill slope (downhill steps are quicker)
+        minStepTimeFactor: 0.7, // Fastest a downhill step can get, as a fraction of stepTime
+        slopeBalanceEffect: 3, // Extra step disturbance per unit of slope, uphill or downhill
+        highStepTimeFactor: 1.4, // A high step (over a knot) takes this much longer
+        highStepBalanceEffect: 1.5, // and disturbs balance this much more
+        backStepTimeFactor: 1.5, // A step backward takes this much longer
+        backStepBalanceEffect: 1.8, // and disturbs balance this much more (the walker cannot see the rope behind)
+        abortBalanceEffect: 0.12, // Disturbance of pulling a foot back from a step, at the end of the step
+        turnTime: 2, // Seconds to turn round on the rope
+        turnBalanceEffect: 0.2, // Balance change per second pushing a turning walker over, at the middle of the turn
+
+        // Balance disturbance
+        movementBalanceEffect: 0.1,
+        balanceNoiseInterval: 0.5,
+        balanceNoiseMagnitude: 0.01,
+        maxBalanceDifficulty: 4,
+        standingRecoveryFactor: 7, // Multiplies physics.balanceRecoveryRate while not stepping
+        windPoleSway: 0.3, // Pole tilt (radians) per unit of wind
+
+        // Platform movement
+        platformSpeed: 2.0,
+        platformRotationSpeed: 2.0,
+
+        // Stamina (1 = fresh, 0 = spent): steps and leaning against a fall use it up,
+        // standing still on the rope or resting on a platform brings it back
+        stamina: {
+            stepCost: 0.012, // Used by one step on level rope
+            highStepCost: 1.5, // A high step uses this much more
+            uphillCost: 3, // Extra step cost per unit of uphill slope
+            correctionCost: 0.02, // Used per second of leaning at full strength
+            ropeRecovery: 0.05, // Recovered per second standing still on the rope
+            platformRecovery: 0.2, // Recovered per second on a platform
+            fatigueThreshold: 0.4, // Below this the walker tires, fully so at 0
+            fatigueNoiseScale: 2, // Extra random wobble when spent, in multiples of the usual
+            tremorStrength: 1.2, // Balance shake per second when spent
+            tremorFrequency: 4 // Shakes per second
+        }
+    },
+
+    // Rhythm step mode: forward has to be pressed for every step on the rope, in time with
+    // the rope's sideways swing. The beat is when the rope stops at either end of its swing;
+    // steps on it steady the walker and steps off it throw them with the rope
+    rhythm: {
+        enabled: false, // Start in rhythm mode (the player can switch on the start screen)
+        window: 0.35, // How near the beat a step is on time, as a share of the time between beats
+        lockRate: 1.5, // How fast the beat follows the rope's own swing (per second)
+        minSway: 0.01, // Swing (metres) too small to read a beat from; the beat carries on as it was
+        steadyEffect: 0.6, // Share of a step's disturbance an on-beat step takes back
+        steadyPull: 0.15, // Share of the walker's lean an on-beat step takes back
+        mistimeEffect: 0.12 // Extra disturbance of a step halfway between beats
+    },
+
+    // Losing balance: the walker tips off the rope, and can grab it while tipping
+    // Hanging, they climb back up by pulling with alternate hands before their grip gives out
+    fall: {
+        tipTime: 0.7, // Seconds to tip off the rope, which is the window to grab it
+        gripTime: 6, // Seconds the walker can hang before letting go
+        pullsToClimb: 8, // Pulls, alternating hands, to climb back onto the rope
+        wrongPullGrip: 0.1, // Share of the grip lost pulling with the same hand twice
+        dropTime: 4 // Seconds of falling before the run ends (about long enough to reach the valley floor)
     },
-    
+
+    // Ragdoll that takes over the walker's body once they drop for good
+    ragdoll: {
+        timeStep: 1 / 60, // Fixed step the ragdoll is moved in
+        maxSteps: 5, // Most steps in one update, so a hitch cannot run away with it
+        iterations: 8, // Passes over the links each step (more = stiffer)
+        drag: 0.002, // Share of speed lost to the air each step
+        radius: 0.12, // How thick each point is, for touching the ground
+        friction: 0.3, // Share of sliding speed lost each step on the ground
+        bounce: 0.2, // Share of speed into the ground kept as rebound
+        restSpeed: 0.3, // Points sliding slower than this grip the ground, and once all are this slow the body is still
+        restTime: 1, // Seconds of stillness before the ragdoll stops moving
+        launchSpeed: 1.5, // Sideways speed the lean tips the body off the rope with
+        windPush: 2, // Sideways speed per unit of wind
+        tipSpin: 2.5 // Extra sideways speed per metre above the hips, to keep the body turning
+    },
+
     // Environment settings
     environment: {
-        ropeLength: 100,
         ropeSegments: 10,
         ropeThickness: 0.3,
-        mountainDistance: 100,
-        mountainHeight: 40
+        // Platforms the course visits in order, joined by a rope between each pair
+        // Platforms between the first and last are checkpoints
+        // anchorHeight: height of the ropes where they meet the platform (platform and peak follow)
+        // ropeSections: sections of the rope leaving this platform (defaults to rope.sections)
+        // motion: makes the platform move, carrying its rope anchors and anyone standing on it, as
+        //   { path: [{ x, y, z }] waypoints as offsets from where it stands, looped through and back,
+        //     period: seconds per loop, rotation: radians it turns either way, rotationPeriod: seconds
+        //     per swing, phase: share of a loop done at the start (0 to 1) }
+        platforms: [
+            { x: 0, z: 100, anchorHeight: 50 },
+            { x: 0, z: -100, anchorHeight: 56 }
+        ],
+        mountainHeight: 100, // Height of a mountain whose peak is at 50
+        mountainRadius: 100,
+        platformRadius: 8,
+        platformHeight: 2,
+        cloudWindDrift: 20, // Extra cloud speed (units/s) per unit of wind
+        obstacles: [], // Things in the way on the ropes, as { span, at, type }
+        pickups: [], // Power-ups to collect on the ropes, as { span, at, type }
+
+        // Sky gradient and the colour behind it
+        sky: {
+            topColor: 0x0077ff,
+            bottomColor: 0xafffff,
+            background: 0x87CEEB
+        },
+
+        // Scene lights
+        lighting: {
+            ambient: { color: 0xffffff, intensity: 0.5 },
+            sun: { color: 0xffffff, intensity: 0.8, position: { x: 100, y: 100, z: 50 } },
+            hemisphere: { skyColor: 0x0088ff, groundColor: 0x00ff88, intensity: 0.6 }
+        }
+    },
+
+    // Sky and lighting presets a level picks with timeOfDay (its own lighting settings still win)
+    timesOfDay: {
+        dawn: {
+            sky: { topColor: 0x4a6fa5, bottomColor: 0xffc49b, background: 0xf2b48a },
+            lighting: {
+                ambient: { color: 0xffe0c0, intensity: 0.4 },
+                sun: { color: 0xffb070, intensity: 0.6, position: { x: 150, y: 30, z: 0 } },
+                hemisphere: { skyColor: 0x8fa8d8, groundColor: 0x806040, intensity: 0.5 }
+            }
+        },
+        day: {
+            sky: { topColor: 0x0077ff, bottomColor: 0xafffff, background: 0x87CEEB },
+            lighting: {
+                ambient: { color: 0xffffff, intensity: 0.5 },
+                sun: { color: 0xffffff, intensity: 0.8, position: { x: 100, y: 100, z: 50 } },
+                hemisphere: { skyColor: 0x0088ff, groundColor: 0x00ff88, intensity: 0.6 }
+            }
+        },
+        dusk: {
+            sky: { topColor: 0x2c2a5a, bottomColor: 0xff7e5f, background: 0xc0607a },
+            lighting: {
+                ambient: { color: 0xffd0d0, intensity: 0.35 },
+                sun: { color: 0xff8050, intensity: 0.5, position: { x: -150, y: 25, z: 0 } },
+                hemisphere: { skyColor: 0x6a5a9a, groundColor: 0x503020, intensity: 0.4 }
+            }
+        },
+        night: {
+            sky: { topColor: 0x02030a, bottomColor: 0x1a2340, background: 0x0b1020 },
+            lighting: {
+                ambient: { color: 0x8090c0, intensity: 0.25 },
+                sun: { color: 0xaabbff, intensity: 0.3, position: { x: 50, y: 120, z: -50 } },
+                hemisphere: { skyColor: 0x203060, groundColor: 0x101018, intensity: 0.3 }
+            }
+        }
     },
-    
+
+    // What a run has to achieve
+    goals: {
+        timeLimit: null, // Seconds to reach the finish platform (null = no limit)
+        starTimes: [] // Seconds to cross within for the second and third star (crossing at all earns the first)
+    },
+
+    // Level loaded at start-up from assets/levels/<id>.json (?level=<id> picks another)
+    // The levels offered on the start screen, and their unlock rules, are listed in assets/levels/catalog.json
+    defaultLevel: 'twin-peaks',
+
+    // Procedural courses (CourseGenerator): each range is [at difficulty 0, at difficulty 1]
+    generator: {
+        defaultDifficulty: 0.5,
+        spans: [1, 4], // Ropes in the course (one more random span either way)
+        spanLength: [120, 240], // Horizontal distance between platforms (±15%)
+        heightChange: [6, 36], // Largest rise or drop from one platform to the next
+        anchorHeight: [35, 90], // Lowest and highest a rope may meet a platform
+        maxExtent: 380, // Furthest a platform may be from the centre; longer courses are shrunk to fit the scenery
+        maxTurn: 0.6, // Largest change of heading (radians) at a platform
+        noiseFrequency: 0.7, // How quickly heights and heading wander from span to span
+        tension: [18000, 8000], // Slacker ropes sag and sway more
+        windStrength: [0.6, 1.6],
+        gustChance: [0.1, 0.45],
+        turbulence: [0.1, 0.3],
+        sectionsPerSpan: [0, 3], // Stretches of special rope on each span
+        sectionLength: [0.08, 0.18], // Length of a stretch, as a fraction of the span
+        obstaclesPerSpan: [0, 3],
+        timePerSpan: [35, 25], // Seconds per span to cross within for the second and third star
+        timesOfDay: ['dawn', 'day', 'dusk', 'night'],
+
+        // Special rope types the generator lays, from what difficulty, how often and how hard they are
+        ropeTypes: {
+            elastic: { minDifficulty: 0, weight: 1, hazard: 0.4 },
+            slippery: { minDifficulty: 0.2, weight: 1, hazard: 0.7 },
+            frayed: { minDifficulty: 0.4, weight: 0.7, hazard: 0.8 },
+            icy: { minDifficulty: 0.6, weight: 0.5, hazard: 1 }
+        },
+
+        // Obstacles the generator places, in the same form
+        obstacleTypes: {
+            bird: { minDifficulty: 0, weight: 1, hazard: 0.4 },
+            knot: { minDifficulty: 0.2, weight: 1, hazard: 0.5 },
+            debris: { minDifficulty: 0.5, weight: 0.7, hazard: 1 }
+        },
+
+        // How much each part of a course counts toward its estimated difficulty
+        difficultyWeights: {
+            spans: 1,
+            spanLength: 0.5,
+            slope: 1,
+            tension: 1,
+            wind: 2,
+            ropeTypes: 1.5,
+            obstacles: 1.5
+        }
+    },
+
+    // Rope shape and dynamics (a catenary at rest, a tensioned string of point masses in motion)
+    rope: {
+        tension: 15000, // Horizontal pull (N): higher = flatter, stiffer rope, less dip under the walker and faster sway
+        length: null, // Fixed rope length; when set it decides the shape and tension is worked out from it
+        linearDensity: 0.9, // Mass of one metre of rope (kg)
+        damping: 0.6, // Fraction of rope speed lost per second
+        windLoad: 60, // Sideways force on each rope point per unit of wind
+        stepBounce: 0.4, // Downward speed each step kicks into the rope
+        stepSway: 3, // Sideways speed kicked into the rope per unit of step disturbance
+        elasticity: 200000, // Pull (N) that would stretch the rope to twice its length; sets how much tighter moving anchors make it
+        // Stretches of each rope made from a type in ropeTypes, e.g. { from: 0.4, to: 0.6, type: 'frayed' }
+        // (from/to are rope parameters, 0 = start, 1 = end; anything not covered is standard rope)
+        sections: []
+    },
+
+    // Power-ups, by id, that environment.pickups place on the ropes
+    // Walking over a pickup with an empty slot picks it up, and the activation key uses it
+    // For duration seconds its modifiers scale the balance system: windScale multiplies the
+    // wind, balanceNoiseScale the random wobbles and timeScale how fast everything runs
+    // A balanceSave has no duration: it waits until the walker would fall, then catches them once
+    powerUpTypes: {
+        calmWind: {
+            label: 'Calm-wind charm',
+            color: 0x7fdbff,
+            duration: 5,
+            modifiers: { windScale: 0 }
+        },
+        heavyPole: {
+            label: 'Heavy pole',
+            color: 0x8e5a2b,
+            duration: 12,
+            modifiers: { balanceNoiseScale: 0.35 }
+        },
+        focus: {
+            label: 'Focus',
+            color: 0xb084f5,
+            duration: 3, // Seconds of real time, however slow the world runs
+            modifiers: { timeScale: 0.5 }
+        },
+        balanceSave: {
+            label: 'Balance save',
+            color: 0xffd700,
+            duration: null,
+            balanceSave: true
+        }
+    },
+
+    // Obstacles, by id, that environment.obstacles place on the ropes
+    // kind picks the behaviour: a 'bird' perches for a while then flies off, 'debris' swings
+    // across the rope, and a 'knot' trips any step over it that is not a high step
+    // Walking into an obstacle kicks balance by hitDisturbance (enough of a kick is a fall)
+    obstacleTypes: {
+        bird: {
+            label: 'Bird',
+            kind: 'bird',
+            size: 0.8, // Metres of rope it takes up
+            hitDisturbance: 0.35,
+            hitMessage: 'A bird flapped in your face!',
+            perchTime: [4, 8], // Seconds it stays on the rope
+            awayTime: [3, 6] // Seconds it circles before landing again
+        },
+        debris: {
+            label: 'Swinging debris',
+            kind: 'debris',
+            size: 0.8,
+            hitDisturbance: 1,
+            hitMessage: 'Knocked by swinging debris!',
+            swingPeriod: 4, // Seconds for a full swing back and forth
+            swingAmplitude: 2.5 // Metres it swings out to either side of the rope
+        },
+        knot: {
+            label: 'Knot',
+            kind: 'knot',
+            size: 0.4,
+            hitDisturbance: 0.4,
+            hitMessage: 'Tripped on a knot! Hold Space to step high over knots.'
+        }
+    },
+
+    // Rope types, by id, that rope.sections refer to
+    // Missing fields fall back to the standard rope
+    ropeTypes: {
+        standard: {
+            label: 'Standard',
+            stiffness: 1, // Multiplies rope tension between points (lower = stretchier, deeper dip)
+            bounce: 1, // Multiplies rope.stepBounce
+            slipChance: 0, // Chance that a step slips
+            slipDisturbance: 0, // Balance kick when a step slips
+            wearPerStep: 0, // Damage per step taken on this stretch; it gives way at 1
+            frayedStiffness: 1, // Multiplies stiffness once the stretch has given way
+            material: { color: 0x8B4513, roughness: 0.9, metalness: 0.0 }
+        },
+        elastic: {
+            label: 'Elastic',
+            stiffness: 0.5,
+            bounce: 2.5,
+            material: { color: 0xB5651D, roughness: 0.7, metalness: 0.0 }
+        },
+        slippery: {
+            label: 'Slippery',
+            slipChance: 0.15,
+            slipDisturbance: 0.15,
+            material: { color: 0x5C4033, roughness: 0.3, metalness: 0.1 }
+        },
+        frayed: {
+            label: 'Frayed',
+            stiffness: 0.9,
+            wearPerStep: 0.15,
+            frayedStiffness: 0.25,
+            material: { color: 0xA89878, roughness: 1.0, metalness: 0.0 }
+        },
+        icy: {
+            label: 'Icy',
+            stiffness: 1.2,
+            bounce: 0.5,
+            slipChance: 0.3,
+            slipDisturbance: 0.2,
+            material: { color: 0xDDEEFF, roughness: 0.15, metalness: 0.2 }
+        }
+    },
+
     // Camera settings
     camera: {
         fov: 75,
         nearPlane: 0.1,
         farPlane: 1000,
-        startPosition: { x: 0, y: 30, z: 60 },
-        gameplayPosition: { x: 0, y: 5, z: 15 }
+        startPosition: { x: 0, y: 50, z: 120 },
+        startLookAt: { x: 0, y: 0, z: 0 },
+        gameplayPosition: { x: 0, y: 10, z: 20 },
+        gameplayLookAt: { x: 0, y: 0, z: -15 }
     },
-    
+
     // Difficulty levels
+    // Physics values replace the physics settings, scales multiply the character's balance knobs
+    defaultDifficulty: 'normal',
     difficultyLevels: {
         easy: {
+            label: 'Easy',
             balanceThreshold: 0.9,
             balanceRecoveryRate: 0.15,
-            maxWindForce: 0.3
+            maxWindForce: 0.3,
+            balanceNoiseScale: 0.6,
+            maxBalanceDifficultyScale: 0.75
         },
         normal: {
+            label: 'Normal',
             balanceThreshold: 0.8,
             balanceRecoveryRate: 0.1,
-            maxWindForce: 0.5
+            maxWindForce: 0.5,
+            balanceNoiseScale: 1,
+            maxBalanceDifficultyScale: 1
         },
         hard: {
+            label: 'Hard',
             balanceThreshold: 0.7,
             balanceRecoveryRate: 0.05,
-            maxWindForce: 0.7
+            maxWindForce: 0.7,
+            balanceNoiseScale: 1.5,
+            maxBalanceDifficultyScale: 1.25
         }
     }
 };
 
-export default gameConfig; 
\ No newline at end of file
+/**
+ * Build a config object by layering overrides on top of the defaults
+ * Plain objects are merged recursively, everything else is replaced
+ * @param {Object} overrides - Partial config with the values to change
+ * @param {Object} base - Config to start from (defaults to gameConfig)
+ * @returns {Object} - A new, fully resolved config object
+ */
+function resolveConfig(overrides = {}, base = gameConfig) {
+    const resolved = {};
+
+    for (const key of Object.keys(base)) {
+        const value = base[key];
+        resolved[key] = isPlainObject(value) ? resolveConfig({}, value) : value;
+    }
+
+    for (const key of Object.keys(overrides)) {
+        const value = overrides[key];
+        if (isPlainObject(value) && isPlainObject(resolved[key])) {
+            resolved[key] = resolveConfig(value, resolved[key]);
+        } else {
+            resolved[key] = value;
+        }
+    }
+
+    return resolved;
+}
+
+/**
+ * Check whether a value is a plain object literal
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for plain objects
+ * @private
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+export { resolveConfig };
+export default gameConfig;
@@ -6,17 +6,40 @@
 
 import * as THREE from 'three';
 import { CameraController } from './views/CameraController.js';
-import { Character } from './models/Character.js';
-import { Physics } from './models/Physics.js';
+import { CharacterView } from './views/CharacterView.js';
+import { ObstacleView } from './views/ObstacleView.js';
+import { PickupView } from './views/PickupView.js';
+import { Simulation } from './models/Simulation.js';
 import { UIManager } from './views/UIManager.js';
 import { GameState } from './viewmodels/GameState.js';
 import { Environment } from './models/Environment.js';
+import { Random } from './models/Random.js';
+import { LevelLoader } from './models/LevelLoader.js';
+import { LevelCatalog } from './models/LevelCatalog.js';
+import { LevelProgress } from './models/LevelProgress.js';
+import { CourseGenerator } from './models/CourseGenerator.js';
+import { Ragdoll } from './models/Ragdoll.js';
+import gameConfig from '../config/gameConfig.js';
+
+// localStorage key for the player's chosen difficulty
+const DIFFICULTY_STORAGE_KEY = 'tightropeWalker.difficulty';
+
+// localStorage key for whether the player steps in rhythm mode
+const RHYTHM_MODE_STORAGE_KEY = 'tightropeWalker.rhythmMode';
+
+// Where level files and the level catalog are served from
+const LEVELS_URL = `${import.meta.env.BASE_URL}levels/`;
 
 class Game {
     /**
      * Initialize the game instance
+     * @param {Object} config - Resolved game configuration (defaults to gameConfig)
      */
-    constructor() {
+    constructor(config = gameConfig) {
+        // Config levels are layered onto, and the resolved config of the level being played
+        this.baseConfig = config;
+        this.config = config;
+        
         // Three.js core components
         this.scene = null;
         this.renderer = null;
@@ -26,10 +49,34 @@ class Game {
         this.gameState = null;
         this.uiManager = null;
         this.cameraController = null;
+        this.simulation = null;
         this.character = null;
+        this.characterView = null;
+        this.obstacleView = null;
+        this.pickupView = null;
         this.physics = null;
         this.environment = null;
         
+        // Selected difficulty level (key in config.difficultyLevels)
+        this.difficulty = null;
+        
+        // Whether each step on the rope is pressed on its own, in time with the rope
+        this.isRhythmMode = false;
+        
+        // Level being played (null if it could not be loaded and the defaults are used)
+        this.level = null;
+        
+        // Levels on offer and the player's best times and stars on them
+        this.levelCatalog = null;
+        this.levelProgress = null;
+        
+        // Unsimulated time carried between frames by the fixed-step loop
+        this.accumulator = 0;
+        
+        // Shared random number generator and whether its seed came from the URL
+        this.random = null;
+        this.isSeedFixed = false;
+        
         // Game settings
         this.gameContainer = document.getElementById('game-container');
         
@@ -38,6 +85,19 @@ class Game {
         this.onWindowResize = this.onWindowResize.bind(this);
         this.handleKeyDown = this.handleKeyDown.bind(this);
         this.handleKeyUp = this.handleKeyUp.bind(this);
+        this.onGameStateChange = this.onGameStateChange.bind(this);
+        this.onSimulationStep = this.onSimulationStep.bind(this);
+        this.onRunFinished = this.onRunFinished.bind(this);
+        this.onCheckpoint = this.onCheckpoint.bind(this);
+        this.onObstacleHit = this.onObstacleHit.bind(this);
+        this.onPickup = this.onPickup.bind(this);
+        this.onPowerUpStart = this.onPowerUpStart.bind(this);
+        this.onPowerUpEnd = this.onPowerUpEnd.bind(this);
+        this.onBalanceSaved = this.onBalanceSaved.bind(this);
+        this.onClimbedBack = this.onClimbedBack.bind(this);
+        this.onFallDrop = this.onFallDrop.bind(this);
+        this.onVisibilityChange = this.onVisibilityChange.bind(this);
+        this.pauseGame = this.pauseGame.bind(this);
     }
     
     /**
@@ -48,7 +108,6 @@ class Game {
         
         // Create Three.js scene
         this.scene = new THREE.Scene();
-        this.scene.background = new THREE.Color(0x87CEEB); // Sky blue
         
         // Setup renderer
         this.renderer = new THREE.WebGLRenderer({ antialias: true });
@@ -57,43 +116,245 @@ class Game {
         this.gameContainer.appendChild(this.renderer.domElement);
         
         // Create camera
+        const cameraConfig = this.config.camera;
         const camera = new THREE.PerspectiveCamera(
-            75, window.innerWidth / window.innerHeight, 0.1, 1000
+            cameraConfig.fov, window.innerWidth / window.innerHeight,
+            cameraConfig.nearPlane, cameraConfig.farPlane
         );
-        this.cameraController = new CameraController(this.scene, camera);
+        this.cameraController = new CameraController(this.scene, camera, cameraConfig);
         
         // Initialize game clock
         this.clock = new THREE.Clock();
         
+        // Seed all gameplay randomness, from ?seed= when given
+        const urlSeed = new URLSearchParams(window.location.search).get('seed');
+        this.isSeedFixed = urlSeed !== null && urlSeed !== '';
+        this.random = this.isSeedFixed ? new Random(urlSeed) : new Random();
+        
         // Initialize game state
         this.gameState = new GameState();
         
         // Initialize UI manager
         this.uiManager = new UIManager(this);
         
-        // Initialize physics engine
-        this.physics = new Physics();
+        // Read the levels on offer and the player's records on them
+        this.levelProgress = new LevelProgress();
+        this.levelCatalog = new LevelCatalog(new LevelLoader(this.baseConfig));
+        try {
+            await this.levelCatalog.load(LEVELS_URL);
+        } catch (error) {
+            console.warn('Could not load the level catalog:', error.message);
+        }
         
-        // Initialize environment (mountains, rope, etc.)
-        this.environment = new Environment(this.scene);
-        await this.environment.load();
+        // Layer the level onto the config before anything is built from it
+        // ?course=<seed> (or ?course=daily) plays a generated course instead, if it can be built
+        const params = new URLSearchParams(window.location.search);
+        const courseSeed = params.get('course');
+        if (!courseSeed || !this.loadGeneratedCourse(courseSeed, parseFloat(params.get('courseDifficulty')))) {
+            await this.loadLevel(params.get('level') || this.config.defaultLevel);
+        }
         
-        // Initialize character
-        this.character = new Character(this.scene, this.environment.rope, this.environment);
-        await this.character.load();
+        // Build the course, character and scene
+        await this.createWorld();
         
-        // Set references for camera controller
-        this.cameraController.setReferences(this.character, this.environment);
+        // Apply the difficulty remembered from the last session
+        this.setDifficulty(this.loadSavedDifficulty());
+        this.setRhythmMode(this.loadSavedRhythmMode());
+        
+        // Offer the catalog's levels on the start screen
+        this.uiManager.createLevelSelect();
         
         // Register event listeners
         window.addEventListener('resize', this.onWindowResize);
         window.addEventListener('keydown', this.handleKeyDown);
         window.addEventListener('keyup', this.handleKeyUp);
         
+        // Pause automatically when the player leaves the game
+        document.addEventListener('visibilitychange', this.onVisibilityChange);
+        window.addEventListener('blur', this.pauseGame);
+        
+        // Prepare each run when gameplay starts
+        this.gameState.addStateChangeListener(this.onGameStateChange);
+        
         // Set initial game state
         this.gameState.changeState('START_SCREEN');
+    }
+    
+    /**
+     * Build the simulation and the scene for the current config
+     */
+    async createWorld() {
+        // Initialize the headless simulation (course, physics, character)
+        this.simulation = new Simulation(this.config, this.random);
+        this.physics = this.simulation.physics;
+        this.character = this.simulation.character;
+        
+        // Initialize environment (mountains, rope, etc.)
+        this.environment = new Environment(
+            this.scene, this.simulation.course, this.config.environment, this.random
+        );
+        await this.environment.load();
+        
+        // Initialize the character's model, with a ragdoll that tumbles onto the mountains and terrain in a fall
+        const ragdoll = new Ragdoll(this.config.ragdoll, this.config.physics.gravity,
+            (x, z) => this.environment.getGroundAt(x, z));
+        this.characterView = new CharacterView(
+            this.scene, this.character, this.simulation.course, this.simulation.fall, ragdoll
+        );
+        await this.characterView.load();
+        
+        // Draw the obstacles on the ropes
+        this.obstacleView = new ObstacleView(this.scene, this.simulation.obstacles, this.simulation.course);
+        this.obstacleView.load();
         
-        console.log('Game initialization complete');
+        // Draw the power-up pickups over the ropes
+        this.pickupView = new PickupView(this.scene, this.simulation.powerUps, this.simulation.course);
+        this.pickupView.load();
+        
+        // Set references for camera controller
+        this.cameraController.setReferences(this.character, this.environment, this.characterView);
+        
+        // Draw each simulation step and end the run when the simulation does
+        this.simulation.addListener('step', this.onSimulationStep);
+        this.simulation.addListener('finish', this.onRunFinished);
+        this.simulation.addListener('checkpoint', this.onCheckpoint);
+        this.simulation.addListener('obstacleHit', this.onObstacleHit);
+        this.simulation.addListener('pickup', this.onPickup);
+        this.simulation.addListener('powerUpStart', this.onPowerUpStart);
+        this.simulation.addListener('powerUpEnd', this.onPowerUpEnd);
+        this.simulation.addListener('balanceSaved', this.onBalanceSaved);
+        this.simulation.addListener('climbedBack', this.onClimbedBack);
+        this.simulation.addListener('fallDrop', this.onFallDrop);
+        
+        // A rebuilt world keeps the chosen difficulty and step mode
+        if (this.difficulty) {
+            this.simulation.setDifficulty(this.config.difficultyLevels[this.difficulty]);
+        }
+        this.simulation.setRhythmMode(this.isRhythmMode);
+    }
+    
+    /**
+     * Remove everything from the scene and free its GPU resources
+     */
+    disposeWorld() {
+        this.scene.traverse((object) => {
+            if (object.geometry) {
+                object.geometry.dispose();
+            }
+            
+            const materials = Array.isArray(object.material) ? object.material : [object.material];
+            for (const material of materials) {
+                if (!material) continue;
+                
+                // Textures are shared through materials, so free them with it
+                Object.values(material).forEach((value) => value && value.isTexture && value.dispose());
+                material.dispose();
+            }
+        });
+        
+        this.scene.clear();
+        this.scene.background = null;
+    }
+    
+    /**
+     * Load a level and apply it to the config
+     * Levels come from the catalog when it has them, otherwise from assets/levels
+     * A level that is missing or invalid leaves the current config in place
+     * @param {string} id - Level id, the name of a file in assets/levels
+     * @returns {Promise<boolean>} - Whether the level was loaded
+     */
+    async loadLevel(id) {
+        const loader = new LevelLoader(this.baseConfig);
+        
+        try {
+            const level = this.levelCatalog.getLevel(id) || await loader.load(`${LEVELS_URL}${id}.json`);
+            this.config = loader.toConfig(level);
+            this.level = level;
+            return true;
+        } catch (error) {
+            console.warn(`Could not load level '${id}':`, error.message);
+            this.uiManager.showNotification(`Level '${id}' could not be loaded`, 4000);
+            return false;
+        }
+    }
+    
+    /**
+     * Generate a course and apply it to the config
+     * The course is checked like a level file, so a generator bug cannot build a broken course
+     * @param {string} seed - Seed for the course, or 'daily' for today's challenge
+     * @param {number} difficulty - Target difficulty from 0 to 1 (the generator's default if not a number)
+     * @returns {boolean} - Whether the course was generated
+     */
+    loadGeneratedCourse(seed, difficulty) {
+        const generator = new CourseGenerator(this.baseConfig.generator);
+        const loader = new LevelLoader(this.baseConfig);
+        
+        try {
+            const level = generator.generate(
+                seed === 'daily' ? CourseGenerator.getDailySeed() : seed,
+                Number.isFinite(difficulty) ? difficulty : undefined
+            );
+            loader.validate(level, `generated course '${seed}'`);
+            this.config = loader.toConfig(level);
+            this.level = level;
+            return true;
+        } catch (error) {
+            console.warn(`Could not generate course '${seed}':`, error.message);
+            this.uiManager.showNotification(`Course '${seed}' could not be generated`, 4000);
+            return false;
+        }
+    }
+    
+    /**
+     * Swap the course for another level's
+     * @param {string} id - Level id
+     * @returns {Promise<boolean>} - Whether the level changed
+     */
+    async changeLevel(id) {
+        if (this.level && this.level.id === id) return true;
+        if (!(await this.loadLevel(id))) return false;
+        
+        this.disposeWorld();
+        await this.createWorld();
+        return true;
+    }
+    
+    /**
+     * Pick the level to play from the start screen
+     * @param {string} id - Level id, which must be unlocked
+     */
+    async selectLevel(id) {
+        if (this.gameState.currentState !== 'START_SCREEN') return;
+        if (!this.levelCatalog.isUnlocked(id, this.levelProgress)) return;
+        
+        await this.changeLevel(id);
+        this.uiManager.updateLevelSelect();
+    }
+    
+    /**
+     * Go straight from the end screen into the next level in the catalog
+     */
+    async playNextLevel() {
+        if (this.gameState.currentState !== 'END_SCREEN') return;
+        
+        const next = this.getNextLevel();
+        if (!next || !(await this.changeLevel(next.id))) return;
+        
+        // Through the start screen, so the run is prepared as usual
+        this.gameState.changeState('START_SCREEN');
+        this.gameState.changeState('GAMEPLAY');
+        this.cameraController.animateToGameplayPosition();
+    }
+    
+    /**
+     * Get the level after this one, if the player has unlocked it
+     * @returns {Object|null} - Catalog entry, or null at the end of the catalog or while it is locked
+     */
+    getNextLevel() {
+        if (!this.level) return null;
+        
+        const next = this.levelCatalog.getNext(this.level.id);
+        return next && this.levelCatalog.isUnlocked(next.id, this.levelProgress) ? next : null;
     }
     
     /**
@@ -110,7 +371,8 @@ class Game {
     update() {
         requestAnimationFrame(this.update);
         
-        const deltaTime = this.clock.getDelta();
+        // Cap huge deltas (tab switches, hitches) so they cannot cause a fall
+        const deltaTime = Math.min(this.clock.getDelta(), this.config.simulation.maxFrameTime);
         
         // Update game based on current state
         switch (this.gameState.currentState) {
@@ -120,36 +382,19 @@ class Game {
                 break;
                 
             case 'GAMEPLAY':
-                // Apply physics
-                this.physics.applyForces(this.character, deltaTime);
-                
-                // Update character
-                this.character.update(deltaTime);
-                
-                // Update environment
-                this.environment.update(deltaTime);
-                
-                // Update camera to follow character
-                this.cameraController.update(deltaTime);
-                
-                // Update UI
-                this.uiManager.updateGameplayUI(this.character.balance);
-                
-                // Check for game over condition
-                if (!this.physics.checkBalance(this.character)) {
-                    this.gameState.changeState('END_SCREEN');
-                    this.uiManager.showEndScreen('You fell!');
-                }
+                this.updateGameplay(deltaTime);
+                break;
                 
-                // Check for win condition - character reaches end platform and is on platform
-                if (this.character.position >= 0.98 && this.character.isOnPlatform) {
-                    this.gameState.changeState('END_SCREEN');
-                    this.uiManager.showEndScreen('You made it across!');
-                }
+            case 'PAUSED':
+                // Simulation, wind and camera stay frozen, just render the scene
                 break;
                 
             case 'END_SCREEN':
-                // Just render the scene
+                // A fallen walker's ragdoll settles behind the end screen, with the camera on it
+                if (this.characterView.isRagdollActive()) {
+                    this.characterView.updateRagdoll(deltaTime);
+                    this.cameraController.update(deltaTime);
+                }
                 break;
         }
         
@@ -157,6 +402,295 @@ class Game {
         this.renderer.render(this.scene, this.cameraController.camera);
     }
     
+    /**
+     * Handler for game state changes
+     * @param {string} newState - The new game state
+     * @param {string} previousState - The previous game state
+     */
+    onGameStateChange(newState, previousState) {
+        if (newState === 'GAMEPLAY' && previousState === 'START_SCREEN') {
+            this.prepareRun();
+        }
+    }
+    
+    /**
+     * Reseed randomness for a new run so it can be replayed from its seed
+     * A seed from the URL is reused for every run, otherwise each run gets a fresh one
+     */
+    prepareRun() {
+        const seed = this.isSeedFixed ? this.random.seed : Random.createSeed();
+        this.simulation.reset(seed);
+        this.accumulator = 0;
+    }
+    
+    /**
+     * Pause a run in progress
+     * Held keys are released, since their key-up events are ignored while paused
+     */
+    pauseGame() {
+        if (this.gameState.currentState !== 'GAMEPLAY') return;
+        
+        this.character.releaseControls();
+        this.gameState.changeState('PAUSED');
+    }
+    
+    /**
+     * Continue a paused run where it stopped
+     */
+    resumeGame() {
+        if (this.gameState.currentState !== 'PAUSED') return;
+        
+        this.gameState.changeState('GAMEPLAY');
+    }
+    
+    /**
+     * Start the paused run over from the start platform
+     */
+    restartRun() {
+        if (this.gameState.currentState !== 'PAUSED') return;
+        
+        this.prepareRun();
+        this.gameState.changeState('GAMEPLAY');
+    }
+    
+    /**
+     * Carry on a fallen run from the last platform reached
+     */
+    continueFromCheckpoint() {
+        if (this.gameState.currentState !== 'END_SCREEN' || this.simulation.checkpoint === 0) return;
+        
+        this.simulation.restartFromCheckpoint();
+        this.accumulator = 0;
+        this.gameState.changeState('GAMEPLAY');
+    }
+    
+    /**
+     * Abandon the paused run and return to the start screen
+     */
+    quitToMenu() {
+        if (this.gameState.currentState !== 'PAUSED') return;
+        
+        this.gameState.changeState('START_SCREEN');
+        this.character.resetPosition();
+        this.cameraController.animateToStartPosition();
+    }
+    
+    /**
+     * Pause when the tab is hidden
+     */
+    onVisibilityChange() {
+        if (document.hidden) {
+            this.pauseGame();
+        }
+    }
+    
+    /**
+     * Apply a difficulty level to physics and character and remember it
+     * @param {string} level - Key in config.difficultyLevels
+     */
+    setDifficulty(level) {
+        const preset = this.config.difficultyLevels[level];
+        if (!preset) {
+            console.warn(`Unknown difficulty level: ${level}`);
+            return;
+        }
+        
+        this.difficulty = level;
+        this.simulation.setDifficulty(preset);
+        this.uiManager.updateDifficultySelection(level);
+        
+        try {
+            localStorage.setItem(DIFFICULTY_STORAGE_KEY, level);
+        } catch (error) {
+            console.warn('Could not save difficulty:', error);
+        }
+    }
+    
+    /**
+     * Read the difficulty chosen in a previous session
+     * @returns {string} - Saved difficulty level, or the configured default
+     */
+    loadSavedDifficulty() {
+        let saved = null;
+        
+        try {
+            saved = localStorage.getItem(DIFFICULTY_STORAGE_KEY);
+        } catch (error) {
+            console.warn('Could not read saved difficulty:', error);
+        }
+        
+        return saved && this.config.difficultyLevels[saved] ? saved : this.config.defaultDifficulty;
+    }
+    
+    /**
+     * Switch rhythm mode on or off and remember it
+     * @param {boolean} enabled - Whether each step on the rope needs its own press, in time with the rope
+     */
+    setRhythmMode(enabled) {
+        this.isRhythmMode = enabled;
+        this.simulation.setRhythmMode(enabled);
+        this.uiManager.updateStepModeSelection(enabled);
+        
+        try {
+            localStorage.setItem(RHYTHM_MODE_STORAGE_KEY, String(enabled));
+        } catch (error) {
+            console.warn('Could not save step mode:', error);
+        }
+    }
+    
+    /**
+     * Read whether rhythm mode was on in a previous session
+     * @returns {boolean} - Saved step mode, or the configured default
+     */
+    loadSavedRhythmMode() {
+        let saved = null;
+        
+        try {
+            saved = localStorage.getItem(RHYTHM_MODE_STORAGE_KEY);
+        } catch (error) {
+            console.warn('Could not read saved step mode:', error);
+        }
+        
+        return saved === null ? this.config.rhythm.enabled : saved === 'true';
+    }
+    
+    /**
+     * Advance gameplay in fixed simulation steps and interpolate what is drawn
+     * Keeps balance, stepping and falling independent of the display refresh rate
+     * @param {number} deltaTime - Capped time since last frame in seconds
+     */
+    updateGameplay(deltaTime) {
+        const step = this.config.simulation.fixedTimeStep;
+        this.accumulator += deltaTime;
+        
+        // Simulate from the last simulated pose, not the interpolated one that was drawn
+        this.characterView.restoreSimulatedTransform();
+        
+        while (this.accumulator >= step && this.gameState.currentState === 'GAMEPLAY') {
+            this.characterView.storePreviousTransform();
+            this.simulation.step(step);
+            this.accumulator -= step;
+        }
+        
+        // Drop leftover time once the run has ended
+        if (this.gameState.currentState !== 'GAMEPLAY') {
+            this.accumulator = 0;
+        }
+        
+        // Draw the character between the last two simulated poses
+        this.characterView.interpolateTransform(this.accumulator / step);
+        
+        // Update environment
+        this.environment.update(deltaTime);
+        this.obstacleView.update(deltaTime);
+        this.pickupView.update(deltaTime);
+        
+        // Update camera to follow character
+        this.cameraController.update(deltaTime);
+        
+        // Update UI
+        this.uiManager.updateGameplayUI(this.character.balance);
+    }
+    
+    /**
+     * Draw a simulation step
+     * @param {number} deltaTime - Fixed step length in seconds
+     */
+    onSimulationStep(deltaTime) {
+        // Share the wind at the character's position with the scene
+        this.environment.setWindEffect(this.physics.getWind());
+        
+        // Pose the character's model
+        this.characterView.update(deltaTime);
+    }
+    
+    /**
+     * Show the end screen when the simulation ends the run
+     * @param {string} outcome - 'FELL', 'CROSSED' or 'OUT_OF_TIME'
+     */
+    onRunFinished(outcome) {
+        const messages = {
+            FELL: 'You fell!',
+            CROSSED: 'You made it across!',
+            OUT_OF_TIME: 'Out of time!'
+        };
+        
+        // Keep the best time and stars for the level
+        const result = this.level
+            ? this.levelProgress.recordRun(this.level.id, outcome, this.simulation.time, this.config.goals)
+            : null;
+        
+        this.gameState.changeState('END_SCREEN');
+        this.uiManager.showEndScreen(messages[outcome], result);
+    }
+    
+    /**
+     * Tell the player a checkpoint was saved
+     * @param {number} platformIndex - Platform reached
+     */
+    onCheckpoint(platformIndex) {
+        const lastPlatform = this.simulation.course.platformPositions.length - 1;
+        this.uiManager.showNotification(`Checkpoint reached (platform ${platformIndex + 1} of ${lastPlatform + 1})`, 2500);
+    }
+    
+    /**
+     * Tell the player what they ran into
+     * @param {Object} hit - The collision, as { obstacle, disturbance }
+     */
+    onObstacleHit(hit) {
+        this.uiManager.showNotification(hit.obstacle.type.hitMessage, 2500);
+    }
+    
+    /**
+     * Tell the player they picked up a power-up and how to use it
+     * @param {Object} pickup - The pickup collected
+     */
+    onPickup(pickup) {
+        this.uiManager.showNotification(`Picked up: ${pickup.type.label} (press F to use)`, 2500);
+    }
+    
+    /**
+     * Tell the player a power-up is in effect
+     * @param {Object} effect - The effect started, as { id, type, remaining }
+     */
+    onPowerUpStart(effect) {
+        const message = effect.type.balanceSave
+            ? `${effect.type.label} ready: your next fall will be caught`
+            : `${effect.type.label} for ${effect.type.duration}s`;
+        this.uiManager.showNotification(message, 2000);
+    }
+    
+    /**
+     * Tell the player a power-up wore off
+     * @param {Object} effect - The effect that ended
+     */
+    onPowerUpEnd(effect) {
+        this.uiManager.showNotification(`${effect.type.label} wore off`, 1500);
+    }
+    
+    /**
+     * Tell the player a balance save caught their fall
+     */
+    onBalanceSaved() {
+        this.uiManager.showNotification('Balance saved!', 2000);
+    }
+    
+    /**
+     * Tell the player they made it back onto the rope
+     */
+    onClimbedBack() {
+        this.uiManager.showNotification('Back on the rope!', 2000);
+    }
+    
+    /**
+     * Tell the player why they are falling for good
+     * @param {string} reason - 'missedGrab' or 'lostGrip'
+     */
+    onFallDrop(reason) {
+        const message = reason === 'lostGrip' ? 'Your grip gave out...' : 'Missed the rope...';
+        this.uiManager.showNotification(message, 2000);
+    }
+    
     /**
      * Handle window resize events
      */
@@ -175,8 +709,24 @@ class Game {
      * @param {KeyboardEvent} event - The keydown event
      */
     handleKeyDown(event) {
+        // Escape and P toggle the pause menu
+        if (event.key === 'Escape' || event.key === 'p' || event.key === 'P') {
+            if (this.gameState.currentState === 'GAMEPLAY') {
+                this.pauseGame();
+            } else if (this.gameState.currentState === 'PAUSED') {
+                this.resumeGame();
+            }
+            return;
+        }
+        
         if (this.gameState.currentState !== 'GAMEPLAY') return;
         
+        // A fall takes over the controls until it is over
+        if (this.simulation.fall.isActive()) {
+            this.handleFallKeyDown(event);
+            return;
+        }
+        
         switch (event.key) {
             case 'ArrowLeft':
             case 'a':
@@ -203,34 +753,57 @@ class Game {
             case 'ArrowUp':
             case 'w':
             case 'W':
-                this.character.moveForward();
+                // On the rope a held key keeps walking by itself, so a repeat must not
+                // start walking again after a step was pulled back
+                if (this.character.isOnPlatform || !event.repeat) {
+                    this.character.moveForward();
+                }
                 break;
                 
             case 'ArrowDown':
             case 's':
             case 'S':
-                // Only allow backward movement on platform
-                if (this.character.isOnPlatform) {
+                // Walk backward on a platform, step back on the rope
+                if (this.character.isOnPlatform || !event.repeat) {
                     this.character.moveBackward();
                 }
                 break;
                 
             case 'q':
             case 'Q':
-                // Rotate character to the left (counterclockwise)
-                if (this.character.isOnPlatform) {
+                // Rotate character to the left (counterclockwise), or turn round on the rope
+                // (holding the key down is not a second turn)
+                if (this.character.isOnPlatform || !event.repeat) {
                     this.character.rotateLeft();
                 }
                 break;
                 
             case 'e':
             case 'E':
-                // Rotate character to the right (clockwise)
-                if (this.character.isOnPlatform) {
+                // Rotate character to the right (clockwise), or turn round on the rope
+                if (this.character.isOnPlatform || !event.repeat) {
                     this.character.rotateRight();
                 }
                 break;
                 
+            case ' ':
+                // Hold to lift the feet high over knots
+                event.preventDefault();
+                this.character.stepHigh();
+                break;
+                
+            case 'f':
+            case 'F':
+                // Use the power-up in the slot
+                this.simulation.activatePowerUp();
+                break;
+                
+            case 'x':
+            case 'X':
+                // Pull the foot back from a step on the rope
+                this.character.abortStep();
+                break;
+                
             case 'c':
             case 'C':
                 // Toggle camera mode when 'C' is pressed
@@ -239,12 +812,41 @@ class Game {
         }
     }
     
+    /**
+     * Handle keydown events during a fall: grab the rope, then climb with alternate hands
+     * @param {KeyboardEvent} event - The keydown event
+     */
+    handleFallKeyDown(event) {
+        // Holding a key down is not a pull
+        if (event.repeat) return;
+        
+        switch (event.key) {
+            case 'g':
+            case 'G':
+                this.simulation.grabRope();
+                break;
+                
+            case 'ArrowLeft':
+            case 'a':
+            case 'A':
+                this.simulation.pullUp('left');
+                break;
+                
+            case 'ArrowRight':
+            case 'd':
+            case 'D':
+                this.simulation.pullUp('right');
+                break;
+        }
+    }
+    
     /**
      * Handle keyup events
      * @param {KeyboardEvent} event - The keyup event
      */
     handleKeyUp(event) {
-        if (this.gameState.currentState !== 'GAMEPLAY') return;
+        // Controls were let go when the fall started
+        if (this.gameState.currentState !== 'GAMEPLAY' || this.simulation.fall.isActive()) return;
         
         switch (event.key) {
             case 'ArrowLeft':
@@ -276,9 +878,7 @@ class Game {
             case 'ArrowDown':
             case 's':
             case 'S':
-                if (this.character.isOnPlatform) {
-                    this.character.stopMovingBackward();
-                }
+                this.character.stopMovingBackward();
                 break;
                 
             case 'q':
@@ -294,6 +894,10 @@ class Game {
                     this.character.stopRotatingRight();
                 }
                 break;
+                
+            case ' ':
+                this.character.stopSteppingHigh();
+                break;
         }
     }
     
@@ -309,7 +913,7 @@ class Game {
             this.cameraController.setMouseControlsEnabled(false);
             
             // Animate to gameplay position
-            const characterPos = this.character.model.position.clone();
+            const characterPos = this.characterView.model.position.clone();
             const position = new THREE.Vector3(
                 characterPos.x, 
                 characterPos.y + 3, // Was +5, reduced to +3 for closer third-person view
@@ -327,7 +931,7 @@ class Game {
             this.uiManager.showNotification('Camera Mode: Automatic Following', 2000);
             
             // Set follow target to character for continuous following
-            this.cameraController.setFollowTarget(this.character.model);
+            this.cameraController.setFollowTarget(this.characterView.model);
         } else {
             // Switch to manual camera control
             this.cameraController.setMouseControlsEnabled(true);
@@ -1,84 +1,105 @@
 /**
  * Character.js
- * Manages the tightrope walker character model, animations, and state
- * Handles movement and balance controls for the character
+ * Manages the tightrope walker's state, movement and balance controls
+ * Runs on plain data without a scene - CharacterView draws it and listens for its events:
+ * 'poleHoldModeChange', 'ropeProximityChange', 'balanceInput', 'footstep',
+ * 'stepStart', 'stepAborted', 'turnStart', 'turnEnd', 'slip', 'enterRope', 'enterPlatform' and 'reset'
+ * On the rope the walker steps forward or back, can pull a foot back mid-step and
+ * can turn round to walk back the way they came
  */
 
 import * as THREE from 'three';
+import gameConfig from '../../config/gameConfig.js';
+import { Random } from './Random.js';
+import { EventEmitter } from './EventEmitter.js';
+import { Stamina } from './Stamina.js';
 
-class Character {
+class Character extends EventEmitter {
     /**
      * Initialize the character
-     * @param {THREE.Scene} scene - The Three.js scene
-     * @param {THREE.Mesh} rope - The rope mesh
-     * @param {Environment} environment - Reference to environment for platform positions
+     * @param {Course} course - Platform positions and the rope to walk along
+     * @param {Object} config - Character settings (defaults to gameConfig.character)
+     * @param {Random} random - Shared random number generator
      */
-    constructor(scene, rope, environment) {
-        this.scene = scene;
-        this.rope = rope;
-        this.environment = environment;
+    constructor(course, config = gameConfig.character, random = new Random()) {
+        super();
+        
+        this.course = course;
+        this.config = config;
+        this.random = random;
         
         // Character properties
-        this.model = null;
-        this.mixer = null;
-        this.animations = {};
-        this.currentAnimation = null;
         this.balance = 0; // -1 (left) to 1 (right)
         this.speed = 0; // Current movement speed
-        this.maxSpeed = 5; // Maximum movement speed
-        this.position = 0; // Position along rope (0 to 1)
-        this.state = 'IDLE'; // IDLE, WALKING, BALANCING, FALLING
+        this.maxSpeed = config.maxSpeed; // Maximum movement speed
+        this.position = 0; // Position along the current rope (0 to 1)
+        this.platformIndex = 0; // Platform stood on, or left for the current rope
+        this.state = 'IDLE'; // IDLE, WALKING, BALANCING, FALLING, HANGING
         this.isOnPlatform = true; // Start on platform
-        this.prevState = ''; // Track previous state for animation changes
-        this.prevBalance = 0; // Track previous balance for animation changes
-        
-        // Body parts for animation
-        this.head = null;
-        this.torso = null;
-        this.leftArm = null;
-        this.rightArm = null;
-        this.leftLeg = null;
-        this.rightLeg = null;
-        this.balancePole = null;
         
         // Character dimensions
-        this.height = 2;
-        this.width = 0.5;
+        this.height = config.height;
+        this.width = config.width;
+        this.mass = config.mass;
         
         // Movement properties
-        this.acceleration = 1;
-        this.deceleration = 2;
+        this.acceleration = config.acceleration;
+        this.deceleration = config.deceleration;
         this.balanceForce = 0; // Force applied by player (-1 to 1)
         
-        // Animation timers
-        this.animationClock = new THREE.Clock();
-        this.walkCycle = 0;
-        this.balanceCycle = 0;
-        
         // Step-based movement system for rope
         this.isMovingForward = false; // Track if forward key is being held
         this.takingStep = false; // Currently in the process of taking a step
-        this.stepDistance = 0.03; // Distance to move in one step (0.03 = 3% of rope length)
-        this.stepTime = 0.5; // Time in seconds to complete one step
+        this.stepDistance = config.stepDistance; // Distance to move in one step (0.03 = 3% of rope length)
+        this.stepTime = config.stepTime; // Time in seconds to complete one step on level rope
+        this.slopeStepEffort = config.slopeStepEffort; // Extra step time per unit of uphill slope
+        this.minStepTimeFactor = config.minStepTimeFactor; // Floor on downhill step time
+        this.slopeBalanceEffect = config.slopeBalanceEffect; // Extra step disturbance per unit of slope
+        this.currentStepTime = this.stepTime; // Duration of the current step, set by its slope
+        this.highStepTimeFactor = config.highStepTimeFactor; // High steps are slower
+        this.highStepBalanceEffect = config.highStepBalanceEffect; // and wobblier
+        this.backStepTimeFactor = config.backStepTimeFactor; // Backward steps are slower
+        this.backStepBalanceEffect = config.backStepBalanceEffect; // and wobblier
+        this.abortBalanceEffect = config.abortBalanceEffect; // Wobble of pulling a foot back from a step
+        this.isSteppingHigh = false; // Whether the high-step key is held
+        this.isSteppingBack = false; // Whether the back key is held on the rope
+        this.currentStepHigh = false; // Whether the current step lifts the foot high (clears knots)
         this.stepTimer = 0; // Timer for current step
         this.stepStartPosition = 0; // Where the step started
         this.stepTargetPosition = 0; // Where the step will end
+        this.stepDirection = 1; // Way the current step goes along the rope (1 = toward its end, -1 = toward its start)
+        this.isBackStep = false; // Whether the current step is taken backward
+        this.isStepAborted = false; // Whether the last step was pulled back to where it started
         this.canTakeNextStep = true; // Whether we can take another step (prevents key repeats)
+        this.isRhythmMode = false; // Whether each step on the rope needs its own press of forward
+        this.requestedStep = 0; // Rhythm mode: step asked for by a press (1 = forward, -1 = backward, 0 = none)
+        
+        // Turning round on the rope
+        this.ropeFacing = 1; // Way the walker faces along the rope (1 = toward its end, -1 = back toward its start)
+        this.turnTime = config.turnTime; // Seconds to turn round
+        this.turnBalanceEffect = config.turnBalanceEffect; // Balance change per second at the middle of a turn
+        this.isTurning = false;
+        this.turnTimer = 0;
+        this.turnDirection = 1; // 1 = turning to the left, -1 = to the right
+        this.turnLean = 1; // Side the turn pushes the walker over to (-1 = left, 1 = right)
         
         // Balance disturbance properties
-        this.movementBalanceEffect = 0.1; // How much walking affects balance
+        this.movementBalanceEffect = config.movementBalanceEffect; // How much walking affects balance
         this.windEffect = 0; // Track current wind effect (set by Game.js)
-        this.balanceNoiseTimer = 0; // Timer for random balance disturbances
-        this.balanceNoiseInterval = 0.5; // How often to apply random disturbances
-        this.balanceNoiseMagnitude = 0.01; // Magnitude of random disturbances
+        this.windPoleSway = config.windPoleSway; // Pole tilt per unit of wind
+        this.balanceImpulse = 0; // Pending one-off disturbance, consumed by Physics
+        this.ropeSway = 0; // Sideways speed of the rope underfoot (set by Simulation)
+        this.balanceNoiseInterval = config.balanceNoiseInterval; // How often to apply random disturbances
+        this.balanceNoiseMagnitude = config.balanceNoiseMagnitude; // Magnitude of random disturbances
         
         // Extended balance mechanics
         this.continuousWalkingTime = 0; // How long player has been walking without stopping
         this.distanceWalked = 0; // Distance walked without stopping
-        this.maxBalanceDifficulty = 4; // Maximum multiplier for balance difficulty
-        this.balanceRecoveryRate = 0.7; // How quickly balance recovers when stopped
+        this.maxBalanceDifficulty = config.maxBalanceDifficulty; // Maximum multiplier for balance difficulty
+        this.standingRecoveryFactor = config.standingRecoveryFactor; // Recovery multiplier when not stepping
         this.balanceDifficulty = 1; // Current balance difficulty multiplier
         this.totalStepsTaken = 0; // Track total steps for balance difficulty
+        this.stamina = new Stamina(config.stamina); // Used up by walking and leaning, recovered by resting
         
         // Platform movement properties
         this.platformMovement = {
@@ -90,316 +111,108 @@ class Character {
             rotateRight: false // E key
         };
         this.platformPosition = new THREE.Vector3(); // Position on platform
-        this.platformSpeed = 2.0;  // Movement speed on platforms
-        this.platformRotationSpeed = 2.0; // Turning speed on platforms
+        this.platformSpeed = config.platformSpeed;  // Movement speed on platforms
+        this.platformRotationSpeed = config.platformRotationSpeed; // Turning speed on platforms
         this.facingDirection = 0;  // Direction in radians (0 = +Z axis)
         this.onRopeEdge = false;   // Flag for when character is at rope edge of platform
+        this.isMovingOnPlatform = false; // Walking or turning on a platform this update
         
         // Enhanced platform movement
         this.footstepCycle = 0;    // Cycle for footstep effects
         this.lastFootstep = 0;     // Time since last footstep
         this.footstepInterval = 0.4; // Time between footsteps
-        this.bodyBobHeight = 0;    // Current body bob height
-        this.strideBobAmount = 0.04; // How much the body bobs while walking
         this.nearRope = false;     // If the character is near but not at the rope edge
         this.nearRopeDistance = 2.0; // Distance to be considered "near" the rope
         this.poleHoldMode = 'ONE_HAND'; // ONE_HAND or TWO_HAND
         this.lastMovementDirection = new THREE.Vector2(); // Last movement direction
         this.playerVelocity = new THREE.Vector3(); // Current velocity
-        this.naturalArmSwing = true; // Whether to use natural arm swings (when not near rope)
+        
+        // Stand at the start platform
+        this.placeOnPlatform(0);
     }
     
     /**
-     * Load character model and animations
-     * @returns {Promise} - Promise that resolves when loading is complete
+     * Get the rope being walked, or the next one to walk while on a platform
+     * @returns {Rope} - Rope of the current span (the last rope once on the finish platform)
      */
-    async load() {
-        // Create a realistic humanoid character using primitives
-        this.model = new THREE.Group();
-        
-        // Create materials
-        const skinMaterial = new THREE.MeshStandardMaterial({
-            color: 0xf5d0b0,
-            roughness: 0.7,
-            metalness: 0.1
-        });
-        
-        const clothingMaterial = new THREE.MeshStandardMaterial({
-            color: 0x2244aa,
-            roughness: 0.8,
-            metalness: 0.0
-        });
-        
-        const shoeMaterial = new THREE.MeshStandardMaterial({
-            color: 0x444444,
-            roughness: 0.9,
-            metalness: 0.1
-        });
-        
-        const poleMaterial = new THREE.MeshStandardMaterial({
-            color: 0x8B4513,
-            roughness: 0.9,
-            metalness: 0.1
-        });
-        
-        // Create body parts
-        // Head
-        const headGeometry = new THREE.SphereGeometry(0.25, 16, 16);
-        this.head = new THREE.Mesh(headGeometry, skinMaterial);
-        this.head.position.y = 0.9;
-        this.head.castShadow = true;
-        
-        // Create hair
-        const hairMaterial = new THREE.MeshStandardMaterial({
-            color: 0x3a2410,
-            roughness: 0.9,
-            metalness: 0.0
-        });
-        
-        const hairGeometry = new THREE.SphereGeometry(0.26, 16, 16, 0, Math.PI * 2, 0, Math.PI / 2);
-        const hair = new THREE.Mesh(hairGeometry, hairMaterial);
-        hair.rotation.x = Math.PI * 0.1;
-        hair.position.y = 0.02;
-        hair.position.z = -0.01;
-        this.head.add(hair);
-        
-        // Create face features
-        // Eyes
-        const eyeMaterial = new THREE.MeshBasicMaterial({ color: 0x000000 });
-        const eyeGeometry = new THREE.SphereGeometry(0.035, 8, 8);
-        
-        const leftEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
-        leftEye.position.set(0.08, 0.05, 0.22);
-        this.head.add(leftEye);
-        
-        const rightEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
-        rightEye.position.set(-0.08, 0.05, 0.22);
-        this.head.add(rightEye);
-        
-        // Torso
-        const torsoGeometry = new THREE.BoxGeometry(0.5, 0.7, 0.3);
-        this.torso = new THREE.Mesh(torsoGeometry, clothingMaterial);
-        this.torso.position.y = 0.45;
-        this.torso.castShadow = true;
-        
-        // Arms
-        const armGeometry = new THREE.CylinderGeometry(0.07, 0.07, 0.5, 8);
-        
-        this.leftArm = new THREE.Group();
-        const leftArmMesh = new THREE.Mesh(armGeometry, skinMaterial);
-        leftArmMesh.position.y = -0.25;
-        this.leftArm.add(leftArmMesh);
-        this.leftArm.position.set(0.3, 0.65, 0);
-        this.leftArm.rotation.z = -0.2;
-        
-        this.rightArm = new THREE.Group();
-        const rightArmMesh = new THREE.Mesh(armGeometry, skinMaterial);
-        rightArmMesh.position.y = -0.25;
-        this.rightArm.add(rightArmMesh);
-        this.rightArm.position.set(-0.3, 0.65, 0);
-        this.rightArm.rotation.z = 0.2;
-        
-        // Hands
-        const handGeometry = new THREE.SphereGeometry(0.08, 8, 8);
-        
-        const leftHand = new THREE.Mesh(handGeometry, skinMaterial);
-        leftHand.position.y = -0.5;
-        this.leftArm.add(leftHand);
-        
-        const rightHand = new THREE.Mesh(handGeometry, skinMaterial);
-        rightHand.position.y = -0.5;
-        this.rightArm.add(rightHand);
-        
-        // Legs
-        const legGeometry = new THREE.CylinderGeometry(0.09, 0.07, 0.6, 8);
-        
-        this.leftLeg = new THREE.Group();
-        const leftLegMesh = new THREE.Mesh(legGeometry, clothingMaterial);
-        leftLegMesh.position.y = -0.3;
-        this.leftLeg.add(leftLegMesh);
-        this.leftLeg.position.set(0.15, 0.1, 0);
-        
-        this.rightLeg = new THREE.Group();
-        const rightLegMesh = new THREE.Mesh(legGeometry, clothingMaterial);
-        rightLegMesh.position.y = -0.3;
-        this.rightLeg.add(rightLegMesh);
-        this.rightLeg.position.set(-0.15, 0.1, 0);
-        
-        // Feet
-        const footGeometry = new THREE.BoxGeometry(0.12, 0.05, 0.2);
-        
-        const leftFoot = new THREE.Mesh(footGeometry, shoeMaterial);
-        leftFoot.position.set(0, -0.6, 0.05);
-        this.leftLeg.add(leftFoot);
-        
-        const rightFoot = new THREE.Mesh(footGeometry, shoeMaterial);
-        rightFoot.position.set(0, -0.6, 0.05);
-        this.rightLeg.add(rightFoot);
-        
-        // Balance pole
-        const poleGeometry = new THREE.CylinderGeometry(0.03, 0.03, 3, 8);
-        this.balancePole = new THREE.Mesh(poleGeometry, poleMaterial);
-        this.balancePole.castShadow = true;
-        
-        // Set initial pole position to one-handed carry
-        this.updatePolePosition();
-        
-        // Assemble character
-        this.model.add(this.head);
-        this.model.add(this.torso);
-        this.model.add(this.leftArm);
-        this.model.add(this.rightArm);
-        this.model.add(this.leftLeg);
-        this.model.add(this.rightLeg);
-        this.model.add(this.balancePole);
-        
-        this.model.castShadow = true;
-        
-        // Position character at start platform
-        this.updatePosition();
-        
-        this.scene.add(this.model);
-        
-        return Promise.resolve();
+    getCurrentRope() {
+        const ropes = this.course.ropes;
+        return ropes[Math.min(this.platformIndex, ropes.length - 1)];
     }
     
     /**
-     * Update pole position based on current state
+     * Get the rope leaving the platform the character is on
+     * @returns {Rope|undefined} - The next rope, or undefined on the finish platform
      */
-    updatePolePosition() {
-        if (!this.balancePole) return;
-        
-        if (this.poleHoldMode === 'ONE_HAND') {
-            // Hold pole in right hand, vertically
-            this.balancePole.rotation.set(0, 0, 0); // Vertical pole
-            
-            // Position it near the right hand
-            this.balancePole.position.set(-0.4, 0.4, 0.2);
-            this.balancePole.rotation.z = -Math.PI * 0.05; // Slight angle
-            
-            // Make it a bit shorter for carrying
-            this.balancePole.scale.set(0.9, 0.9, 0.9);
-        } else if (this.poleHoldMode === 'TWO_HAND') {
-            // Hold pole horizontally with both hands
-            this.balancePole.rotation.set(Math.PI / 2, 0, Math.PI / 2); // Horizontal pole
-            this.balancePole.position.set(0, 0.6, 0.1); // Center in front
-            
-            // Return to full scale
-            this.balancePole.scale.set(1, 1, 1);
-        }
+    getOutgoingRope() {
+        return this.course.ropes[this.platformIndex];
     }
     
     /**
-     * Update character position based on state and position
+     * Get how much of the whole course has been covered
+     * @returns {number} - Overall progress from 0 to 1
      */
-    updatePosition() {
-        if (!this.model || !this.rope) return;
-        
-        if (this.isOnPlatform) {
-            // Position character on the platform based on platformPosition
-            if (this.environment) {
-                if (this.platformPosition.length() === 0) {
-                    // Initialize platform position if not set
-                    if (this.environment.startPlatformPosition) {
-                        const platformPos = this.environment.startPlatformPosition;
-                        const platformRadius = this.environment.platformRadius;
-                        const platformHeight = this.environment.platformHeight || 0;
-                        
-                        // Place character on the platform, adjusted from center
-                        this.platformPosition.set(
-                            platformPos.x,
-                            platformPos.y + platformHeight,
-                            platformPos.z - platformRadius * 0.6
-                        );
-                        
-                        console.log("Character positioned on platform at:", this.platformPosition);
-                        
-                        // Look towards the end platform
-                        if (this.environment.endPlatformPosition) {
-                            const lookDirection = new THREE.Vector3()
-                                .copy(this.environment.endPlatformPosition)
-                                .sub(platformPos)
-                                .normalize();
-                            this.facingDirection = Math.atan2(lookDirection.x, lookDirection.z);
-                        }
-                    }
-                }
-                
-                // Position model at platform position
-                this.model.position.copy(this.platformPosition);
-                
-                // Apply body bob for realistic walking
-                if (this.state === 'WALKING') {
-                    // Bob height based on step cycle
-                    this.bodyBobHeight = Math.abs(Math.sin(this.footstepCycle)) * this.strideBobAmount;
-                } else {
-                    // Gradually reduce bob when standing still
-                    this.bodyBobHeight *= 0.8;
-                }
-                
-                // Apply vertical offset to position character directly on platform surface
-                // FURTHER REDUCED OFFSET TO ELIMINATE GAP BETWEEN FEET AND PLATFORM
-                this.model.position.y += this.height/2 - 1.0 + this.bodyBobHeight;
-                
-                // Set character rotation based on facing direction
-                this.model.rotation.y = this.facingDirection;
-                
-                // Check if near or at rope edge
-                this.checkRopeProximity();
-                
-                return;
-            }
-        }
-        
-        // If not on platform, position along the rope (existing rope logic)
-        // Calculate position along the rope
-        const curve = this.rope.geometry.parameters.path;
-        const point = curve.getPointAt(this.position);
-        
-        // Calculate rope tangent for orientation
-        const tangent = curve.getTangentAt(this.position);
-        
-        // Position character on rope
-        this.model.position.copy(point);
-        
-        // Raise character to stand on top of rope
-        // ADJUSTED TO MATCH PLATFORM HEIGHT REDUCTION
-        this.model.position.y += this.height / 2 - 1.0 + this.rope.geometry.parameters.radius;
-        
-        // Apply balance offset (lean left/right)
-        const rightVector = new THREE.Vector3(1, 0, 0);
-        this.model.position.add(
-            rightVector.multiplyScalar(this.balance * 0.3)
-        );
+    getOverallProgress() {
+        return this.course.getOverallProgress(this.platformIndex, this.isOnPlatform ? 0 : this.position);
+    }
+    
+    /**
+     * Place the character on a platform near its outgoing rope, facing along it
+     * @param {number} platformIndex - Platform to stand on (one with a rope leaving it)
+     */
+    placeOnPlatform(platformIndex) {
+        const platformPos = this.course.platformPositions[platformIndex];
+        const ropeStartPoint = this.course.ropes[platformIndex].startPoint;
+        this.platformIndex = platformIndex;
         
-        // Orient character along rope
-        const lookAtPoint = new THREE.Vector3().copy(point).add(tangent);
-        this.model.lookAt(lookAtPoint);
+        // Look towards where the rope leaves, which faces the next platform unless the platform has turned
+        const lookDirection = new THREE.Vector3()
+            .copy(ropeStartPoint)
+            .sub(platformPos)
+            .setY(0)
+            .normalize();
+        this.facingDirection = Math.atan2(lookDirection.x, lookDirection.z);
         
-        // Apply balance to rotation (tilt left/right)
-        this.model.rotation.z = this.balance * Math.PI / 8; // Tilt up to 22.5 degrees
+        // Place character on the platform, adjusted from center toward the rope
+        this.platformPosition
+            .copy(platformPos)
+            .addScaledVector(lookDirection, this.course.platformRadius * 0.6);
+        this.platformPosition.y += this.course.platformHeight;
+    }
+    
+    /**
+     * Move with the platform underfoot, so a moving platform carries the character along
+     * @param {THREE.Vector3} centre - Where the platform's centre is now
+     * @param {THREE.Vector3} shift - How far the platform moved
+     * @param {number} turn - How far it turned, in radians (counterclockwise seen from above)
+     */
+    rideWithPlatform(centre, shift, turn) {
+        // Swing round the platform's old centre, then move with it
+        const fromCentre = this.platformPosition.clone().sub(centre).add(shift);
+        fromCentre.applyAxisAngle(new THREE.Vector3(0, 1, 0), turn);
+        this.platformPosition.copy(centre).add(fromCentre);
         
-        // Update animations based on character state
-        this.updateAnimations();
+        this.facingDirection += turn;
     }
     
     /**
      * Check if character is near or at the rope edge
      */
     checkRopeProximity() {
-        if (!this.environment || !this.rope) return;
+        // No rope leaves the finish platform
+        const outgoingRope = this.getOutgoingRope();
         
         // Get rope start point
-        const ropeStartPoint = this.rope.geometry.parameters.path.getPointAt(0);
+        const ropeStartPoint = outgoingRope ? outgoingRope.getPointAt(0) : null;
         
-        // Distance to rope start
-        const distanceToRopeStart = this.platformPosition.distanceTo(ropeStartPoint);
+        // Vector to rope across the ground, since the rope is anchored above the platform
+        const toRope = outgoingRope
+            ? new THREE.Vector3().copy(ropeStartPoint).sub(this.platformPosition).setY(0)
+            : new THREE.Vector3();
         
-        // Vector to rope
-        const toRope = new THREE.Vector3()
-            .copy(ropeStartPoint)
-            .sub(this.platformPosition)
-            .normalize();
+        // Distance to rope start
+        const distanceToRopeStart = outgoingRope ? toRope.length() : Infinity;
+        toRope.normalize();
         
         // Direction character is facing (as vector)
         const facingVector = new THREE.Vector3(
@@ -413,10 +226,6 @@ class Character {
         const facingRope = dotProduct > 0.5; // Reduced threshold to make facing detection more forgiving
         const angleToDegrees = Math.acos(Math.max(-1, Math.min(1, dotProduct))) * (180 / Math.PI);
         
-        console.log("Distance to rope:", distanceToRopeStart.toFixed(2), 
-                   "Angle to rope:", angleToDegrees.toFixed(1) + "°", 
-                   "Facing rope:", facingRope);
-        
         // Update rope proximity states
         const prevNearRope = this.nearRope;
         const prevOnRopeEdge = this.onRopeEdge;
@@ -430,241 +239,57 @@ class Character {
         // DIRECT ROPE ENTRY: If very close to rope regardless of facing, force rope edge
         if (distanceToRopeStart < 1.0) {
             this.onRopeEdge = true;
-            console.log("FORCED ROPE EDGE - very close to rope");
         }
         
         // Update pole holding mode based on proximity to rope
         if (this.onRopeEdge) {
-            if (this.poleHoldMode !== 'TWO_HAND') {
-                this.poleHoldMode = 'TWO_HAND';
-                this.updatePolePosition();
-                console.log("At rope edge - holding pole with two hands");
-            }
+            this.setPoleHoldMode('TWO_HAND');
         } else if (this.nearRope) {
-            if (this.poleHoldMode !== 'TWO_HAND') {
-                this.poleHoldMode = 'TWO_HAND';
-                this.updatePolePosition();
-                console.log("Near rope - holding pole with two hands");
-            }
+            this.setPoleHoldMode('TWO_HAND');
         } else {
-            if (this.poleHoldMode !== 'ONE_HAND') {
-                this.poleHoldMode = 'ONE_HAND';
-                this.updatePolePosition();
-                console.log("Away from rope - holding pole with one hand");
-            }
+            this.setPoleHoldMode('ONE_HAND');
         }
         
-        // Handle transition when state changes
+        // Let views update their stance when the proximity changes
         if (prevNearRope !== this.nearRope || prevOnRopeEdge !== this.onRopeEdge) {
-            // Update animations for the new state
-            if (this.state === 'WALKING') {
-                this.playWalkingAnimation();
-            } else {
-                this.playIdleAnimation();
-            }
+            this.notifyListeners('ropeProximityChange', this.nearRope, this.onRopeEdge);
         }
         
         // If W is pressed while at rope edge, transition to rope - MORE FORGIVING CONDITIONS
         if (this.platformMovement.forward && (this.onRopeEdge || distanceToRopeStart < 2.0)) {
             // Force transition to rope if very close or facing in right general direction
             if (distanceToRopeStart < 2.5 && (angleToDegrees < 45 || distanceToRopeStart < 1.0)) {
-                console.log("Initiating transition to rope - W pressed at edge");
                 this.transitionToRope();
             }
         }
     }
     
     /**
-     * Play idle animation - for platform or rope
-     */
-    playIdleAnimation() {
-        if (this.isOnPlatform) {
-            // Platform idle animation
-            if (this.nearRope || this.onRopeEdge) {
-                // Near rope - ready stance
-                this.leftArm.rotation.set(0, 0, -0.3);
-                this.rightArm.rotation.set(0, 0, 0.3);
-                this.leftLeg.rotation.set(0.1, 0, 0);
-                this.rightLeg.rotation.set(0.1, 0, 0);
-                
-                // Look down at rope a bit
-                this.head.rotation.set(0.2, 0, 0);
-            } else {
-                // Regular idle stance with pole in one hand
-                this.leftArm.rotation.set(0, 0, -0.2);
-                this.rightArm.rotation.set(0.2, 0, 0.3); // Right arm holding pole
-                this.leftLeg.rotation.set(0, 0, 0);
-                this.rightLeg.rotation.set(0, 0, 0);
-                this.head.rotation.set(0, 0, 0);
-            }
-        } else {
-            // Rope idle animation - Use existing animation
-            this.leftArm.rotation.set(0, 0, -0.2);
-            this.rightArm.rotation.set(0, 0, 0.2);
-            this.leftLeg.rotation.set(0, 0, 0);
-            this.rightLeg.rotation.set(0, 0, 0);
-            this.head.rotation.set(0, 0, 0);
-            this.torso.rotation.set(0, 0, 0);
-        }
-        
-        // Update pole position based on context
-        this.updatePolePosition();
-    }
-    
-    /**
-     * Play walking animation - for platform or rope
-     */
-    playWalkingAnimation() {
-        if (this.isOnPlatform) {
-            if (this.nearRope || this.onRopeEdge) {
-                // Careful walking near rope edge
-                this.leftArm.rotation.set(0, 0, -0.3);
-                this.rightArm.rotation.set(0, 0, 0.3);
-                
-                // Shorter steps
-                this.footstepInterval = 0.6;
-            } else {
-                // Normal walking on platform
-                this.leftArm.rotation.set(0, 0, -0.2);
-                this.rightArm.rotation.set(0.2, 0, 0.3); // Adjusted for pole
-                
-                // Regular step interval
-                this.footstepInterval = 0.4;
-            }
-        } else {
-            // Rope walking animation - use existing rope walking
-            this.leftArm.rotation.set(0, 0, -0.2);
-            this.rightArm.rotation.set(0, 0, 0.2);
-        }
-        
-        // Update pole position based on context
-        this.updatePolePosition();
-    }
-    
-    /**
-     * Update character animations based on state and balance
+     * Change how the balance pole is held
+     * @param {string} mode - ONE_HAND or TWO_HAND
+     * @returns {boolean} - Whether the mode changed
      */
-    updateAnimations() {
-        const stateChanged = this.prevState !== this.state;
-        const balanceChanged = Math.abs(this.prevBalance - this.balance) > 0.2;
-        
-        if (stateChanged || balanceChanged) {
-            switch (this.state) {
-                case 'IDLE':
-                    this.playIdleAnimation();
-                    break;
-                case 'WALKING':
-                    this.playWalkingAnimation();
-                    break;
-                case 'BALANCING':
-                    this.playBalancingAnimation();
-                    break;
-                case 'FALLING':
-                    this.playFallingAnimation();
-                    break;
-            }
-            
-            this.prevState = this.state;
-            this.prevBalance = this.balance;
-        }
-        
-        // Continuously update animation parameters
-        const deltaTime = this.animationClock.getDelta();
-        
-        // Update walk cycle
-        if (this.state === 'WALKING') {
-            this.walkCycle += deltaTime * this.speed * 3;
-            
-            // Move legs in walking motion
-            const legAngle = Math.sin(this.walkCycle) * 0.3;
-            this.leftLeg.rotation.x = legAngle;
-            this.rightLeg.rotation.x = -legAngle;
-            
-            // Subtle arm movement during walking
-            const armAngle = Math.sin(this.walkCycle) * 0.15;
-            this.leftArm.rotation.x = -armAngle;
-            this.rightArm.rotation.x = armAngle;
-        }
+    setPoleHoldMode(mode) {
+        if (this.poleHoldMode === mode) return false;
         
-        // Update balance animations
-        if (this.state === 'WALKING' || this.state === 'BALANCING') {
-            this.balanceCycle += deltaTime * 2;
-            
-            // Adjust arms based on balance
-            const balanceAdjustment = Math.abs(this.balance) * 0.7;
-            
-            if (this.balance < -0.1) {
-                // Leaning left - raise right arm
-                this.rightArm.rotation.z = -0.8 * balanceAdjustment;
-                this.leftArm.rotation.z = -0.2;
-                
-                // Tilt pole for counterbalance
-                this.balancePole.rotation.y = -this.balance * 0.2;
-            } else if (this.balance > 0.1) {
-                // Leaning right - raise left arm
-                this.leftArm.rotation.z = 0.8 * balanceAdjustment;
-                this.rightArm.rotation.z = 0.2;
-                
-                // Tilt pole for counterbalance
-                this.balancePole.rotation.y = -this.balance * 0.2;
-            } else {
-                // Centered - normal arm position with subtle movement
-                const armSway = Math.sin(this.balanceCycle) * 0.05;
-                this.leftArm.rotation.z = -0.2 + armSway;
-                this.rightArm.rotation.z = 0.2 - armSway;
-                this.balancePole.rotation.y = armSway * 2;
-            }
-            
-            // Add subtle body sway
-            const bodySway = Math.sin(this.balanceCycle * 1.5) * 0.02;
-            this.head.rotation.z = bodySway;
-            this.torso.rotation.z = bodySway;
-        }
-    }
-    
-    /**
-     * Play balancing animation
-     */
-    playBalancingAnimation() {
-        // Arms out for balance
-        this.leftArm.rotation.set(0, 0, -0.5);
-        this.rightArm.rotation.set(0, 0, 0.5);
-        
-        // Subtle knee bend
-        this.leftLeg.rotation.x = 0.1;
-        this.rightLeg.rotation.x = 0.1;
-    }
-    
-    /**
-     * Play falling animation
-     */
-    playFallingAnimation() {
-        // Arms flailing
-        const fallRotation = Math.sign(this.balance) * Math.PI / 2;
-        this.leftArm.rotation.set(0.5, 0, -0.8);
-        this.rightArm.rotation.set(0.5, 0, 0.8);
-        
-        // Legs kicking
-        this.leftLeg.rotation.set(0.5, 0, 0);
-        this.rightLeg.rotation.set(-0.3, 0, 0);
-        
-        // Panic expression - head tilted back
-        this.head.rotation.set(0.3, 0, 0);
+        this.poleHoldMode = mode;
+        this.notifyListeners('poleHoldModeChange', mode);
+        return true;
     }
     
     /**
      * Start moving the character forward (called on key down)
      */
     moveForward() {
-        console.log("moveForward called, isOnPlatform:", this.isOnPlatform);
-        
         if (this.isOnPlatform) {
             // Platform movement
             this.platformMovement.forward = true;
             this.state = 'WALKING';
-            console.log("Platform walking forward activated");
         } else {
-            // Rope movement
+            // Rope movement: in rhythm mode a fresh press asks for one step, and holding does not walk on
+            if (this.isRhythmMode && !this.isMovingForward && !this.takingStep) {
+                this.requestedStep = 1;
+            }
             this.isMovingForward = true;
         }
     }
@@ -693,17 +318,19 @@ class Character {
     }
     
     /**
-     * Move backward (S key pressed)
+     * Move backward (S key pressed), on the rope stepping back without turning
      */
     moveBackward() {
-        console.log("moveBackward called, isOnPlatform:", this.isOnPlatform);
-        
         if (this.isOnPlatform) {
             this.platformMovement.backward = true;
             this.state = 'WALKING';
-            console.log("Platform walking backward activated");
+        } else {
+            // Rope movement: step back the way the walker came, still facing the same way
+            if (this.isRhythmMode && !this.isSteppingBack && !this.takingStep) {
+                this.requestedStep = -1;
+            }
+            this.isSteppingBack = true;
         }
-        // No backward movement on rope
     }
     
     /**
@@ -717,6 +344,8 @@ class Character {
             if (!this.isAnyMovementKeyPressed()) {
                 this.state = 'IDLE';
             }
+        } else {
+            this.isSteppingBack = false;
         }
     }
     
@@ -724,12 +353,9 @@ class Character {
      * Move left (A key pressed)
      */
     moveLeft() {
-        console.log("moveLeft called, isOnPlatform:", this.isOnPlatform);
-        
         if (this.isOnPlatform) {
             this.platformMovement.left = true;
             this.state = 'WALKING';
-            console.log("Platform walking left activated");
         } else {
             // On rope, adjust balance
             this.adjustBalance(-1);
@@ -757,12 +383,9 @@ class Character {
      * Move right (D key pressed)
      */
     moveRight() {
-        console.log("moveRight called, isOnPlatform:", this.isOnPlatform);
-        
         if (this.isOnPlatform) {
             this.platformMovement.right = true;
             this.state = 'WALKING';
-            console.log("Platform walking right activated");
         } else {
             // On rope, adjust balance
             this.adjustBalance(1);
@@ -786,6 +409,37 @@ class Character {
         }
     }
     
+    /**
+     * Let go of every movement and balance input, as if all keys were released
+     */
+    releaseControls() {
+        this.platformMovement.forward = false;
+        this.platformMovement.backward = false;
+        this.platformMovement.left = false;
+        this.platformMovement.right = false;
+        this.platformMovement.rotateLeft = false;
+        this.platformMovement.rotateRight = false;
+        this.isMovingForward = false;
+        this.isSteppingBack = false;
+        this.requestedStep = 0;
+        this.isSteppingHigh = false;
+        this.balanceForce = 0;
+    }
+    
+    /**
+     * Lift the feet high on the next steps, to step over knots
+     */
+    stepHigh() {
+        this.isSteppingHigh = true;
+    }
+    
+    /**
+     * Go back to ordinary steps
+     */
+    stopSteppingHigh() {
+        this.isSteppingHigh = false;
+    }
+    
     /**
      * Check if any movement key is currently pressed
      * @returns {boolean} True if any movement key is pressed
@@ -806,56 +460,271 @@ class Character {
         if (!this.isOnPlatform) {
             this.balanceForce = direction;
             
-            // Immediately update arm positions for responsive feel
-            if (direction < 0) {
-                // Leaning left - raise right arm
-                const intensity = Math.abs(direction) * 0.7;
-                this.rightArm.rotation.z = -0.8 * intensity;
-                this.balancePole.rotation.y = 0.3 * intensity;
-            } else if (direction > 0) {
-                // Leaning right - raise left arm
-                const intensity = Math.abs(direction) * 0.7;
-                this.leftArm.rotation.z = 0.8 * intensity;
-                this.balancePole.rotation.y = -0.3 * intensity;
-            }
+            // Views react immediately for a responsive feel
+            this.notifyListeners('balanceInput', direction);
         }
     }
     
+    /**
+     * Queue a one-off balance disturbance for the physics system to apply
+     * @param {number} amount - Balance change (negative = left, positive = right)
+     */
+    addBalanceImpulse(amount) {
+        this.balanceImpulse += amount;
+    }
+    
+    /**
+     * Take the queued balance disturbance and clear it
+     * @returns {number} - Total disturbance queued since the last call
+     */
+    consumeBalanceImpulse() {
+        const impulse = this.balanceImpulse;
+        this.balanceImpulse = 0;
+        return impulse;
+    }
+    
+    /**
+     * Steady the character from the edge of a fall, as a balance save does
+     */
+    catchBalance() {
+        this.balance = 0;
+        this.balanceImpulse = 0;
+        this.state = this.takingStep ? 'WALKING' : 'BALANCING';
+    }
+    
+    /**
+     * Lose footing at the start of a fall, dropping any step and input in progress
+     */
+    loseFooting() {
+        this.releaseControls();
+        this.takingStep = false;
+        this.isTurning = false;
+        this.currentStepHigh = false;
+        this.speed = 0;
+        this.state = 'FALLING';
+    }
+    
+    /**
+     * Hang from the rope by the hands after grabbing it
+     */
+    hangFromRope() {
+        this.state = 'HANGING';
+    }
+    
+    /**
+     * Let go of the rope for a real fall
+     */
+    letGoOfRope() {
+        this.state = 'FALLING';
+    }
+    
+    /**
+     * Scale the balance knobs by a difficulty preset
+     * @param {Object} preset - Entry from gameConfig.difficultyLevels
+     */
+    setDifficulty(preset) {
+        this.balanceNoiseMagnitude = this.config.balanceNoiseMagnitude * preset.balanceNoiseScale;
+        this.maxBalanceDifficulty = this.config.maxBalanceDifficulty * preset.maxBalanceDifficultyScale;
+    }
+    
+    /**
+     * Switch between walking on while forward is held and one press of forward per step
+     * @param {boolean} enabled - Whether each step on the rope needs its own press
+     */
+    setRhythmMode(enabled) {
+        this.isRhythmMode = enabled;
+        this.requestedStep = 0;
+    }
+    
+    /**
+     * Check whether to start another step on the rope, using up a rhythm-mode press
+     * @returns {number} - 1 to step forward, -1 to step backward, 0 to stand
+     */
+    takeStepRequest() {
+        let step = this.isMovingForward ? 1 : (this.isSteppingBack ? -1 : 0);
+        if (this.isRhythmMode) {
+            step = this.requestedStep;
+            this.requestedStep = 0;
+        }
+        
+        // No stepping mid-turn, or past either end of the rope
+        const direction = step * this.ropeFacing;
+        if (this.isTurning || (direction > 0 && this.position >= 0.98) || (direction < 0 && this.position <= 0)) {
+            return 0;
+        }
+        return step;
+    }
+    
+    /**
+     * Pull the foot back from the step being taken, to where the step started
+     * Stops walking on, and the further the step had gone the more it costs balance
+     * @returns {boolean} - Whether there was a step to pull back
+     */
+    abortStep() {
+        if (this.isOnPlatform || !this.takingStep || this.isStepAborted) return false;
+        
+        const progress = Math.min(1, this.stepTimer / this.currentStepTime);
+        this.isStepAborted = true;
+        this.isMovingForward = false;
+        this.isSteppingBack = false;
+        this.requestedStep = 0;
+        
+        // The foot goes back the way it came, as quickly as it went
+        // (stepDirection stays the way the step was meant to go)
+        this.stepTargetPosition = this.stepStartPosition;
+        this.stepStartPosition = this.position;
+        this.currentStepTime = Math.max(0.1, this.stepTimer);
+        this.stepTimer = 0;
+        
+        const direction = this.random.random() < 0.5 ? -1 : 1;
+        this.addBalanceImpulse(direction * this.abortBalanceEffect * progress * this.balanceDifficulty);
+        this.notifyListeners('stepAborted', progress);
+        return true;
+    }
+    
+    /**
+     * Start turning round on the rope, to walk back the way the walker came
+     * Only from standing, and there is no stepping until the turn is done
+     * @param {number} direction - 1 to turn to the left, -1 to the right
+     * @returns {boolean} - Whether the turn started
+     */
+    startTurn(direction) {
+        if (this.isOnPlatform || this.takingStep || this.isTurning) return false;
+        
+        this.isTurning = true;
+        this.turnTimer = 0;
+        this.turnDirection = direction;
+        this.turnLean = this.random.random() < 0.5 ? -1 : 1;
+        
+        // Shuffling round tires the walker like a step
+        this.stamina.spendStep(0, false);
+        
+        this.notifyListeners('turnStart', direction);
+        return true;
+    }
+    
+    /**
+     * Carry on a turn, pushing the walker over hardest when they stand side-on to the rope
+     * @param {number} deltaTime - Time since last update in seconds
+     * @private
+     */
+    updateTurn(deltaTime) {
+        this.turnTimer += deltaTime;
+        const progress = Math.min(1, this.turnTimer / this.turnTime);
+        
+        const push = this.turnBalanceEffect * Math.sin(progress * Math.PI) * this.balanceDifficulty;
+        this.addBalanceImpulse(this.turnLean * push * deltaTime);
+        
+        if (progress >= 1) {
+            this.isTurning = false;
+            this.ropeFacing = -this.ropeFacing;
+            this.notifyListeners('turnEnd', this.ropeFacing);
+        }
+    }
+    
+    /**
+     * Get which way the walker faces, measured from the way along the rope toward its end
+     * Turns smoothly during a turn
+     * @returns {number} - Angle in radians, counterclockwise seen from above (0 = toward the end, π = toward the start)
+     */
+    getRopeHeading() {
+        const facing = this.ropeFacing > 0 ? 0 : Math.PI;
+        if (!this.isTurning) return facing;
+        
+        const progress = this.easeInOutQuad(Math.min(1, this.turnTimer / this.turnTime));
+        return facing + this.turnDirection * Math.PI * progress;
+    }
+    
+    /**
+     * Get how much a push from the rope's right reaches the walker's right
+     * The wind and the rope's sway come from the side of the rope, so they swap sides for a walker turned round
+     * @returns {number} - 1 facing the end of the rope, -1 facing its start, 0 side-on
+     */
+    getSideFactor() {
+        return Math.cos(this.getRopeHeading());
+    }
+    
+    /**
+     * Get the wind as the walker feels it
+     * @returns {number} - Signed wind (negative = pushes the walker to their left)
+     */
+    getFeltWind() {
+        return this.windEffect * this.getSideFactor();
+    }
+    
     /**
      * Set the current wind effect on the character
-     * @param {number} windForce - Force of wind (-1 to 1)
+     * @param {number} windForce - Signed wind from Physics.getWind() (negative = left)
      */
     setWindEffect(windForce) {
         this.windEffect = windForce;
     }
     
     /**
-     * Reset character position to start of rope
+     * Set how fast the rope is swaying under the character's feet
+     * @param {number} velocity - Sideways rope speed (positive = moving right)
+     */
+    setRopeSway(velocity) {
+        this.ropeSway = velocity;
+    }
+    
+    /**
+     * Reset character position to a platform, by default the start of the course
+     * @param {number} platformIndex - Platform to restart from (e.g. the last checkpoint)
      */
-    resetPosition() {
+    resetPosition(platformIndex = 0) {
         this.position = 0;
         this.balance = 0;
         this.speed = 0;
         this.state = 'IDLE';
         this.balanceForce = 0;
+        this.balanceImpulse = 0;
         this.isOnPlatform = true;
         this.isMovingForward = false;
         this.windEffect = 0;
+        this.ropeSway = 0;
+        
+        // Reset stepping so a new run starts from the same footing
+        this.takingStep = false;
+        this.isSteppingBack = false;
+        this.requestedStep = 0;
+        this.stepDirection = 1;
+        this.isStepAborted = false;
+        this.ropeFacing = 1;
+        this.isTurning = false;
+        this.isSteppingHigh = false;
+        this.currentStepHigh = false;
+        this.stepTimer = 0;
+        this.currentStepTime = this.stepTime;
+        this.stepStartPosition = 0;
+        this.stepTargetPosition = 0;
+        this.totalStepsTaken = 0;
+        this.balanceDifficulty = 1;
+        this.stamina.reset();
         
         // Reset platform movement flags
         this.platformMovement.forward = false;
         this.platformMovement.backward = false;
         this.platformMovement.left = false;
         this.platformMovement.right = false;
+        this.platformMovement.rotateLeft = false;
+        this.platformMovement.rotateRight = false;
+        this.isMovingOnPlatform = false;
+        this.playerVelocity.set(0, 0, 0);
+        this.lastMovementDirection.set(0, 0);
+        this.footstepCycle = 0;
+        this.lastFootstep = 0;
+        this.footstepInterval = 0.4;
+        this.nearRope = false;
+        this.onRopeEdge = false;
         
         // Reset platform position to ensure we start at the right place
-        this.platformPosition = new THREE.Vector3();
+        this.placeOnPlatform(platformIndex);
         
         // Reset pole to one hand for platform movement
         this.poleHoldMode = 'ONE_HAND';
-        this.updatePolePosition();
         
-        this.updatePosition();
+        this.notifyListeners('reset');
     }
     
     /**
@@ -863,20 +732,36 @@ class Character {
      * @param {number} deltaTime - Time since last update in seconds
      */
     update(deltaTime) {
+        // Walking and leaning tire the walker, standing still lets them recover
+        this.stamina.update(deltaTime, {
+            isOnPlatform: this.isOnPlatform,
+            isStepping: this.takingStep,
+            correction: Math.abs(this.balanceForce)
+        });
+        
         // Handle platform movement if on platform
         if (this.isOnPlatform) {
             this.updatePlatformMovement(deltaTime);
-            this.updatePosition();
+            
+            // Platform movement may already have stepped onto the rope
+            if (this.isOnPlatform) {
+                this.checkRopeProximity();
+            }
             return;
         }
         
+        // Turning round takes the place of stepping
+        if (this.isTurning) {
+            this.updateTurn(deltaTime);
+        }
+        
         // Handle step-based movement
         if (this.takingStep) {
             // Update step timer
             this.stepTimer += deltaTime;
             
             // Calculate progress (0 to 1)
-            const stepProgress = Math.min(1, this.stepTimer / this.stepTime);
+            const stepProgress = Math.min(1, this.stepTimer / this.currentStepTime);
             
             // Use easing for smoother step motion
             const easedProgress = this.easeInOutQuad(stepProgress);
@@ -889,9 +774,10 @@ class Character {
             if (stepProgress >= 1) {
                 this.takingStep = false;
                 
-                // If still holding forward key, immediately start next step
-                if (this.isMovingForward && this.position < 0.98) {
-                    this.startNewStep();
+                // If still holding forward or back (or pressed one again in rhythm mode), immediately start next step
+                const nextStep = this.takeStepRequest();
+                if (nextStep !== 0) {
+                    this.startNewStep(nextStep < 0);
                 } else {
                     this.state = 'BALANCING'; // Return to balancing after step
                 }
@@ -900,21 +786,14 @@ class Character {
                 if (this.totalStepsTaken > 10) {
                     // After 10 steps, add an extra wobble at the end
                     const endStepWobble = 0.03 * this.balanceDifficulty;
-                    this.balance += (Math.random() - 0.5) * endStepWobble;
+                    this.addBalanceImpulse((this.random.random() - 0.5) * endStepWobble);
                 }
             }
         } else {
-            // Check if we should start a new step (when W is held down)
-            if (this.isMovingForward && this.position < 0.98) {
-                this.startNewStep();
-            }
-            
-            // NOT stepping - help regain balance
-            if (Math.abs(this.balance) > 0.1) {
-                // Apply recovery force in opposite direction of current balance
-                const recoveryForce = -Math.sign(this.balance) * 
-                                     this.balanceRecoveryRate * deltaTime;
-                this.balance += recoveryForce;
+            // Check if we should start a new step (when W or S is held down, or pressed in rhythm mode)
+            const nextStep = this.takeStepRequest();
+            if (nextStep !== 0) {
+                this.startNewStep(nextStep < 0);
             }
             
             // Gradually reduce balance difficulty when standing still for a while
@@ -930,45 +809,21 @@ class Character {
             }
         }
         
-        // Add periodic balance noise for more realistic balancing challenge
-        this.balanceNoiseTimer += deltaTime;
-        if (this.balanceNoiseTimer >= this.balanceNoiseInterval) {
-            this.balanceNoiseTimer = 0;
-            
-            // Apply random disturbance (affected by wind and difficulty)
-            const randomNoise = (Math.random() - 0.5) * 
-                              this.balanceNoiseMagnitude * this.balanceDifficulty;
-            
-            // Wind increases noise and biases it in the wind direction
-            const windNoise = this.windEffect * 
-                            this.balanceNoiseMagnitude * 0.4 * this.balanceDifficulty;
-            
-            this.balance += randomNoise + windNoise;
-        }
-        
-        // Apply player's balance force (inversely proportional to difficulty)
-        this.balance += (this.balanceForce * deltaTime * 2) / (Math.sqrt(this.balanceDifficulty) * 0.6);
-        
-        // Apply direct wind effect on balance
-        this.balance += this.windEffect * deltaTime * 0.3 * this.balanceDifficulty;
-        
-        // Ensure balance stays within range [-1, 1]
-        this.balance = Math.max(-1, Math.min(1, this.balance));
-        
+        // Balance itself is integrated by Physics from the inputs set here
         // Update character state based on balance
         this.updateState();
         
-        // Update position visually
-        this.updatePosition();
-        
         // Step timer for balance recovery
         if (!this.takingStep) {
             this.stepTimer += deltaTime;
         }
         
-        // Check if reached the end platform
+        // Check if reached the next platform, or stepped back to the one the rope leaves from
+        // (a foot pulled back from a step goes back to where it was, not off the rope)
         if (this.position >= 0.98) {
-            this.transitionToEndPlatform();
+            this.transitionToNextPlatform();
+        } else if (!this.takingStep && !this.isStepAborted && this.stepDirection < 0 && this.position <= 0.02) {
+            this.returnToPlatform();
         }
     }
     
@@ -991,19 +846,16 @@ class Character {
         // Already falling
         if (this.state === 'FALLING') return;
         
-        // Taking a step overrides other states
-        if (this.takingStep) {
+        // Taking a step or turning overrides other states
+        if (this.takingStep || this.isTurning) {
             this.state = 'WALKING';
             return;
         }
         
-        // Determine state based on balance
+        // Determine state based on balance (falling is decided by Physics.checkBalance)
         const absBalance = Math.abs(this.balance);
         
-        if (absBalance > 0.9) {
-            // Too much imbalance, fall off
-            this.state = 'FALLING';
-        } else if (absBalance > 0.5) {
+        if (absBalance > 0.5) {
             // Not moving but struggling with balance
             this.state = 'BALANCING';
         } else {
@@ -1013,25 +865,61 @@ class Character {
     }
     
     /**
-     * Start a new step forward
+     * Start a new step, forward or backward from the way the walker faces
      * Helper method to encapsulate step initialization logic
+     * @param {boolean} isBackStep - Whether to step backward
      */
-    startNewStep() {
+    startNewStep(isBackStep = false) {
         this.takingStep = true;
         this.stepTimer = 0;
+        this.isBackStep = isBackStep;
+        this.isStepAborted = false;
+        this.stepDirection = this.ropeFacing * (isBackStep ? -1 : 1);
         this.stepStartPosition = this.position;
-        this.stepTargetPosition = Math.min(1, this.position + this.stepDistance);
+        this.stepTargetPosition = Math.max(0, Math.min(1, this.position + this.stepDistance * this.stepDirection));
+        
+        // Climbing slows the step, going downhill hurries it
+        const stepMiddle = (this.stepStartPosition + this.stepTargetPosition) / 2;
+        const slope = this.getCurrentRope().getSlopeAt(stepMiddle) * this.stepDirection;
+        this.currentStepTime = this.stepTime * Math.max(this.minStepTimeFactor, 1 + slope * this.slopeStepEffort);
+        
+        // A high step clears knots, but is slower and harder to balance
+        this.currentStepHigh = this.isSteppingHigh;
+        const highStepFactor = this.currentStepHigh ? this.highStepBalanceEffect : 1;
+        if (this.currentStepHigh) {
+            this.currentStepTime *= this.highStepTimeFactor;
+        }
+        
+        // So is a step backward, feeling for the rope behind
+        const backStepFactor = isBackStep ? this.backStepBalanceEffect : 1;
+        if (isBackStep) {
+            this.currentStepTime *= this.backStepTimeFactor;
+        }
+        
+        // Every step costs stamina, more uphill and more for a high step
+        this.stamina.spendStep(slope, this.currentStepHigh);
         
         // Set walking state immediately
         this.state = 'WALKING';
         
-        // Apply balance disturbance for this step
-        const stepDisturbance = this.movementBalanceEffect * this.balanceDifficulty;
-        const randomDirection = (Math.random() - 0.5 + this.windEffect * 0.2);
-        this.balance += stepDisturbance * randomDirection;
+        // Apply balance disturbance for this step, stronger on steep rope either way
+        const slopeFactor = 1 + Math.abs(slope) * this.slopeBalanceEffect;
+        const stepDisturbance = this.movementBalanceEffect * this.balanceDifficulty * slopeFactor * highStepFactor * backStepFactor;
+        const randomDirection = (this.random.random() - 0.5 + this.getFeltWind() * 0.2);
+        const disturbance = stepDisturbance * randomDirection;
+        this.addBalanceImpulse(disturbance);
+        
+        // Slippery rope can make the foot slide out
+        const ropeType = this.getCurrentRope().getTypeAt(stepMiddle);
+        if (ropeType.slipChance > 0 && this.random.random() < ropeType.slipChance) {
+            const slipDirection = this.random.random() < 0.5 ? -1 : 1;
+            this.addBalanceImpulse(slipDirection * ropeType.slipDisturbance * this.balanceDifficulty);
+            this.notifyListeners('slip', slipDirection);
+        }
         
         // Increase total steps count
         this.totalStepsTaken++;
+        this.notifyListeners('stepStart', disturbance);
         
         // Increase difficulty based on total steps taken
         if (this.totalStepsTaken > 5) {
@@ -1050,30 +938,15 @@ class Character {
     updatePlatformMovement(deltaTime) {
         if (!this.isOnPlatform) return;
         
-        // For debugging: log movement flags
-        console.log("Platform movement flags:", 
-            "W:", this.platformMovement.forward, 
-            "S:", this.platformMovement.backward, 
-            "A:", this.platformMovement.left, 
-            "D:", this.platformMovement.right,
-            "Q:", this.platformMovement.rotateLeft,
-            "E:", this.platformMovement.rotateRight);
-        
         // Handle rotation first (Q and E keys)
         if (this.platformMovement.rotateLeft) {
             // Rotate counterclockwise
             this.facingDirection += this.platformRotationSpeed * deltaTime;
-            
-            // Update character rotation
-            this.model.rotation.y = this.facingDirection;
         }
         
         if (this.platformMovement.rotateRight) {
             // Rotate clockwise
             this.facingDirection -= this.platformRotationSpeed * deltaTime;
-            
-            // Update character rotation
-            this.model.rotation.y = this.facingDirection;
         }
         
         // Calculate movement direction based on keys pressed
@@ -1108,6 +981,10 @@ class Character {
         // Calculate current speed
         const isMoving = moveX !== 0 || moveZ !== 0;
         const isRotating = this.platformMovement.rotateLeft || this.platformMovement.rotateRight;
+        this.isMovingOnPlatform = isMoving || isRotating;
+        
+        // Take shorter, more careful steps near the rope
+        this.footstepInterval = this.nearRope || this.onRopeEdge ? 0.6 : 0.4;
         
         // Apply movement and animations
         if (isMoving) {
@@ -1134,16 +1011,12 @@ class Character {
             // Update position - apply movement regardless of keys pressed
             this.platformPosition.x += moveX;
             this.platformPosition.z += moveZ;
-            console.log("Platform position updated:", this.platformPosition.x.toFixed(2), this.platformPosition.z.toFixed(2));
             
             // Keep character on platform
             this.constrainToPlatform();
             
             // Update animation state
-            if (this.state !== 'WALKING') {
-                this.state = 'WALKING';
-                this.playWalkingAnimation();
-            }
+            this.state = 'WALKING';
             
             // Update footstep cycle
             this.footstepCycle += deltaTime * currentSpeed * 5;
@@ -1155,22 +1028,12 @@ class Character {
                 this.createFootstepEffect();
             }
             
-            // Update walking animations
-            this.updateWalkingAnimations(deltaTime);
-            
         } else if (isRotating) {
-            // Player is rotating in place
-            if (this.state !== 'WALKING') {
-                // Use walking animation when rotating in place 
-                this.state = 'WALKING';
-                this.playWalkingAnimation();
-            }
+            // Use walking animation when rotating in place
+            this.state = 'WALKING';
             
             // Slower animation for rotation-only
             this.footstepCycle += deltaTime * this.platformRotationSpeed * 2;
-            
-            // Update walking animations with slower pace
-            this.updateWalkingAnimations(deltaTime);
         } else {
             // Slowing down - not moving or rotating
             this.playerVelocity.multiplyScalar(0.9);
@@ -1181,89 +1044,28 @@ class Character {
             // Change state to idle if previously walking
             if (this.state === 'WALKING') {
                 this.state = 'IDLE';
-                this.playIdleAnimation();
             }
         }
     }
     
     /**
-     * Create footstep effect (visual or sound)
-     * In a full implementation, this would play a sound and maybe create a dust particle
+     * Announce a footstep so views can play its sound or effect
      */
     createFootstepEffect() {
         // Left or right foot based on cycle
         const isLeftFoot = Math.sin(this.footstepCycle) > 0;
         
-        // In a full implementation, this is where you would:
-        // 1. Play footstep sound
-        // 2. Create footstep particle effect
-        console.log(`Footstep: ${isLeftFoot ? 'Left' : 'Right'} foot${this.nearRope ? ' (careful)' : ''}`);
-    }
-    
-    /**
-     * Update walking animations
-     * @param {number} deltaTime - Time since last update
-     */
-    updateWalkingAnimations(deltaTime) {
-        // Determine movement speed for animation pacing
-        const speed = this.playerVelocity.length();
-        
-        // Leg movements
-        const legAngle = Math.sin(this.footstepCycle) * 0.4; // Increased range for more natural walking
-        this.leftLeg.rotation.x = legAngle;
-        this.rightLeg.rotation.x = -legAngle;
-        
-        // Arm swing animations
-        if (this.nearRope || this.onRopeEdge || !this.naturalArmSwing) {
-            // Near rope - arms prepared for balance
-            this.leftArm.rotation.x = 0;
-            this.rightArm.rotation.x = 0;
-        } else {
-            // Natural arm swings while walking
-            // Arms swing opposite to legs
-            const armAngle = -Math.sin(this.footstepCycle) * 0.3;
-            this.leftArm.rotation.x = armAngle;
-            
-            // Right arm has reduced swing because it's holding the pole
-            this.rightArm.rotation.x = armAngle * 0.3;
-        }
-        
-        // Torso twist for natural walking
-        this.torso.rotation.y = Math.sin(this.footstepCycle) * 0.05;
-        
-        // Head looks slightly in the direction of movement
-        if (!this.nearRope && !this.onRopeEdge) {
-            this.head.rotation.y = Math.sin(this.footstepCycle * 0.5) * 0.05;
-        }
-        
-        // Special animations for strafing (A/D without W/S)
-        const isStrafing = (this.platformMovement.left || this.platformMovement.right) && 
-                         !(this.platformMovement.forward || this.platformMovement.backward);
-                         
-        if (isStrafing && this.isOnPlatform) {
-            // Tilt body into the strafe
-            if (this.platformMovement.left) {
-                this.torso.rotation.z = Math.max(-0.15, this.torso.rotation.z - 0.02);
-            } else if (this.platformMovement.right) {
-                this.torso.rotation.z = Math.min(0.15, this.torso.rotation.z + 0.02);
-            }
-        } else {
-            // Return to upright gradually
-            this.torso.rotation.z *= 0.9;
-        }
+        this.notifyListeners('footstep', isLeftFoot);
     }
     
     /**
      * Transition from platform to rope with appropriate animation
      */
     transitionToRope() {
-        console.log("Transitioning to rope...");
-        
-        // Play transition animation (could be expanded)
-        this.poleHoldMode = 'TWO_HAND';
-        this.updatePolePosition();
+        // Take the pole in both hands for the rope
+        this.setPoleHoldMode('TWO_HAND');
         
-        // Switch to rope walking
+        // Switch to rope walking on the rope leaving this platform
         this.isOnPlatform = false;
         this.position = 0; // Start at beginning of rope
         this.balance = 0;  // Reset balance
@@ -1286,53 +1088,81 @@ class Character {
         // Reset animation parameters
         this.footstepCycle = 0;
         this.lastFootstep = 0;
-        this.bodyBobHeight = 0;
-        
-        // Update position to align with rope start
-        this.updatePosition();
+        this.isMovingOnPlatform = false;
         
-        console.log("Transition complete. isOnPlatform:", this.isOnPlatform, "isMovingForward:", this.isMovingForward);
+        this.notifyListeners('enterRope');
     }
     
     /**
-     * Transition to end platform when reaching end of rope
+     * Transition to the next platform when reaching the end of a rope
+     * Announces 'enterPlatform' with the platform's index
      */
-    transitionToEndPlatform() {
+    transitionToNextPlatform() {
+        const ropeEndPoint = this.getCurrentRope().getPointAt(1);
         this.isOnPlatform = true;
+        this.platformIndex++;
         
-        // Position on end platform
-        if (this.environment && this.environment.endPlatformPosition) {
-            const platformPos = this.environment.endPlatformPosition;
-            const platformRadius = this.environment.platformRadius;
-            
-            // Position at edge of platform near rope
+        if (this.getOutgoingRope()) {
+            // A checkpoint: stand ready at the next rope, facing along it
+            this.placeOnPlatform(this.platformIndex);
+        } else {
+            // The finish: step in from the edge, facing the centre of the platform
+            const platformPos = this.course.platformPositions[this.platformIndex];
             this.platformPosition.copy(platformPos);
             
-            // Offset slightly from edge
-            const curve = this.rope.geometry.parameters.path;
-            const ropeEndPoint = curve.getPointAt(1);
             const dirToCenter = new THREE.Vector3()
                 .copy(platformPos)
                 .sub(ropeEndPoint)
                 .normalize();
             
             this.platformPosition.add(dirToCenter.multiplyScalar(this.width));
-            
-            // Set facing direction toward center of platform
             this.facingDirection = Math.atan2(dirToCenter.x, dirToCenter.z);
         }
         
-        // Reset rope properties
-        this.position = 1;
+        // Reset rope properties, the next rope starts from its beginning
+        this.leaveRope();
+        
+        this.notifyListeners('enterPlatform', this.platformIndex);
+    }
+    
+    /**
+     * Step off the start of the rope back onto the platform it leaves from
+     * A walker who turned round arrives facing into the platform, one who stepped back still faces the rope
+     * Announces 'enterPlatform' with the platform's index
+     */
+    returnToPlatform() {
+        const isFacingPlatform = this.ropeFacing < 0;
+        this.isOnPlatform = true;
+        this.placeOnPlatform(this.platformIndex);
+        
+        if (isFacingPlatform) {
+            this.facingDirection += Math.PI;
+        }
+        
+        this.leaveRope();
+        
+        this.notifyListeners('enterPlatform', this.platformIndex);
+    }
+    
+    /**
+     * Clear the rope walking state on stepping off a rope onto a platform
+     * @private
+     */
+    leaveRope() {
+        this.position = 0;
         this.balance = 0;
+        this.balanceImpulse = 0;
         this.state = 'IDLE';
         this.balanceForce = 0;
         this.isMovingForward = false;
+        this.isSteppingBack = false;
+        this.requestedStep = 0;
         this.takingStep = false;
+        this.stepDirection = 1;
+        this.ropeFacing = 1;
+        this.isTurning = false;
         this.totalStepsTaken = 0;
         this.balanceDifficulty = 1;
-        
-        this.playIdleAnimation();
     }
     
     /**
@@ -1340,42 +1170,28 @@ class Character {
      * With a wider opening at the rope connection point
      */
     constrainToPlatform() {
-        if (!this.environment) return;
-        
         // Current platform
-        let platformPos, platformRadius;
-        
-        if (this.environment.startPlatformPosition && this.platformPosition.distanceTo(this.environment.startPlatformPosition) < 
-            this.platformPosition.distanceTo(this.environment.endPlatformPosition || new THREE.Vector3(0, 0, 0))) {
-            // On start platform
-            platformPos = this.environment.startPlatformPosition;
-            platformRadius = this.environment.platformRadius;
-        } else if (this.environment.endPlatformPosition) {
-            // On end platform
-            platformPos = this.environment.endPlatformPosition;
-            platformRadius = this.environment.platformRadius;
-        } else {
-            return;
-        }
+        const { platformRadius } = this.course;
+        const platformPos = this.course.platformPositions[this.platformIndex];
         
         // Calculate distance from platform center (XZ plane only)
         const dx = this.platformPosition.x - platformPos.x;
         const dz = this.platformPosition.z - platformPos.z;
         const distanceFromCenter = Math.sqrt(dx * dx + dz * dz);
         
-        // Get the rope start point
-        const ropeStartPoint = this.rope.geometry.parameters.path.getPointAt(0);
+        // Get the start point of the rope leaving this platform (none on the finish platform)
+        const outgoingRope = this.getOutgoingRope();
+        const ropeStartPoint = outgoingRope ? outgoingRope.getPointAt(0) : null;
         
-        // Distance to rope
-        const distanceToRope = this.platformPosition.distanceTo(ropeStartPoint);
+        // Distance to rope across the ground
+        const distanceToRope = outgoingRope
+            ? Math.hypot(ropeStartPoint.x - this.platformPosition.x, ropeStartPoint.z - this.platformPosition.z)
+            : Infinity;
         
         // If very close to the rope, allow movement regardless of platform boundaries
         if (distanceToRope < 1.5) {
-            console.log("Close to rope - allowing unrestricted movement");
-            
             // If W is pressed and very close to rope, attempt transition
             if (this.platformMovement.forward && distanceToRope < 1.0) {
-                console.log("FORCING rope transition from constrainToPlatform");
                 this.transitionToRope();
             }
             
@@ -1389,9 +1205,9 @@ class Character {
             const dirZ = dz / distanceFromCenter;
             
             // Direction from platform center to rope
-            const ropeDir = new THREE.Vector3()
-                .subVectors(ropeStartPoint, platformPos)
-                .normalize();
+            const ropeDir = outgoingRope
+                ? new THREE.Vector3().subVectors(ropeStartPoint, platformPos).normalize()
+                : new THREE.Vector3();
                 
             // Calculate angle between character's direction and rope direction
             // Use dot product to find cosine of angle, then convert to degrees
@@ -1410,11 +1226,8 @@ class Character {
                 const newRadius = platformRadius - this.width/2;
                 this.platformPosition.x = platformPos.x + dirX * newRadius;
                 this.platformPosition.z = platformPos.z + dirZ * newRadius;
-                
-                console.log("Constrained to platform edge, angle to rope:", angleDegrees.toFixed(1) + "°");
             } else {
                 // Character is in the rope opening
-                console.log("Character in rope opening, angle to rope:", angleDegrees.toFixed(1) + "°");
                 
                 // If moving toward rope while in the opening, check if we should transition
                 if (this.platformMovement.forward) {
@@ -1429,7 +1242,6 @@ class Character {
                     const movingTowardRope = moveVec.dot(ropeDir) > 0.3;
                     
                     if (movingTowardRope && distanceToRope < 3.0) {
-                        console.log("Moving toward rope in platform opening - initiating transition");
                         this.transitionToRope();
                     }
                 }
@@ -1438,13 +1250,13 @@ class Character {
     }
     
     /**
-     * Rotate the character to the left (Q key pressed)
+     * Rotate the character to the left (Q key pressed), or on the rope turn round that way
      */
     rotateLeft() {
-        console.log("rotateLeft called, isOnPlatform:", this.isOnPlatform);
-        
         if (this.isOnPlatform) {
             this.platformMovement.rotateLeft = true;
+        } else {
+            this.startTurn(1);
         }
     }
     
@@ -1458,13 +1270,13 @@ class Character {
     }
     
     /**
-     * Rotate the character to the right (E key pressed)
+     * Rotate the character to the right (E key pressed), or on the rope turn round that way
      */
     rotateRight() {
-        console.log("rotateRight called, isOnPlatform:", this.isOnPlatform);
-        
         if (this.isOnPlatform) {
             this.platformMovement.rotateRight = true;
+        } else {
+            this.startTurn(-1);
         }
     }
     
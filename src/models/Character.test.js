@@ -0,0 +1,201 @@
+/**
+ * Character.test.js
+ * Stepping on the rope, driven headlessly through a Simulation
+ */
+
+import gameConfig from '../../config/gameConfig.js';
+import { loadLevelConfig, createRun, balanceOnly, balancingBot, runUntil } from './testHelpers.js';
+
+/**
+ * Walk out onto twin-peaks and stand still on the rope
+ * @param {number} position - Rope parameter to walk past before stopping
+ * @returns {Simulation} - Simulation with the walker standing on the rope
+ */
+function standOnRope(position) {
+    const simulation = createRun(loadLevelConfig('twin-peaks'), 1);
+    const character = simulation.character;
+    expect(runUntil(simulation, balancingBot, () => !character.isOnPlatform && character.position > position)).toBe(true);
+    character.stopMoving();
+    runUntil(simulation, balanceOnly, () => !character.takingStep);
+    return simulation;
+}
+
+/**
+ * Drive a run with one input held and the walker leaning against any tilt
+ * @param {Function} press - Called with the character every step, to hold a key
+ * @returns {Function} - Controller for Simulation.run
+ */
+function holding(press) {
+    return (simulation) => {
+        press(simulation.character);
+        balanceOnly(simulation);
+    };
+}
+
+describe('Character', () => {
+    test('stays on the rope when the first step is pulled back', () => {
+        const simulation = createRun(loadLevelConfig('twin-peaks'), 3);
+        const character = simulation.character;
+        let aborted = 0;
+        let returned = 0;
+        character.addListener('stepAborted', () => aborted++);
+        simulation.addListener('step', () => {
+            if (aborted && character.isOnPlatform) returned++;
+        });
+
+        // Walk onto the rope and pull the first foot back halfway through the step
+        const onRope = runUntil(simulation, (sim) => {
+            character.moveForward();
+            balanceOnly(sim);
+        }, () => character.takingStep && character.stepTimer > character.currentStepTime / 2);
+        expect(onRope).toBe(true);
+        const start = character.stepStartPosition;
+        expect(character.abortStep()).toBe(true);
+        character.stopMoving();
+
+        simulation.run(balanceOnly, { maxTime: simulation.time + 3 });
+
+        expect(aborted).toBe(1);
+        expect(returned).toBe(0);
+        expect(character.isOnPlatform).toBe(false);
+        expect(character.takingStep).toBe(false);
+        expect(character.position).toBeCloseTo(start, 5);
+    });
+
+    describe('stepping back', () => {
+        test('steps back toward the start of the rope still facing forward, more slowly', () => {
+            const simulation = standOnRope(0.2);
+            const character = simulation.character;
+            const start = character.position;
+
+            runUntil(simulation, holding((walker) => walker.moveBackward()), () => character.takingStep);
+
+            expect(character.isBackStep).toBe(true);
+            expect(character.stepDirection).toBe(-1);
+            expect(character.ropeFacing).toBe(1);
+            expect(character.stepTargetPosition).toBeCloseTo(start - character.stepDistance, 9);
+            expect(character.currentStepTime).toBeGreaterThan(character.stepTime);
+
+            character.stopMovingBackward();
+            runUntil(simulation, balanceOnly, () => !character.takingStep);
+            expect(character.position).toBeCloseTo(start - character.stepDistance, 9);
+        });
+
+        test('steps back off the start of the rope onto the platform it leaves from', () => {
+            const simulation = standOnRope(0.05);
+            const character = simulation.character;
+            const platforms = [];
+            character.addListener('enterPlatform', (platformIndex) => platforms.push(platformIndex));
+            const checkpoints = [];
+            simulation.addListener('checkpoint', (platformIndex) => checkpoints.push(platformIndex));
+
+            const onPlatform = runUntil(simulation, holding((walker) => walker.moveBackward()), () => character.isOnPlatform, 60 * 20);
+
+            expect(onPlatform).toBe(true);
+            expect(platforms).toEqual([0]);
+            expect(checkpoints).toEqual([]);
+            expect(character.platformIndex).toBe(0);
+            expect(character.position).toBe(0);
+            expect(simulation.fall.isActive()).toBe(false);
+        });
+    });
+
+    describe('pulling a step back', () => {
+        test('puts the foot back where the step started and stops walking on', () => {
+            const simulation = standOnRope(0.2);
+            const character = simulation.character;
+            runUntil(simulation, holding((walker) => walker.moveForward()), () => character.takingStep && character.stepTimer > character.currentStepTime / 2);
+            const start = character.stepStartPosition;
+
+            expect(character.abortStep()).toBe(true);
+            expect(character.abortStep()).toBe(false);
+            expect(character.isMovingForward).toBe(false);
+
+            simulation.run(balanceOnly, { maxTime: simulation.time + 2 });
+
+            expect(character.takingStep).toBe(false);
+            expect(character.position).toBeCloseTo(start, 9);
+        });
+
+        test('costs more balance the further the step had gone', () => {
+            const knock = (share) => {
+                const simulation = standOnRope(0.2);
+                const character = simulation.character;
+                runUntil(simulation, holding((walker) => walker.moveForward()), () => character.takingStep && character.stepTimer > character.currentStepTime * share);
+                const progresses = [];
+                character.addListener('stepAborted', (progress) => progresses.push(progress));
+
+                const before = character.balanceImpulse;
+                character.abortStep();
+                return { progress: progresses[0], knock: Math.abs(character.balanceImpulse - before) };
+            };
+
+            const early = knock(0.2);
+            const late = knock(0.8);
+            expect(late.progress).toBeGreaterThan(early.progress);
+            expect(late.knock).toBeGreaterThan(early.knock);
+            expect(late.knock).toBeLessThanOrEqual(gameConfig.character.abortBalanceEffect * gameConfig.character.maxBalanceDifficulty);
+        });
+
+        test('has nothing to pull back while standing', () => {
+            const simulation = standOnRope(0.2);
+
+            expect(simulation.character.abortStep()).toBe(false);
+        });
+    });
+
+    describe('turning round', () => {
+        test('turns to face the start of the rope over the turn time', () => {
+            const simulation = standOnRope(0.3);
+            const character = simulation.character;
+            const events = [];
+            character.addListener('turnStart', (direction) => events.push(['turnStart', direction, simulation.time]));
+            character.addListener('turnEnd', (facing) => events.push(['turnEnd', facing, simulation.time]));
+
+            expect(character.startTurn(1)).toBe(true);
+            expect(character.startTurn(1)).toBe(false);
+            simulation.run(holding((walker) => walker.moveForward()), { maxTime: simulation.time + 1 });
+            expect(character.isTurning).toBe(true);
+            expect(character.takingStep).toBe(false);
+            expect(Math.abs(character.getSideFactor())).toBeLessThan(1);
+
+            runUntil(simulation, balanceOnly, () => !character.isTurning);
+
+            expect(events.map(([name, detail]) => [name, detail])).toEqual([['turnStart', 1], ['turnEnd', -1]]);
+            expect(events[1][2] - events[0][2]).toBeCloseTo(gameConfig.character.turnTime, 1);
+            expect(character.ropeFacing).toBe(-1);
+            expect(character.getSideFactor()).toBe(-1);
+        });
+
+        test('cannot start in the middle of a step', () => {
+            const simulation = standOnRope(0.3);
+            const character = simulation.character;
+            runUntil(simulation, holding((walker) => walker.moveForward()), () => character.takingStep);
+
+            expect(character.startTurn(-1)).toBe(false);
+        });
+
+        test('walks back to the platform behind once turned round, facing away from the rope', () => {
+            const simulation = standOnRope(0.05);
+            const character = simulation.character;
+            character.rotateRight();
+            runUntil(simulation, balanceOnly, () => !character.isTurning);
+            const start = character.position;
+
+            runUntil(simulation, holding((walker) => walker.moveForward()), () => character.takingStep);
+            expect(character.stepDirection).toBe(-1);
+            expect(character.isBackStep).toBe(false);
+            expect(character.stepTargetPosition).toBeLessThan(start);
+
+            expect(runUntil(simulation, holding((walker) => walker.moveForward()), () => character.isOnPlatform, 60 * 20)).toBe(true);
+            expect(character.platformIndex).toBe(0);
+
+            // Facing back the way they came, away from the rope they got off
+            const rope = simulation.course.ropes[0].getPointAt(0);
+            const toRope = Math.atan2(rope.x - character.platformPosition.x, rope.z - character.platformPosition.z);
+            const away = Math.cos(character.facingDirection - toRope);
+            expect(away).toBeLessThan(-0.9);
+        });
+    });
+});
+
@@ -0,0 +1,227 @@
+/**
+ * Course.js
+ * Layout of a crossing: the platforms in the order they are visited and the
+ * ropes spanning between them
+ * Plain data shared by the headless simulation and the Three.js scene
+ */
+
+import * as THREE from 'three';
+import gameConfig from '../../config/gameConfig.js';
+import { Rope } from './Rope.js';
+import { RopeTypeRegistry } from './RopeTypeRegistry.js';
+import { PlatformMotion } from './PlatformMotion.js';
+
+// Axis platforms turn about
+const UP = new THREE.Vector3(0, 1, 0);
+
+class Course {
+    /**
+     * Initialize the course layout
+     * @param {Object} config - Environment settings (defaults to gameConfig.environment)
+     * @param {Object} ropeConfig - Rope shape and dynamics settings (defaults to gameConfig.rope)
+     * @param {number} gravity - Downward acceleration that hangs the ropes (defaults to gameConfig.physics.gravity)
+     * @param {RopeTypeRegistry} ropeTypes - Rope types the sections refer to
+     */
+    constructor(config = gameConfig.environment, ropeConfig = gameConfig.rope, gravity = gameConfig.physics.gravity,
+        ropeTypes = new RopeTypeRegistry()) {
+        this.config = config;
+        this.ropeConfig = ropeConfig;
+        this.gravity = gravity;
+        this.ropeTypes = ropeTypes;
+
+        // Mountain properties
+        this.mountainHeight = config.mountainHeight;
+
+        // Platform properties
+        this.platformRadius = config.platformRadius;
+        this.platformHeight = config.platformHeight;
+
+        // Rope anchors sit just above the deck, so the anchor heights place the platforms
+        this.anchorOffset = this.platformHeight / 2 + config.ropeThickness / 2;
+
+        // Platforms sit on mountain peaks, visited in order
+        this.platformPositions = config.platforms.map((platform) =>
+            new THREE.Vector3(platform.x, platform.anchorHeight - this.anchorOffset, platform.z));
+        this.startPlatformPosition = this.platformPositions[0];
+        this.endPlatformPosition = this.platformPositions[this.platformPositions.length - 1];
+
+        // Moving platforms travel and turn from where they stand at the start
+        // platformPositions and platformRotations always hold where they are now
+        this.homePositions = this.platformPositions.map((position) => position.clone());
+        this.platformRotations = this.platformPositions.map(() => 0);
+        this.platformMotions = config.platforms.map((platform) => platform.motion ? new PlatformMotion(platform.motion) : null);
+        this.hasMovingPlatforms = this.platformMotions.some(Boolean);
+
+        // How far each platform moved and turned in the last update, to carry whoever stands on it
+        this.platformMoves = this.platformPositions.map(() => ({ shift: new THREE.Vector3(), turn: 0 }));
+
+        // Rope i spans from platform i to platform i + 1
+        // Its anchors are kept relative to the platforms' centres, so they move with them
+        this.anchors = [];
+        this.ropes = this.createRopes();
+
+        // Share of the whole course covered by each span, for overall progress
+        const totalLength = this.ropes.reduce((sum, rope) => sum + rope.length, 0);
+        this.spanShares = this.ropes.map((rope) => rope.length / totalLength);
+    }
+
+    /**
+     * Create the ropes between the near edges of each pair of neighbouring platforms
+     * @returns {Array<Rope>} - One rope model per span
+     */
+    createRopes() {
+        const ropes = [];
+
+        for (let i = 0; i < this.platformPositions.length - 1; i++) {
+            const from = this.platformPositions[i];
+            const to = this.platformPositions[i + 1];
+
+            // Horizontal direction from one platform to the next
+            const direction = new THREE.Vector3().subVectors(to, from).setY(0).normalize();
+
+            // Start point on the edge of the platform being left
+            const startPoint = from.clone().addScaledVector(direction, this.platformRadius);
+            startPoint.y += this.anchorOffset;
+
+            // End point on the edge of the platform being reached
+            const endPoint = to.clone().addScaledVector(direction, -this.platformRadius);
+            endPoint.y += this.anchorOffset;
+
+            this.anchors.push({
+                start: startPoint.clone().sub(from),
+                end: endPoint.clone().sub(to)
+            });
+
+            const sections = this.config.platforms[i].ropeSections || this.ropeConfig.sections;
+            ropes.push(new Rope(startPoint, endPoint, this.config, this.ropeConfig, this.gravity,
+                this.createRopeSections(sections)));
+        }
+
+        return ropes;
+    }
+
+    /**
+     * Lay rope sections end to end from start to end
+     * Gaps between sections, and the ends, are filled with standard rope
+     * @param {Array<Object>} configured - Sections as { from, to, type } with type ids
+     * @returns {Array<Object>} - Sections as { from, to, type } covering 0 to 1 in order
+     */
+    createRopeSections(configured = []) {
+        const standard = this.ropeTypes.get('standard');
+        const sorted = [...configured].sort((a, b) => a.from - b.from);
+        const sections = [];
+        let covered = 0;
+
+        for (const section of sorted) {
+            const from = Math.max(covered, section.from);
+            const to = Math.min(1, section.to);
+            if (to <= from) continue; // Empty or overlapped by an earlier section
+
+            if (from > covered) {
+                sections.push({ from: covered, to: from, type: standard });
+            }
+            sections.push({ from, to, type: this.ropeTypes.get(section.type) });
+            covered = to;
+        }
+
+        if (covered < 1) {
+            sections.push({ from: covered, to: 1, type: standard });
+        }
+
+        return sections;
+    }
+
+    /**
+     * Check whether a platform is the last one on the course
+     * @param {number} platformIndex - Index into platformPositions
+     * @returns {boolean} - True for the finish platform
+     */
+    isFinalPlatform(platformIndex) {
+        return platformIndex === this.platformPositions.length - 1;
+    }
+
+    /**
+     * Work out how much of the whole course has been covered
+     * @param {number} spanIndex - Rope being walked (or the next one, on a platform)
+     * @param {number} t - Progress along that rope (0 = start, 1 = end)
+     * @returns {number} - Overall progress from 0 to 1, weighted by rope length
+     */
+    getOverallProgress(spanIndex, t) {
+        let progress = 0;
+        for (let i = 0; i < spanIndex && i < this.ropes.length; i++) {
+            progress += this.spanShares[i];
+        }
+
+        if (spanIndex < this.ropes.length) {
+            progress += this.spanShares[spanIndex] * t;
+        }
+
+        return Math.min(1, progress);
+    }
+
+    /**
+     * Move the moving platforms to where they are at a time, taking the ropes with them
+     * Records in platformMoves how far each platform went since the last call
+     * @param {number} time - Seconds since the run started
+     */
+    movePlatforms(time) {
+        if (!this.hasMovingPlatforms) return;
+
+        this.platformMotions.forEach((motion, i) => {
+            const move = this.platformMoves[i];
+            if (!motion) return;
+
+            const position = motion.getOffset(time).add(this.homePositions[i]);
+            const rotation = motion.getRotation(time);
+
+            move.shift.subVectors(position, this.platformPositions[i]);
+            move.turn = rotation - this.platformRotations[i];
+
+            this.platformPositions[i].copy(position);
+            this.platformRotations[i] = rotation;
+        });
+
+        // Rehang the ropes tied to a platform that moved
+        this.ropes.forEach((rope, i) => {
+            if (!this.platformMotions[i] && !this.platformMotions[i + 1]) return;
+
+            rope.setAnchors(this.getAnchorPoint(i, this.anchors[i].start), this.getAnchorPoint(i + 1, this.anchors[i].end));
+        });
+    }
+
+    /**
+     * Put the moving platforms back where they start a run
+     */
+    resetPlatforms() {
+        this.movePlatforms(0);
+
+        for (const move of this.platformMoves) {
+            move.shift.set(0, 0, 0);
+            move.turn = 0;
+        }
+    }
+
+    /**
+     * Get where a rope anchor is now
+     * @param {number} platformIndex - Platform the anchor is on
+     * @param {THREE.Vector3} anchor - Anchor relative to the platform's centre, before it turned
+     * @returns {THREE.Vector3} - World position of the anchor
+     * @private
+     */
+    getAnchorPoint(platformIndex, anchor) {
+        return anchor.clone()
+            .applyAxisAngle(UP, this.platformRotations[platformIndex])
+            .add(this.platformPositions[platformIndex]);
+    }
+
+    /**
+     * Put every rope back at rest
+     */
+    resetRopes() {
+        for (const rope of this.ropes) {
+            rope.reset();
+        }
+    }
+}
+
+export { Course };
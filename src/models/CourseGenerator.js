@@ -0,0 +1,330 @@
+/**
+ * CourseGenerator.js
+ * Builds whole courses from a seed and a target difficulty
+ * Spans, heights, rope types, wind and obstacles all follow from the seed, so the
+ * same seed and difficulty always give the same course - for endless runs, daily
+ * challenges and stress-testing the physics. Courses come out as levels in the
+ * JSON level format, ready for LevelLoader.
+ *
+ * Example (Node):
+ *   const generator = new CourseGenerator();
+ *   const level = generator.generate('2024-06-01', 0.7);
+ *   const config = new LevelLoader().toConfig(level);
+ *   const difficulty = generator.estimateDifficulty(config);
+ */
+
+import { SimplexNoise } from 'three/examples/jsm/math/SimplexNoise.js';
+import gameConfig from '../../config/gameConfig.js';
+import { Random } from './Random.js';
+import { LEVEL_SCHEMA_VERSION } from './LevelLoader.js';
+
+class CourseGenerator {
+    /**
+     * Initialize the generator
+     * @param {Object} config - Generator settings (defaults to gameConfig.generator)
+     */
+    constructor(config = gameConfig.generator) {
+        this.config = config;
+    }
+
+    /**
+     * Get the seed shared by everyone playing on a given day
+     * @param {Date} date - Day of the challenge (defaults to today)
+     * @returns {string} - Seed like 'daily-2024-06-01' (UTC date)
+     */
+    static getDailySeed(date = new Date()) {
+        return `daily-${date.toISOString().slice(0, 10)}`;
+    }
+
+    /**
+     * Generate a course
+     * @param {number|string} seed - Seed the whole course follows from
+     * @param {number} difficulty - Target difficulty from 0 (gentle) to 1 (brutal)
+     * @returns {Object} - The course as a level
+     */
+    generate(seed, difficulty = this.config.defaultDifficulty) {
+        const config = this.config;
+        const random = new Random(seed);
+        const noise = new SimplexNoise(random);
+        const d = clamp(difficulty, 0, 1);
+
+        const spanCount = clamp(Math.round(lerp(config.spans, d) + random.range(-1, 1)), 1, config.spans[1]);
+
+        return {
+            schemaVersion: LEVEL_SCHEMA_VERSION,
+            id: `generated-${random.seed}`,
+            name: `Course ${seed}`,
+            description: `Generated from seed ${seed} at difficulty ${d.toFixed(2)}.`,
+            platforms: this.generatePlatforms(spanCount, d, random, noise),
+            rope: { tension: Math.round(lerp(config.tension, d)) },
+            ropes: Array.from({ length: spanCount }, () => ({ sections: this.generateSections(d, random) })),
+            wind: {
+                strength: round(lerp(config.windStrength, d), 2),
+                gustChance: round(lerp(config.gustChance, d), 2),
+                turbulence: round(lerp(config.turbulence, d), 2)
+            },
+            obstacles: this.generateObstacles(spanCount, d, random),
+            timeOfDay: config.timesOfDay[Math.floor(random.random() * config.timesOfDay.length)],
+            goals: {
+                timeLimit: null,
+                starTimes: config.timePerSpan.map((time) => time * spanCount)
+            }
+        };
+    }
+
+    /**
+     * Lay out the platforms, wandering in height and heading from one to the next
+     * @param {number} spanCount - Ropes in the course
+     * @param {number} d - Difficulty from 0 to 1
+     * @param {Random} random - The course's generator
+     * @param {SimplexNoise} noise - Smooth variation along the course
+     * @returns {Array<Object>} - Platforms as { x, z, anchorHeight }, centred on the origin
+     * @private
+     */
+    generatePlatforms(spanCount, d, random, noise) {
+        const { anchorHeight, maxTurn, noiseFrequency } = this.config;
+        const maxHeightChange = lerp(this.config.heightChange, d);
+
+        // Start low enough to have room to climb
+        let height = lerp(anchorHeight, random.range(0.2, 0.4));
+        let heading = 0;
+        let x = 0;
+        let z = 0;
+
+        const platforms = [{ x, z, anchorHeight: height }];
+
+        for (let i = 1; i <= spanCount; i++) {
+            const length = lerp(this.config.spanLength, d) * random.range(0.85, 1.15);
+            heading += noise.noise(i * noiseFrequency, 0) * maxTurn;
+            height = clamp(height + noise.noise(i * noiseFrequency, 10) * maxHeightChange, anchorHeight[0], anchorHeight[1]);
+
+            // The course heads away from the start camera, down -z
+            x += Math.sin(heading) * length;
+            z -= Math.cos(heading) * length;
+
+            platforms.push({ x, z, anchorHeight: height });
+        }
+
+        // Centre the course, where the cameras look, and shrink it to fit the world
+        const centreX = (platforms[0].x + x) / 2;
+        const centreZ = (platforms[0].z + z) / 2;
+        const extent = Math.max(...platforms.map((platform) => Math.hypot(platform.x - centreX, platform.z - centreZ)));
+        const scale = Math.min(1, this.config.maxExtent / extent);
+
+        return platforms.map((platform) => ({
+            x: round((platform.x - centreX) * scale, 1),
+            z: round((platform.z - centreZ) * scale, 1),
+            anchorHeight: round(platform.anchorHeight, 1)
+        }));
+    }
+
+    /**
+     * Lay stretches of special rope along a span, never overlapping
+     * @param {number} d - Difficulty from 0 to 1
+     * @param {Random} random - The course's generator
+     * @returns {Array<Object>} - Sections as { from, to, type }
+     * @private
+     */
+    generateSections(d, random) {
+        const count = Math.round(random.random() * lerp(this.config.sectionsPerSpan, d));
+
+        return this.placeInSlots(count, 0.1, 0.9).map(([start, end]) => {
+            const length = Math.min(lerp(this.config.sectionLength, random.random()), end - start);
+            const from = start + random.random() * (end - start - length);
+
+            return {
+                from: round(from, 3),
+                to: round(from + length, 3),
+                type: pickWeighted(this.config.ropeTypes, d, random)
+            };
+        }).filter((section) => section.type !== null);
+    }
+
+    /**
+     * Place obstacles along every span
+     * @param {number} spanCount - Ropes in the course
+     * @param {number} d - Difficulty from 0 to 1
+     * @param {Random} random - The course's generator
+     * @returns {Array<Object>} - Obstacles as { span, at, type }
+     * @private
+     */
+    generateObstacles(spanCount, d, random) {
+        const obstacles = [];
+
+        for (let span = 0; span < spanCount; span++) {
+            const count = Math.round(random.random() * lerp(this.config.obstaclesPerSpan, d));
+
+            for (const [start, end] of this.placeInSlots(count, 0.15, 0.85)) {
+                const type = pickWeighted(this.config.obstacleTypes, d, random);
+                if (type) {
+                    obstacles.push({ span, at: round(lerp([start, end], random.random()), 3), type });
+                }
+            }
+        }
+
+        return obstacles;
+    }
+
+    /**
+     * Split part of a rope into equal slots, one per item, so items never overlap
+     * @param {number} count - Items to place
+     * @param {number} from - Start of the usable rope
+     * @param {number} to - End of the usable rope
+     * @returns {Array<Array<number>>} - Slots as [start, end]
+     * @private
+     */
+    placeInSlots(count, from, to) {
+        const size = (to - from) / Math.max(count, 1);
+        return Array.from({ length: count }, (_, i) => [from + i * size, from + (i + 1) * size]);
+    }
+
+    /**
+     * Estimate how hard a course is
+     * Works on any resolved level config, generated or hand-made
+     * @param {Object} config - Resolved game configuration for the course
+     * @returns {number} - Difficulty from 0 (gentle) to 1 (brutal)
+     */
+    estimateDifficulty(config) {
+        const factors = this.getDifficultyFactors(config);
+        const weights = this.config.difficultyWeights;
+
+        let total = 0;
+        let weightSum = 0;
+        for (const [factor, weight] of Object.entries(weights)) {
+            total += factors[factor] * weight;
+            weightSum += weight;
+        }
+
+        return weightSum > 0 ? total / weightSum : 0;
+    }
+
+    /**
+     * Rate each part of a course from 0 (gentle) to 1 (brutal) against the generator's ranges
+     * @param {Object} config - Resolved game configuration for the course
+     * @returns {Object} - { spans, spanLength, slope, tension, wind, ropeTypes, obstacles }
+     */
+    getDifficultyFactors(config) {
+        const generator = this.config;
+        const platforms = config.environment.platforms;
+        const spanCount = platforms.length - 1;
+
+        let length = 0;
+        let slope = 0;
+        let ropeHazard = 0;
+
+        for (let i = 0; i < spanCount; i++) {
+            const start = platforms[i];
+            const end = platforms[i + 1];
+            const span = Math.hypot(end.x - start.x, end.z - start.z);
+
+            length += span;
+            slope += Math.abs(end.anchorHeight - start.anchorHeight) / span;
+
+            for (const section of start.ropeSections || config.rope.sections) {
+                ropeHazard += (section.to - section.from) * getHazard(generator.ropeTypes, section.type);
+            }
+        }
+
+        const obstacleHazard = config.environment.obstacles
+            .reduce((total, obstacle) => total + getHazard(generator.obstacleTypes, obstacle.type), 0);
+
+        // The most of each the generator would ever put on one span
+        const maxSlope = generator.heightChange[1] / generator.spanLength[0];
+        const maxRopeHazard = generator.sectionsPerSpan[1] * generator.sectionLength[1];
+
+        const wind = config.physics.wind;
+
+        return {
+            spans: inverseLerp(generator.spans, spanCount),
+            spanLength: inverseLerp(generator.spanLength, length / spanCount),
+            slope: inverseLerp([0, maxSlope], slope / spanCount),
+            tension: inverseLerp(generator.tension, config.rope.tension),
+            wind: (inverseLerp(generator.windStrength, config.physics.windScale)
+                + inverseLerp(generator.gustChance, wind.gustChance)
+                + inverseLerp(generator.turbulence, wind.turbulence)) / 3,
+            ropeTypes: inverseLerp([0, maxRopeHazard], ropeHazard / spanCount),
+            obstacles: inverseLerp([0, generator.obstaclesPerSpan[1]], obstacleHazard / spanCount)
+        };
+    }
+}
+
+/**
+ * Pick a type by weight from those allowed at a difficulty
+ * @param {Object} types - Types by id, as { minDifficulty, weight }
+ * @param {number} d - Difficulty from 0 to 1
+ * @param {Random} random - The course's generator
+ * @returns {string|null} - Type id, or null if none is allowed yet
+ * @private
+ */
+function pickWeighted(types, d, random) {
+    const allowed = Object.entries(types).filter(([, type]) => d >= type.minDifficulty);
+    const totalWeight = allowed.reduce((total, [, type]) => total + type.weight, 0);
+
+    let pick = random.random() * totalWeight;
+    for (const [id, type] of allowed) {
+        pick -= type.weight;
+        if (pick < 0) return id;
+    }
+
+    return null;
+}
+
+/**
+ * Look up how hard a rope or obstacle type is
+ * @param {Object} types - Types by id, as { hazard }
+ * @param {string} id - Type id
+ * @returns {number} - Hazard from 0 to 1 (standard rope is 0, types the generator does not know count as 0.5)
+ * @private
+ */
+function getHazard(types, id) {
+    if (id === 'standard') return 0;
+    return types[id] ? types[id].hazard : 0.5;
+}
+
+/**
+ * Blend across a range
+ * @param {Array<number>} range - [value at 0, value at 1]
+ * @param {number} t - Blend from 0 to 1
+ * @returns {number} - Value in the range
+ * @private
+ */
+function lerp([from, to], t) {
+    return from + (to - from) * t;
+}
+
+/**
+ * Find how far a value lies across a range
+ * @param {Array<number>} range - [value at 0, value at 1] (may run downward)
+ * @param {number} value - Value to place
+ * @returns {number} - Position from 0 to 1, clamped
+ * @private
+ */
+function inverseLerp([from, to], value) {
+    return from === to ? 0 : clamp((value - from) / (to - from), 0, 1);
+}
+
+/**
+ * Keep a value within bounds
+ * @param {number} value - Value to clamp
+ * @param {number} min - Lower bound
+ * @param {number} max - Upper bound
+ * @returns {number} - Clamped value
+ * @private
+ */
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
+
+/**
+ * Round to a number of decimal places, keeping level files readable
+ * @param {number} value - Value to round
+ * @param {number} places - Decimal places
+ * @returns {number} - Rounded value
+ * @private
+ */
+function round(value, places) {
+    const factor = 10 ** places;
+    return Math.round(value * factor) / factor;
+}
+
+export { CourseGenerator };
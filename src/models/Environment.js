@@ -2,41 +2,56 @@
  * Environment.js
  * Handles the game environment - mountains, rope, sky, etc.
  * Manages the 3D environment for the tightrope walker game
+ * Platform positions and the rope shapes come from the headless Course model
  */
 
 import * as THREE from 'three';
 import { SimplexNoise } from 'three/examples/jsm/math/SimplexNoise.js';
+import gameConfig from '../../config/gameConfig.js';
+import { Random } from './Random.js';
+
+// Straight down, for finding the ground under a point
+const DOWN = new THREE.Vector3(0, -1, 0);
 
 class Environment {
     /**
      * Initialize the game environment
      * @param {THREE.Scene} scene - The Three.js scene
+     * @param {Course} course - Course layout to build the scene around
+     * @param {Object} config - Environment settings (defaults to gameConfig.environment)
+     * @param {Random} random - Shared random number generator
      */
-    constructor(scene) {
+    constructor(scene, course, config = gameConfig.environment, random = new Random()) {
         this.scene = scene;
-        this.rope = null;
+        this.course = course;
+        this.config = config;
+        this.random = random;
+        this.ropeMeshes = []; // One mesh per rope section
         this.mountains = [];
         this.clouds = [];
         this.lights = [];
         
-        // Rope properties
-        this.ropeSegments = 10;
-        this.ropeThickness = 0.3;
+        // Wind shared with physics (set by Game.js)
+        this.windEffect = 0;
+        this.cloudWindDrift = config.cloudWindDrift;
         
         // Mountain properties
-        this.mountainDistance = 100;
-        this.mountainHeight = 100;
-        this.mountainRadius = 100;
+        this.mountainHeight = config.mountainHeight;
+        this.mountainRadius = config.mountainRadius;
         
         // Platform properties
         this.platforms = [];
-        this.platformRadius = 8;
-        this.platformHeight = 2;
-        this.startPlatformPosition = null;
-        this.endPlatformPosition = null;
+        this.platformRadius = course.platformRadius;
+        this.platformHeight = course.platformHeight;
+        this.platformPositions = course.platformPositions;
+        this.startPlatformPosition = course.startPlatformPosition;
+        this.endPlatformPosition = course.endPlatformPosition;
         
         // Noise generator for terrain
         this.noise = null;
+        
+        // Finds the mountain or platform under a point
+        this.groundRaycaster = new THREE.Raycaster();
     }
     
     /**
@@ -45,7 +60,7 @@ class Environment {
      */
     async load() {
         // Initialize noise generator
-        this.noise = new SimplexNoise();
+        this.noise = new SimplexNoise(this.random);
         
         // Add skybox
         this.createSkybox();
@@ -97,9 +112,12 @@ class Environment {
             }
         `;
         
+        const sky = this.config.sky;
+        this.scene.background = new THREE.Color(sky.background);
+        
         const uniforms = {
-            topColor: { value: new THREE.Color(0x0077ff) },
-            bottomColor: { value: new THREE.Color(0xafffff) },
+            topColor: { value: new THREE.Color(sky.topColor) },
+            bottomColor: { value: new THREE.Color(sky.bottomColor) },
             offset: { value: 33 },
             exponent: { value: 0.6 }
         };
@@ -112,22 +130,24 @@ class Environment {
         });
         
         const skyGeometry = new THREE.SphereGeometry(500, 32, 32);
-        const sky = new THREE.Mesh(skyGeometry, skyMaterial);
-        this.scene.add(sky);
+        const skyMesh = new THREE.Mesh(skyGeometry, skyMaterial);
+        this.scene.add(skyMesh);
     }
     
     /**
      * Create scene lighting
      */
     createLighting() {
+        const { ambient, sun, hemisphere } = this.config.lighting;
+        
         // Ambient light for global illumination
-        const ambientLight = new THREE.AmbientLight(0xffffff, 0.5);
+        const ambientLight = new THREE.AmbientLight(ambient.color, ambient.intensity);
         this.scene.add(ambientLight);
         this.lights.push(ambientLight);
         
         // Directional light for shadows (sunlight)
-        const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
-        directionalLight.position.set(100, 100, 50);
+        const directionalLight = new THREE.DirectionalLight(sun.color, sun.intensity);
+        directionalLight.position.set(sun.position.x, sun.position.y, sun.position.z);
         directionalLight.castShadow = true;
         
         // Configure shadow properties
@@ -144,7 +164,7 @@ class Environment {
         this.lights.push(directionalLight);
         
         // Add hemisphere light for more natural outdoor lighting
-        const hemisphereLight = new THREE.HemisphereLight(0x0088ff, 0x00ff88, 0.6);
+        const hemisphereLight = new THREE.HemisphereLight(hemisphere.skyColor, hemisphere.groundColor, hemisphere.intensity);
         this.scene.add(hemisphereLight);
         this.lights.push(hemisphereLight);
     }
@@ -164,20 +184,7 @@ class Environment {
         // Apply noise to terrain vertices
         const vertices = geometry.attributes.position.array;
         for (let i = 0; i < vertices.length; i += 3) {
-            // Skip the center area where mountains will be
-            const x = vertices[i];
-            const z = vertices[i + 2];
-            const distanceFromCenter = Math.sqrt(x * x + z * z);
-            
-            if (distanceFromCenter > this.mountainRadius + 10) {
-                // Apply noise-based height, decreasing near mountains
-                const noiseHeight = this.noise.noise(x * 0.01, z * 0.01) * 15;
-                const falloffFactor = Math.min(1, (distanceFromCenter - this.mountainRadius - 10) / 50);
-                vertices[i + 1] = noiseHeight * falloffFactor - 10; // Base terrain height (-10)
-            } else {
-                // Flatten the area near mountains
-                vertices[i + 1] = -10;
-            }
+            vertices[i + 1] = this.getTerrainHeight(vertices[i], vertices[i + 2]);
         }
         
         // Update the geometry after modifying vertices
@@ -206,23 +213,69 @@ class Environment {
     }
     
     /**
-     * Create realistic mountains at each end of the rope
+     * Get the height of the rolling terrain, ignoring mountains
+     * @param {number} x - World x
+     * @param {number} z - World z
+     * @returns {number} - Terrain height there
+     */
+    getTerrainHeight(x, z) {
+        // Skip the center area where mountains will be
+        const distanceFromCenter = Math.sqrt(x * x + z * z);
+        if (distanceFromCenter <= this.mountainRadius + 10) {
+            // Flatten the area near mountains
+            return -10;
+        }
+        
+        // Apply noise-based height, decreasing near mountains
+        const noiseHeight = this.noise.noise(x * 0.01, z * 0.01) * 15;
+        const falloffFactor = Math.min(1, (distanceFromCenter - this.mountainRadius - 10) / 50);
+        return noiseHeight * falloffFactor - 10; // Base terrain height (-10)
+    }
+    
+    /**
+     * Find the ground under a point: a platform, a mountain or the terrain, whichever is highest
+     * @param {number} x - World x
+     * @param {number} z - World z
+     * @returns {Object} - { height, normal } of the ground there, normal pointing up out of it
+     */
+    getGroundAt(x, z) {
+        // Terrain slope from its heights either side
+        const height = this.getTerrainHeight(x, z);
+        const normal = new THREE.Vector3(
+            this.getTerrainHeight(x - 1, z) - this.getTerrainHeight(x + 1, z),
+            2,
+            this.getTerrainHeight(x, z - 1) - this.getTerrainHeight(x, z + 1)
+        ).normalize();
+        
+        // Mountains and platforms stand above the terrain wherever they are
+        this.groundRaycaster.set(new THREE.Vector3(x, 1000, z), DOWN);
+        const [hit] = this.groundRaycaster.intersectObjects([...this.platforms, ...this.mountains], false);
+        if (hit && hit.face && hit.point.y > height) {
+            return {
+                height: hit.point.y,
+                normal: hit.face.normal.clone().transformDirection(hit.object.matrixWorld)
+            };
+        }
+        
+        return { height, normal };
+    }
+    
+    /**
+     * Create a realistic mountain under every platform of the course
      */
     async createMountains() {
-        // Use more complex geometry for realistic mountains
-        await this.createRealisticMountain(
-            new THREE.Vector3(0, 0, this.mountainDistance),
-            this.mountainHeight,
-            this.mountainRadius,
-            true // Start mountain
-        );
+        // Mountains stand centred under the platforms, which sit on their peaks
+        // All bases share one level, so a higher anchor makes a taller mountain
+        const baseHeight = -this.mountainHeight / 2;
         
-        await this.createRealisticMountain(
-            new THREE.Vector3(0, 0, -this.mountainDistance),
-            this.mountainHeight,
-            this.mountainRadius,
-            false // End mountain
-        );
+        for (const [index, platformPosition] of this.platformPositions.entries()) {
+            const height = platformPosition.y - baseHeight;
+            const position = platformPosition.clone();
+            position.y = baseHeight + height / 2;
+            
+            // Use more complex geometry for realistic mountains
+            await this.createRealisticMountain(position, height, this.mountainRadius, index === 0);
+        }
     }
     
     /**
@@ -365,33 +418,6 @@ class Environment {
         
         // Add some rock formations around the base
         this.addRockFormations(position, radius);
-        
-        // Create a slightly flatter area at the top for the platform
-        this.createMountainTop(position, height, isStartMountain);
-    }
-    
-    /**
-     * Create a slightly flatter area at the mountain top for the platform
-     * @param {THREE.Vector3} position - The position of the mountain
-     * @param {number} mountainHeight - The height of the mountain
-     * @param {boolean} isStartMountain - Whether this is the starting mountain
-     */
-    createMountainTop(position, mountainHeight, isStartMountain) {
-
-        console.log(position, mountainHeight, isStartMountain);
-        // Calculate the platform position at the top of the mountain
-        const platformPosition = new THREE.Vector3(
-            position.x,
-            position.y + mountainHeight / 2 ,
-            position.z
-        );
-        
-        // Store this as the correct platform position
-        if (isStartMountain) {
-            this.startPlatformPosition = platformPosition;
-        } else {
-            this.endPlatformPosition = platformPosition;
-        }
     }
     
     /**
@@ -408,24 +434,24 @@ class Environment {
         });
         
         // Create 8-12 rock formations around the mountain
-        const numRocks = 8 + Math.floor(Math.random() * 5);
+        const numRocks = 8 + Math.floor(this.random.random() * 5);
         const minDistance = mountainRadius * 0.5;
         const maxDistance = mountainRadius * 0.9;
         
         for (let i = 0; i < numRocks; i++) {
             // Random position around the mountain
-            const angle = Math.random() * Math.PI * 2;
-            const distance = minDistance + Math.random() * (maxDistance - minDistance);
+            const angle = this.random.random() * Math.PI * 2;
+            const distance = minDistance + this.random.random() * (maxDistance - minDistance);
             const x = Math.cos(angle) * distance;
             const z = Math.sin(angle) * distance;
             
             // Random size for the rock
-            const rockSize = 3 + Math.random() * 7;
-            const rockHeight = 2 + Math.random() * 5;
+            const rockSize = 3 + this.random.random() * 7;
+            const rockHeight = 2 + this.random.random() * 5;
             
             // Create rock geometry - use a sphere or cone with noise
             let rockGeometry;
-            if (Math.random() > 0.5) {
+            if (this.random.random() > 0.5) {
                 rockGeometry = new THREE.SphereGeometry(rockSize, 8, 6);
             } else {
                 rockGeometry = new THREE.ConeGeometry(rockSize, rockHeight, 8);
@@ -451,15 +477,15 @@ class Environment {
             const rock = new THREE.Mesh(rockGeometry, rockMaterial);
             rock.position.set(
                 mountainPosition.x + x,
-                mountainPosition.y - 5 + (Math.random() * 2), // Slightly buried
+                mountainPosition.y - 5 + (this.random.random() * 2), // Slightly buried
                 mountainPosition.z + z
             );
             
             // Random rotation
             rock.rotation.set(
-                Math.random() * Math.PI * 2,
-                Math.random() * Math.PI * 2,
-                Math.random() * Math.PI * 2
+                this.random.random() * Math.PI * 2,
+                this.random.random() * Math.PI * 2,
+                this.random.random() * Math.PI * 2
             );
             
             rock.castShadow = true;
@@ -472,7 +498,7 @@ class Environment {
      * Create platforms on mountain peaks
      */
     createPlatforms() {
-        if (!this.startPlatformPosition || !this.endPlatformPosition) return;
+        if (this.platformPositions.length === 0) return;
         
         // Create wood texture for platforms
         const textureLoader = new THREE.TextureLoader();
@@ -487,46 +513,35 @@ class Environment {
             metalness: 0.1
         });
         
-        // Create start platform (cylindrical shape with more flattened appearance)
-        const startPlatformGeometry = new THREE.CylinderGeometry(
+        // Create platform geometry (cylindrical shape with more flattened appearance)
+        const platformGeometry = new THREE.CylinderGeometry(
             this.platformRadius, // top radius
             this.platformRadius * 1.05, // slightly wider bottom radius
             this.platformHeight, // height
             16 // radial segments
         );
         
-        const startPlatform = new THREE.Mesh(startPlatformGeometry, platformMaterial);
-        startPlatform.position.copy(this.startPlatformPosition); 
-        startPlatform.receiveShadow = true;
-        console.log("startPlatform",startPlatform);
-        this.scene.add(startPlatform);
-        this.platforms.push(startPlatform);
-        
-        // Create end platform
-        const endPlatformGeometry = new THREE.CylinderGeometry(
-            this.platformRadius,
-            this.platformRadius * 1.05,
-            this.platformHeight,
-            16
-        );
-        
-        const endPlatform = new THREE.Mesh(endPlatformGeometry, platformMaterial);
-        endPlatform.position.copy(this.endPlatformPosition);
-        endPlatform.receiveShadow = true;
-        this.scene.add(endPlatform);
-        this.platforms.push(endPlatform);
-        
-        // Add railing to platforms for visual detail
-        this.addPlatformRailings(startPlatform, true);
-        this.addPlatformRailings(endPlatform, false);
+        for (const [index, platformPosition] of this.platformPositions.entries()) {
+            const platform = new THREE.Mesh(platformGeometry, platformMaterial);
+            platform.position.copy(platformPosition);
+            platform.receiveShadow = true;
+            this.scene.add(platform);
+            this.platforms.push(platform);
+            
+            // Add railing to platforms for visual detail, open toward the ropes
+            const ropeAnchors = [];
+            if (index > 0) ropeAnchors.push(this.course.ropes[index - 1].endPoint);
+            if (index < this.course.ropes.length) ropeAnchors.push(this.course.ropes[index].startPoint);
+            this.addPlatformRailings(platform, ropeAnchors);
+        }
     }
     
     /**
      * Add railings to platforms
      * @param {THREE.Mesh} platform - The platform to add railings to
-     * @param {boolean} isStartPlatform - Whether this is the starting platform
+     * @param {Array<THREE.Vector3>} ropeAnchors - Where ropes meet this platform, left open
      */
-    addPlatformRailings(platform, isStartPlatform) {
+    addPlatformRailings(platform, ropeAnchors) {
         const railingHeight = 1.2;
         const railingThickness = 0.1;
         const postCount = 8;
@@ -538,13 +553,21 @@ class Environment {
             metalness: 0.1
         });
         
+        // Angles around the platform where the ropes connect
+        const ropeAngles = ropeAnchors.map((anchor) =>
+            Math.atan2(anchor.z - platform.position.z, anchor.x - platform.position.x));
+        
         // Create posts around the platform edge
         for (let i = 0; i < postCount; i++) {
-            // Skip the area where the rope connects
-            if (isStartPlatform && (i === 0 || i === postCount - 1)) continue;
-            if (!isStartPlatform && (i === postCount/2 || i === postCount/2 - 1)) continue;
-            
             const angle = (i / postCount) * Math.PI * 2;
+            
+            // Skip the area where a rope connects
+            const nearRope = ropeAngles.some((ropeAngle) => {
+                const difference = Math.abs(Math.atan2(Math.sin(angle - ropeAngle), Math.cos(angle - ropeAngle)));
+                return difference < Math.PI / 6;
+            });
+            if (nearRope) continue;
+            
             const x = Math.cos(angle) * (this.platformRadius - railingThickness/2);
             const z = Math.sin(angle) * (this.platformRadius - railingThickness/2);
             
@@ -556,82 +579,30 @@ class Environment {
                 8
             );
             
+            // Posts belong to the platform, so they move and turn with it
             const post = new THREE.Mesh(postGeometry, postMaterial);
-            post.position.set(
-                platform.position.x + x,
-                platform.position.y + this.platformHeight/2 + railingHeight/2,
-                platform.position.z + z
-            );
+            post.position.set(x, this.platformHeight/2 + railingHeight/2, z);
             
             post.castShadow = true;
-            this.scene.add(post);
+            platform.add(post);
         }
     }
     
     /**
-     * Create a rope between mountains
+     * Move and turn the platform meshes to where the course has the platforms
      */
-    createRope() {
-        // Check if platforms are created
-        if (!this.startPlatformPosition || !this.endPlatformPosition) return;
-        
-        // Create a rope using a tube geometry with a subtle natural curve
-        const ropePoints = [];
-        
-        // Start point on the edge of the starting platform
-        const startPoint = new THREE.Vector3(
-            this.startPlatformPosition.x,
-            this.startPlatformPosition.y + this.platformHeight/2 + this.ropeThickness/2,
-            this.startPlatformPosition.z - this.platformRadius
-        );
-        
-        // End point on the edge of the end platform
-        const endPoint = new THREE.Vector3(
-            this.endPlatformPosition.x,
-            this.endPlatformPosition.y + this.platformHeight/2 + this.ropeThickness/2,
-            this.endPlatformPosition.z + this.platformRadius
-        );
-        
-        // Use more segments for a smoother rope
-        const segments = this.ropeSegments;
-        
-        // Calculate a subtle sag amount - adjust the divisor to control tightness
-        // Higher values = less sag, lower values = more sag
-        const maxSag = this.mountainDistance / 40; // Just a slight sag
-        
-        for (let i = 0; i <= segments; i++) {
-            const t = i / segments;
-            
-            // Linear interpolation for x and z coordinates
-            const x = startPoint.x + (endPoint.x - startPoint.x) * t;
-            const z = startPoint.z + (endPoint.z - startPoint.z) * t;
-            
-            // Calculate base y position through linear interpolation
-            const baseY = startPoint.y + (endPoint.y - startPoint.y) * t;
-            
-            // Apply a natural curve - most pronounced in the middle (at t=0.5)
-            // Using a sine function to create a smooth natural-looking curve
-            // sin(π*t) produces a nice curve that's 0 at t=0 and t=1, and 1 at t=0.5
-            const sag = Math.sin(Math.PI * t) * maxSag;
-            
-            // Final y position is base height minus sag
-            const y = baseY - sag;
-            
-            ropePoints.push(new THREE.Vector3(x, y, z));
+    updatePlatforms() {
+        for (const [index, platform] of this.platforms.entries()) {
+            platform.position.copy(this.platformPositions[index]);
+            platform.rotation.y = this.course.platformRotations[index];
         }
-        
-        // Create a curve from points
-        const ropeCurve = new THREE.CatmullRomCurve3(ropePoints);
-        
-        // Create tube geometry from curve
-        const ropeGeometry = new THREE.TubeGeometry(
-            ropeCurve,
-            segments, // More tubular segments for smoother curve
-            this.ropeThickness,
-            8, // Radial segments
-            false // Not closed
-        );
-        
+    }
+    
+    /**
+     * Create the rope meshes between mountains along the course's rope curves
+     * Each section of each rope gets its own mesh in its rope type's material
+     */
+    createRope() {
         // Create a textured rope material
         const textureLoader = new THREE.TextureLoader();
         const ropeTexture = textureLoader.load('https://threejs.org/examples/textures/rope.jpg');
@@ -639,17 +610,101 @@ class Environment {
         ropeTexture.wrapT = THREE.RepeatWrapping;
         ropeTexture.repeat.set(15, 1);
         
-        const ropeMaterial = new THREE.MeshStandardMaterial({ 
-            map: ropeTexture,
-            color: 0x8B4513, // Darker brown color
-            roughness: 0.9,
-            metalness: 0.0
-        });
+        // One material per rope type, shared by its sections
+        const materials = new Map();
+        
+        for (const rope of this.course.ropes) {
+            for (const section of rope.sections) {
+                const { id, material } = section.type;
+                if (!materials.has(id)) {
+                    materials.set(id, new THREE.MeshStandardMaterial({ map: ropeTexture, ...material }));
+                }
+                
+                const curve = rope.createSectionCurve(section);
+                const mesh = new THREE.Mesh(this.createRopeGeometry(rope, curve, section), materials.get(id));
+                mesh.castShadow = true;
+                mesh.userData = { rope, curve, section };
+                
+                this.scene.add(mesh);
+                this.ropeMeshes.push(mesh);
+            }
+        }
+    }
+    
+    /**
+     * Build the rope tube around one section of a rope's current curve
+     * @param {Rope} rope - Rope the section belongs to
+     * @param {THREE.Curve} curve - Curve following the section
+     * @param {Object} section - Rope section, for its length along the rope
+     * @returns {THREE.TubeGeometry} - Rope geometry
+     */
+    createRopeGeometry(rope, curve, section) {
+        // Create tube geometry from curve
+        return new THREE.TubeGeometry(
+            curve,
+            Math.max(2, Math.ceil(rope.segments * 2 * (section.to - section.from))), // Tubular segments
+            rope.thickness,
+            8, // Radial segments
+            false // Not closed
+        );
+    }
+    
+    /**
+     * Reshape the rope meshes to follow the swaying rope
+     * The tubes are built once, so only their vertices move along the new curves
+     */
+    updateRopeMesh() {
+        for (const mesh of this.ropeMeshes) {
+            mesh.userData.curve.updateArcLengths();
+            this.reshapeRopeGeometry(mesh.geometry);
+        }
+    }
+    
+    /**
+     * Move a rope tube's vertices onto its curve's current shape
+     * Lays them out the way THREE.TubeGeometry does, ring by ring along the curve
+     * @param {THREE.TubeGeometry} geometry - Rope geometry built by createRopeGeometry
+     */
+    reshapeRopeGeometry(geometry) {
+        const { path, tubularSegments, radius, radialSegments, closed } = geometry.parameters;
+        const frames = path.computeFrenetFrames(tubularSegments, closed);
+        const positions = geometry.attributes.position;
+        const normals = geometry.attributes.normal;
+        const point = new THREE.Vector3();
+        const normal = new THREE.Vector3();
+        
+        let index = 0;
+        for (let i = 0; i <= tubularSegments; i++) {
+            path.getPointAt(i / tubularSegments, point);
+            const N = frames.normals[i];
+            const B = frames.binormals[i];
+            
+            for (let j = 0; j <= radialSegments; j++) {
+                const v = j / radialSegments * Math.PI * 2;
+                const sin = Math.sin(v);
+                const cos = -Math.cos(v);
+                
+                normal.set(
+                    cos * N.x + sin * B.x,
+                    cos * N.y + sin * B.y,
+                    cos * N.z + sin * B.z
+                ).normalize();
+                normals.setXYZ(index, normal.x, normal.y, normal.z);
+                positions.setXYZ(
+                    index,
+                    point.x + radius * normal.x,
+                    point.y + radius * normal.y,
+                    point.z + radius * normal.z
+                );
+                index++;
+            }
+        }
         
-        this.rope = new THREE.Mesh(ropeGeometry, ropeMaterial);
-        this.rope.castShadow = true;
+        positions.needsUpdate = true;
+        normals.needsUpdate = true;
         
-        this.scene.add(this.rope);
+        // The rope swings, so keep culling honest
+        geometry.computeBoundingSphere();
     }
     
     /**
@@ -670,35 +725,35 @@ class Environment {
             const cloudGroup = new THREE.Group();
             
             // Create 4-8 spheres per cloud for more volume
-            const numSpheres = 4 + Math.floor(Math.random() * 5);
+            const numSpheres = 4 + Math.floor(this.random.random() * 5);
             
             for (let j = 0; j < numSpheres; j++) {
-                const radius = 8 + Math.random() * 8;
+                const radius = 8 + this.random.random() * 8;
                 const sphereGeometry = new THREE.SphereGeometry(radius, 8, 8);
                 const sphere = new THREE.Mesh(sphereGeometry, cloudMaterial);
                 
                 // Position spheres to form a cloud
                 sphere.position.set(
-                    j * 10 - (numSpheres * 5) + Math.random() * 10,
-                    Math.random() * 5,
-                    Math.random() * 10
+                    j * 10 - (numSpheres * 5) + this.random.random() * 10,
+                    this.random.random() * 5,
+                    this.random.random() * 10
                 );
                 
                 // Slightly flatten the cloud spheres
-                sphere.scale.y = 0.6 + Math.random() * 0.2;
+                sphere.scale.y = 0.6 + this.random.random() * 0.2;
                 
                 cloudGroup.add(sphere);
             }
             
             // Position cloud in sky
             cloudGroup.position.set(
-                Math.random() * 600 - 300,
-                80 + Math.random() * 50, // Higher clouds
-                Math.random() * 600 - 300
+                this.random.random() * 600 - 300,
+                80 + this.random.random() * 50, // Higher clouds
+                this.random.random() * 600 - 300
             );
             
             // Scale entire cloud randomly
-            const cloudScale = 0.8 + Math.random() * 1.5;
+            const cloudScale = 0.8 + this.random.random() * 1.5;
             cloudGroup.scale.set(cloudScale, cloudScale, cloudScale);
             
             this.scene.add(cloudGroup);
@@ -706,21 +761,40 @@ class Environment {
             
             // Add cloud movement properties
             cloudGroup.userData = {
-                speedX: (Math.random() * 2 - 1) * 3, // Faster movement
-                speedZ: (Math.random() * 2 - 1) * 3,
-                rotationSpeed: (Math.random() * 2 - 1) * 0.01 // Slow rotation
+                speedX: (this.random.random() * 2 - 1) * 3, // Faster movement
+                speedZ: (this.random.random() * 2 - 1) * 3,
+                rotationSpeed: (this.random.random() * 2 - 1) * 0.01 // Slow rotation
             };
         }
     }
     
+    /**
+     * Set the current wind driving scene elements
+     * @param {number} windForce - Signed wind from Physics.getWind() (negative = left)
+     */
+    setWindEffect(windForce) {
+        this.windEffect = windForce;
+    }
+    
     /**
      * Update environment elements
      * @param {number} deltaTime - Time since last update in seconds
      */
     update(deltaTime) {
+        // Moving platforms carry their rope anchors, so move them before the rope
+        if (this.course.hasMovingPlatforms) {
+            this.updatePlatforms();
+        }
+        
+        // The rope sags and sways, so its mesh follows the model every frame
+        this.updateRopeMesh();
+        
+        // Wind drift shared by all clouds, on top of their own motion
+        const windDrift = this.windEffect * this.cloudWindDrift;
+        
         // Update cloud positions
         for (const cloud of this.clouds) {
-            cloud.position.x += cloud.userData.speedX * deltaTime;
+            cloud.position.x += (cloud.userData.speedX + windDrift) * deltaTime;
             cloud.position.z += cloud.userData.speedZ * deltaTime;
             
             // Add gentle rotation for more dynamic clouds
@@ -0,0 +1,64 @@
+/**
+ * EventEmitter.js
+ * Minimal named-event publisher for the headless models
+ * Views subscribe to model events instead of the models reaching into the scene
+ */
+
+class EventEmitter {
+    /**
+     * Initialize the listener registry
+     */
+    constructor() {
+        this.listeners = {};
+    }
+
+    /**
+     * Add a listener for an event
+     * @param {string} eventName - Name of the event to listen for
+     * @param {Function} listener - Callback, called with the event's arguments
+     */
+    addListener(eventName, listener) {
+        if (typeof listener !== 'function') return;
+
+        if (!this.listeners[eventName]) {
+            this.listeners[eventName] = [];
+        }
+
+        if (!this.listeners[eventName].includes(listener)) {
+            this.listeners[eventName].push(listener);
+        }
+    }
+
+    /**
+     * Remove a listener for an event
+     * @param {string} eventName - Name of the event
+     * @param {Function} listener - The listener to remove
+     */
+    removeListener(eventName, listener) {
+        const listeners = this.listeners[eventName];
+        if (!listeners) return;
+
+        const index = listeners.indexOf(listener);
+        if (index !== -1) {
+            listeners.splice(index, 1);
+        }
+    }
+
+    /**
+     * Notify all listeners of an event
+     * @param {string} eventName - Name of the event
+     * @param {...*} args - Arguments passed to each listener
+     * @protected
+     */
+    notifyListeners(eventName, ...args) {
+        const listeners = this.listeners[eventName];
+        if (!listeners) return;
+
+        // Copy so listeners can unsubscribe while being notified
+        for (const listener of [...listeners]) {
+            listener(...args);
+        }
+    }
+}
+
+export { EventEmitter };
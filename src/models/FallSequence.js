@@ -0,0 +1,155 @@
+/**
+ * FallSequence.js
+ * What happens between losing balance and the end of a run
+ * The walker tips off the rope, and while tipping can grab it and hang by the
+ * hands. Hanging, they climb back up by pulling with alternate hands before
+ * their grip gives out. A missed grab or a lost grip is a real fall, and the
+ * run ends once they have dropped out of sight.
+ *
+ * Phases: null (not falling), 'TIPPING', 'HANGING' and 'DROPPING'
+ */
+
+import gameConfig from '../../config/gameConfig.js';
+
+class FallSequence {
+    /**
+     * Initialize the fall sequence
+     * @param {Object} config - Fall settings (defaults to gameConfig.fall)
+     * @param {number} gravity - Downward acceleration of a real fall (defaults to gameConfig.physics.gravity)
+     */
+    constructor(config = gameConfig.fall, gravity = gameConfig.physics.gravity) {
+        this.config = config;
+        this.gravity = gravity;
+
+        this.reset();
+    }
+
+    /**
+     * Go back to not falling
+     */
+    reset() {
+        this.phase = null;
+        this.timer = 0; // Seconds spent in the current phase
+        this.direction = 0; // Side the walker fell to (-1 = left, 1 = right)
+        this.grabbed = false; // Whether the walker caught the rope on the way down
+
+        // Hanging
+        this.grip = 1; // Grip left, from 1 down to 0
+        this.climb = 0; // How far back up the walker is, from 0 to 1
+        this.lastHand = null; // Hand that pulled last, 'left' or 'right'
+    }
+
+    /**
+     * Start tipping off the rope
+     * @param {number} direction - Side the walker is falling to (-1 = left, 1 = right)
+     */
+    start(direction) {
+        this.reset();
+        this.phase = 'TIPPING';
+        this.direction = direction;
+    }
+
+    /**
+     * Check whether the walker is anywhere in a fall
+     * @returns {boolean} - True from the moment balance is lost until the sequence is reset
+     */
+    isActive() {
+        return this.phase !== null;
+    }
+
+    /**
+     * Grab the rope while tipping off it
+     * @returns {boolean} - Whether the grab was in time
+     */
+    grab() {
+        if (this.phase !== 'TIPPING') return false;
+
+        this.phase = 'HANGING';
+        this.timer = 0;
+        this.grabbed = true;
+        return true;
+    }
+
+    /**
+     * Pull up with one hand while hanging
+     * Only pulls that alternate hands make progress; pulling with the same hand twice costs grip
+     * @param {string} hand - 'left' or 'right'
+     * @returns {boolean} - True once the walker is back up on the rope
+     */
+    pull(hand) {
+        if (this.phase !== 'HANGING') return false;
+
+        if (hand === this.lastHand) {
+            this.grip = Math.max(0, this.grip - this.config.wrongPullGrip);
+            return false;
+        }
+
+        this.lastHand = hand;
+        this.climb = Math.min(1, this.climb + 1 / this.config.pullsToClimb);
+        return this.climb >= 1;
+    }
+
+    /**
+     * Advance the fall
+     * @param {number} deltaTime - Step length in seconds
+     * @returns {string|null} - Why the walker started dropping this step ('missedGrab' or 'lostGrip'), or null
+     */
+    update(deltaTime) {
+        if (!this.isActive()) return null;
+
+        this.timer += deltaTime;
+
+        if (this.phase === 'TIPPING' && this.timer >= this.config.tipTime) {
+            this.startDropping();
+            return 'missedGrab';
+        }
+
+        if (this.phase === 'HANGING') {
+            this.grip = Math.max(0, this.grip - deltaTime / this.config.gripTime);
+            if (this.grip === 0) {
+                this.startDropping();
+                return 'lostGrip';
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Let go of the rope for good
+     * @private
+     */
+    startDropping() {
+        this.phase = 'DROPPING';
+        this.timer = 0;
+    }
+
+    /**
+     * Check whether a real fall has gone on long enough to end the run
+     * @returns {boolean} - True once the walker has dropped for dropTime seconds
+     */
+    hasLanded() {
+        return this.phase === 'DROPPING' && this.timer >= this.config.dropTime;
+    }
+
+    /**
+     * Get how far the walker has tipped off the rope
+     * @returns {number} - 0 as balance is lost, 1 once off the rope
+     */
+    getTipProgress() {
+        if (this.phase === 'TIPPING') {
+            return Math.min(1, this.timer / this.config.tipTime);
+        }
+        return this.isActive() ? 1 : 0;
+    }
+
+    /**
+     * Get how far the walker has dropped since letting go
+     * @returns {number} - Distance in metres
+     */
+    getDropDistance() {
+        return this.phase === 'DROPPING' ? 0.5 * this.gravity * this.timer * this.timer : 0;
+    }
+}
+
+export { FallSequence };
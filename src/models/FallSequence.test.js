@@ -0,0 +1,122 @@
+/**
+ * FallSequence.test.js
+ * Tipping off the rope, grabbing it, climbing back up and falling for good
+ */
+
+import gameConfig from '../../config/gameConfig.js';
+import { FallSequence } from './FallSequence.js';
+import { loadLevelConfig, createRun, balancingBot, topplingBot, runUntil } from './testHelpers.js';
+
+const { tipTime, gripTime, pullsToClimb, wrongPullGrip, dropTime } = gameConfig.fall;
+
+/**
+ * Walk out onto twin-peaks and lean into the tilt until balance is lost
+ * @returns {Object} - { simulation, events } with the fall events as [name, time, detail]
+ */
+function startFalling() {
+    const simulation = createRun(loadLevelConfig('twin-peaks'), 1);
+    const events = [];
+    for (const name of ['fallStart', 'ropeGrabbed', 'climbedBack', 'fallDrop']) {
+        simulation.addListener(name, (detail) => events.push([name, simulation.time, detail]));
+    }
+
+    expect(runUntil(simulation, balancingBot, () => !simulation.character.isOnPlatform && simulation.character.position > 0.2)).toBe(true);
+    expect(runUntil(simulation, topplingBot, () => simulation.fall.isActive())).toBe(true);
+    return { simulation, events };
+}
+
+/**
+ * Pull up with alternate hands until back on the rope
+ * @param {Simulation} simulation - A run hanging from the rope
+ * @returns {number} - Pulls it took
+ */
+function climbBack(simulation) {
+    let pulls = 0;
+    let climbed = false;
+    while (!climbed) {
+        climbed = simulation.pullUp(pulls % 2 === 0 ? 'left' : 'right');
+        pulls++;
+    }
+    return pulls;
+}
+
+describe('FallSequence', () => {
+    test('tips the walker off toward the side they leaned', () => {
+        const { simulation, events } = startFalling();
+
+        expect(events).toHaveLength(1);
+        expect(events[0][0]).toBe('fallStart');
+        expect(simulation.fall.phase).toBe('TIPPING');
+        expect(simulation.fall.direction).toBe(events[0][2]);
+        expect(simulation.fall.direction).toBe(Math.sign(simulation.character.balance));
+        expect(simulation.character.state).toBe('FALLING');
+        expect(simulation.outcome).toBe(null);
+    });
+
+    test('ends the run as FELL once a missed grab has dropped for long enough', () => {
+        const { simulation, events } = startFalling();
+        const fellAt = events[0][1];
+
+        const result = simulation.run(topplingBot, { maxTime: 120 });
+
+        expect(result.outcome).toBe('FELL');
+        expect(events.map(([name, , detail]) => [name, detail]).slice(1)).toEqual([['fallDrop', 'missedGrab']]);
+        expect(events[1][1] - fellAt).toBeCloseTo(tipTime, 1);
+        expect(result.time - fellAt).toBeCloseTo(tipTime + dropTime, 1);
+    });
+
+    test('lets the walker grab the rope and climb back onto it', () => {
+        const { simulation, events } = startFalling();
+
+        expect(simulation.grabRope()).toBe(true);
+        expect(simulation.character.state).toBe('HANGING');
+        expect(climbBack(simulation)).toBe(pullsToClimb);
+
+        expect(events.map(([name]) => name)).toEqual(['fallStart', 'ropeGrabbed', 'climbedBack']);
+        expect(simulation.fall.isActive()).toBe(false);
+        expect(simulation.character.balance).toBe(0);
+        expect(simulation.character.isOnPlatform).toBe(false);
+        expect(simulation.run(balancingBot, { maxTime: 120 }).outcome).toBe('CROSSED');
+    });
+
+    test('is too late to grab the rope once tipped off it', () => {
+        const { simulation, events } = startFalling();
+
+        simulation.run(topplingBot, { maxTime: simulation.time + tipTime + 0.1 });
+
+        expect(simulation.fall.phase).toBe('DROPPING');
+        expect(simulation.grabRope()).toBe(false);
+        expect(events.map(([name]) => name)).toEqual(['fallStart', 'fallDrop']);
+    });
+
+    test('drops the walker whose grip gives out while hanging', () => {
+        const { simulation, events } = startFalling();
+        simulation.grabRope();
+        const grabbedAt = simulation.time;
+
+        simulation.run(topplingBot, { maxTime: simulation.time + gripTime + 0.1 });
+
+        expect(events.map(([name, , detail]) => [name, detail]).slice(1)).toEqual([['ropeGrabbed', undefined], ['fallDrop', 'lostGrip']]);
+        expect(events[2][1] - grabbedAt).toBeCloseTo(gripTime, 1);
+    });
+
+    test('only climbs with alternate hands, and pulling twice with one costs grip', () => {
+        const fall = new FallSequence();
+        fall.start(1);
+        fall.grab();
+
+        expect(fall.pull('left')).toBe(false);
+        expect(fall.pull('left')).toBe(false);
+        expect(fall.climb).toBeCloseTo(1 / pullsToClimb, 9);
+        expect(fall.grip).toBeCloseTo(1 - wrongPullGrip, 9);
+    });
+
+    test('cannot be climbed or grabbed when not falling', () => {
+        const fall = new FallSequence();
+
+        expect(fall.grab()).toBe(false);
+        expect(fall.pull('left')).toBe(false);
+        expect(fall.update(1)).toBe(null);
+        expect(fall.getTipProgress()).toBe(0);
+    });
+});
@@ -0,0 +1,145 @@
+/**
+ * LevelCatalog.js
+ * The ordered list of levels the player works through, and the rules that unlock them
+ * The catalog file (assets/levels/catalog.json) lists level ids in play order,
+ * each with optional unlock rules; the levels themselves are read from their own files.
+ *
+ * Example catalog:
+ *   {
+ *       "schemaVersion": 1,
+ *       "levels": [
+ *           { "id": "twin-peaks" },
+ *           { "id": "windy-ridge", "unlock": { "level": "twin-peaks", "stars": 1 } },
+ *           { "id": "summit-run", "unlock": { "totalStars": 6 } }
+ *       ]
+ *   }
+ */
+
+import { LevelLoader } from './LevelLoader.js';
+
+class LevelCatalog {
+    /**
+     * Initialize the catalog
+     * @param {LevelLoader} loader - Reads and validates the level files
+     */
+    constructor(loader = new LevelLoader()) {
+        this.loader = loader;
+
+        // Catalog entries in play order, as { id, unlock, level }
+        this.entries = [];
+    }
+
+    /**
+     * Read the catalog and every level it lists
+     * Levels that fail to load are left out with a warning, so one bad file does not lock the game
+     * @param {string} baseUrl - Folder holding catalog.json and the level files
+     */
+    async load(baseUrl) {
+        const response = await fetch(`${baseUrl}catalog.json`);
+        if (!response.ok) {
+            throw new Error(`Could not load level catalog: ${response.status} ${response.statusText}`);
+        }
+
+        const catalog = await response.json();
+        const entries = Array.isArray(catalog.levels) ? catalog.levels : [];
+
+        const loaded = await Promise.all(entries.map(async (entry) => {
+            try {
+                return { id: entry.id, unlock: entry.unlock || null, level: await this.loader.load(`${baseUrl}${entry.id}.json`) };
+            } catch (error) {
+                console.warn(`Leaving level '${entry.id}' out of the catalog:`, error.message);
+                return null;
+            }
+        }));
+
+        this.entries = loaded.filter(Boolean);
+    }
+
+    /**
+     * Add a level that is already loaded
+     * @param {Object} level - Validated level
+     * @param {Object} unlock - Unlock rules (null = always open)
+     */
+    add(level, unlock = null) {
+        this.entries.push({ id: level.id, unlock, level });
+    }
+
+    /**
+     * Get a level by id
+     * @param {string} id - Level id
+     * @returns {Object|null} - The validated level, or null if the catalog does not have it
+     */
+    getLevel(id) {
+        const entry = this.getEntry(id);
+        return entry ? entry.level : null;
+    }
+
+    /**
+     * Get a catalog entry by id
+     * @param {string} id - Level id
+     * @returns {Object|null} - { id, unlock, level }, or null if the catalog does not have it
+     */
+    getEntry(id) {
+        return this.entries.find((entry) => entry.id === id) || null;
+    }
+
+    /**
+     * Get the level that follows another in play order
+     * @param {string} id - Level id
+     * @returns {Object|null} - The next entry, or null after the last level
+     */
+    getNext(id) {
+        const index = this.entries.findIndex((entry) => entry.id === id);
+        return index >= 0 ? this.entries[index + 1] || null : null;
+    }
+
+    /**
+     * Check a level's unlock rules against the player's records
+     * Every rule given must hold: stars earned on a named level, and stars earned in total
+     * @param {string} id - Level id
+     * @param {LevelProgress} progress - The player's records
+     * @returns {boolean} - Whether the level can be played
+     */
+    isUnlocked(id, progress) {
+        const entry = this.getEntry(id);
+        if (!entry) return false;
+
+        const unlock = entry.unlock;
+        if (!unlock) return true;
+
+        if (unlock.level && progress.getStars(unlock.level) < (unlock.stars || 1)) {
+            return false;
+        }
+
+        if (unlock.totalStars && progress.getTotalStars() < unlock.totalStars) {
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Describe what the player still has to do to unlock a level
+     * @param {string} id - Level id
+     * @returns {string} - Hint for the level-select screen (empty if there are no rules)
+     */
+    getUnlockHint(id) {
+        const entry = this.getEntry(id);
+        if (!entry || !entry.unlock) return '';
+
+        const { level, stars = 1, totalStars } = entry.unlock;
+        const hints = [];
+
+        if (level) {
+            const required = this.getLevel(level);
+            hints.push(`${stars}★ on ${required ? required.name : level}`);
+        }
+        if (totalStars) {
+            hints.push(`${totalStars}★ in total`);
+        }
+
+        return `Earn ${hints.join(' and ')}`;
+    }
+}
+
+export { LevelCatalog };
@@ -0,0 +1,651 @@
+/**
+ * LevelLoader.js
+ * Reads levels from versioned JSON files and turns them into game configuration
+ * A level describes a course's mountains, platforms and ropes, its wind,
+ * obstacles, pickups, lighting, time of day and goals. Validation names the exact field
+ * that is wrong, so designers can ship levels without touching code.
+ *
+ * Example level (assets/levels/twin-peaks.json is a complete one):
+ *   {
+ *       "schemaVersion": 1,
+ *       "id": "short-hop",
+ *       "name": "Short Hop",
+ *       "platforms": [
+ *           { "x": 0, "z": 40, "anchorHeight": 50 },
+ *           { "x": 0, "z": -40, "anchorHeight": 50 }
+ *       ],
+ *       "wind": { "strength": 0.5 },
+ *       "timeOfDay": "dawn"
+ *   }
+ */
+
+import gameConfig, { resolveConfig } from '../../config/gameConfig.js';
+import { OBSTACLE_KINDS } from './Obstacle.js';
+
+// Level schema version this loader reads
+const LEVEL_SCHEMA_VERSION = 1;
+
+// Settings of the level's rope block, and where each lands in the game config
+const ROPE_SETTINGS = {
+    tension: ['rope', 'tension'],
+    length: ['rope', 'length'],
+    linearDensity: ['rope', 'linearDensity'],
+    damping: ['rope', 'damping'],
+    windLoad: ['rope', 'windLoad'],
+    stepBounce: ['rope', 'stepBounce'],
+    stepSway: ['rope', 'stepSway'],
+    elasticity: ['rope', 'elasticity'],
+    segments: ['environment', 'ropeSegments'],
+    thickness: ['environment', 'ropeThickness']
+};
+
+// Numeric settings a level's rope types may set
+const ROPE_TYPE_SETTINGS = ['stiffness', 'bounce', 'slipChance', 'slipDisturbance', 'wearPerStep', 'frayedStiffness'];
+
+// Settings a level's obstacle types may set
+const OBSTACLE_TYPE_SETTINGS = ['label', 'kind', 'size', 'hitDisturbance', 'hitMessage', 'perchTime', 'awayTime', 'swingPeriod', 'swingAmplitude'];
+
+/**
+ * Error thrown for a level that does not match the schema
+ * Lists every problem found, each with the path of the field at fault
+ */
+class LevelValidationError extends Error {
+    /**
+     * @param {Array<Object>} errors - Problems as { field, message }, field like 'platforms[1].anchorHeight'
+     * @param {string} source - Where the level came from, for the message
+     */
+    constructor(errors, source = 'level') {
+        const details = errors.map(({ field, message }) => `  ${field}: ${message}`).join('\n');
+        super(`Invalid ${source}:\n${details}`);
+
+        this.name = 'LevelValidationError';
+        this.source = source;
+        this.errors = errors;
+    }
+}
+
+class LevelLoader {
+    /**
+     * Initialize the loader
+     * @param {Object} config - Config that levels are layered onto (defaults to gameConfig)
+     */
+    constructor(config = gameConfig) {
+        this.config = config;
+    }
+
+    /**
+     * Fetch, parse and validate a level file
+     * @param {string} url - Where the level's JSON is served
+     * @returns {Promise<Object>} - The validated level
+     */
+    async load(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Could not load level ${url}: ${response.status} ${response.statusText}`);
+        }
+
+        return this.parse(await response.text(), url);
+    }
+
+    /**
+     * Parse and validate a level from JSON text
+     * @param {string} text - The level's JSON
+     * @param {string} source - Name of the file, for error messages
+     * @returns {Object} - The validated level
+     */
+    parse(text, source = 'level') {
+        let level;
+        try {
+            level = JSON.parse(text);
+        } catch (error) {
+            throw new LevelValidationError([{ field: '(file)', message: `is not valid JSON (${error.message})` }], source);
+        }
+
+        this.validate(level, source);
+        return level;
+    }
+
+    /**
+     * Check a level against the schema
+     * @param {Object} level - Parsed level
+     * @param {string} source - Name of the file, for error messages
+     * @throws {LevelValidationError} - Listing every field that is wrong
+     */
+    validate(level, source = 'level') {
+        const check = new FieldChecker();
+
+        if (!check.object(level, '(level)', {
+            keys: ['schemaVersion', 'id', 'name', 'description', 'mountains', 'platform', 'platforms',
+                'rope', 'ropes', 'ropeTypes', 'wind', 'obstacles', 'obstacleTypes', 'pickups', 'lighting', 'timeOfDay',
+                'goals']
+        })) {
+            throw new LevelValidationError(check.errors, source);
+        }
+
+        // Version first, since a newer file may mean different things by the same fields
+        if (check.number(level.schemaVersion, 'schemaVersion', { integer: true, min: 1 })
+            && level.schemaVersion !== LEVEL_SCHEMA_VERSION) {
+            check.fail('schemaVersion', `is ${level.schemaVersion}, but this game reads version ${LEVEL_SCHEMA_VERSION}`);
+            throw new LevelValidationError(check.errors, source);
+        }
+
+        if (check.string(level.id, 'id') && !/^[a-z0-9-]+$/.test(level.id)) {
+            check.fail('id', 'must use only lowercase letters, digits and dashes');
+        }
+        check.string(level.name, 'name');
+        check.string(level.description, 'description', { optional: true });
+
+        // Terrain
+        if (check.object(level.mountains, 'mountains', { optional: true, keys: ['height', 'radius'] })) {
+            check.number(level.mountains.height, 'mountains.height', { optional: true, above: 0 });
+            check.number(level.mountains.radius, 'mountains.radius', { optional: true, above: 0 });
+        }
+        if (check.object(level.platform, 'platform', { optional: true, keys: ['radius', 'height'] })) {
+            check.number(level.platform.radius, 'platform.radius', { optional: true, above: 0 });
+            check.number(level.platform.height, 'platform.height', { optional: true, above: 0 });
+        }
+        this.validatePlatforms(level, check);
+
+        // Ropes
+        const ropeTypeIds = this.validateRopeTypes(level, check);
+        if (check.object(level.rope, 'rope', { optional: true, keys: Object.keys(ROPE_SETTINGS) })) {
+            for (const key of Object.keys(ROPE_SETTINGS)) {
+                const field = `rope.${key}`;
+                if (key === 'length' && level.rope.length === null) continue; // Shape from tension
+                if (key === 'segments') {
+                    check.number(level.rope.segments, field, { optional: true, integer: true, min: 2 });
+                } else if (key === 'damping' || key.startsWith('step') || key === 'windLoad') {
+                    check.number(level.rope[key], field, { optional: true, min: 0 });
+                } else {
+                    check.number(level.rope[key], field, { optional: true, above: 0 });
+                }
+            }
+        }
+        this.validateRopes(level, check, ropeTypeIds);
+
+        // Weather and scenery
+        const windKeys = ['strength', ...Object.keys(this.config.physics.wind)];
+        if (check.object(level.wind, 'wind', { optional: true, keys: windKeys })) {
+            for (const key of windKeys) {
+                check.number(level.wind[key], `wind.${key}`, { optional: true, min: 0 });
+            }
+        }
+        this.validatePlacements(level, 'obstacles', check, this.validateObstacleTypes(level, check));
+        this.validatePlacements(level, 'pickups', check, Object.keys(this.config.powerUpTypes));
+        this.validateLighting(level, check);
+        check.string(level.timeOfDay, 'timeOfDay', { optional: true, oneOf: Object.keys(this.config.timesOfDay) });
+
+        // Win conditions
+        if (check.object(level.goals, 'goals', { optional: true, keys: ['timeLimit', 'starTimes'] })) {
+            if (level.goals.timeLimit !== null) {
+                check.number(level.goals.timeLimit, 'goals.timeLimit', { optional: true, above: 0 });
+            }
+            this.validateStarTimes(level.goals.starTimes, check);
+        }
+
+        if (check.errors.length > 0) {
+            throw new LevelValidationError(check.errors, source);
+        }
+    }
+
+    /**
+     * Check the platform list, including that neighbours leave room for a rope
+     * @param {Object} level - Parsed level
+     * @param {FieldChecker} check - Collects problems
+     * @private
+     */
+    validatePlatforms(level, check) {
+        if (!check.array(level.platforms, 'platforms', { minLength: 2 })) return;
+
+        const radius = (level.platform && level.platform.radius) || this.config.environment.platformRadius;
+
+        level.platforms.forEach((platform, i) => {
+            const field = `platforms[${i}]`;
+            if (!check.object(platform, field, { keys: ['x', 'z', 'anchorHeight', 'motion'] })) return;
+
+            const valid = [
+                check.number(platform.x, `${field}.x`),
+                check.number(platform.z, `${field}.z`),
+                check.number(platform.anchorHeight, `${field}.anchorHeight`, { above: 0 })
+            ].every(Boolean);
+            this.validatePlatformMotion(platform.motion, `${field}.motion`, check);
+
+            // A rope needs a gap between this platform's edge and the previous one's
+            const previous = level.platforms[i - 1];
+            if (valid && i > 0 && previous && typeof previous.x === 'number' && typeof previous.z === 'number') {
+                const distance = Math.hypot(platform.x - previous.x, platform.z - previous.z);
+                if (distance <= radius * 2) {
+                    check.fail(field, `is ${distance.toFixed(1)} from platforms[${i - 1}], closer than two platform radii`);
+                }
+            }
+        });
+    }
+
+    /**
+     * Check how a moving platform moves
+     * @param {Object} motion - The platform's motion, if it has one
+     * @param {string} field - Path of the motion field
+     * @param {FieldChecker} check - Collects problems
+     * @private
+     */
+    validatePlatformMotion(motion, field, check) {
+        const keys = ['path', 'period', 'rotation', 'rotationPeriod', 'phase'];
+        if (!check.object(motion, field, { optional: true, keys })) return;
+
+        if (check.array(motion.path, `${field}.path`, { optional: true, minLength: 1 })) {
+            motion.path.forEach((point, i) => {
+                const pointField = `${field}.path[${i}]`;
+                if (!check.object(point, pointField, { keys: ['x', 'y', 'z'] })) return;
+
+                for (const axis of ['x', 'y', 'z']) {
+                    check.number(point[axis], `${pointField}.${axis}`, { optional: true });
+                }
+            });
+
+            // A path needs a time to travel it in
+            check.number(motion.period, `${field}.period`, { above: 0 });
+        } else {
+            check.number(motion.period, `${field}.period`, { optional: true, above: 0 });
+        }
+
+        check.number(motion.rotation, `${field}.rotation`, { optional: true, min: 0, max: 1.5 });
+        if (motion.rotation && motion.period === undefined) {
+            check.number(motion.rotationPeriod, `${field}.rotationPeriod`, { above: 0 });
+        } else {
+            check.number(motion.rotationPeriod, `${field}.rotationPeriod`, { optional: true, above: 0 });
+        }
+        check.number(motion.phase, `${field}.phase`, { optional: true, min: 0, max: 1 });
+    }
+
+    /**
+     * Check the level's own rope types
+     * @param {Object} level - Parsed level
+     * @param {FieldChecker} check - Collects problems
+     * @returns {Array<string>} - Every rope type id a section may use
+     * @private
+     */
+    validateRopeTypes(level, check) {
+        const ids = Object.keys(this.config.ropeTypes);
+        if (!check.object(level.ropeTypes, 'ropeTypes', { optional: true })) return ids;
+
+        for (const [id, type] of Object.entries(level.ropeTypes)) {
+            const field = `ropeTypes.${id}`;
+            ids.push(id);
+            if (!check.object(type, field, { keys: ['label', ...ROPE_TYPE_SETTINGS, 'material'] })) continue;
+
+            check.string(type.label, `${field}.label`, { optional: true });
+            for (const key of ROPE_TYPE_SETTINGS) {
+                check.number(type[key], `${field}.${key}`, { optional: true, min: 0 });
+            }
+            check.number(type.slipChance, `${field}.slipChance`, { optional: true, max: 1 });
+
+            const material = type.material;
+            if (check.object(material, `${field}.material`, { optional: true, keys: ['color', 'roughness', 'metalness'] })) {
+                check.color(material.color, `${field}.material.color`, { optional: true });
+                check.number(material.roughness, `${field}.material.roughness`, { optional: true, min: 0, max: 1 });
+                check.number(material.metalness, `${field}.material.metalness`, { optional: true, min: 0, max: 1 });
+            }
+        }
+
+        return ids;
+    }
+
+    /**
+     * Check the per-span rope settings
+     * @param {Object} level - Parsed level
+     * @param {FieldChecker} check - Collects problems
+     * @param {Array<string>} ropeTypeIds - Rope types sections may use
+     * @private
+     */
+    validateRopes(level, check, ropeTypeIds) {
+        const spanCount = Array.isArray(level.platforms) ? level.platforms.length - 1 : 0;
+        if (!check.array(level.ropes, 'ropes', { optional: true })) return;
+        if (level.ropes.length !== spanCount) {
+            check.fail('ropes', `must have one entry per rope (${spanCount}), but has ${level.ropes.length}`);
+            return;
+        }
+
+        level.ropes.forEach((rope, i) => {
+            const field = `ropes[${i}]`;
+            if (!check.object(rope, field, { keys: ['sections'] })) return;
+            if (!check.array(rope.sections, `${field}.sections`, { optional: true })) return;
+
+            // Sections run from start to end without overlapping, as Rope.getSectionAt reads them
+            let coveredTo = 0;
+            let coveredBy = -1;
+            rope.sections.forEach((section, j) => {
+                const sectionField = `${field}.sections[${j}]`;
+                if (!check.object(section, sectionField, { keys: ['from', 'to', 'type'] })) return;
+
+                const from = check.number(section.from, `${sectionField}.from`, { min: 0, max: 1 });
+                const to = check.number(section.to, `${sectionField}.to`, { min: 0, max: 1 });
+                if (to && from && section.to <= section.from) {
+                    check.fail(`${sectionField}.to`, 'must be greater than from');
+                } else if (from && section.from < coveredTo) {
+                    check.fail(`${sectionField}.from`, `must not be before the end of sections[${coveredBy}] (${coveredTo}): sections must be in order and not overlap`);
+                }
+                if (to && section.to > coveredTo) {
+                    coveredTo = section.to;
+                    coveredBy = j;
+                }
+                check.string(section.type, `${sectionField}.type`, { oneOf: ropeTypeIds });
+            });
+        });
+    }
+
+    /**
+     * Check the level's own obstacle types
+     * @param {Object} level - Parsed level
+     * @param {FieldChecker} check - Collects problems
+     * @returns {Array<string>} - Every obstacle type id the level may place
+     * @private
+     */
+    validateObstacleTypes(level, check) {
+        const ids = Object.keys(this.config.obstacleTypes);
+        if (!check.object(level.obstacleTypes, 'obstacleTypes', { optional: true })) return ids;
+
+        for (const [id, type] of Object.entries(level.obstacleTypes)) {
+            const field = `obstacleTypes.${id}`;
+            if (!ids.includes(id)) {
+                ids.push(id);
+            }
+            if (!check.object(type, field, { keys: OBSTACLE_TYPE_SETTINGS })) continue;
+
+            // A new type needs a kind, one that overrides a built-in type keeps the built-in's
+            const isNew = !this.config.obstacleTypes[id];
+            check.string(type.kind, `${field}.kind`, { optional: !isNew, oneOf: Object.keys(OBSTACLE_KINDS) });
+            check.string(type.label, `${field}.label`, { optional: true });
+            check.string(type.hitMessage, `${field}.hitMessage`, { optional: true });
+            check.number(type.size, `${field}.size`, { optional: true, above: 0 });
+            check.number(type.hitDisturbance, `${field}.hitDisturbance`, { optional: true, min: 0 });
+            check.number(type.swingPeriod, `${field}.swingPeriod`, { optional: true, above: 0 });
+            check.number(type.swingAmplitude, `${field}.swingAmplitude`, { optional: true, min: 0 });
+
+            // Durations are [shortest, longest] in seconds
+            for (const key of ['perchTime', 'awayTime']) {
+                const range = type[key];
+                if (check.array(range, `${field}.${key}`, { optional: true, length: 2 })
+                    && check.number(range[0], `${field}.${key}[0]`, { above: 0 })) {
+                    check.number(range[1], `${field}.${key}[1]`, { min: range[0] });
+                }
+            }
+        }
+
+        return ids;
+    }
+
+    /**
+     * Check things placed on the ropes, like obstacles and pickups
+     * @param {Object} level - Parsed level
+     * @param {string} key - Level field listing them
+     * @param {FieldChecker} check - Collects problems
+     * @param {Array<string>} typeIds - Types the level may place
+     * @private
+     */
+    validatePlacements(level, key, check, typeIds) {
+        if (!check.array(level[key], key, { optional: true })) return;
+
+        const spanCount = Array.isArray(level.platforms) ? level.platforms.length - 1 : 1;
+
+        level[key].forEach((placement, i) => {
+            const field = `${key}[${i}]`;
+            if (!check.object(placement, field, { keys: ['span', 'at', 'type'] })) return;
+
+            check.number(placement.span, `${field}.span`, { integer: true, min: 0, max: spanCount - 1 });
+            check.number(placement.at, `${field}.at`, { min: 0, max: 1 });
+            check.string(placement.type, `${field}.type`, { oneOf: typeIds });
+        });
+    }
+
+    /**
+     * Check the lighting overrides
+     * @param {Object} level - Parsed level
+     * @param {FieldChecker} check - Collects problems
+     * @private
+     */
+    validateLighting(level, check) {
+        const lighting = level.lighting;
+        if (!check.object(lighting, 'lighting', { optional: true, keys: ['ambient', 'sun', 'hemisphere'] })) return;
+
+        if (check.object(lighting.ambient, 'lighting.ambient', { optional: true, keys: ['color', 'intensity'] })) {
+            check.color(lighting.ambient.color, 'lighting.ambient.color', { optional: true });
+            check.number(lighting.ambient.intensity, 'lighting.ambient.intensity', { optional: true, min: 0 });
+        }
+
+        const sun = lighting.sun;
+        if (check.object(sun, 'lighting.sun', { optional: true, keys: ['color', 'intensity', 'position'] })) {
+            check.color(sun.color, 'lighting.sun.color', { optional: true });
+            check.number(sun.intensity, 'lighting.sun.intensity', { optional: true, min: 0 });
+            if (check.object(sun.position, 'lighting.sun.position', { optional: true, keys: ['x', 'y', 'z'] })) {
+                for (const axis of ['x', 'y', 'z']) {
+                    check.number(sun.position[axis], `lighting.sun.position.${axis}`);
+                }
+            }
+        }
+
+        const hemisphere = lighting.hemisphere;
+        if (check.object(hemisphere, 'lighting.hemisphere', { optional: true, keys: ['skyColor', 'groundColor', 'intensity'] })) {
+            check.color(hemisphere.skyColor, 'lighting.hemisphere.skyColor', { optional: true });
+            check.color(hemisphere.groundColor, 'lighting.hemisphere.groundColor', { optional: true });
+            check.number(hemisphere.intensity, 'lighting.hemisphere.intensity', { optional: true, min: 0 });
+        }
+    }
+
+    /**
+     * Check the times that earn the second and third star
+     * @param {*} starTimes - The level's goals.starTimes
+     * @param {FieldChecker} check - Collects problems
+     * @private
+     */
+    validateStarTimes(starTimes, check) {
+        if (!check.array(starTimes, 'goals.starTimes', { optional: true })) return;
+
+        if (starTimes.length > 2) {
+            check.fail('goals.starTimes', 'must have at most two times, for the second and third star');
+            return;
+        }
+
+        starTimes.forEach((time, i) => {
+            if (check.number(time, `goals.starTimes[${i}]`, { above: 0 }) && i > 0 && time >= starTimes[i - 1]) {
+                check.fail(`goals.starTimes[${i}]`, 'must be shorter than the time before it');
+            }
+        });
+    }
+
+    /**
+     * Layer a validated level onto a config
+     * @param {Object} level - Validated level
+     * @param {Object} base - Config to start from (defaults to the loader's config)
+     * @returns {Object} - A new, fully resolved config for the level
+     */
+    toConfig(level, base = this.config) {
+        const environment = {
+            platforms: level.platforms.map((platform, i) => {
+                const rope = level.ropes && level.ropes[i];
+                return rope && rope.sections
+                    ? { ...platform, ropeSections: rope.sections }
+                    : { ...platform };
+            }),
+            obstacles: level.obstacles || [],
+            pickups: level.pickups || []
+        };
+        const overrides = { environment, rope: {}, physics: {}, goals: { ...level.goals } };
+
+        if (level.mountains) {
+            setIfDefined(environment, 'mountainHeight', level.mountains.height);
+            setIfDefined(environment, 'mountainRadius', level.mountains.radius);
+        }
+        if (level.platform) {
+            setIfDefined(environment, 'platformRadius', level.platform.radius);
+            setIfDefined(environment, 'platformHeight', level.platform.height);
+        }
+
+        for (const [key, [section, setting]] of Object.entries(ROPE_SETTINGS)) {
+            if (level.rope) setIfDefined(overrides[section], setting, level.rope[key]);
+        }
+
+        if (level.ropeTypes) {
+            overrides.ropeTypes = mapColors(level.ropeTypes);
+        }
+        if (level.obstacleTypes) {
+            overrides.obstacleTypes = level.obstacleTypes;
+        }
+
+        if (level.wind) {
+            const { strength, ...wind } = level.wind;
+            setIfDefined(overrides.physics, 'windScale', strength);
+            overrides.physics.wind = wind;
+        }
+
+        // Time of day sets the sky and lights, then the level's own lights win
+        const timeOfDay = level.timeOfDay && base.timesOfDay[level.timeOfDay];
+        if (timeOfDay) {
+            environment.sky = timeOfDay.sky;
+            environment.lighting = timeOfDay.lighting;
+        }
+        if (level.lighting) {
+            environment.lighting = resolveConfig(mapColors(level.lighting), environment.lighting || base.environment.lighting);
+        }
+
+        return resolveConfig(overrides, base);
+    }
+}
+
+/**
+ * Collects schema problems while walking a level
+ * Each check records a problem against its field and returns whether the value is usable
+ * @private
+ */
+class FieldChecker {
+    constructor() {
+        this.errors = [];
+    }
+
+    /**
+     * Record a problem
+     * @param {string} field - Path of the field at fault
+     * @param {string} message - What is wrong with it
+     * @returns {boolean} - Always false, so checks can return it
+     */
+    fail(field, message) {
+        this.errors.push({ field, message });
+        return false;
+    }
+
+    /**
+     * Check for a plain object with only known keys
+     * @param {*} value - Value to check
+     * @param {string} field - Path of the field
+     * @param {Object} options - { optional, keys }
+     * @returns {boolean} - True if the value is an object worth checking further
+     */
+    object(value, field, { optional = false, keys = null } = {}) {
+        if (value === undefined && optional) return false;
+        if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+            return this.fail(field, 'must be an object');
+        }
+
+        if (keys) {
+            for (const key of Object.keys(value)) {
+                if (!keys.includes(key)) {
+                    this.fail(field === '(level)' ? key : `${field}.${key}`, 'is not a known setting');
+                }
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Check for an array of the right size
+     * @param {*} value - Value to check
+     * @param {string} field - Path of the field
+     * @param {Object} options - { optional, minLength, length }
+     * @returns {boolean} - True if the value is an array worth checking further
+     */
+    array(value, field, { optional = false, minLength = 0, length = null } = {}) {
+        if (value === undefined && optional) return false;
+        if (!Array.isArray(value)) return this.fail(field, 'must be an array');
+        if (length !== null && value.length !== length) {
+            return this.fail(field, `must have ${length} entries, but has ${value.length}`);
+        }
+        if (value.length < minLength) return this.fail(field, `must have at least ${minLength} entries`);
+        return true;
+    }
+
+    /**
+     * Check for a finite number in range
+     * @param {*} value - Value to check
+     * @param {string} field - Path of the field
+     * @param {Object} options - { optional, integer, min, max, above } (above = exclusive minimum)
+     * @returns {boolean} - True if the value is a valid number
+     */
+    number(value, field, { optional = false, integer = false, min = null, max = null, above = null } = {}) {
+        if (value === undefined && optional) return false;
+        if (typeof value !== 'number' || !Number.isFinite(value)) return this.fail(field, 'must be a number');
+        if (integer && !Number.isInteger(value)) return this.fail(field, 'must be a whole number');
+        if (min !== null && value < min) return this.fail(field, `must be at least ${min}`);
+        if (max !== null && value > max) return this.fail(field, `must be at most ${max}`);
+        if (above !== null && value <= above) return this.fail(field, `must be greater than ${above}`);
+        return true;
+    }
+
+    /**
+     * Check for a non-empty string, optionally from a fixed set
+     * @param {*} value - Value to check
+     * @param {string} field - Path of the field
+     * @param {Object} options - { optional, oneOf }
+     * @returns {boolean} - True if the value is a valid string
+     */
+    string(value, field, { optional = false, oneOf = null } = {}) {
+        if (value === undefined && optional) return false;
+        if (typeof value !== 'string' || value === '') return this.fail(field, 'must be a non-empty string');
+        if (oneOf && !oneOf.includes(value)) return this.fail(field, `must be one of ${oneOf.join(', ')}`);
+        return true;
+    }
+
+    /**
+     * Check for a colour written as '#rrggbb'
+     * @param {*} value - Value to check
+     * @param {string} field - Path of the field
+     * @param {Object} options - { optional }
+     * @returns {boolean} - True if the value is a valid colour
+     */
+    color(value, field, { optional = false } = {}) {
+        if (value === undefined && optional) return false;
+        if (typeof value !== 'string' || !/^#[0-9a-fA-F]{6}$/.test(value)) {
+            return this.fail(field, "must be a colour like '#ff8800'");
+        }
+        return true;
+    }
+}
+
+/**
+ * Set a key only when the level gives a value for it
+ * @param {Object} target - Object to write into
+ * @param {string} key - Key to set
+ * @param {*} value - Value from the level, skipped if undefined
+ * @private
+ */
+function setIfDefined(target, key, value) {
+    if (value !== undefined) {
+        target[key] = value;
+    }
+}
+
+/**
+ * Copy settings, turning '#rrggbb' colour strings into numbers like the config uses
+ * @param {*} value - Settings from the level
+ * @returns {*} - The same settings with numeric colours
+ * @private
+ */
+function mapColors(value) {
+    if (typeof value === 'string' && /^#[0-9a-fA-F]{6}$/.test(value)) {
+        return parseInt(value.slice(1), 16);
+    }
+    if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+        return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, mapColors(entry)]));
+    }
+    return value;
+}
+
+export { LevelLoader, LevelValidationError, LEVEL_SCHEMA_VERSION };
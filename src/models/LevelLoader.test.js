@@ -0,0 +1,90 @@
+/**
+ * LevelLoader.test.js
+ * Level validation, for the shipped levels, rope sections and generated courses
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { LevelLoader } from './LevelLoader.js';
+import { CourseGenerator } from './CourseGenerator.js';
+
+const LEVELS_DIR = path.join(__dirname, '../../assets/levels');
+
+/**
+ * Read a shipped level without validating it
+ * @param {string} id - Level id
+ * @returns {Object} - The level as parsed JSON
+ */
+function readLevel(id) {
+    return JSON.parse(fs.readFileSync(path.join(LEVELS_DIR, `${id}.json`), 'utf8'));
+}
+
+/**
+ * Validate a level and collect the fields it was rejected for
+ * @param {Object} level - Level to check
+ * @returns {Array<string>} - Fields at fault, empty if the level is valid
+ */
+function invalidFields(level) {
+    try {
+        new LevelLoader().validate(level);
+        return [];
+    } catch (error) {
+        return error.errors.map(({ field }) => field);
+    }
+}
+
+describe('LevelLoader', () => {
+    test('accepts every shipped level', () => {
+        const ids = fs.readdirSync(LEVELS_DIR)
+            .filter((file) => file.endsWith('.json') && file !== 'catalog.json')
+            .map((file) => file.replace('.json', ''));
+
+        expect(ids.length).toBeGreaterThan(0);
+        for (const id of ids) {
+            expect(invalidFields(readLevel(id))).toEqual([]);
+        }
+    });
+
+    describe('rope sections', () => {
+        const withSections = (sections) => ({ ...readLevel('twin-peaks'), ropes: [{ sections }] });
+
+        test('accepts sections in order, touching or with gaps', () => {
+            expect(invalidFields(withSections([
+                { from: 0, to: 0.3, type: 'elastic' },
+                { from: 0.3, to: 0.5, type: 'frayed' },
+                { from: 0.7, to: 1, type: 'icy' }
+            ]))).toEqual([]);
+        });
+
+        test('rejects overlapping sections, naming the later one', () => {
+            expect(invalidFields(withSections([
+                { from: 0, to: 0.5, type: 'elastic' },
+                { from: 0.4, to: 0.8, type: 'icy' }
+            ]))).toEqual(['ropes[0].sections[1].from']);
+        });
+
+        test('rejects sections out of order', () => {
+            expect(invalidFields(withSections([
+                { from: 0.6, to: 0.8, type: 'elastic' },
+                { from: 0.1, to: 0.3, type: 'icy' }
+            ]))).toEqual(['ropes[0].sections[1].from']);
+        });
+
+        test('rejects sections outside the rope', () => {
+            expect(invalidFields(withSections([
+                { from: -0.1, to: 0.5, type: 'elastic' },
+                { from: 0.5, to: 1.2, type: 'icy' }
+            ]))).toEqual(['ropes[0].sections[0].from', 'ropes[0].sections[1].to']);
+        });
+    });
+
+    test('accepts generated courses across seeds and difficulties', () => {
+        const generator = new CourseGenerator();
+
+        for (let seed = 0; seed < 50; seed++) {
+            for (const difficulty of [0, 0.5, 1]) {
+                expect(invalidFields(generator.generate(`seed-${seed}`, difficulty))).toEqual([]);
+            }
+        }
+    });
+});
@@ -0,0 +1,147 @@
+/**
+ * LevelProgress.js
+ * The player's best time and star rating on each level, kept between sessions
+ * Crossing a level earns one star; crossing within the level's goals.starTimes
+ * earns the second and third.
+ */
+
+// localStorage key for the player's level records
+const PROGRESS_STORAGE_KEY = 'tightropeWalker.levelProgress';
+
+// Most stars a level can award
+const MAX_STARS = 3;
+
+class LevelProgress {
+    /**
+     * Initialize the records
+     * @param {Storage|null} storage - Where records are kept (defaults to localStorage, null keeps them in memory)
+     */
+    constructor(storage = LevelProgress.getDefaultStorage()) {
+        this.storage = storage;
+
+        // Records by level id, as { bestTime, stars }
+        this.records = this.read();
+    }
+
+    /**
+     * Find localStorage where the runtime has it
+     * @returns {Storage|null} - localStorage, or null in Node or when it is blocked
+     */
+    static getDefaultStorage() {
+        try {
+            return typeof localStorage !== 'undefined' ? localStorage : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Work out the stars a run earns
+     * @param {string} outcome - How the run ended
+     * @param {number} time - Seconds the run took
+     * @param {Object} goals - The level's goals, with starTimes as [second star, third star] in seconds
+     * @returns {number} - Stars from 0 to 3
+     */
+    static rateRun(outcome, time, goals = {}) {
+        if (outcome !== 'CROSSED') return 0;
+
+        const starTimes = goals.starTimes || [];
+        return 1 + starTimes.filter((limit) => time <= limit).length;
+    }
+
+    /**
+     * Record a finished run, keeping the best time and the most stars
+     * @param {string} levelId - Level the run was on
+     * @param {string} outcome - How the run ended
+     * @param {number} time - Seconds the run took
+     * @param {Object} goals - The level's goals
+     * @returns {Object} - { stars, bestTime, isNewBest } for the end screen
+     */
+    recordRun(levelId, outcome, time, goals) {
+        const stars = LevelProgress.rateRun(outcome, time, goals);
+        const previous = this.getRecord(levelId);
+
+        if (stars === 0) {
+            return { stars, bestTime: previous ? previous.bestTime : null, isNewBest: false };
+        }
+
+        const isNewBest = !previous || previous.bestTime === null || time < previous.bestTime;
+        const record = {
+            bestTime: isNewBest ? time : previous.bestTime,
+            stars: Math.min(MAX_STARS, Math.max(stars, previous ? previous.stars : 0))
+        };
+
+        this.records[levelId] = record;
+        this.write();
+
+        return { stars, bestTime: record.bestTime, isNewBest };
+    }
+
+    /**
+     * Get the record for a level
+     * @param {string} levelId - Level id
+     * @returns {Object|null} - { bestTime, stars }, or null if the level has never been crossed
+     */
+    getRecord(levelId) {
+        return this.records[levelId] || null;
+    }
+
+    /**
+     * Get the most stars earned on a level
+     * @param {string} levelId - Level id
+     * @returns {number} - Stars from 0 to 3
+     */
+    getStars(levelId) {
+        const record = this.getRecord(levelId);
+        return record ? record.stars : 0;
+    }
+
+    /**
+     * Get the stars earned across every level
+     * @returns {number} - Total stars
+     */
+    getTotalStars() {
+        return Object.values(this.records).reduce((total, record) => total + record.stars, 0);
+    }
+
+    /**
+     * Forget every record
+     */
+    clear() {
+        this.records = {};
+        this.write();
+    }
+
+    /**
+     * Load records from storage
+     * @returns {Object} - Records by level id (empty if none are saved or they cannot be read)
+     * @private
+     */
+    read() {
+        if (!this.storage) return {};
+
+        try {
+            const saved = JSON.parse(this.storage.getItem(PROGRESS_STORAGE_KEY));
+            return saved && typeof saved === 'object' ? saved : {};
+        } catch (error) {
+            console.warn('Could not read level progress:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Save records to storage
+     * @private
+     */
+    write() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(PROGRESS_STORAGE_KEY, JSON.stringify(this.records));
+        } catch (error) {
+            console.warn('Could not save level progress:', error);
+        }
+    }
+}
+
+export { LevelProgress, MAX_STARS };
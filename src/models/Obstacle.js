@@ -0,0 +1,179 @@
+/**
+ * Obstacle.js
+ * Things in the walker's way at a point on a rope
+ * Each kind decides when it is in the way and what walking into it does:
+ * birds perch for a while and must be waited out, debris swings across the
+ * rope and must be timed, and knots need a high step.
+ */
+
+class Obstacle {
+    /**
+     * Initialize the obstacle
+     * @param {Object} placement - Where it is, as { span, at, type }
+     * @param {Object} type - Entry from gameConfig.obstacleTypes
+     * @param {Random} random - Shared random number generator
+     */
+    constructor(placement, type, random) {
+        this.span = placement.span; // Rope it sits on
+        this.at = placement.at; // Rope parameter it sits at (0 = start, 1 = end)
+        this.typeId = placement.type;
+        this.type = type;
+        this.kind = type.kind;
+        this.random = random;
+
+        this.size = type.size; // Metres of rope it takes up
+        this.hitDisturbance = type.hitDisturbance;
+    }
+
+    /**
+     * Put the obstacle back in its starting state for a new run
+     */
+    reset() {}
+
+    /**
+     * Advance the obstacle's own motion
+     * @param {number} deltaTime - Step length in seconds
+     */
+    update(deltaTime) {}
+
+    /**
+     * Check whether the walker runs into the obstacle
+     * @param {Character} character - The walker, on this obstacle's rope
+     * @param {number} distance - Metres along the rope between walker and obstacle
+     * @param {boolean} crossed - Whether the walker's feet passed the obstacle this step
+     * @returns {number} - Balance kick (negative = left), 0 if there was no hit
+     */
+    checkHit(character, distance, crossed) {
+        return 0;
+    }
+
+    /**
+     * Get how far the obstacle sits to the side of the rope
+     * @returns {number} - Metres along the rope's lateral axis (positive = right)
+     */
+    getLateralOffset() {
+        return 0;
+    }
+
+    /**
+     * Pick a random side to knock the walker toward
+     * @returns {number} - -1 (left) or 1 (right)
+     * @protected
+     */
+    randomSide() {
+        return this.random.random() < 0.5 ? -1 : 1;
+    }
+}
+
+/**
+ * A bird that perches on the rope, then circles off and lands again
+ * Walking into it while it perches startles it into the walker's face
+ */
+class BirdObstacle extends Obstacle {
+    reset() {
+        // Birds start perched, part way through their stay
+        this.isPerched = true;
+        this.timer = this.randomTime(this.type.perchTime) * this.random.random();
+    }
+
+    update(deltaTime) {
+        this.timer -= deltaTime;
+        if (this.timer > 0) return;
+
+        this.isPerched = !this.isPerched;
+        this.timer = this.randomTime(this.isPerched ? this.type.perchTime : this.type.awayTime);
+    }
+
+    checkHit(character, distance) {
+        // It only minds the walker stepping into it, not landing beside them
+        if (!this.isPerched || !character.takingStep || distance > (this.size + character.width) / 2) return 0;
+
+        // Startled, it flies off
+        this.isPerched = false;
+        this.timer = this.randomTime(this.type.awayTime);
+
+        return this.randomSide() * this.hitDisturbance;
+    }
+
+    /**
+     * Draw a duration from a range
+     * @param {Array<number>} range - [shortest, longest] in seconds
+     * @returns {number} - Seconds
+     * @private
+     */
+    randomTime([shortest, longest]) {
+        return shortest + this.random.random() * (longest - shortest);
+    }
+}
+
+/**
+ * Debris hanging from above that swings back and forth across the rope
+ * It only hits while it is over the rope, knocking the walker the way it swings
+ */
+class DebrisObstacle extends Obstacle {
+    reset() {
+        this.phase = this.random.random() * Math.PI * 2;
+        this.hasHit = false;
+    }
+
+    update(deltaTime) {
+        this.phase += (deltaTime / this.type.swingPeriod) * Math.PI * 2;
+    }
+
+    checkHit(character, distance) {
+        const isOverRope = Math.abs(this.getLateralOffset()) < (this.size + character.width) / 2;
+        const isHitting = isOverRope && distance <= (this.size + character.width) / 2;
+
+        // One knock per pass of the debris
+        if (!isHitting) {
+            this.hasHit = false;
+            return 0;
+        }
+        if (this.hasHit) return 0;
+
+        this.hasHit = true;
+        const swingDirection = Math.sign(Math.cos(this.phase)) || 1;
+        return swingDirection * this.hitDisturbance;
+    }
+
+    getLateralOffset() {
+        return this.type.swingAmplitude * Math.sin(this.phase);
+    }
+}
+
+/**
+ * A knot in the rope that trips any ordinary step over it
+ */
+class KnotObstacle extends Obstacle {
+    checkHit(character, distance, crossed) {
+        if (!crossed || character.currentStepHigh) return 0;
+
+        return this.randomSide() * this.hitDisturbance;
+    }
+}
+
+// Obstacle classes by gameConfig.obstacleTypes kind
+const OBSTACLE_KINDS = {
+    bird: BirdObstacle,
+    debris: DebrisObstacle,
+    knot: KnotObstacle
+};
+
+/**
+ * Create an obstacle of the right kind for its type
+ * @param {Object} placement - Where it is, as { span, at, type }
+ * @param {Object} type - Entry from gameConfig.obstacleTypes
+ * @param {Random} random - Shared random number generator
+ * @returns {Obstacle|null} - The obstacle, or null if its kind is unknown
+ */
+function createObstacle(placement, type, random) {
+    const ObstacleKind = OBSTACLE_KINDS[type.kind];
+    if (!ObstacleKind) {
+        console.warn(`Unknown obstacle kind '${type.kind}' for '${placement.type}', leaving it out`);
+        return null;
+    }
+
+    return new ObstacleKind(placement, type, random);
+}
+
+export { Obstacle, BirdObstacle, DebrisObstacle, KnotObstacle, OBSTACLE_KINDS, createObstacle };
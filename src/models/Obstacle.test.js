@@ -0,0 +1,170 @@
+/**
+ * Obstacle.test.js
+ * Birds, swinging debris and knots on the rope, and what walking into them does
+ */
+
+import gameConfig from '../../config/gameConfig.js';
+import { Random } from './Random.js';
+import { DebrisObstacle, createObstacle } from './Obstacle.js';
+import { loadLevelConfig, createRun, balanceOnly, balancingBot, runUntil } from './testHelpers.js';
+
+/**
+ * Start a run on twin-peaks with the given obstacles on its rope
+ * @param {Array<Object>} obstacles - Placements as { span, at, type }
+ * @param {number} seed - Seed for the run
+ * @returns {Simulation} - Simulation ready to step
+ */
+function createObstacleRun(obstacles, seed = 1) {
+    const config = loadLevelConfig('twin-peaks');
+    config.environment.obstacles = obstacles;
+    return createRun(config, seed);
+}
+
+/**
+ * Record every obstacle hit in a run
+ * @param {Simulation} simulation - The run to watch
+ * @returns {Array<Object>} - Hits as { obstacle, disturbance }, filled in as they happen
+ */
+function recordHits(simulation) {
+    const hits = [];
+    simulation.addListener('obstacleHit', (hit) => hits.push(hit));
+    return hits;
+}
+
+describe('Obstacle', () => {
+    describe('knot', () => {
+        test('trips an ordinary step over it', () => {
+            const simulation = createObstacleRun([{ span: 0, at: 0.3, type: 'knot' }]);
+            const hits = recordHits(simulation);
+
+            simulation.run(balancingBot, { maxTime: 120 });
+
+            expect(hits).toHaveLength(1);
+            expect(hits[0].obstacle.typeId).toBe('knot');
+            expect(Math.abs(hits[0].disturbance)).toBe(gameConfig.obstacleTypes.knot.hitDisturbance);
+        });
+
+        test('is cleared by a high step', () => {
+            const simulation = createObstacleRun([{ span: 0, at: 0.3, type: 'knot' }]);
+            const hits = recordHits(simulation);
+
+            const result = simulation.run((sim) => {
+                balancingBot(sim);
+                sim.character.stepHigh();
+            }, { maxTime: 120 });
+
+            expect(hits).toEqual([]);
+            expect(result.outcome).toBe('CROSSED');
+        });
+    });
+
+    describe('bird', () => {
+        test('flies off when walked into while perched', () => {
+            const simulation = createObstacleRun([{ span: 0, at: 0.3, type: 'bird' }], 5);
+            const [bird] = simulation.obstacles.obstacles;
+            const hits = recordHits(simulation);
+
+            runUntil(simulation, balancingBot, () => hits.length > 0);
+
+            expect(hits).toHaveLength(1);
+            expect(hits[0].obstacle).toBe(bird);
+            expect(Math.abs(hits[0].disturbance)).toBe(gameConfig.obstacleTypes.bird.hitDisturbance);
+            expect(bird.isPerched).toBe(false);
+        });
+
+        test('can be waited out', () => {
+            const simulation = createObstacleRun([{ span: 0, at: 0.3, type: 'bird' }], 5);
+            const [bird] = simulation.obstacles.obstacles;
+            const character = simulation.character;
+            const hits = recordHits(simulation);
+            let waited = 0;
+
+            // Don't start a step that would reach a perched bird, and walk on once it has flown
+            const result = simulation.run((sim) => {
+                const rope = character.getCurrentRope();
+                const nextStepFrom = character.takingStep ? character.stepTargetPosition : character.position;
+                const metresToBird = (bird.at - nextStepFrom) * rope.length;
+                const reach = character.stepDistance * rope.length + bird.size + character.width;
+                if (bird.isPerched && !character.isOnPlatform && metresToBird > 0 && metresToBird < reach) {
+                    waited++;
+                    character.stopMoving();
+                    balanceOnly(sim);
+                } else {
+                    balancingBot(sim);
+                }
+            }, { maxTime: 120 });
+
+            expect(waited).toBeGreaterThan(0);
+            expect(hits).toEqual([]);
+            expect(result.outcome).toBe('CROSSED');
+        });
+    });
+
+    describe('debris', () => {
+        const walker = { width: 0.5, takingStep: true };
+
+        /**
+         * Hang debris at a set point in its swing
+         * @param {number} phase - Swing phase (0 = hanging over the rope, swinging right)
+         * @returns {DebrisObstacle} - The debris
+         */
+        const createDebris = (phase) => {
+            const debris = new DebrisObstacle({ span: 0, at: 0.5, type: 'debris' }, gameConfig.obstacleTypes.debris, new Random(1));
+            debris.reset();
+            debris.phase = phase;
+            return debris;
+        };
+
+        test('knocks the walker the way it swings, once per pass', () => {
+            const swingingRight = createDebris(0);
+            const swingingLeft = createDebris(Math.PI);
+            const { hitDisturbance } = gameConfig.obstacleTypes.debris;
+
+            expect(swingingRight.checkHit(walker, 0)).toBe(hitDisturbance);
+            expect(swingingRight.checkHit(walker, 0)).toBe(0);
+            expect(swingingLeft.checkHit(walker, 0)).toBe(-hitDisturbance);
+        });
+
+        test('only hits while it is over the rope', () => {
+            const debris = createDebris(Math.PI / 2);
+
+            expect(Math.abs(debris.getLateralOffset())).toBe(gameConfig.obstacleTypes.debris.swingAmplitude);
+            expect(debris.checkHit(walker, 0)).toBe(0);
+
+            // Back over the rope on its next pass it can hit again
+            debris.update(gameConfig.obstacleTypes.debris.swingPeriod * 3 / 4);
+            expect(debris.checkHit(walker, 0)).not.toBe(0);
+        });
+
+        test('misses a walker further along the rope', () => {
+            expect(createDebris(0).checkHit(walker, 2)).toBe(0);
+        });
+    });
+
+    test('leaves out obstacles of an unknown kind', () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        expect(createObstacle({ span: 0, at: 0.5, type: 'kite' }, { kind: 'kite' }, new Random(1))).toBe(null);
+        expect(warn).toHaveBeenCalledWith(expect.stringContaining('kite'));
+
+        warn.mockRestore();
+    });
+
+    test('starts over on reset with the same seed', () => {
+        const placements = [
+            { span: 0, at: 0.3, type: 'bird' },
+            { span: 0, at: 0.6, type: 'debris' }
+        ];
+        const record = () => {
+            const simulation = createObstacleRun(placements, 5);
+            simulation.run(balanceOnly, { maxTime: 5 });
+            simulation.reset(5);
+            return simulation.obstacles.obstacles.map(({ isPerched, timer, phase }) => ({ isPerched, timer, phase }));
+        };
+
+        const fresh = createObstacleRun(placements, 5).obstacles.obstacles
+            .map(({ isPerched, timer, phase }) => ({ isPerched, timer, phase }));
+
+        expect(record()).toEqual(fresh);
+    });
+});
@@ -0,0 +1,121 @@
+/**
+ * ObstacleSet.js
+ * All the obstacles on a course, and collisions between them and the walker
+ */
+
+import gameConfig from '../../config/gameConfig.js';
+import { Random } from './Random.js';
+import { createObstacle } from './Obstacle.js';
+
+class ObstacleSet {
+    /**
+     * Initialize the obstacles
+     * @param {Course} course - The course the obstacles sit on
+     * @param {Array<Object>} placements - Obstacles as { span, at, type } (defaults to gameConfig.environment.obstacles)
+     * @param {Object} types - Obstacle types by id (defaults to gameConfig.obstacleTypes)
+     * @param {Random} random - Shared random number generator
+     */
+    constructor(course, placements = gameConfig.environment.obstacles, types = gameConfig.obstacleTypes, random = new Random()) {
+        this.course = course;
+        this.random = random;
+        this.obstacles = this.createObstacles(placements, types);
+
+        // Where the walker stood last step, to tell when they pass an obstacle
+        this.lastSpan = null;
+        this.lastPosition = 0;
+
+        // Birds and debris need a starting state before the first run
+        this.reset();
+    }
+
+    /**
+     * Create the obstacles that can be placed
+     * @param {Array<Object>} placements - Obstacles as { span, at, type }
+     * @param {Object} types - Obstacle types by id
+     * @returns {Array<Obstacle>} - The obstacles
+     * @private
+     */
+    createObstacles(placements, types) {
+        const obstacles = [];
+
+        for (const placement of placements) {
+            const type = types[placement.type];
+            if (!type) {
+                console.warn(`Unknown obstacle type '${placement.type}', leaving it out`);
+                continue;
+            }
+            if (placement.span < 0 || placement.span >= this.course.ropes.length) {
+                console.warn(`Obstacle '${placement.type}' is on span ${placement.span}, which the course does not have`);
+                continue;
+            }
+
+            const obstacle = createObstacle(placement, type, this.random);
+            if (obstacle) {
+                obstacles.push(obstacle);
+            }
+        }
+
+        return obstacles;
+    }
+
+    /**
+     * Put every obstacle back in its starting state for a new run
+     */
+    reset() {
+        this.obstacles.forEach((obstacle) => obstacle.reset());
+        this.lastSpan = null;
+        this.lastPosition = 0;
+    }
+
+    /**
+     * Advance every obstacle's own motion
+     * @param {number} deltaTime - Step length in seconds
+     */
+    update(deltaTime) {
+        this.obstacles.forEach((obstacle) => obstacle.update(deltaTime));
+    }
+
+    /**
+     * Check the walker against the obstacles on their rope
+     * @param {Character} character - The walker
+     * @returns {Object|null} - The first hit as { obstacle, disturbance }, or null
+     */
+    checkCollisions(character) {
+        const span = character.isOnPlatform ? null : character.platformIndex;
+        const position = character.position;
+        const wasOnSpan = span !== null && span === this.lastSpan;
+        const lastPosition = this.lastPosition;
+
+        this.lastSpan = span;
+        this.lastPosition = position;
+
+        if (span === null) return null;
+
+        const rope = this.course.ropes[span];
+
+        for (const obstacle of this.obstacles) {
+            if (obstacle.span !== span) continue;
+
+            const distance = Math.abs(position - obstacle.at) * rope.length;
+            const crossed = wasOnSpan && Math.sign(lastPosition - obstacle.at) !== Math.sign(position - obstacle.at);
+
+            const disturbance = obstacle.checkHit(character, distance, crossed);
+            if (disturbance !== 0) {
+                return { obstacle, disturbance };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the obstacles on one rope
+     * @param {number} span - Rope index
+     * @returns {Array<Obstacle>} - Obstacles on that rope
+     */
+    getOnSpan(span) {
+        return this.obstacles.filter((obstacle) => obstacle.span === span);
+    }
+}
+
+export { ObstacleSet };
@@ -4,26 +4,75 @@
  * Implements a simple physics system for the tightrope walker
  */
 
+import gameConfig from '../../config/gameConfig.js';
+import { Wind } from './Wind.js';
+import { Random } from './Random.js';
+import { NO_MODIFIERS } from './PowerUpSet.js';
+
 class Physics {
     /**
      * Initialize the physics system
+     * @param {Object} config - Physics settings (defaults to gameConfig.physics)
+     * @param {Random} random - Shared random number generator
      */
-    constructor() {
+    constructor(config = gameConfig.physics, random = new Random()) {
+        this.config = config;
+        this.random = random;
+        
         // Physics constants
-        this.gravity = 9.8;
+        this.gravity = config.gravity;
+        this.windForce = 0; // Wind strength at the character (always >= 0)
+        this.windDirection = 0; // -1 (left), 0 (calm) or 1 (right) at the character
+        this.balanceThreshold = config.balanceThreshold; // Character falls if balance exceeds this
+        this.balanceRecoveryRate = config.balanceRecoveryRate; // Natural balance recovery rate
+        this.windScale = config.windScale; // Level's wind strength, applied on top of any difficulty
+        this.maxWindForce = config.maxWindForce * this.windScale; // Maximum wind force
+        this.ropeSwayBalanceEffect = config.ropeSwayBalanceEffect; // Balance change per unit of rope sway speed
+        
+        // Wind model (baseline, gusts, lulls and turbulence)
+        this.wind = new Wind(config.wind, random);
+        
+        // Timer for periodic balance noise
+        this.balanceNoiseTimer = 0;
+        
+        // Scaling from power-ups in effect (see PowerUpSet)
+        this.modifiers = NO_MODIFIERS;
+    }
+    
+    /**
+     * Reset wind and timers for a new run
+     * The wind is rebuilt from the shared generator, so a reseeded generator replays the same wind
+     */
+    reset() {
+        this.wind = new Wind(this.config.wind, this.random);
         this.windForce = 0;
-        this.windDirection = 0; // -1 (left) to 1 (right)
-        this.balanceThreshold = 0.8; // Character falls if balance exceeds this
-        this.balanceRecoveryRate = 0.1; // Natural balance recovery rate
-        this.windChangeFrequency = 3; // Seconds between wind changes
-        this.maxWindForce = 0.5; // Maximum wind force
-        
-        // Wind timer
-        this.windTimer = 0;
+        this.windDirection = 0;
+        this.balanceNoiseTimer = 0;
+        this.modifiers = NO_MODIFIERS;
+    }
+    
+    /**
+     * Apply the modifiers of the power-ups in effect, replacing any applied before
+     * @param {Object} modifiers - { windScale, balanceNoiseScale, timeScale } from PowerUpSet
+     */
+    setModifiers(modifiers) {
+        this.modifiers = modifiers;
+    }
+    
+    /**
+     * Apply a difficulty preset to the physics settings
+     * @param {Object} preset - Entry from gameConfig.difficultyLevels
+     */
+    setDifficulty(preset) {
+        this.balanceThreshold = preset.balanceThreshold;
+        this.balanceRecoveryRate = preset.balanceRecoveryRate;
+        this.maxWindForce = preset.maxWindForce * this.windScale;
     }
     
     /**
      * Apply physics forces to the character
+     * This is the only place balance is integrated - Character supplies the
+     * inputs (player force, queued step impulses, difficulty and noise knobs)
      * @param {Character} character - The character to apply forces to
      * @param {number} deltaTime - Time since last update in seconds
      */
@@ -31,24 +80,87 @@ class Physics {
         // Update wind
         this.updateWind(deltaTime);
         
-        // Calculate forces based on character state
-        if (character.state === 'WALKING' || character.state === 'BALANCING') {
-            // Apply wind force to balance
-            character.balance += this.windForce * this.windDirection * deltaTime;
-            
-            // Apply movement penalty to balance (faster movement = harder to balance)
-            character.balance += character.speed * (character.balance > 0 ? 0.1 : -0.1) * deltaTime;
-            
-            // Natural balance recovery (tends toward 0)
-            if (character.balance > 0) {
-                character.balance -= this.balanceRecoveryRate * deltaTime;
-            } else if (character.balance < 0) {
-                character.balance += this.balanceRecoveryRate * deltaTime;
-            }
+        // Sample the wind field where the character stands
+        const wind = this.getWindAt(character.position);
+        this.windForce = Math.abs(wind);
+        this.windDirection = Math.sign(wind);
+        
+        // Balance only matters while standing on the rope
+        if (character.isOnPlatform || character.state === 'FALLING' || character.state === 'HANGING') return;
+        
+        const difficulty = character.balanceDifficulty;
+        let balance = character.balance;
+        
+        // Wind and sway push from the rope's side, which is the walker's other side once turned round
+        const side = character.getSideFactor();
+        const feltWind = wind * side;
+        
+        // One-off disturbances queued by the character (steps, end-of-step wobbles)
+        balance += character.consumeBalanceImpulse();
+        
+        // Periodic random disturbance, biased in the wind direction
+        this.balanceNoiseTimer += deltaTime;
+        if (this.balanceNoiseTimer >= character.balanceNoiseInterval) {
+            this.balanceNoiseTimer = 0;
             
-            // Ensure balance stays within range [-1, 1]
-            character.balance = Math.max(-1, Math.min(1, character.balance));
+            const noiseMagnitude = character.balanceNoiseMagnitude * this.modifiers.balanceNoiseScale
+                * character.stamina.getNoiseScale();
+            const randomNoise = (this.random.random() - 0.5) * noiseMagnitude * difficulty;
+            const windNoise = feltWind * noiseMagnitude * 0.4 * difficulty;
+            balance += randomNoise + windNoise;
         }
+        
+        // Apply wind force to balance
+        balance += feltWind * deltaTime;
+        
+        // A tired walker shakes
+        balance += character.stamina.getTremor() * deltaTime;
+        
+        // Rope swaying under the feet tips the body the other way
+        balance -= character.ropeSway * side * this.ropeSwayBalanceEffect * deltaTime;
+        
+        // Apply player's balance force (weaker as difficulty rises)
+        balance += (character.balanceForce * deltaTime * 2) / (Math.sqrt(difficulty) * 0.6);
+        
+        // Natural balance recovery toward 0, stronger while standing still
+        const recoveryRate = character.takingStep
+            ? this.balanceRecoveryRate
+            : this.balanceRecoveryRate * character.standingRecoveryFactor;
+        const recovery = Math.min(Math.abs(balance), recoveryRate * deltaTime);
+        balance -= Math.sign(balance) * recovery;
+        
+        // Ensure balance stays within range [-1, 1]
+        character.balance = Math.max(-1, Math.min(1, balance));
+    }
+    
+    /**
+     * Get the wind felt by the character as a single signed value
+     * This is the one wind state shared by balance, character, scene and HUD
+     * @returns {number} - Wind strength, negative blows left, positive blows right
+     */
+    getWind() {
+        return this.windForce * this.windDirection;
+    }
+    
+    /**
+     * Sample the wind field at a point on the rope
+     * @param {number} t - Rope parameter (0 = start, 1 = end)
+     * @returns {number} - Signed wind at that point
+     */
+    getWindAt(t) {
+        return this.wind.sample(t) * this.modifiers.windScale;
+    }
+    
+    /**
+     * Preview the wind ahead of a point on the rope
+     * @param {number} t - Rope parameter to look ahead from
+     * @param {number} direction - 1 to look toward the end of the rope, -1 toward its start
+     * @returns {Array<Object>} - List of { t, value } samples
+     */
+    previewWind(t, direction = 1) {
+        const { previewDistance, previewSamples } = this.wind.config;
+        return this.wind.preview(t, previewDistance, previewSamples, direction)
+            .map((sample) => ({ t: sample.t, value: sample.value * this.modifiers.windScale }));
     }
     
     /**
@@ -56,25 +168,17 @@ class Physics {
      * @param {number} deltaTime - Time since last update in seconds
      */
     updateWind(deltaTime) {
-        // Update wind timer
-        this.windTimer += deltaTime;
-        
-        // Change wind randomly
-        if (this.windTimer >= this.windChangeFrequency) {
-            this.generateRandomWind();
-            this.windTimer = 0;
-        }
+        // Advance the wind model, scaled by the current maximum wind force
+        this.wind.update(deltaTime, this.maxWindForce);
     }
     
     /**
-     * Generate random wind effects
+     * Get the warning for a gust front that has not reached a point yet
+     * @param {number} t - Rope parameter to check (0 = start, 1 = end)
+     * @returns {Object|null} - { direction, timeRemaining } or null if no gust is coming
      */
-    generateRandomWind() {
-        // Random wind direction (-1 to 1)
-        this.windDirection = Math.random() * 2 - 1;
-        
-        // Random wind force (0 to maxWindForce)
-        this.windForce = Math.random() * this.maxWindForce;
+    getGustWarning(t) {
+        return this.wind.getGustWarning(t);
     }
     
     /**
@@ -91,18 +195,6 @@ class Physics {
         
         return true;
     }
-    
-    /**
-     * Increase difficulty over time
-     * @param {number} progressFactor - Factor between 0 and 1 representing progress
-     */
-    increaseDifficulty(progressFactor) {
-        // Increase max wind force based on progress
-        this.maxWindForce = 0.5 + (progressFactor * 0.5);
-        
-        // Decrease balance recovery rate based on progress
-        this.balanceRecoveryRate = 0.1 * (1 - progressFactor * 0.5);
-    }
 }
 
 export { Physics }; 
\ No newline at end of file
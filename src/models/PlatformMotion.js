@@ -0,0 +1,70 @@
+/**
+ * PlatformMotion.js
+ * How a moving platform travels and turns over time
+ * A platform can follow a looping path of waypoints, easing to a stop at each
+ * one, and swing back and forth about its centre. Both follow from the run's
+ * clock alone, so a replay with the same seed sees the platforms in the same places.
+ *
+ * Example, on a platform in gameConfig.environment.platforms:
+ *   motion: { path: [{ x: 0, y: 0, z: 12 }], period: 16, rotation: 0.3, rotationPeriod: 10 }
+ */
+
+import * as THREE from 'three';
+
+class PlatformMotion {
+    /**
+     * Initialize the motion
+     * @param {Object} config - { path, period, rotation, rotationPeriod, phase } (see gameConfig.environment.platforms)
+     */
+    constructor(config) {
+        // Waypoints as offsets from the platform's home position, starting and ending at home
+        this.path = [new THREE.Vector3(), ...(config.path || []).map(({ x = 0, y = 0, z = 0 }) => new THREE.Vector3(x, y, z))];
+        this.period = config.period || 0; // Seconds for one loop of the path
+
+        this.rotation = config.rotation || 0; // Largest turn either way, in radians
+        this.rotationPeriod = config.rotationPeriod || this.period; // Seconds for a full swing back and forth
+
+        this.phase = config.phase || 0; // Share of a loop and a swing already done when the run starts
+    }
+
+    /**
+     * Get where the platform is, relative to its home position
+     * @param {number} time - Seconds since the run started
+     * @param {THREE.Vector3} target - Vector to write into
+     * @returns {THREE.Vector3} - Offset from home
+     */
+    getOffset(time, target = new THREE.Vector3()) {
+        if (this.path.length < 2 || !this.period) return target.set(0, 0, 0);
+
+        // One leg per waypoint, the last one leading back home
+        const loop = ((time / this.period + this.phase) % 1) * this.path.length;
+        const leg = Math.floor(loop);
+        const from = this.path[leg];
+        const to = this.path[(leg + 1) % this.path.length];
+
+        return target.lerpVectors(from, to, smoothstep(loop - leg));
+    }
+
+    /**
+     * Get how far the platform has turned from its home heading
+     * @param {number} time - Seconds since the run started
+     * @returns {number} - Turn in radians (positive = counterclockwise seen from above)
+     */
+    getRotation(time) {
+        if (!this.rotation || !this.rotationPeriod) return 0;
+
+        return this.rotation * Math.sin((time / this.rotationPeriod + this.phase) * Math.PI * 2);
+    }
+}
+
+/**
+ * Ease from 0 to 1, so the platform slows into each waypoint and pulls away gently
+ * @param {number} t - Progress along a leg from 0 to 1
+ * @returns {number} - Eased progress from 0 to 1
+ * @private
+ */
+function smoothstep(t) {
+    return t * t * (3 - 2 * t);
+}
+
+export { PlatformMotion };
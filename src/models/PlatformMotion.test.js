@@ -0,0 +1,111 @@
+/**
+ * PlatformMotion.test.js
+ * Platforms that drift and swing, the ropes tied to them and the walker riding them
+ */
+
+import * as THREE from 'three';
+import { PlatformMotion } from './PlatformMotion.js';
+import { Rope } from './Rope.js';
+import { loadLevelConfig, createRun, balanceOnly, balancingBot, runUntil } from './testHelpers.js';
+
+describe('PlatformMotion', () => {
+    const motion = new PlatformMotion({
+        path: [{ x: 6, y: 2, z: 4 }, { x: -6, y: 2, z: -4 }],
+        period: 24,
+        rotation: 0.25,
+        rotationPeriod: 12
+    });
+
+    test('starts at home and stops at each waypoint in turn', () => {
+        expect(motion.getOffset(0).length()).toBe(0);
+        expect(motion.getOffset(8)).toEqual(new THREE.Vector3(6, 2, 4));
+        expect(motion.getOffset(16)).toEqual(new THREE.Vector3(-6, 2, -4));
+        expect(motion.getOffset(24).length()).toBeCloseTo(0, 9);
+    });
+
+    test('eases into and out of each waypoint', () => {
+        const speedAt = (time) => motion.getOffset(time + 0.01).distanceTo(motion.getOffset(time)) / 0.01;
+
+        expect(speedAt(4)).toBeGreaterThan(speedAt(0.5));
+        expect(speedAt(4)).toBeGreaterThan(speedAt(7.5));
+    });
+
+    test('swings back and forth about its centre', () => {
+        expect(motion.getRotation(0)).toBe(0);
+        expect(motion.getRotation(3)).toBeCloseTo(0.25, 9);
+        expect(motion.getRotation(9)).toBeCloseTo(-0.25, 9);
+    });
+
+    test('starts part way through with a phase', () => {
+        const late = new PlatformMotion({ rotation: 0.35, rotationPeriod: 10, phase: 0.25 });
+
+        expect(late.getRotation(0)).toBeCloseTo(0.35, 9);
+        expect(late.getOffset(5).length()).toBe(0);
+    });
+
+    test('tightens a rope when its anchors move apart and slackens it when they close in', () => {
+        const rope = new Rope(new THREE.Vector3(0, 10, 0), new THREE.Vector3(0, 10, -30));
+        const tied = rope.tension;
+
+        rope.setAnchors(new THREE.Vector3(0, 10, 0.5), new THREE.Vector3(0, 10, -30.5));
+        expect(rope.tension).toBeGreaterThan(tied);
+        expect(rope.points[0].z).toBe(0.5);
+        expect(rope.points[rope.segments].z).toBe(-30.5);
+
+        rope.setAnchors(new THREE.Vector3(0, 10, -0.5), new THREE.Vector3(0, 10, -29.5));
+        expect(rope.tension).toBeLessThan(tied);
+    });
+
+    describe('on a course', () => {
+        test('carries the ropes tied to a moving platform', () => {
+            const simulation = createRun(loadLevelConfig('shifting-summits'), 1);
+            const course = simulation.course;
+            const anchorOffset = () => course.ropes[0].endPoint.clone().sub(course.platformPositions[1]);
+            const before = anchorOffset();
+            const startBefore = course.ropes[0].startPoint.clone();
+
+            simulation.run(balanceOnly, { maxTime: 6 });
+
+            expect(course.platformPositions[1].distanceTo(course.homePositions[1])).toBeGreaterThan(1);
+            expect(anchorOffset().length()).toBeCloseTo(before.length(), 6);
+            expect(course.ropes[0].startPoint).toEqual(startBefore);
+        });
+
+        test('carries the walker standing on a moving platform', () => {
+            const simulation = createRun(loadLevelConfig('shifting-summits'), 1);
+            const character = simulation.character;
+            expect(runUntil(simulation, balancingBot, () => character.isOnPlatform && character.platformIndex === 1)).toBe(true);
+            character.stopMoving();
+            const centre = simulation.course.platformPositions[1];
+            const fromCentre = character.platformPosition.distanceTo(centre);
+            const position = character.platformPosition.clone();
+
+            simulation.run(balanceOnly, { maxTime: simulation.time + 4 });
+
+            expect(character.platformPosition.distanceTo(position)).toBeGreaterThan(0.5);
+            expect(character.platformPosition.distanceTo(centre)).toBeCloseTo(fromCentre, 6);
+        });
+
+        test('puts the platforms back where they start on reset', () => {
+            const simulation = createRun(loadLevelConfig('shifting-summits'), 1);
+            const start = simulation.course.platformPositions.map((position) => position.clone());
+            const rotations = [...simulation.course.platformRotations];
+
+            simulation.run(balanceOnly, { maxTime: 7 });
+            simulation.reset(1);
+
+            expect(simulation.course.platformPositions).toEqual(start);
+            expect(simulation.course.platformRotations).toEqual(rotations);
+        });
+
+        test('leaves a course without motion standing still', () => {
+            const simulation = createRun(loadLevelConfig('twin-peaks'), 1);
+            const start = simulation.course.platformPositions.map((position) => position.clone());
+
+            simulation.run(balancingBot, { maxTime: 10 });
+
+            expect(simulation.course.hasMovingPlatforms).toBe(false);
+            expect(simulation.course.platformPositions).toEqual(start);
+        });
+    });
+});
@@ -0,0 +1,201 @@
+/**
+ * PowerUpSet.js
+ * Pickups on the ropes, the power-up the walker carries and the ones in effect
+ * Walking over a pickup with an empty slot picks it up, and activating it starts
+ * its effect. Effects are timed modifiers: while one lasts, its modifiers scale
+ * the balance system, and when it ends they drop out of the combined modifiers.
+ */
+
+import gameConfig from '../../config/gameConfig.js';
+
+// Modifiers with no power-up in effect
+const NO_MODIFIERS = {
+    windScale: 1, // Multiplies the wind everywhere
+    balanceNoiseScale: 1, // Multiplies the random balance wobbles
+    timeScale: 1 // Multiplies how fast the simulation runs
+};
+
+class PowerUpSet {
+    /**
+     * Initialize the power-ups
+     * @param {Course} course - The course the pickups sit on
+     * @param {Array<Object>} placements - Pickups as { span, at, type } (defaults to gameConfig.environment.pickups)
+     * @param {Object} types - Power-up types by id (defaults to gameConfig.powerUpTypes)
+     */
+    constructor(course, placements = gameConfig.environment.pickups, types = gameConfig.powerUpTypes) {
+        this.course = course;
+        this.types = types;
+        this.pickups = this.createPickups(placements);
+
+        // Power-up in the walker's slot, as a type id (null when empty)
+        this.held = null;
+
+        // Effects running, as { id, type, remaining } (remaining is null until used, for a balance save)
+        this.active = [];
+
+        // Combined modifiers of everything in effect
+        this.modifiers = { ...NO_MODIFIERS };
+
+        // Where the walker stood last step, to tell when they pass a pickup
+        this.lastSpan = null;
+        this.lastPosition = 0;
+    }
+
+    /**
+     * Create the pickups that can be placed
+     * @param {Array<Object>} placements - Pickups as { span, at, type }
+     * @returns {Array<Object>} - Pickups as { span, at, typeId, type, collected }
+     * @private
+     */
+    createPickups(placements) {
+        const pickups = [];
+
+        for (const placement of placements) {
+            const type = this.types[placement.type];
+            if (!type) {
+                console.warn(`Unknown power-up type '${placement.type}', leaving it out`);
+                continue;
+            }
+            if (placement.span < 0 || placement.span >= this.course.ropes.length) {
+                console.warn(`Pickup '${placement.type}' is on span ${placement.span}, which the course does not have`);
+                continue;
+            }
+
+            pickups.push({ span: placement.span, at: placement.at, typeId: placement.type, type, collected: false });
+        }
+
+        return pickups;
+    }
+
+    /**
+     * Put every pickup back on the rope and clear the slot and effects for a new run
+     */
+    reset() {
+        this.pickups.forEach((pickup) => {
+            pickup.collected = false;
+        });
+        this.held = null;
+        this.active = [];
+        this.updateModifiers();
+        this.lastSpan = null;
+        this.lastPosition = 0;
+    }
+
+    /**
+     * End every effect at once, leaving the slot and the pickups on the rope as they are
+     */
+    endEffects() {
+        this.active = [];
+        this.updateModifiers();
+    }
+
+    /**
+     * Pick up any pickup the walker passed this step, if their slot is empty
+     * @param {Character} character - The walker
+     * @returns {Object|null} - The pickup collected, or null
+     */
+    checkPickups(character) {
+        const span = character.isOnPlatform ? null : character.platformIndex;
+        const position = character.position;
+        const wasOnSpan = span !== null && span === this.lastSpan;
+        const lastPosition = this.lastPosition;
+
+        this.lastSpan = span;
+        this.lastPosition = position;
+
+        if (!wasOnSpan || this.held) return null;
+
+        const pickup = this.pickups.find((candidate) => !candidate.collected && candidate.span === span
+            && Math.sign(lastPosition - candidate.at) !== Math.sign(position - candidate.at));
+        if (!pickup) return null;
+
+        pickup.collected = true;
+        this.held = pickup.typeId;
+        return pickup;
+    }
+
+    /**
+     * Use the power-up in the slot
+     * Using one that is already in effect starts it over
+     * @returns {Object|null} - The effect started, as { id, type, remaining }, or null if the slot was empty
+     */
+    activate() {
+        if (!this.held) return null;
+
+        const id = this.held;
+        const type = this.types[id];
+        this.held = null;
+
+        this.active = this.active.filter((effect) => effect.id !== id);
+        const effect = { id, type, remaining: type.duration || null };
+        this.active.push(effect);
+        this.updateModifiers();
+
+        return effect;
+    }
+
+    /**
+     * Count down the effects
+     * @param {number} deltaTime - Step length in seconds
+     * @returns {Array<Object>} - Effects that ran out this step
+     */
+    update(deltaTime) {
+        const ended = [];
+
+        for (const effect of this.active) {
+            if (effect.remaining === null) continue;
+
+            effect.remaining -= deltaTime;
+            if (effect.remaining <= 0) {
+                ended.push(effect);
+            }
+        }
+
+        if (ended.length > 0) {
+            this.active = this.active.filter((effect) => !ended.includes(effect));
+            this.updateModifiers();
+        }
+
+        return ended;
+    }
+
+    /**
+     * Use up a balance save in effect, if there is one
+     * @returns {Object|null} - The save used, or null if none was ready
+     */
+    useBalanceSave() {
+        const save = this.active.find((effect) => effect.type.balanceSave);
+        if (!save) return null;
+
+        this.active = this.active.filter((effect) => effect !== save);
+        this.updateModifiers();
+        return save;
+    }
+
+    /**
+     * Combine the modifiers of every effect running
+     * @private
+     */
+    updateModifiers() {
+        this.modifiers = { ...NO_MODIFIERS };
+
+        for (const effect of this.active) {
+            for (const [key, value] of Object.entries(effect.type.modifiers || {})) {
+                if (key in this.modifiers) {
+                    this.modifiers[key] *= value;
+                }
+            }
+        }
+    }
+
+    /**
+     * Get the pickups still on one rope
+     * @param {number} span - Rope index
+     * @returns {Array<Object>} - Pickups on that rope not yet collected
+     */
+    getOnSpan(span) {
+        return this.pickups.filter((pickup) => pickup.span === span && !pickup.collected);
+    }
+}
+
+export { PowerUpSet, NO_MODIFIERS };
@@ -0,0 +1,153 @@
+/**
+ * PowerUpSet.test.js
+ * Picking up power-ups on the rope, using them and how long they last
+ */
+
+import gameConfig from '../../config/gameConfig.js';
+import { loadLevelConfig, createRun, balancingBot, topplingBot, runUntil } from './testHelpers.js';
+
+/**
+ * Start a run on twin-peaks with the given pickups on its rope
+ * @param {Array<Object>} pickups - Placements as { span, at, type }
+ * @returns {Simulation} - Simulation ready to step
+ */
+function createPickupRun(pickups) {
+    const config = loadLevelConfig('twin-peaks');
+    config.environment.pickups = pickups;
+    return createRun(config, 1);
+}
+
+/**
+ * Walk on until the slot holds a power-up
+ * @param {Simulation} simulation - The run being driven
+ */
+function walkToPickup(simulation) {
+    expect(runUntil(simulation, balancingBot, (sim) => sim.powerUps.held !== null)).toBe(true);
+}
+
+describe('PowerUpSet', () => {
+    test('picks up a power-up walked over into the empty slot', () => {
+        const simulation = createPickupRun([{ span: 0, at: 0.2, type: 'calmWind' }]);
+        const pickups = [];
+        simulation.addListener('pickup', (pickup) => pickups.push(pickup));
+
+        walkToPickup(simulation);
+
+        expect(simulation.powerUps.held).toBe('calmWind');
+        expect(pickups).toHaveLength(1);
+        expect(pickups[0].collected).toBe(true);
+        expect(simulation.character.position).toBeGreaterThan(0.2);
+        expect(simulation.powerUps.getOnSpan(0)).toEqual([]);
+    });
+
+    test('leaves a pickup on the rope while the slot is full', () => {
+        const simulation = createPickupRun([
+            { span: 0, at: 0.2, type: 'calmWind' },
+            { span: 0, at: 0.4, type: 'heavyPole' }
+        ]);
+
+        simulation.run(balancingBot, { maxTime: 120 });
+
+        expect(simulation.powerUps.held).toBe('calmWind');
+        expect(simulation.powerUps.getOnSpan(0).map((pickup) => pickup.typeId)).toEqual(['heavyPole']);
+    });
+
+    test('stills the wind while a calm-wind charm lasts', () => {
+        const simulation = createPickupRun([{ span: 0, at: 0.1, type: 'calmWind' }]);
+        const events = [];
+        simulation.addListener('powerUpStart', (effect) => events.push(['start', effect.id, simulation.time]));
+        simulation.addListener('powerUpEnd', (effect) => events.push(['end', effect.id, simulation.time]));
+        walkToPickup(simulation);
+
+        const effect = simulation.activatePowerUp();
+        expect(effect.id).toBe('calmWind');
+        expect(simulation.powerUps.held).toBe(null);
+        expect(simulation.activatePowerUp()).toBe(null);
+
+        const winds = [];
+        runUntil(simulation, balancingBot, () => events.length === 2, 60 * 10);
+        simulation.addListener('step', () => winds.push(simulation.physics.getWind()));
+        simulation.run(balancingBot, { maxTime: simulation.time + 1 });
+
+        const [[, startId, start], [, endId, end]] = events;
+        expect([startId, endId]).toEqual(['calmWind', 'calmWind']);
+        expect(end - start).toBeCloseTo(gameConfig.powerUpTypes.calmWind.duration, 1);
+        expect(simulation.physics.modifiers.windScale).toBe(1);
+        expect(winds.some((wind) => wind !== 0)).toBe(true);
+    });
+
+    test('keeps the wind at zero until the charm wears off', () => {
+        const simulation = createPickupRun([{ span: 0, at: 0.1, type: 'calmWind' }]);
+        walkToPickup(simulation);
+        simulation.activatePowerUp();
+
+        const winds = [];
+        simulation.addListener('step', () => winds.push(simulation.physics.getWind()));
+        simulation.run(balancingBot, { maxTime: simulation.time + gameConfig.powerUpTypes.calmWind.duration - 0.1 });
+
+        expect(winds.length).toBeGreaterThan(0);
+        expect(winds.every((wind) => wind === 0)).toBe(true);
+    });
+
+    test('slows the world with a focus, which lasts its time in real seconds', () => {
+        const simulation = createPickupRun([{ span: 0, at: 0.1, type: 'focus' }]);
+        walkToPickup(simulation);
+        simulation.activatePowerUp();
+        const start = simulation.time;
+        const step = simulation.config.simulation.fixedTimeStep;
+
+        let realTime = 0;
+        runUntil(simulation, (sim) => {
+            balancingBot(sim);
+            realTime += step;
+        }, (sim) => sim.powerUps.active.length === 0);
+
+        expect(realTime).toBeCloseTo(gameConfig.powerUpTypes.focus.duration, 1);
+        expect(simulation.time - start).toBeCloseTo(realTime * gameConfig.powerUpTypes.focus.modifiers.timeScale, 1);
+    });
+
+    test('catches one fall with a balance save', () => {
+        const simulation = createPickupRun([{ span: 0, at: 0.1, type: 'balanceSave' }]);
+        const saves = [];
+        simulation.addListener('balanceSaved', (save) => saves.push(save));
+        walkToPickup(simulation);
+        simulation.activatePowerUp();
+
+        // The save waits for the walker to lose balance, then is used up
+        runUntil(simulation, topplingBot, () => saves.length > 0);
+        expect(simulation.fall.isActive()).toBe(false);
+        expect(simulation.character.balance).toBe(0);
+        expect(simulation.powerUps.active).toEqual([]);
+
+        expect(simulation.run(topplingBot, { maxTime: simulation.time + 30 }).outcome).toBe('FELL');
+        expect(saves).toHaveLength(1);
+    });
+
+    test('puts every pickup back and empties the slot on reset', () => {
+        const simulation = createPickupRun([{ span: 0, at: 0.1, type: 'heavyPole' }]);
+        walkToPickup(simulation);
+        simulation.activatePowerUp();
+
+        simulation.reset(1);
+
+        expect(simulation.powerUps.held).toBe(null);
+        expect(simulation.powerUps.active).toEqual([]);
+        expect(simulation.powerUps.getOnSpan(0)).toHaveLength(1);
+        expect(simulation.physics.modifiers.balanceNoiseScale).toBe(1);
+    });
+
+    test('leaves out pickups of an unknown type or on a missing rope', () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        const simulation = createPickupRun([
+            { span: 0, at: 0.2, type: 'jetpack' },
+            { span: 3, at: 0.2, type: 'focus' },
+            { span: 0, at: 0.4, type: 'focus' }
+        ]);
+
+        expect(simulation.powerUps.pickups.map((pickup) => pickup.typeId)).toEqual(['focus']);
+        expect(warn).toHaveBeenCalledTimes(2);
+
+        warn.mockRestore();
+    });
+});
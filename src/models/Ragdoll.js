@@ -0,0 +1,262 @@
+/**
+ * Ragdoll.js
+ * A lightweight articulated ragdoll for a walker who has fallen for good
+ * Points joined by rigid links, moved with Verlet integration in fixed steps and
+ * pushed out of the ground under them. Pure JavaScript on THREE math types, with
+ * no scene: whoever starts it lays out the points and links, and reads the points
+ * back to pose a model.
+ *
+ * Example:
+ *   const ragdoll = new Ragdoll(gameConfig.ragdoll, 9.8, (x, z) => ({ height: 0, normal: UP }));
+ *   ragdoll.start({ hip: a, foot: b }, [['hip', 'foot']], { hip: velocity, foot: velocity });
+ *   ragdoll.update(deltaTime);
+ */
+
+import * as THREE from 'three';
+import gameConfig from '../../config/gameConfig.js';
+
+class Ragdoll {
+    /**
+     * Initialize the ragdoll
+     * @param {Object} config - Ragdoll settings (defaults to gameConfig.ragdoll)
+     * @param {number} gravity - Downward acceleration (defaults to gameConfig.physics.gravity)
+     * @param {Function} getGround - Called as getGround(x, z), returns { height, normal } of the ground there, or null
+     */
+    constructor(config = gameConfig.ragdoll, gravity = gameConfig.physics.gravity, getGround = () => null) {
+        this.config = config;
+        this.gravity = gravity;
+        this.getGround = getGround;
+
+        // Points by name, as { position, previous }
+        this.points = {};
+
+        // Links between points, as { a, b, length }
+        this.links = [];
+
+        this.isActive = false;
+        this.isResting = false; // Settled on the ground, so no longer stepped
+
+        // Unsimulated time carried between updates
+        this.accumulator = 0;
+
+        // Seconds every point has been nearly still
+        this.stillTime = 0;
+    }
+
+    /**
+     * Take over from an animated pose
+     * Links keep the lengths they start with
+     * @param {Object} positions - Where each point starts, as THREE.Vector3 by name
+     * @param {Array<Array<string>>} links - Pairs of point names to hold together
+     * @param {Object} velocities - Starting velocity of each point, as THREE.Vector3 by name (missing = still)
+     */
+    start(positions, links, velocities = {}) {
+        const { timeStep } = this.config;
+
+        this.points = {};
+        for (const [name, position] of Object.entries(positions)) {
+            const velocity = velocities[name] || new THREE.Vector3();
+            this.points[name] = {
+                position: position.clone(),
+                previous: position.clone().addScaledVector(velocity, -timeStep)
+            };
+        }
+
+        this.links = links.map(([a, b]) => ({
+            a: this.points[a],
+            b: this.points[b],
+            length: positions[a].distanceTo(positions[b])
+        }));
+
+        this.isActive = true;
+        this.isResting = false;
+        this.accumulator = 0;
+        this.stillTime = 0;
+    }
+
+    /**
+     * Hand the body back to its animations
+     */
+    stop() {
+        this.isActive = false;
+        this.points = {};
+        this.links = [];
+    }
+
+    /**
+     * Advance the ragdoll in fixed steps
+     * @param {number} deltaTime - Time since the last update in seconds
+     */
+    update(deltaTime) {
+        if (!this.isActive || this.isResting) return;
+
+        const { timeStep, maxSteps } = this.config;
+        this.accumulator = Math.min(this.accumulator + deltaTime, timeStep * maxSteps);
+
+        while (this.accumulator >= timeStep) {
+            this.step(timeStep);
+            this.accumulator -= timeStep;
+        }
+    }
+
+    /**
+     * Move every point on, then hold the links and keep the points out of the ground
+     * @param {number} deltaTime - Fixed step length in seconds
+     * @private
+     */
+    step(deltaTime) {
+        const { drag, iterations } = this.config;
+        const points = Object.values(this.points);
+
+        // Verlet integration: the velocity is how far a point moved last step
+        const velocity = new THREE.Vector3();
+        for (const point of points) {
+            velocity.subVectors(point.position, point.previous).multiplyScalar(1 - drag);
+            point.previous.copy(point.position);
+            point.position.add(velocity);
+            point.position.y -= this.gravity * deltaTime * deltaTime;
+        }
+
+        // The whole body is small, so the ground under its middle stands for the ground under every point
+        const centre = this.getCentre();
+        const ground = this.getGroundPlane(centre);
+
+        for (let i = 0; i < iterations; i++) {
+            this.satisfyLinks();
+            if (ground) {
+                this.pushOutOfGround(points, ground);
+            }
+        }
+
+        if (ground) {
+            this.applyContact(points, ground, deltaTime);
+        }
+
+        this.checkResting(points, deltaTime);
+    }
+
+    /**
+     * Get the ground under a point as a plane
+     * @param {THREE.Vector3} point - Point to look under
+     * @returns {THREE.Plane|null} - Ground plane facing up out of the ground, or null if there is no ground there
+     * @private
+     */
+    getGroundPlane(point) {
+        const ground = this.getGround(point.x, point.z);
+        if (!ground) return null;
+
+        return new THREE.Plane().setFromNormalAndCoplanarPoint(
+            ground.normal, new THREE.Vector3(point.x, ground.height, point.z)
+        );
+    }
+
+    /**
+     * Move the ends of every link to its length, each end half the way
+     * @private
+     */
+    satisfyLinks() {
+        const offset = new THREE.Vector3();
+
+        for (const { a, b, length } of this.links) {
+            offset.subVectors(b.position, a.position);
+            const distance = offset.length();
+            if (distance === 0) continue;
+
+            offset.multiplyScalar((distance - length) / distance / 2);
+            a.position.add(offset);
+            b.position.sub(offset);
+        }
+    }
+
+    /**
+     * Push points that sank into the ground back out along its normal
+     * Both positions move, so the push adds no speed
+     * @param {Array<Object>} points - Every point
+     * @param {THREE.Plane} ground - Ground under the body
+     * @private
+     */
+    pushOutOfGround(points, ground) {
+        for (const point of points) {
+            const depth = this.config.radius - ground.distanceToPoint(point.position);
+            if (depth <= 0) continue;
+
+            point.position.addScaledVector(ground.normal, depth);
+            point.previous.addScaledVector(ground.normal, depth);
+        }
+    }
+
+    /**
+     * Bounce points touching the ground off it and slow them by friction
+     * A point sliding slower than restSpeed grips the ground and stops
+     * @param {Array<Object>} points - Every point
+     * @param {THREE.Plane} ground - Ground under the body
+     * @param {number} deltaTime - Fixed step length in seconds
+     * @private
+     */
+    applyContact(points, ground, deltaTime) {
+        const { radius, friction, bounce, restSpeed } = this.config;
+        const velocity = new THREE.Vector3();
+        const normalVelocity = new THREE.Vector3();
+
+        for (const point of points) {
+            if (ground.distanceToPoint(point.position) > radius * 1.01) continue;
+
+            velocity.subVectors(point.position, point.previous);
+            const speedIn = velocity.dot(ground.normal);
+            normalVelocity.copy(ground.normal).multiplyScalar(speedIn);
+
+            // Slide less, and rebound only when moving into the ground
+            velocity.sub(normalVelocity).multiplyScalar(1 - friction);
+            if (velocity.length() < restSpeed * deltaTime) {
+                velocity.set(0, 0, 0);
+            }
+            if (speedIn < 0) {
+                velocity.addScaledVector(normalVelocity, -bounce);
+            } else {
+                velocity.add(normalVelocity);
+            }
+
+            point.previous.subVectors(point.position, velocity);
+        }
+    }
+
+    /**
+     * Let the ragdoll rest once it has lain still for a while
+     * @param {Array<Object>} points - Every point
+     * @param {number} deltaTime - Fixed step length in seconds
+     * @private
+     */
+    checkResting(points, deltaTime) {
+        const { restSpeed, restTime } = this.config;
+        const fastest = Math.max(...points.map((point) => point.position.distanceTo(point.previous))) / deltaTime;
+
+        this.stillTime = fastest < restSpeed ? this.stillTime + deltaTime : 0;
+        this.isResting = this.stillTime >= restTime;
+    }
+
+    /**
+     * Get the middle of the body
+     * @returns {THREE.Vector3} - Average of every point's position
+     */
+    getCentre() {
+        const centre = new THREE.Vector3();
+        const points = Object.values(this.points);
+
+        for (const point of points) {
+            centre.add(point.position);
+        }
+
+        return points.length > 0 ? centre.divideScalar(points.length) : centre;
+    }
+
+    /**
+     * Get where a point is now
+     * @param {string} name - Point name given to start
+     * @returns {THREE.Vector3} - The point's position (live, not a copy)
+     */
+    getPoint(name) {
+        return this.points[name].position;
+    }
+}
+
+export { Ragdoll };
@@ -0,0 +1,135 @@
+/**
+ * Ragdoll.test.js
+ * The fallen walker's ragdoll: falling, holding together and coming to rest on the ground
+ */
+
+import * as THREE from 'three';
+import gameConfig from '../../config/gameConfig.js';
+import { Ragdoll } from './Ragdoll.js';
+
+const GRAVITY = gameConfig.physics.gravity;
+const UP = new THREE.Vector3(0, 1, 0);
+
+// A small body: head over hips over two feet
+const POSE = {
+    head: new THREE.Vector3(0, 11.7, 0),
+    hips: new THREE.Vector3(0, 11, 0),
+    leftFoot: new THREE.Vector3(-0.15, 10, 0),
+    rightFoot: new THREE.Vector3(0.15, 10, 0)
+};
+const LINKS = [['head', 'hips'], ['hips', 'leftFoot'], ['hips', 'rightFoot'], ['leftFoot', 'rightFoot']];
+
+/**
+ * Advance a ragdoll in frame-sized updates
+ * @param {Ragdoll} ragdoll - Ragdoll to move
+ * @param {number} seconds - Time to simulate
+ */
+function simulate(ragdoll, seconds) {
+    for (let time = 0; time < seconds; time += 1 / 60) {
+        ragdoll.update(1 / 60);
+    }
+}
+
+/**
+ * Get how far each link is from its starting length
+ * @param {Ragdoll} ragdoll - Ragdoll to measure
+ * @returns {number} - Largest stretch or squash in metres
+ */
+function worstLinkError(ragdoll) {
+    return Math.max(...ragdoll.links.map(({ a, b, length }) => Math.abs(a.position.distanceTo(b.position) - length)));
+}
+
+describe('Ragdoll', () => {
+    test('falls freely where there is no ground', () => {
+        const ragdoll = new Ragdoll(gameConfig.ragdoll, GRAVITY, () => null);
+        ragdoll.start(POSE, LINKS);
+        const start = ragdoll.getCentre();
+
+        simulate(ragdoll, 1);
+
+        const dropped = start.y - ragdoll.getCentre().y;
+        expect(dropped).toBeGreaterThan(0.45 * GRAVITY);
+        expect(dropped).toBeLessThan(0.55 * GRAVITY);
+        expect(worstLinkError(ragdoll)).toBeLessThan(0.01);
+    });
+
+    test('carries the speed it starts with', () => {
+        const ragdoll = new Ragdoll(gameConfig.ragdoll, GRAVITY, () => null);
+        const sideways = new THREE.Vector3(2, 0, 0);
+        ragdoll.start(POSE, LINKS, { head: sideways, hips: sideways, leftFoot: sideways, rightFoot: sideways });
+
+        simulate(ragdoll, 0.5);
+
+        expect(ragdoll.getCentre().x).toBeCloseTo(1, 1);
+    });
+
+    test('holds together while tumbling', () => {
+        const ragdoll = new Ragdoll(gameConfig.ragdoll, GRAVITY, () => null);
+        ragdoll.start(POSE, LINKS, { head: new THREE.Vector3(4, 0, 0), leftFoot: new THREE.Vector3(-3, 2, 1) });
+
+        simulate(ragdoll, 2);
+
+        expect(worstLinkError(ragdoll)).toBeLessThan(0.01);
+    });
+
+    test('comes to rest lying on flat ground', () => {
+        const ragdoll = new Ragdoll(gameConfig.ragdoll, GRAVITY, () => ({ height: 0, normal: UP }));
+        ragdoll.start(POSE, LINKS, { head: new THREE.Vector3(1.5, 0, 0) });
+
+        simulate(ragdoll, 10);
+
+        expect(ragdoll.isResting).toBe(true);
+        for (const name of Object.keys(POSE)) {
+            expect(ragdoll.getPoint(name).y).toBeGreaterThan(gameConfig.ragdoll.radius - 0.01);
+            expect(ragdoll.getPoint(name).y).toBeLessThan(1.5);
+        }
+
+        // Once resting it is no longer moved
+        const centre = ragdoll.getCentre();
+        simulate(ragdoll, 1);
+        expect(ragdoll.getCentre()).toEqual(centre);
+    });
+
+    test('stays out of sloping ground', () => {
+        const normal = new THREE.Vector3(0.3, 1, 0).normalize();
+        const slope = new THREE.Plane().setFromNormalAndCoplanarPoint(normal, new THREE.Vector3());
+        const ragdoll = new Ragdoll(gameConfig.ragdoll, GRAVITY, (x, z) => ({ height: -x * normal.x / normal.y, normal }));
+        ragdoll.start(POSE, LINKS);
+
+        let deepest = Infinity;
+        for (let time = 0; time < 6; time += 1 / 60) {
+            ragdoll.update(1 / 60);
+            for (const name of Object.keys(POSE)) {
+                deepest = Math.min(deepest, slope.distanceToPoint(ragdoll.getPoint(name)));
+            }
+        }
+
+        expect(deepest).toBeGreaterThan(gameConfig.ragdoll.radius - 0.05);
+    });
+
+    test('catches up on a long frame only so far', () => {
+        const ragdoll = new Ragdoll(gameConfig.ragdoll, GRAVITY, () => null);
+        ragdoll.start(POSE, LINKS);
+        const capped = new Ragdoll(gameConfig.ragdoll, GRAVITY, () => null);
+        capped.start(POSE, LINKS);
+        const { timeStep, maxSteps } = gameConfig.ragdoll;
+
+        ragdoll.update(1);
+        for (let i = 0; i < maxSteps; i++) {
+            capped.update(timeStep);
+        }
+
+        expect(ragdoll.getCentre().y).toBeCloseTo(capped.getCentre().y, 9);
+    });
+
+    test('does nothing once stopped', () => {
+        const ragdoll = new Ragdoll(gameConfig.ragdoll, GRAVITY, () => null);
+        ragdoll.start(POSE, LINKS);
+        ragdoll.stop();
+
+        ragdoll.update(1);
+
+        expect(ragdoll.isActive).toBe(false);
+        expect(ragdoll.getCentre()).toEqual(new THREE.Vector3());
+    });
+});
@@ -0,0 +1,87 @@
+/**
+ * Random.js
+ * Seedable pseudo-random number generator shared by all gameplay systems
+ * The same seed always produces the same sequence, so runs can be reproduced
+ */
+
+class Random {
+    /**
+     * Initialize the generator
+     * @param {number|string} seed - Seed to start from (a fresh random seed if omitted)
+     */
+    constructor(seed = Random.createSeed()) {
+        this.seed = 0;
+        this.state = 0;
+
+        this.setSeed(seed);
+    }
+
+    /**
+     * Restart the sequence from a seed
+     * @param {number|string} seed - Numeric seed, or any string (e.g. a date for daily challenges)
+     */
+    setSeed(seed) {
+        this.seed = Random.normalizeSeed(seed);
+        this.state = this.seed;
+    }
+
+    /**
+     * Get the next number in the sequence (mulberry32)
+     * Named like Math.random so this object can be passed where `{ random() }` is expected
+     * @returns {number} - Value in the range [0, 1)
+     */
+    random() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Get a number in a range
+     * @param {number} min - Lower bound (inclusive)
+     * @param {number} max - Upper bound (exclusive)
+     * @returns {number} - Value in the range [min, max)
+     */
+    range(min, max) {
+        return min + this.random() * (max - min);
+    }
+
+    /**
+     * Create a new seed when none was given
+     * @returns {number} - Unsigned 32-bit seed
+     */
+    static createSeed() {
+        return Math.floor(Math.random() * 4294967296) >>> 0;
+    }
+
+    /**
+     * Turn a seed value into an unsigned 32-bit integer
+     * Numeric strings are parsed, other strings are hashed (FNV-1a)
+     * @param {number|string} seed - Seed to normalize
+     * @returns {number} - Unsigned 32-bit seed
+     */
+    static normalizeSeed(seed) {
+        if (typeof seed === 'number' && Number.isFinite(seed)) {
+            return Math.floor(seed) >>> 0;
+        }
+
+        const text = String(seed).trim();
+        if (/^\d+$/.test(text)) {
+            return Number(text) >>> 0;
+        }
+
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+
+        return hash >>> 0;
+    }
+}
+
+export { Random };
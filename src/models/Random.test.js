@@ -0,0 +1,84 @@
+/**
+ * Random.test.js
+ * The seeded generator, its seed hashing, and replaying wind from a seed
+ */
+
+import gameConfig from '../../config/gameConfig.js';
+import { Random } from './Random.js';
+import { Physics } from './Physics.js';
+
+describe('Random', () => {
+    test('gives the mulberry32 sequence for a known seed', () => {
+        const random = new Random(1);
+
+        expect(random.random()).toBe(0.6270739405881613);
+        expect(random.random()).toBe(0.002735721180215478);
+        expect(random.random()).toBe(0.5274470399599522);
+    });
+
+    test('starts the sequence over on reseeding', () => {
+        const random = new Random(42);
+        const first = [random.random(), random.random(), random.random()];
+
+        random.setSeed(42);
+
+        expect([random.random(), random.random(), random.random()]).toEqual(first);
+    });
+
+    test('keeps values in range', () => {
+        const random = new Random(9);
+
+        for (let i = 0; i < 1000; i++) {
+            const value = random.range(-2, 3);
+            expect(value).toBeGreaterThanOrEqual(-2);
+            expect(value).toBeLessThan(3);
+        }
+    });
+
+    test('hashes string seeds with FNV-1a', () => {
+        expect(Random.normalizeSeed('')).toBe(0x811C9DC5);
+        expect(Random.normalizeSeed('a')).toBe(0xE40C292C);
+        expect(Random.normalizeSeed('foobar')).toBe(0xBF9CF968);
+    });
+
+    test('reads numeric seeds as numbers, from strings too', () => {
+        expect(Random.normalizeSeed('12345')).toBe(12345);
+        expect(Random.normalizeSeed(' 12345 ')).toBe(12345);
+        expect(Random.normalizeSeed(12345.9)).toBe(12345);
+        expect(Random.normalizeSeed(-1)).toBe(0xFFFFFFFF);
+        expect(new Random('2026-10-19').seed).toBe(Random.normalizeSeed('2026-10-19'));
+    });
+});
+
+describe('Physics.reset', () => {
+    /**
+     * Record the wind along the rope for a while after a reseed
+     * @param {Physics} physics - Physics drawing from the generator
+     * @param {Random} random - The shared generator
+     * @param {number} seed - Seed to replay
+     * @returns {Array<number>} - Wind samples, a few points along the rope each step
+     */
+    const recordWind = (physics, random, seed) => {
+        random.setSeed(seed);
+        physics.reset();
+
+        const samples = [];
+        for (let i = 0; i < 600; i++) {
+            physics.updateWind(1 / 60);
+            samples.push(physics.getWindAt(0.25), physics.getWindAt(0.5), physics.getWindAt(0.75));
+        }
+        return samples;
+    };
+
+    test('replays the same wind after a reseed', () => {
+        const random = new Random(5);
+        const physics = new Physics(gameConfig.physics, random);
+
+        const first = recordWind(physics, random, 5);
+        const second = recordWind(physics, random, 5);
+
+        expect(first.some((value) => value !== 0)).toBe(true);
+        expect(second).toEqual(first);
+        expect(recordWind(physics, random, 6)).not.toEqual(first);
+    });
+});
@@ -0,0 +1,555 @@
+/**
+ * Rope.js
+ * The rope's shape as plain geometry data, independent of any mesh
+ * Character walks along this curve and Environment builds the rope mesh from it
+ *
+ * At rest the rope hangs in a catenary set by its tension and weight (or by its
+ * length, when that is fixed instead). On top of that it is a tensioned string
+ * of point masses anchored at both platforms.
+ * Each point is displaced sideways and vertically from its resting shape, pulled
+ * back by the tension toward its neighbours, pressed down by the walker's weight,
+ * pushed sideways by the wind and kicked by every step.
+ * The rope is laid in sections, each made from a rope type (see RopeTypeRegistry)
+ * that sets its stretch, bounce, grip, wear and look
+ */
+
+import * as THREE from 'three';
+import gameConfig from '../../config/gameConfig.js';
+
+class Rope {
+    /**
+     * Initialize the rope between two anchor points
+     * @param {THREE.Vector3} startPoint - Anchor at the start platform
+     * @param {THREE.Vector3} endPoint - Anchor at the end platform
+     * @param {Object} config - Environment settings (defaults to gameConfig.environment)
+     * @param {Object} dynamics - Rope dynamics settings (defaults to gameConfig.rope)
+     * @param {number} gravity - Downward acceleration (defaults to gameConfig.physics.gravity)
+     * @param {Array<Object>} sections - { from, to, type } covering the rope in order (defaults to all standard rope)
+     */
+    constructor(startPoint, endPoint, config = gameConfig.environment, dynamics = gameConfig.rope,
+        gravity = gameConfig.physics.gravity, sections = [{ from: 0, to: 1, type: gameConfig.ropeTypes.standard }]) {
+        this.startPoint = startPoint.clone();
+        this.endPoint = endPoint.clone();
+        this.dynamics = dynamics;
+        this.gravity = gravity;
+
+        // Rope properties
+        this.segments = config.ropeSegments;
+        this.thickness = config.ropeThickness;
+
+        // Horizontal span, climb and sideways direction between the anchors
+        this.spanDirection = new THREE.Vector3();
+        this.lateralAxis = new THREE.Vector3();
+        this.updateSpan();
+
+        // Catenary shape, and the tension and length that go with it
+        this.solveCatenary();
+
+        // Length and tension as tied, which moving anchors stretch or slacken
+        this.restLength = this.length;
+        this.restTension = this.tension;
+
+        // Spring constant between neighbouring points and the rope's own mass at each point
+        const segmentLength = this.length / this.segments;
+        this.stiffness = this.tension / segmentLength;
+        this.nodeMass = dynamics.linearDensity * segmentLength;
+
+        // Stretches of rope by type, with how worn each one is
+        this.sections = sections.map((section) => ({ ...section, wear: 0, frayed: false }));
+
+        // Resting shape and the live points the curve runs through
+        this.restPoints = this.createRestPoints();
+        this.points = this.restPoints.map((point) => point.clone());
+
+        // Displacement from rest and its speed, per point: x = sideways, y = vertical
+        this.offsets = this.restPoints.map(() => new THREE.Vector2());
+        this.velocities = this.restPoints.map(() => new THREE.Vector2());
+
+        // Walker standing on the rope, null while on a platform
+        this.load = null;
+
+        // Curve the walker follows (0 = start, 1 = end)
+        this.curve = new THREE.CatmullRomCurve3(this.points);
+
+        // Spring constant of each link between point i and point i + 1, from the section it lies in along the curve
+        this.linkStiffness = new Array(this.segments).fill(this.stiffness);
+        this.updateLinkStiffness();
+    }
+
+    /**
+     * Work out the horizontal span, climb and sideways axis from the anchors
+     * @private
+     */
+    updateSpan() {
+        this.spanDirection.subVectors(this.endPoint, this.startPoint).setY(0);
+        this.span = this.spanDirection.length();
+        this.spanDirection.normalize();
+        this.rise = this.endPoint.y - this.startPoint.y;
+
+        // Sideways is horizontal and square to the span (+x when walking toward -z)
+        this.lateralAxis.crossVectors(this.spanDirection, new THREE.Vector3(0, 1, 0)).normalize();
+    }
+
+    /**
+     * Work out the catenary y = a·cosh((x - x0) / a) + c through both anchors
+     * x runs horizontally from the start anchor and y is height above it.
+     * The parameter a is horizontal tension over weight per metre, so it comes
+     * straight from the tension, or is searched for when the length is fixed.
+     * @private
+     */
+    solveCatenary() {
+        const weightPerMetre = this.dynamics.linearDensity * this.gravity;
+        const { length } = this.dynamics;
+        const chord = Math.hypot(this.span, this.rise);
+
+        if (length && length <= chord) {
+            console.warn(`Rope length ${length} cannot span anchors ${chord.toFixed(2)} apart, using tension instead`);
+        }
+
+        const a = length > chord
+            ? this.findCatenaryParameter(Math.sqrt(length * length - this.rise * this.rise))
+            : this.dynamics.tension / weightPerMetre;
+
+        this.setCatenaryParameter(a);
+    }
+
+    /**
+     * Work out the catenary for anchors that have moved since the rope was tied
+     * The rope keeps its length, give or take how far the new tension stretches it:
+     * anchors pulled apart tighten it, anchors brought together let it sag.
+     * Solves length(a) = restLength · (1 + (a·w - restTension) / elasticity), whose
+     * left side falls and right side rises as a grows.
+     * @private
+     */
+    solveStretchedCatenary() {
+        const weightPerMetre = this.dynamics.linearDensity * this.gravity;
+        const { elasticity } = this.dynamics;
+        const halfSpan = this.span / 2;
+        let low = halfSpan / 50;
+        let high = halfSpan * 1e6;
+
+        for (let i = 0; i < 100; i++) {
+            const a = Math.sqrt(low * high);
+            const hanging = Math.hypot(2 * a * Math.sinh(halfSpan / a), this.rise);
+            const stretched = this.restLength * (1 + (a * weightPerMetre - this.restTension) / elasticity);
+            if (hanging > stretched) {
+                low = a;
+            } else {
+                high = a;
+            }
+        }
+
+        this.setCatenaryParameter(Math.sqrt(low * high));
+    }
+
+    /**
+     * Set the catenary's shape, and the tension, length and sag that go with it
+     * @param {number} a - Catenary parameter, horizontal tension over weight per metre
+     * @private
+     */
+    setCatenaryParameter(a) {
+        const weightPerMetre = this.dynamics.linearDensity * this.gravity;
+
+        // Lowest point of the curve (may lie beyond an anchor when one end is much higher)
+        this.catenaryParameter = a;
+        this.vertexX = this.span / 2 - a * Math.asinh(this.rise / (2 * a * Math.sinh(this.span / (2 * a))));
+        this.vertexY = -a * Math.cosh(this.vertexX / a);
+
+        this.tension = a * weightPerMetre;
+        this.length = a * (Math.sinh((this.span - this.vertexX) / a) + Math.sinh(this.vertexX / a));
+        this.sag = this.rise / 2 - this.getRestHeight(this.span / 2);
+    }
+
+    /**
+     * Find the catenary parameter for a rope of fixed length
+     * Solves 2a·sinh(span / 2a) = target, whose left side falls as a grows
+     * @param {number} target - √(length² - rise²)
+     * @returns {number} - Catenary parameter a
+     * @private
+     */
+    findCatenaryParameter(target) {
+        const halfSpan = this.span / 2;
+        let low = halfSpan / 50; // Deep sag, far past any playable rope
+        let high = halfSpan * 1e6; // Practically straight
+
+        for (let i = 0; i < 100; i++) {
+            const a = Math.sqrt(low * high);
+            if (2 * a * Math.sinh(halfSpan / a) > target) {
+                low = a;
+            } else {
+                high = a;
+            }
+        }
+
+        return Math.sqrt(low * high);
+    }
+
+    /**
+     * Height of the resting rope above the start anchor
+     * @param {number} x - Horizontal distance from the start anchor
+     * @returns {number} - Height (negative = below the start anchor)
+     * @private
+     */
+    getRestHeight(x) {
+        const a = this.catenaryParameter;
+        return a * Math.cosh((x - this.vertexX) / a) + this.vertexY;
+    }
+
+    /**
+     * Build the resting rope points along the catenary
+     * @returns {Array<THREE.Vector3>} - Points from the start anchor to the end anchor
+     */
+    createRestPoints() {
+        const ropePoints = [];
+
+        for (let i = 0; i <= this.segments; i++) {
+            const x = this.span * i / this.segments;
+
+            const point = this.startPoint.clone().addScaledVector(this.spanDirection, x);
+            point.y += this.getRestHeight(x);
+
+            ropePoints.push(point);
+        }
+
+        return ropePoints;
+    }
+
+    /**
+     * Move the anchors, e.g. with moving platforms
+     * The rope rehangs between them at its new tension, keeping its sway
+     * @param {THREE.Vector3} startPoint - New anchor at the start platform
+     * @param {THREE.Vector3} endPoint - New anchor at the end platform
+     */
+    setAnchors(startPoint, endPoint) {
+        this.startPoint.copy(startPoint);
+        this.endPoint.copy(endPoint);
+        this.updateSpan();
+        this.solveStretchedCatenary();
+
+        // Tighter rope pulls back harder (the rope's mass stays what it was)
+        this.stiffness = this.tension / (this.length / this.segments);
+
+        this.createRestPoints().forEach((point, i) => this.restPoints[i].copy(point));
+        this.updatePoints();
+        this.updateLinkStiffness();
+    }
+
+    /**
+     * Put the rope back at rest with no one on it
+     */
+    reset() {
+        for (let i = 0; i <= this.segments; i++) {
+            this.offsets[i].set(0, 0);
+            this.velocities[i].set(0, 0);
+        }
+
+        this.load = null;
+        this.updatePoints();
+
+        // Frayed stretches are whole again
+        for (const section of this.sections) {
+            section.wear = 0;
+            section.frayed = false;
+        }
+        this.updateLinkStiffness();
+    }
+
+    /**
+     * Get the section of rope at a point
+     * @param {number} t - Rope parameter (0 = start, 1 = end)
+     * @returns {Object} - Section as { from, to, type, wear, frayed }
+     */
+    getSectionAt(t) {
+        return this.sections.find((section) => t < section.to) || this.sections[this.sections.length - 1];
+    }
+
+    /**
+     * Get the rope type at a point
+     * @param {number} t - Rope parameter (0 = start, 1 = end)
+     * @returns {Object} - Rope type from the RopeTypeRegistry
+     */
+    getTypeAt(t) {
+        return this.getSectionAt(t).type;
+    }
+
+    /**
+     * Wear the rope where a step lands
+     * @param {number} t - Rope parameter (0 = start, 1 = end)
+     * @returns {boolean} - True if this step made the section give way
+     */
+    wear(t) {
+        const section = this.getSectionAt(t);
+        if (section.frayed || !section.type.wearPerStep) return false;
+
+        section.wear += section.type.wearPerStep;
+        if (section.wear < 1) return false;
+
+        section.frayed = true;
+        this.updateLinkStiffness();
+        return true;
+    }
+
+    /**
+     * Work out each link's spring constant from the section it lies in
+     * @private
+     */
+    updateLinkStiffness() {
+        for (let i = 0; i < this.segments; i++) {
+            const middle = (this.getNodeParameter(i) + this.getNodeParameter(i + 1)) / 2;
+            const { type, frayed } = this.getSectionAt(middle);
+            this.linkStiffness[i] = this.stiffness * type.stiffness * (frayed ? type.frayedStiffness : 1);
+        }
+    }
+
+    /**
+     * Set who is standing on the rope
+     * @param {number} t - Rope parameter where they stand (0 = start, 1 = end)
+     * @param {number} mass - Their mass
+     */
+    setLoad(t, mass) {
+        this.load = { t, mass };
+    }
+
+    /**
+     * Take the load off the rope
+     */
+    clearLoad() {
+        this.load = null;
+    }
+
+    /**
+     * Kick the rope at a point, e.g. when a foot lands
+     * @param {number} t - Rope parameter (0 = start, 1 = end)
+     * @param {number} lateral - Sideways speed to add (positive = right)
+     * @param {number} vertical - Vertical speed to add (negative = down)
+     */
+    applyImpulse(t, lateral, vertical) {
+        this.forEachNeighbour(t, (i, share) => {
+            // Anchors never move
+            if (i === 0 || i === this.segments) return;
+
+            this.velocities[i].x += lateral * share;
+            this.velocities[i].y += vertical * share;
+        });
+    }
+
+    /**
+     * Advance the rope simulation
+     * @param {number} deltaTime - Time since last update in seconds
+     * @param {Function} windAt - Returns the signed wind at a rope parameter
+     */
+    update(deltaTime, windAt = () => 0) {
+        const { damping, windLoad } = this.dynamics;
+
+        // Share of the walker's mass carried by each point
+        const loadMasses = this.offsets.map(() => 0);
+        if (this.load) {
+            this.forEachNeighbour(this.load.t, (i, share) => {
+                loadMasses[i] = this.load.mass * share;
+            });
+        }
+
+        // Tension pulls each point toward its neighbours (anchors never move)
+        const accelerations = this.offsets.map(() => new THREE.Vector2());
+        for (let i = 1; i < this.segments; i++) {
+            const previous = this.offsets[i - 1];
+            const current = this.offsets[i];
+            const next = this.offsets[i + 1];
+            const backLink = this.linkStiffness[i - 1];
+            const forwardLink = this.linkStiffness[i];
+            const mass = this.nodeMass + loadMasses[i];
+
+            const lateralForce = backLink * (previous.x - current.x) + forwardLink * (next.x - current.x)
+                + windLoad * windAt(this.getNodeParameter(i));
+            const verticalForce = backLink * (previous.y - current.y) + forwardLink * (next.y - current.y)
+                - loadMasses[i] * this.gravity;
+
+            accelerations[i].set(lateralForce / mass, verticalForce / mass);
+        }
+
+        // Semi-implicit Euler with damping, stable for the configured tension at the fixed step
+        const dampingFactor = Math.max(0, 1 - damping * deltaTime);
+        for (let i = 1; i < this.segments; i++) {
+            const velocity = this.velocities[i];
+            velocity.addScaledVector(accelerations[i], deltaTime).multiplyScalar(dampingFactor);
+            this.offsets[i].addScaledVector(velocity, deltaTime);
+        }
+
+        this.updatePoints();
+    }
+
+    /**
+     * Move the curve's points to rest position plus offset
+     * @private
+     */
+    updatePoints() {
+        for (let i = 0; i <= this.segments; i++) {
+            this.points[i]
+                .copy(this.restPoints[i])
+                .addScaledVector(this.lateralAxis, this.offsets[i].x);
+            this.points[i].y += this.offsets[i].y;
+        }
+
+        this.curve.updateArcLengths();
+    }
+
+    /**
+     * Find where a rope parameter falls among the rope points
+     * The rope parameter runs by distance along the curve, as getPointAt does, while the
+     * points are spaced evenly across the ground, so on a sagging rope the two differ
+     * @param {number} t - Rope parameter (0 = start, 1 = end)
+     * @returns {number} - Point index, with the fraction of the way on to the next point
+     * @private
+     */
+    getNodePosition(t) {
+        return this.curve.getUtoTmapping(Math.max(0, Math.min(1, t))) * this.segments;
+    }
+
+    /**
+     * Get the rope parameter of a rope point, the reverse of getNodePosition
+     * @param {number} i - Point index (0 = start anchor, segments = end anchor)
+     * @returns {number} - Rope parameter (0 = start, 1 = end)
+     * @private
+     */
+    getNodeParameter(i) {
+        const lengths = this.curve.getLengths();
+        const divisions = lengths.length - 1;
+        const position = (i / this.segments) * divisions;
+        const index = Math.min(divisions - 1, Math.floor(position));
+        const length = lengths[index] + (lengths[index + 1] - lengths[index]) * (position - index);
+
+        return length / lengths[divisions];
+    }
+
+    /**
+     * Call back for the two rope points either side of a rope parameter
+     * @param {number} t - Rope parameter (0 = start, 1 = end)
+     * @param {Function} callback - Called as callback(index, share), shares add up to 1
+     * @private
+     */
+    forEachNeighbour(t, callback) {
+        const position = this.getNodePosition(t);
+        const index = Math.min(this.segments - 1, Math.floor(position));
+        const fraction = position - index;
+
+        callback(index, 1 - fraction);
+        callback(index + 1, fraction);
+    }
+
+    /**
+     * Get how fast the rope is moving sideways at a point
+     * @param {number} t - Rope parameter (0 = start, 1 = end)
+     * @returns {number} - Sideways speed (positive = moving right)
+     */
+    getLateralVelocityAt(t) {
+        let velocity = 0;
+        this.forEachNeighbour(t, (i, share) => {
+            velocity += this.velocities[i].x * share;
+        });
+        return velocity;
+    }
+
+    /**
+     * Get how far the rope is pushed sideways from its resting shape at a point
+     * @param {number} t - Rope parameter (0 = start, 1 = end)
+     * @returns {number} - Sideways offset in metres (positive = right)
+     */
+    getLateralOffsetAt(t) {
+        let offset = 0;
+        this.forEachNeighbour(t, (i, share) => {
+            offset += this.offsets[i].x * share;
+        });
+        return offset;
+    }
+
+    /**
+     * Get roughly how fast the rope swings sideways with a load on it
+     * The stretches either side of the load pull it back like two springs,
+     * against the load and a third of the rope's own mass
+     * @param {number} t - Rope parameter where the load is (0 = start, 1 = end)
+     * @param {number} mass - The load's mass
+     * @returns {number} - Angular frequency of the swing (radians per second)
+     */
+    getSwayFrequency(t, mass) {
+        const shortest = this.length / this.segments;
+        const before = Math.max(shortest, t * this.length);
+        const after = Math.max(shortest, (1 - t) * this.length);
+        const stiffness = this.tension / before + this.tension / after;
+
+        return Math.sqrt(stiffness / (mass + this.nodeMass * this.segments / 3));
+    }
+
+    /**
+     * Get the steepness of the resting rope in the walking direction
+     * Uses the catenary rather than the live shape, so the dip the walker
+     * presses into the rope does not count as climbing. The rope parameter is
+     * taken as the share of the rope's length walked, like everywhere else:
+     * the length from the start anchor, a·(sinh((x - x0) / a) + sinh(x0 / a)),
+     * gives the slope sinh((x - x0) / a) straight back.
+     * @param {number} t - Rope parameter (0 = start, 1 = end)
+     * @returns {number} - Rise over run (positive = uphill)
+     */
+    getSlopeAt(t) {
+        const a = this.catenaryParameter;
+        const walked = Math.max(0, Math.min(1, t)) * this.length;
+        return walked / a - Math.sinh(this.vertexX / a);
+    }
+
+    /**
+     * Create a curve that follows one section of the rope
+     * It samples the live rope, so call its updateArcLengths() after the rope moves
+     * @param {Object} section - Section from this.sections
+     * @returns {THREE.Curve} - Curve from the section's start (0) to its end (1)
+     */
+    createSectionCurve(section) {
+        return new RopeSectionCurve(this.curve, section.from, section.to);
+    }
+
+    /**
+     * Get a point on the rope
+     * @param {number} t - Rope parameter (0 = start, 1 = end)
+     * @returns {THREE.Vector3} - World position on the rope's centre line
+     */
+    getPointAt(t) {
+        return this.curve.getPointAt(t);
+    }
+
+    /**
+     * Get the rope direction at a point
+     * @param {number} t - Rope parameter (0 = start, 1 = end)
+     * @returns {THREE.Vector3} - Unit tangent pointing toward the end of the rope
+     */
+    getTangentAt(t) {
+        return this.curve.getTangentAt(t);
+    }
+}
+
+/**
+ * Part of the rope curve, reparameterised to run from 0 to 1
+ * @private
+ */
+class RopeSectionCurve extends THREE.Curve {
+    /**
+     * @param {THREE.Curve} curve - Whole rope curve
+     * @param {number} from - Rope parameter where the section starts
+     * @param {number} to - Rope parameter where the section ends
+     */
+    constructor(curve, from, to) {
+        super();
+        this.curve = curve;
+        this.from = from;
+        this.to = to;
+    }
+
+    /**
+     * Get a point on the section
+     * @param {number} u - Section parameter (0 = section start, 1 = section end)
+     * @param {THREE.Vector3} target - Vector to write into
+     * @returns {THREE.Vector3} - Point on the rope
+     */
+    getPoint(u, target = new THREE.Vector3()) {
+        return target.copy(this.curve.getPointAt(this.from + (this.to - this.from) * u));
+    }
+}
+
+export { Rope };
@@ -0,0 +1,306 @@
+/**
+ * Rope.test.js
+ * The rope's resting shape, how it gives under the walker and how it sways
+ */
+
+import * as THREE from 'three';
+import gameConfig from '../../config/gameConfig.js';
+import { Rope } from './Rope.js';
+import { RopeTypeRegistry } from './RopeTypeRegistry.js';
+import { loadLevelConfig, createRun, balancingBot, runUntil } from './testHelpers.js';
+
+const FIXED_STEP = gameConfig.simulation.fixedTimeStep;
+
+/**
+ * Hang a rope between two anchors at the same height
+ * @param {Object} dynamics - Overrides for gameConfig.rope
+ * @returns {Rope} - Rope at rest
+ */
+function createRope(dynamics = {}) {
+    return new Rope(
+        new THREE.Vector3(0, 10, 0),
+        new THREE.Vector3(0, 10, -30),
+        gameConfig.environment,
+        { ...gameConfig.rope, ...dynamics }
+    );
+}
+
+/**
+ * Advance a rope for a while
+ * @param {Rope} rope - Rope to step
+ * @param {number} seconds - Time to simulate
+ * @param {Function} windAt - Signed wind at a rope parameter
+ */
+function settle(rope, seconds, windAt) {
+    for (let time = 0; time < seconds; time += FIXED_STEP) {
+        rope.update(FIXED_STEP, windAt);
+    }
+}
+
+describe('Rope', () => {
+    describe('sag and sway', () => {
+        test('hangs lowest in the middle between level anchors', () => {
+            const rope = createRope();
+
+            const middle = rope.getPointAt(0.5);
+            expect(rope.sag).toBeGreaterThan(0);
+            expect(middle.y).toBeCloseTo(10 - rope.sag, 3);
+            expect(rope.getPointAt(0.25).y).toBeGreaterThan(middle.y);
+            expect(rope.getPointAt(0.75).y).toBeGreaterThan(middle.y);
+        });
+
+        test('dips under the walker, more for a heavier one, and keeps its anchors', () => {
+            const dip = (mass) => {
+                const rope = createRope();
+                const rest = rope.getPointAt(0.3).y;
+                rope.setLoad(0.3, mass);
+                settle(rope, 10);
+                expect(rope.points[0].y).toBe(10);
+                expect(rope.points[rope.segments].y).toBe(10);
+                return rest - rope.getPointAt(0.3).y;
+            };
+
+            const light = dip(50);
+            const heavy = dip(100);
+            expect(light).toBeGreaterThan(0);
+            expect(heavy).toBeGreaterThan(light);
+        });
+
+        test('springs back to rest once the load is taken off', () => {
+            const rope = createRope();
+            const rest = rope.getPointAt(0.5).y;
+            rope.setLoad(0.5, 80);
+            settle(rope, 5);
+            rope.clearLoad();
+            settle(rope, 20);
+
+            expect(rope.getPointAt(0.5).y).toBeCloseTo(rest, 2);
+        });
+
+        test('sways from a sideways kick and the swing dies away', () => {
+            const rope = createRope();
+            rope.applyImpulse(0.5, 1, 0);
+
+            expect(rope.getLateralVelocityAt(0.5)).toBeGreaterThan(0);
+            settle(rope, 0.2);
+            const early = Math.abs(rope.getLateralOffsetAt(0.5));
+            expect(early).toBeGreaterThan(0);
+            settle(rope, 20);
+            expect(Math.abs(rope.getLateralOffsetAt(0.5))).toBeLessThan(early / 10);
+        });
+
+        test('is blown the way the wind blows', () => {
+            const right = createRope();
+            const left = createRope();
+            settle(right, 5, () => 1);
+            settle(left, 5, () => -1);
+
+            expect(right.getLateralOffsetAt(0.5)).toBeGreaterThan(0);
+            expect(left.getLateralOffsetAt(0.5)).toBeCloseTo(-right.getLateralOffsetAt(0.5), 6);
+        });
+
+        test('swings faster when tighter and slower under a heavier walker', () => {
+            const slack = createRope({ tension: 8000 });
+            const tight = createRope({ tension: 30000 });
+
+            expect(tight.getSwayFrequency(0.5, 70)).toBeGreaterThan(slack.getSwayFrequency(0.5, 70));
+            expect(tight.getSwayFrequency(0.5, 120)).toBeLessThan(tight.getSwayFrequency(0.5, 70));
+        });
+
+        test('dips where the walker stands during a run', () => {
+            const simulation = createRun(loadLevelConfig('twin-peaks'), 1);
+            const character = simulation.character;
+            expect(runUntil(simulation, balancingBot, () => !character.isOnPlatform && character.position > 0.4)).toBe(true);
+
+            const rope = character.getCurrentRope();
+            const loaded = rope.getPointAt(character.position).y;
+            rope.reset();
+
+            expect(rope.getPointAt(character.position).y - loaded).toBeGreaterThan(0.01);
+        });
+
+        test('comes back to rest on reset', () => {
+            const rope = createRope();
+            const rest = rope.points.map((point) => point.clone());
+            rope.setLoad(0.4, 70);
+            rope.applyImpulse(0.4, 2, -1);
+            settle(rope, 1, () => 0.5);
+
+            rope.reset();
+
+            expect(rope.load).toBe(null);
+            rope.points.forEach((point, i) => expect(point.distanceTo(rest[i])).toBeLessThan(1e-9));
+        });
+    });
+
+    describe('catenary and slope', () => {
+        test('sags less the tighter it is pulled', () => {
+            const slack = createRope({ tension: 8000 });
+            const tight = createRope({ tension: 30000 });
+
+            expect(slack.tension).toBeCloseTo(8000, 6);
+            expect(tight.tension).toBeCloseTo(30000, 6);
+            expect(tight.sag).toBeLessThan(slack.sag);
+            expect(tight.length).toBeLessThan(slack.length);
+            expect(tight.length).toBeGreaterThan(30);
+        });
+
+        test('works the tension out from a fixed length', () => {
+            const short = createRope({ length: 30.5 });
+            const long = createRope({ length: 32 });
+
+            expect(short.length).toBeCloseTo(30.5, 6);
+            expect(long.length).toBeCloseTo(32, 6);
+            expect(short.tension).toBeGreaterThan(long.tension);
+            expect(short.sag).toBeLessThan(long.sag);
+        });
+
+        test('runs downhill to the low point and uphill after it', () => {
+            const rope = createRope();
+
+            expect(rope.getSlopeAt(0)).toBeLessThan(0);
+            expect(rope.getSlopeAt(0.5)).toBeCloseTo(0, 6);
+            expect(rope.getSlopeAt(1)).toBeCloseTo(-rope.getSlopeAt(0), 6);
+        });
+
+        test('gives the slope of the resting curve at the length walked', () => {
+            const rope = new Rope(
+                new THREE.Vector3(0, 10, 0),
+                new THREE.Vector3(0, 14, -30),
+                gameConfig.environment,
+                { ...gameConfig.rope, tension: 6000 }
+            );
+            const span = (a, b) => Math.hypot(b.x - a.x, b.z - a.z);
+
+            for (const t of [0.1, 0.3, 0.5, 0.7, 0.9]) {
+                const before = rope.getPointAt(t - 0.001);
+                const after = rope.getPointAt(t + 0.001);
+                expect(rope.getSlopeAt(t)).toBeCloseTo((after.y - before.y) / span(before, after), 2);
+            }
+        });
+
+        test('takes longer over uphill steps than downhill ones during a run', () => {
+            const simulation = createRun(loadLevelConfig('windy-ridge'), 1);
+            const character = simulation.character;
+            const downhill = [];
+            const uphill = [];
+            character.addListener('stepStart', () => {
+                const middle = (character.stepStartPosition + character.stepTargetPosition) / 2;
+                const slope = character.getCurrentRope().getSlopeAt(middle);
+                if (slope < -0.03) downhill.push(character.currentStepTime);
+                if (slope > 0.03) uphill.push(character.currentStepTime);
+            });
+
+            simulation.run(balancingBot, { maxTime: 120 });
+
+            expect(downhill.length).toBeGreaterThan(0);
+            expect(uphill.length).toBeGreaterThan(0);
+            expect(Math.max(...downhill)).toBeLessThan(character.stepTime);
+            expect(Math.min(...uphill)).toBeGreaterThan(character.stepTime);
+        });
+    });
+
+    describe('sections', () => {
+        const ropeTypes = new RopeTypeRegistry();
+
+        /**
+         * Hang a rope with standard rope either side of one section of another type
+         * @param {string} type - Rope type id for the middle section
+         * @returns {Rope} - Rope at rest
+         */
+        const createMixedRope = (type) => new Rope(
+            new THREE.Vector3(0, 10, 0),
+            new THREE.Vector3(0, 10, -30),
+            gameConfig.environment,
+            gameConfig.rope,
+            gameConfig.physics.gravity,
+            [
+                { from: 0, to: 0.4, type: ropeTypes.get('standard') },
+                { from: 0.4, to: 0.6, type: ropeTypes.get(type) },
+                { from: 0.6, to: 1, type: ropeTypes.get('standard') }
+            ]
+        );
+
+        test('fills in anything a rope type leaves out from the standard rope', () => {
+            const elastic = ropeTypes.get('elastic');
+
+            expect(elastic.id).toBe('elastic');
+            expect(elastic.slipChance).toBe(0);
+            expect(elastic.material.metalness).toBe(0);
+            expect(ropeTypes.getIds()[0]).toBe('standard');
+        });
+
+        test('finds the section and type under a point on the rope', () => {
+            const rope = createMixedRope('icy');
+
+            expect(rope.getTypeAt(0.2).id).toBe('standard');
+            expect(rope.getTypeAt(0.5).id).toBe('icy');
+            expect(rope.getSectionAt(0.6).from).toBe(0.6);
+            expect(rope.getTypeAt(1).id).toBe('standard');
+        });
+
+        test('dips deeper on a stretchy section', () => {
+            const dip = (type) => {
+                const rope = createMixedRope(type);
+                const rest = rope.getPointAt(0.5).y;
+                rope.setLoad(0.5, 70);
+                settle(rope, 10);
+                return rest - rope.getPointAt(0.5).y;
+            };
+
+            expect(dip('elastic')).toBeGreaterThan(dip('standard'));
+        });
+
+        test('gives way once a frayed section is worn through, and is whole again on reset', () => {
+            const rope = createMixedRope('frayed');
+            const middleLink = rope.segments / 2;
+            const whole = rope.linkStiffness[middleLink];
+            const stepsToWear = Math.ceil(1 / ropeTypes.get('frayed').wearPerStep);
+
+            const gaveWay = [];
+            for (let i = 0; i < stepsToWear + 2; i++) {
+                gaveWay.push(rope.wear(0.5));
+            }
+
+            expect(gaveWay.indexOf(true)).toBe(stepsToWear - 1);
+            expect(gaveWay.filter(Boolean)).toHaveLength(1);
+            expect(rope.getSectionAt(0.5).frayed).toBe(true);
+            expect(rope.linkStiffness[middleLink]).toBeCloseTo(whole * ropeTypes.get('frayed').frayedStiffness, 6);
+            expect(rope.wear(0.2)).toBe(false);
+
+            rope.reset();
+            expect(rope.getSectionAt(0.5).frayed).toBe(false);
+            expect(rope.linkStiffness[middleLink]).toBeCloseTo(whole, 6);
+        });
+
+        test('lets a run know when the stretch under the walker gives way', () => {
+            const config = loadLevelConfig('twin-peaks');
+            config.environment.platforms[0].ropeSections = [{ from: 0.2, to: 0.8, type: 'frayed' }];
+            const simulation = createRun(config, 1);
+            const gaveWay = [];
+            simulation.addListener('ropeGiveWay', (section) => gaveWay.push(section));
+
+            simulation.run(balancingBot, { maxTime: 60 });
+
+            expect(gaveWay).toHaveLength(1);
+            expect(gaveWay[0].type.id).toBe('frayed');
+            expect(gaveWay[0].frayed).toBe(true);
+        });
+
+        test('only slips on slippery rope', () => {
+            const simulation = createRun(loadLevelConfig('three-summits'), 4);
+            const character = simulation.character;
+            const slipsOn = new Set();
+            character.addListener('slip', () => {
+                const middle = (character.stepStartPosition + character.stepTargetPosition) / 2;
+                slipsOn.add(character.getCurrentRope().getTypeAt(middle).id);
+            });
+
+            simulation.run(balancingBot, { maxTime: 120 });
+
+            expect(slipsOn.size).toBeGreaterThan(0);
+            expect([...slipsOn].every((id) => ropeTypes.get(id).slipChance > 0)).toBe(true);
+        });
+    });
+});
+
@@ -0,0 +1,78 @@
+/**
+ * RopeTypeRegistry.js
+ * The rope types a course can be built from, looked up by id
+ * Each type sets how the rope stretches and bounces, how likely a step is to
+ * slip, how quickly it wears through and how it looks
+ */
+
+import gameConfig from '../../config/gameConfig.js';
+
+class RopeTypeRegistry {
+    /**
+     * Initialize the registry
+     * @param {Object} types - Rope types by id, including 'standard' (defaults to gameConfig.ropeTypes)
+     */
+    constructor(types = gameConfig.ropeTypes) {
+        this.types = new Map();
+
+        // Standard rope comes first so every other type can fall back on it
+        this.register('standard', types.standard);
+        for (const [id, type] of Object.entries(types)) {
+            if (id !== 'standard') {
+                this.register(id, type);
+            }
+        }
+    }
+
+    /**
+     * Add or replace a rope type
+     * @param {string} id - Id that course sections refer to
+     * @param {Object} type - Type settings, anything missing is taken from the standard rope
+     * @returns {Object} - The complete type
+     */
+    register(id, type) {
+        const standard = this.types.get('standard') || {};
+        const complete = {
+            ...standard,
+            ...type,
+            material: { ...standard.material, ...type.material },
+            id
+        };
+
+        this.types.set(id, complete);
+        return complete;
+    }
+
+    /**
+     * Check whether a rope type exists
+     * @param {string} id - Type id
+     * @returns {boolean} - True if the type is registered
+     */
+    has(id) {
+        return this.types.has(id);
+    }
+
+    /**
+     * Look up a rope type
+     * @param {string} id - Type id
+     * @returns {Object} - The type, or the standard rope if the id is unknown
+     */
+    get(id) {
+        if (!this.types.has(id)) {
+            console.warn(`Unknown rope type: ${id}`);
+            return this.types.get('standard');
+        }
+
+        return this.types.get(id);
+    }
+
+    /**
+     * Get the ids of all registered rope types
+     * @returns {Array<string>} - Type ids in registration order
+     */
+    getIds() {
+        return [...this.types.keys()];
+    }
+}
+
+export { RopeTypeRegistry };
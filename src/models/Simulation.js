@@ -0,0 +1,512 @@
+/**
+ * Simulation.js
+ * Headless core of a crossing: course, character, balance physics and wind
+ * Runs on plain data without WebGL or the DOM, so crossings can be unit-tested,
+ * driven by bots or run in bulk for balancing. Game steps it and its views
+ * subscribe to the 'step', 'finish', 'reset', 'checkpoint', 'ropeGiveWay', 'obstacleHit', 'pickup',
+ * 'powerUpStart', 'powerUpEnd', 'balanceSaved', 'fallStart', 'ropeGrabbed', 'climbedBack', 'fallDrop'
+ * and 'stepTimed' events.
+ * Losing balance starts a fall the walker can still recover from by grabbing the rope
+ * and climbing back up; the run only ends as FELL once they have dropped for good.
+ * Platforms between the first and last are checkpoints a fallen run can resume from.
+ * In rhythm mode every step is pressed on its own and judged against the rope's swing.
+ * On the rope the walker can also step back, pull back a step or turn round, and walking
+ * back off the start of a rope returns them to the platform behind it.
+ *
+ * Example (Node):
+ *   const simulation = new Simulation(gameConfig, new Random(42));
+ *   const result = simulation.run((sim) => sim.character.moveForward());
+ */
+
+import gameConfig from '../../config/gameConfig.js';
+import { EventEmitter } from './EventEmitter.js';
+import { Random } from './Random.js';
+import { Course } from './Course.js';
+import { RopeTypeRegistry } from './RopeTypeRegistry.js';
+import { Physics } from './Physics.js';
+import { Character } from './Character.js';
+import { ObstacleSet } from './ObstacleSet.js';
+import { PowerUpSet } from './PowerUpSet.js';
+import { FallSequence } from './FallSequence.js';
+import { StepRhythm } from './StepRhythm.js';
+
+class Simulation extends EventEmitter {
+    /**
+     * Initialize the simulation
+     * @param {Object} config - Resolved game configuration (defaults to gameConfig)
+     * @param {Random} random - Shared random number generator
+     */
+    constructor(config = gameConfig, random = new Random()) {
+        super();
+
+        this.config = config;
+        this.random = random;
+
+        // Core models
+        this.ropeTypes = new RopeTypeRegistry(config.ropeTypes);
+        this.course = new Course(config.environment, config.rope, config.physics.gravity, this.ropeTypes);
+        this.physics = new Physics(config.physics, random);
+        this.character = new Character(this.course, config.character, random);
+        this.obstacles = new ObstacleSet(this.course, config.environment.obstacles, config.obstacleTypes, random);
+        this.powerUps = new PowerUpSet(this.course, config.environment.pickups, config.powerUpTypes);
+        this.fall = new FallSequence(config.fall, config.physics.gravity);
+        this.rhythm = new StepRhythm(config.rhythm);
+        this.character.setRhythmMode(config.rhythm.enabled);
+
+        // Each step shakes the rope
+        this.onStepStart = this.onStepStart.bind(this);
+        this.character.addListener('stepStart', this.onStepStart);
+
+        // Reaching a platform mid-course saves a checkpoint
+        this.onEnterPlatform = this.onEnterPlatform.bind(this);
+        this.character.addListener('enterPlatform', this.onEnterPlatform);
+
+        // Furthest platform reached this run, and the run time it was reached at
+        this.checkpoint = 0;
+        this.checkpointTime = 0;
+
+        // Simulated seconds since the run started
+        this.time = 0;
+
+        // How the run ended: null while running, 'FELL', 'CROSSED' or 'OUT_OF_TIME'
+        this.outcome = null;
+    }
+
+    /**
+     * Start a new run
+     * @param {number|string} seed - Seed to replay (keeps the generator's current sequence if omitted)
+     */
+    reset(seed) {
+        if (seed !== undefined) {
+            this.random.setSeed(seed);
+        }
+
+        this.physics.reset();
+        this.course.resetPlatforms();
+        this.course.resetRopes();
+        this.obstacles.reset();
+        this.powerUps.reset();
+        this.fall.reset();
+        this.rhythm.reset();
+        this.character.resetPosition();
+        this.checkpoint = 0;
+        this.checkpointTime = 0;
+        this.time = 0;
+        this.outcome = null;
+
+        this.notifyListeners('reset', this.random.seed);
+    }
+
+    /**
+     * Carry on a run from the last checkpoint after a fall
+     * The clock goes back to when the checkpoint was reached, so a late fall still leaves
+     * the time the walker had there. They start rested, obstacles start their cycles over
+     * and power-ups in effect end. Power-ups collected stay collected, and a held one stays
+     * in the slot. Wind starts over as on a new run, so the restart plays out the same for
+     * the same seed whatever the wind was doing at the fall; the random sequence carries on.
+     */
+    restartFromCheckpoint() {
+        this.physics.reset();
+        this.course.resetRopes();
+        this.obstacles.reset();
+        this.powerUps.endEffects();
+        this.physics.setModifiers(this.powerUps.modifiers);
+        this.fall.reset();
+        this.character.resetPosition(this.checkpoint);
+        this.time = this.checkpointTime;
+        this.outcome = null;
+
+        this.notifyListeners('reset', this.random.seed);
+    }
+
+    /**
+     * Apply a difficulty preset to physics and character
+     * @param {Object} preset - Entry from gameConfig.difficultyLevels
+     */
+    setDifficulty(preset) {
+        this.physics.setDifficulty(preset);
+        this.character.setDifficulty(preset);
+    }
+
+    /**
+     * Switch between walking on while forward is held and pressing forward for every step in time with the rope
+     * @param {boolean} enabled - Whether to play in rhythm mode
+     */
+    setRhythmMode(enabled) {
+        this.character.setRhythmMode(enabled);
+    }
+
+    /**
+     * Advance the simulation by one step
+     * @param {number} deltaTime - Step length in seconds
+     * @returns {string|null} - The outcome once the run has ended, otherwise null
+     */
+    step(deltaTime) {
+        if (this.outcome) return this.outcome;
+
+        // Power-ups wear off in real time, and a focus slows the rest of the world
+        this.updatePowerUps(deltaTime);
+        const worldTime = deltaTime * this.powerUps.modifiers.timeScale;
+
+        this.time += worldTime;
+
+        // Move the moving platforms, their ropes and anyone standing on them
+        this.updatePlatforms();
+
+        // Apply physics
+        this.physics.applyForces(this.character, worldTime);
+
+        // Share the wind at the character's position with the character
+        this.character.setWindEffect(this.physics.getWind());
+
+        // Move the rope under the walker's weight and the wind
+        this.updateRope(worldTime);
+
+        // Update character (a falling walker has no footing to move on)
+        if (!this.fall.isActive()) {
+            this.character.update(worldTime);
+        }
+
+        // Move the obstacles and knock the walker if they run into one
+        this.updateObstacles(worldTime);
+
+        // Pick up any power-up walked over
+        this.collectPickups();
+
+        // Carry on a fall, or check for losing balance (unless a balance save catches it),
+        // then for reaching the finish platform, then for the clock running out
+        // The clock cannot run out on a walker already dropping
+        const timeLimit = this.config.goals.timeLimit;
+        let outcome = null;
+        if (this.fall.isActive()) {
+            outcome = this.updateFall(worldTime);
+        } else if (!this.physics.checkBalance(this.character) && !this.saveBalance()) {
+            this.startFall();
+        } else if (this.character.isOnPlatform && this.course.isFinalPlatform(this.character.platformIndex)) {
+            outcome = 'CROSSED';
+        }
+        if (!outcome && timeLimit && this.time >= timeLimit && this.fall.phase !== 'DROPPING') {
+            outcome = 'OUT_OF_TIME';
+        }
+
+        // Views draw the final step before hearing the run is over
+        this.notifyListeners('step', worldTime);
+
+        if (outcome) {
+            this.finish(outcome);
+        }
+
+        return this.outcome;
+    }
+
+    /**
+     * Move the platforms to where they are now and carry the character with theirs
+     * @private
+     */
+    updatePlatforms() {
+        const course = this.course;
+        const character = this.character;
+        if (!course.hasMovingPlatforms) return;
+
+        course.movePlatforms(this.time);
+
+        if (character.isOnPlatform) {
+            const { shift, turn } = course.platformMoves[character.platformIndex];
+            character.rideWithPlatform(course.platformPositions[character.platformIndex], shift, turn);
+        }
+    }
+
+    /**
+     * Advance the ropes and tell the character how the one underfoot moves
+     * @param {number} deltaTime - Step length in seconds
+     * @private
+     */
+    updateRope(deltaTime) {
+        const rope = this.character.getCurrentRope();
+        const character = this.character;
+
+        // Only the rope being walked carries the walker, standing or hanging from it
+        const isOnRope = !character.isOnPlatform && this.fall.phase !== 'DROPPING';
+        for (const span of this.course.ropes) {
+            if (span === rope && isOnRope) {
+                span.setLoad(character.position, character.mass);
+            } else {
+                span.clearLoad();
+            }
+
+            span.update(deltaTime, (t) => this.physics.getWindAt(t));
+        }
+
+        // Sway is felt on the next physics step
+        character.setRopeSway(character.isOnPlatform ? 0 : rope.getLateralVelocityAt(character.position));
+
+        // The beat follows the swing underfoot
+        if (character.isRhythmMode && isOnRope) {
+            this.rhythm.update(deltaTime, rope, character.position, character.mass);
+        }
+    }
+
+    /**
+     * Advance the obstacles and apply any hit to the walker's balance
+     * @param {number} deltaTime - Step length in seconds
+     * @private
+     */
+    updateObstacles(deltaTime) {
+        this.obstacles.update(deltaTime);
+
+        // Nothing more can knock a walker who is already falling
+        if (this.fall.isActive()) return;
+
+        const hit = this.obstacles.checkCollisions(this.character);
+        if (hit) {
+            this.character.addBalanceImpulse(hit.disturbance);
+            this.notifyListeners('obstacleHit', hit);
+        }
+    }
+
+    /**
+     * Count down the power-ups in effect and apply what is left of them to the balance system
+     * @param {number} deltaTime - Step length in seconds
+     * @private
+     */
+    updatePowerUps(deltaTime) {
+        for (const effect of this.powerUps.update(deltaTime)) {
+            this.notifyListeners('powerUpEnd', effect);
+        }
+
+        this.physics.setModifiers(this.powerUps.modifiers);
+    }
+
+    /**
+     * Put a power-up the walker passed into their slot
+     * @private
+     */
+    collectPickups() {
+        const pickup = this.powerUps.checkPickups(this.character);
+        if (pickup) {
+            this.notifyListeners('pickup', pickup);
+        }
+    }
+
+    /**
+     * Catch a fall with a balance save, if one is in effect
+     * @returns {boolean} - True if the walker was saved
+     * @private
+     */
+    saveBalance() {
+        const save = this.powerUps.useBalanceSave();
+        if (!save) return false;
+
+        this.character.catchBalance();
+        this.notifyListeners('balanceSaved', save);
+        return true;
+    }
+
+    /**
+     * Tip the walker off the rope, giving them a moment to grab it
+     * @private
+     */
+    startFall() {
+        const direction = Math.sign(this.character.balance) || 1;
+
+        this.character.loseFooting();
+        this.fall.start(direction);
+        this.notifyListeners('fallStart', direction);
+    }
+
+    /**
+     * Advance a fall in progress
+     * @param {number} deltaTime - Step length in seconds
+     * @returns {string|null} - 'FELL' once the walker has dropped for good, otherwise null
+     * @private
+     */
+    updateFall(deltaTime) {
+        const reason = this.fall.update(deltaTime);
+        if (reason) {
+            this.character.letGoOfRope();
+            this.notifyListeners('fallDrop', reason);
+        }
+
+        return this.fall.hasLanded() ? 'FELL' : null;
+    }
+
+    /**
+     * Grab the rope while tipping off it
+     * @returns {boolean} - Whether the grab was in time
+     */
+    grabRope() {
+        if (this.outcome || !this.fall.grab()) return false;
+
+        this.character.hangFromRope();
+        this.notifyListeners('ropeGrabbed');
+        return true;
+    }
+
+    /**
+     * Pull up with one hand while hanging from the rope
+     * Hands have to alternate; the last pull puts the walker back on their feet, balanced
+     * @param {string} hand - 'left' or 'right'
+     * @returns {boolean} - True if this pull got the walker back onto the rope
+     */
+    pullUp(hand) {
+        if (this.outcome || !this.fall.pull(hand)) return false;
+
+        this.fall.reset();
+        this.character.catchBalance();
+        this.notifyListeners('climbedBack');
+        return true;
+    }
+
+    /**
+     * Use the power-up in the walker's slot
+     * Its modifiers take hold from the next step
+     * @returns {Object|null} - The effect started, as { id, type, remaining }, or null if the slot was empty
+     */
+    activatePowerUp() {
+        if (this.outcome) return null;
+
+        const effect = this.powerUps.activate();
+        if (effect) {
+            this.notifyListeners('powerUpStart', effect);
+        }
+        return effect;
+    }
+
+    /**
+     * Kick and wear the rope where a step lands
+     * The sideways kick pushes back against the step's balance disturbance, on whichever side of the rope that is
+     * @param {number} disturbance - Balance disturbance of the step (negative = left)
+     * @private
+     */
+    onStepStart(disturbance) {
+        const { stepSway, stepBounce } = this.config.rope;
+        const rope = this.character.getCurrentRope();
+        const position = this.character.position;
+        const ropeType = rope.getTypeAt(position);
+
+        rope.applyImpulse(position, -disturbance * stepSway * this.character.getSideFactor(), -stepBounce * ropeType.bounce);
+
+        if (this.character.isRhythmMode) {
+            this.judgeStepTiming(disturbance);
+        }
+
+        // A worn-through stretch drops away under the foot
+        if (rope.wear(position)) {
+            this.notifyListeners('ropeGiveWay', rope.getSectionAt(position));
+        }
+    }
+
+    /**
+     * Steady or throw the walker by how near the beat their step was
+     * A step on the beat takes back some of its own disturbance and of the lean;
+     * one off it throws the walker against the rope's swing, harder the further off it is
+     * @param {number} disturbance - Balance disturbance of the step (negative = left)
+     * @private
+     */
+    judgeStepTiming(disturbance) {
+        const { window, steadyEffect, steadyPull, mistimeEffect } = this.config.rhythm;
+        const character = this.character;
+        const timing = this.rhythm.judgeStep(this.time);
+        const offset = 1 - timing.accuracy;
+
+        if (timing.onBeat) {
+            const steadiness = 1 - offset / window;
+            character.addBalanceImpulse(-(disturbance * steadyEffect + character.balance * steadyPull) * steadiness);
+        } else {
+            const direction = -Math.sign(character.ropeSway * character.getSideFactor()) || (this.random.random() < 0.5 ? -1 : 1);
+            character.addBalanceImpulse(direction * mistimeEffect * (offset - window) / (1 - window));
+        }
+
+        this.notifyListeners('stepTimed', timing);
+    }
+
+    /**
+     * Save a checkpoint on reaching a platform before the finish
+     * @param {number} platformIndex - Platform just reached
+     * @private
+     */
+    onEnterPlatform(platformIndex) {
+        // Walking back to a platform already saved saves nothing new
+        if (this.course.isFinalPlatform(platformIndex) || platformIndex === this.checkpoint) return;
+
+        this.checkpoint = platformIndex;
+        this.checkpointTime = this.time;
+        this.notifyListeners('checkpoint', platformIndex);
+    }
+
+    /**
+     * Run a whole crossing in fixed steps
+     * @param {Function} controller - Called as controller(simulation, deltaTime) before each step to set inputs
+     * @param {Object} options - { deltaTime, maxTime } (defaults to the fixed step and two minutes)
+     * @returns {Object} - { outcome, time, position, progress, seed }, outcome is 'TIMEOUT' if maxTime ran out
+     */
+    run(controller = () => {}, options = {}) {
+        const deltaTime = options.deltaTime || this.config.simulation.fixedTimeStep;
+        const maxTime = options.maxTime || 120;
+
+        while (!this.outcome && this.time < maxTime) {
+            controller(this, deltaTime);
+            this.step(deltaTime);
+        }
+
+        return {
+            outcome: this.outcome || 'TIMEOUT',
+            time: this.time,
+            position: this.character.position,
+            progress: this.character.getOverallProgress(),
+            seed: this.random.seed
+        };
+    }
+
+    /**
+     * Get the time left to reach the finish
+     * @returns {number|null} - Seconds left, or null if the run has no time limit
+     */
+    getTimeRemaining() {
+        const timeLimit = this.config.goals.timeLimit;
+        return timeLimit ? Math.max(0, timeLimit - this.time) : null;
+    }
+
+    /**
+     * Get the current state as plain data
+     * @returns {Object} - Snapshot of the run for bots, tests and logs
+     */
+    getSnapshot() {
+        const character = this.character;
+
+        return {
+            time: this.time,
+            outcome: this.outcome,
+            position: character.position,
+            platformIndex: character.platformIndex,
+            progress: character.getOverallProgress(),
+            checkpoint: this.checkpoint,
+            timeRemaining: this.getTimeRemaining(),
+            balance: character.balance,
+            stamina: character.stamina.value,
+            state: character.state,
+            isOnPlatform: character.isOnPlatform,
+            takingStep: character.takingStep,
+            ropeFacing: character.ropeFacing,
+            isTurning: character.isTurning,
+            wind: this.physics.getWind(),
+            gustWarning: this.physics.getGustWarning(character.position),
+            fallPhase: this.fall.phase,
+            beatOffset: character.isRhythmMode ? this.rhythm.getBeatOffset() : null,
+            heldPowerUp: this.powerUps.held,
+            activePowerUps: this.powerUps.active.map(({ id, remaining }) => ({ id, remaining }))
+        };
+    }
+
+    /**
+     * End the run
+     * @param {string} outcome - 'FELL', 'CROSSED' or 'OUT_OF_TIME'
+     * @private
+     */
+    finish(outcome) {
+        this.outcome = outcome;
+        this.notifyListeners('finish', outcome);
+    }
+}
+
+export { Simulation };
@@ -0,0 +1,161 @@
+/**
+ * Simulation.test.js
+ * Headless crossings of the shipped levels, driven by a simple balancing bot
+ */
+
+import { loadLevelConfig, createRun, balancingBot, topplingBot, runUntil } from './testHelpers.js';
+
+describe('Simulation', () => {
+    test('crosses twin-peaks with a fixed seed', () => {
+        const simulation = createRun(loadLevelConfig('twin-peaks'), 1);
+
+        const result = simulation.run(balancingBot, { maxTime: 120 });
+
+        expect(result.outcome).toBe('CROSSED');
+        expect(result.progress).toBe(1);
+        expect(result.seed).toBe(1);
+    });
+
+    test('crosses every span of three-summits, saving the checkpoint on the way', () => {
+        const simulation = createRun(loadLevelConfig('three-summits'), 1);
+        const checkpoints = [];
+        simulation.addListener('checkpoint', (platformIndex) => checkpoints.push(platformIndex));
+
+        const result = simulation.run(balancingBot, { maxTime: 120 });
+
+        expect(result.outcome).toBe('CROSSED');
+        expect(checkpoints).toEqual([1]);
+    });
+
+    test('replays the same run frame by frame from the same seed', () => {
+        const config = loadLevelConfig('windy-ridge');
+        const record = (seed) => {
+            const simulation = createRun(config, seed);
+            const frames = [];
+            simulation.addListener('step', () => frames.push(simulation.getSnapshot()));
+            simulation.run(balancingBot, { maxTime: 10 });
+            return frames;
+        };
+
+        const first = record(7);
+        const second = record(7);
+
+        expect(first.length).toBeGreaterThan(0);
+        expect(second).toEqual(first);
+        expect(record(8)).not.toEqual(first);
+    });
+
+    test('replays a run on the same simulation after reset with its seed', () => {
+        const simulation = createRun(loadLevelConfig('windy-ridge'), 11);
+        const first = simulation.run(balancingBot, { maxTime: 8 });
+        const snapshot = simulation.getSnapshot();
+
+        simulation.reset(99);
+        simulation.run(balancingBot, { maxTime: 8 });
+        simulation.reset(11);
+        const replay = simulation.run(balancingBot, { maxTime: 8 });
+
+        expect(replay).toEqual(first);
+        expect(simulation.getSnapshot()).toEqual(snapshot);
+    });
+
+    test('restarts from a checkpoint the same way whatever the wind was doing at the fall', () => {
+        const config = loadLevelConfig('three-summits');
+        const restart = (disturb) => {
+            const simulation = createRun(config, 1);
+            const onRope = runUntil(simulation, balancingBot, (sim) => sim.checkpoint === 1 && !sim.character.isOnPlatform);
+            expect(onRope).toBe(true);
+            simulation.run(balancingBot, { maxTime: simulation.time + 2 });
+            disturb(simulation.physics);
+
+            simulation.restartFromCheckpoint();
+            const frames = [];
+            simulation.addListener('step', () => frames.push(simulation.getSnapshot()));
+            simulation.run(balancingBot, { maxTime: simulation.time + 5 });
+            return frames;
+        };
+
+        const calm = restart(() => {});
+        const gusty = restart((physics) => {
+            physics.balanceNoiseTimer = 0.3;
+            physics.windForce = 4;
+            physics.wind.baseValue = 6;
+        });
+
+        expect(calm.length).toBeGreaterThan(0);
+        expect(gusty).toEqual(calm);
+    });
+
+    describe('checkpoints', () => {
+        test('restarts a fall after the checkpoint on its platform, with the clock as it was there', () => {
+            const simulation = createRun(loadLevelConfig('shifting-summits'), 1);
+            const character = simulation.character;
+            const checkpoints = [];
+            simulation.addListener('checkpoint', (platformIndex) => checkpoints.push({ platformIndex, time: simulation.time }));
+
+            runUntil(simulation, balancingBot, () => simulation.checkpoint === 1 && character.position > 0.15);
+            expect(simulation.run(topplingBot, { maxTime: 120 }).outcome).toBe('FELL');
+
+            simulation.restartFromCheckpoint();
+
+            expect(simulation.outcome).toBe(null);
+            expect(simulation.time).toBe(checkpoints[0].time);
+            expect(simulation.fall.isActive()).toBe(false);
+            expect(character.isOnPlatform).toBe(true);
+            expect(character.platformIndex).toBe(1);
+            expect(character.stamina.value).toBe(1);
+            expect(simulation.course.ropes.every((rope) => rope.load === null)).toBe(true);
+
+            // Picking up from the checkpoint does not save it again
+            expect(simulation.run(balancingBot, { maxTime: 150 }).outcome).toBe('CROSSED');
+            expect(checkpoints.map((checkpoint) => checkpoint.platformIndex)).toEqual([1]);
+        });
+
+        test('restarts a fall before any checkpoint from the first platform', () => {
+            const simulation = createRun(loadLevelConfig('twin-peaks'), 1);
+            const character = simulation.character;
+
+            runUntil(simulation, balancingBot, () => !character.isOnPlatform && character.position > 0.2);
+            expect(simulation.run(topplingBot, { maxTime: 120 }).outcome).toBe('FELL');
+
+            simulation.restartFromCheckpoint();
+
+            expect(simulation.time).toBe(0);
+            expect(character.isOnPlatform).toBe(true);
+            expect(character.platformIndex).toBe(0);
+        });
+
+        test('ends power-ups in effect on a restart', () => {
+            const simulation = createRun(loadLevelConfig('shifting-summits'), 1);
+
+            runUntil(simulation, (sim) => {
+                balancingBot(sim);
+                sim.activatePowerUp();
+            }, () => simulation.powerUps.active.some((effect) => effect.id === 'calmWind'));
+            expect(simulation.physics.modifiers.windScale).toBe(0);
+            expect(simulation.run(topplingBot, { maxTime: 120 }).outcome).toBe('FELL');
+
+            simulation.restartFromCheckpoint();
+
+            expect(simulation.powerUps.active).toEqual([]);
+            expect(simulation.physics.modifiers.windScale).toBe(1);
+        });
+
+        test('keeps the power-up held and the pickups collected on a restart', () => {
+            const simulation = createRun(loadLevelConfig('shifting-summits'), 1);
+
+            // Use the focus from the first rope to have a free slot for the calm-wind charm
+            runUntil(simulation, (sim) => {
+                balancingBot(sim);
+                if (sim.powerUps.held === 'focus') sim.activatePowerUp();
+            }, () => simulation.powerUps.held === 'calmWind');
+            expect(simulation.run(topplingBot, { maxTime: 120 }).outcome).toBe('FELL');
+
+            simulation.restartFromCheckpoint();
+
+            expect(simulation.powerUps.held).toBe('calmWind');
+            expect(simulation.powerUps.pickups.every((pickup) => pickup.collected)).toBe(true);
+        });
+    });
+});
+
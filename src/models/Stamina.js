@@ -0,0 +1,96 @@
+/**
+ * Stamina.js
+ * How much the walker has left in them
+ * Steps and leaning against a fall use stamina up, and standing still brings it
+ * back, quickly on a platform and slowly on the rope. Once it runs low the walker
+ * tires: random wobbles grow and a tremor shakes their balance. Pacing is a
+ * choice between pushing on and stopping to recover.
+ */
+
+import gameConfig from '../../config/gameConfig.js';
+
+class Stamina {
+    /**
+     * Initialize stamina
+     * @param {Object} config - Stamina settings (defaults to gameConfig.character.stamina)
+     */
+    constructor(config = gameConfig.character.stamina) {
+        this.config = config;
+
+        this.reset();
+    }
+
+    /**
+     * Start fresh
+     */
+    reset() {
+        this.value = 1; // 1 = fresh, 0 = spent
+
+        // Time used to drive the tremor
+        this.time = 0;
+    }
+
+    /**
+     * Use stamina for a step
+     * @param {number} slope - Rise per unit of horizontal distance along the step (negative = downhill)
+     * @param {boolean} isHighStep - Whether the foot is lifted high
+     */
+    spendStep(slope, isHighStep) {
+        const { stepCost, highStepCost, uphillCost } = this.config;
+        const cost = stepCost * (isHighStep ? highStepCost : 1) * (1 + Math.max(0, slope) * uphillCost);
+
+        this.value = Math.max(0, this.value - cost);
+    }
+
+    /**
+     * Use or recover stamina over time
+     * @param {number} deltaTime - Time since last update in seconds
+     * @param {Object} activity - { isOnPlatform, isStepping, correction } where correction is
+     *   how hard the walker leans against a fall (0 to 1)
+     */
+    update(deltaTime, { isOnPlatform, isStepping, correction }) {
+        const { correctionCost, ropeRecovery, platformRecovery } = this.config;
+        this.time += deltaTime;
+
+        let change = -correction * correctionCost;
+        if (isOnPlatform) {
+            change = platformRecovery;
+        } else if (!isStepping && correction === 0) {
+            change = ropeRecovery;
+        }
+
+        this.value = Math.max(0, Math.min(1, this.value + change * deltaTime));
+    }
+
+    /**
+     * Get how tired the walker is
+     * @returns {number} - 0 above the fatigue threshold, rising to 1 when spent
+     */
+    getFatigue() {
+        const threshold = this.config.fatigueThreshold;
+        return this.value >= threshold ? 0 : (threshold - this.value) / threshold;
+    }
+
+    /**
+     * Get how much random balance wobbles are scaled up by fatigue
+     * @returns {number} - Multiplier, 1 while not tired
+     */
+    getNoiseScale() {
+        return 1 + this.getFatigue() * this.config.fatigueNoiseScale;
+    }
+
+    /**
+     * Get the tremor shaking a tired walker's balance
+     * Two shakes slightly out of step, so it never settles into a steady rhythm
+     * @returns {number} - Signed balance change per second, 0 while not tired
+     */
+    getTremor() {
+        const fatigue = this.getFatigue();
+        if (fatigue === 0) return 0;
+
+        const phase = this.time * this.config.tremorFrequency * Math.PI * 2;
+        return fatigue * this.config.tremorStrength * (Math.sin(phase) + Math.sin(phase * 1.37)) / 2;
+    }
+}
+
+export { Stamina };
@@ -0,0 +1,122 @@
+/**
+ * Stamina.test.js
+ * Tiring on the rope, recovering by standing still and what fatigue does to balance
+ */
+
+import gameConfig from '../../config/gameConfig.js';
+import { Stamina } from './Stamina.js';
+import { loadLevelConfig, createRun, balancingBot, runUntil } from './testHelpers.js';
+
+const config = gameConfig.character.stamina;
+
+describe('Stamina', () => {
+    test('is used by every step, more uphill and more for a high step', () => {
+        const cost = (slope, isHighStep) => {
+            const stamina = new Stamina(config);
+            stamina.spendStep(slope, isHighStep);
+            return 1 - stamina.value;
+        };
+
+        expect(cost(0, false)).toBeCloseTo(config.stepCost, 9);
+        expect(cost(0.1, false)).toBeCloseTo(config.stepCost * (1 + 0.1 * config.uphillCost), 9);
+        expect(cost(-0.1, false)).toBeCloseTo(config.stepCost, 9);
+        expect(cost(0, true)).toBeCloseTo(config.stepCost * config.highStepCost, 9);
+    });
+
+    test('comes back standing still, faster on a platform than on the rope', () => {
+        const recovered = (isOnPlatform) => {
+            const stamina = new Stamina(config);
+            stamina.value = 0.5;
+            stamina.update(1, { isOnPlatform, isStepping: false, correction: 0 });
+            return stamina.value - 0.5;
+        };
+
+        expect(recovered(false)).toBeCloseTo(config.ropeRecovery, 9);
+        expect(recovered(true)).toBeCloseTo(config.platformRecovery, 9);
+    });
+
+    test('is used up leaning against a fall, and not recovered while stepping', () => {
+        const stamina = new Stamina(config);
+        stamina.update(1, { isOnPlatform: false, isStepping: false, correction: 1 });
+        expect(stamina.value).toBeCloseTo(1 - config.correctionCost, 9);
+
+        stamina.value = 0.5;
+        stamina.update(1, { isOnPlatform: false, isStepping: true, correction: 0 });
+        expect(stamina.value).toBe(0.5);
+    });
+
+    test('makes a tired walker wobble more and shake', () => {
+        const stamina = new Stamina(config);
+        stamina.update(0.1, { isOnPlatform: false, isStepping: true, correction: 0 });
+        expect(stamina.getFatigue()).toBe(0);
+        expect(stamina.getNoiseScale()).toBe(1);
+        expect(stamina.getTremor()).toBe(0);
+
+        stamina.value = config.fatigueThreshold / 2;
+        expect(stamina.getFatigue()).toBeCloseTo(0.5, 9);
+        expect(stamina.getNoiseScale()).toBeCloseTo(1 + 0.5 * config.fatigueNoiseScale, 9);
+        expect(stamina.getTremor()).not.toBe(0);
+
+        stamina.value = 0;
+        expect(stamina.getFatigue()).toBe(1);
+    });
+
+    describe('during a run', () => {
+        test('runs down while walking and comes back on the next platform', () => {
+            const simulation = createRun(loadLevelConfig('three-summits'), 1);
+            const character = simulation.character;
+
+            expect(runUntil(simulation, balancingBot, () => character.isOnPlatform && character.platformIndex === 1)).toBe(true);
+            const tired = character.stamina.value;
+            expect(tired).toBeLessThan(1);
+
+            character.stopMoving();
+            simulation.run(() => {}, { maxTime: simulation.time + 1 });
+
+            expect(character.stamina.value).toBeCloseTo(Math.min(1, tired + config.platformRecovery), 1);
+        });
+
+        test('comes back slowly standing still on the rope', () => {
+            const simulation = createRun(loadLevelConfig('twin-peaks'), 1);
+            const character = simulation.character;
+            runUntil(simulation, balancingBot, () => !character.isOnPlatform && character.position > 0.3);
+            character.stopMoving();
+            runUntil(simulation, () => {}, () => !character.takingStep);
+            const tired = character.stamina.value;
+
+            simulation.run(() => {}, { maxTime: simulation.time + 0.5 });
+
+            expect(simulation.fall.isActive()).toBe(false);
+            expect(character.stamina.value - tired).toBeCloseTo(config.ropeRecovery * 0.5, 2);
+        });
+
+        test('leaves a tired walker harder to keep steady', () => {
+            const wobble = (stamina) => {
+                const simulation = createRun(loadLevelConfig('twin-peaks'), 1);
+                const character = simulation.character;
+                runUntil(simulation, balancingBot, () => !character.isOnPlatform && character.position > 0.3);
+                character.stopMoving();
+
+                let largest = 0;
+                simulation.run(() => {
+                    character.stamina.value = stamina;
+                    largest = Math.max(largest, Math.abs(character.balance));
+                }, { maxTime: simulation.time + 1.5 });
+                return largest;
+            };
+
+            expect(wobble(0)).toBeGreaterThan(wobble(1) * 1.5);
+        });
+
+        test('starts fresh on reset', () => {
+            const simulation = createRun(loadLevelConfig('twin-peaks'), 1);
+            simulation.run(balancingBot, { maxTime: 10 });
+            expect(simulation.character.stamina.value).toBeLessThan(1);
+
+            simulation.reset(1);
+
+            expect(simulation.character.stamina.value).toBe(1);
+            expect(simulation.getSnapshot().stamina).toBe(1);
+        });
+    });
+});
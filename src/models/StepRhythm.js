@@ -0,0 +1,130 @@
+/**
+ * StepRhythm.js
+ * The beat a walker in rhythm mode steps to, read from the rope's sideways swing
+ * The rope underfoot swings like a mass on a spring. Its beat is the moment it
+ * stops at either end of a swing, twice a swing. The beat runs at the rope's
+ * own swing frequency and is pulled into phase with the swing it can read, so
+ * it carries on steadily while the rope is too still to read. Each step is
+ * judged by how near the beat it was, and the run keeps a tally.
+ *
+ * The phase is the angle of the swing: the rope's offset from the middle of its
+ * swing goes as sin(phase), so the beats are at phase ±π/2. The offset is read
+ * from how the rope is slowing down, which pulls toward the middle of the swing
+ * wherever the wind has pushed that middle to.
+ */
+
+import gameConfig from '../../config/gameConfig.js';
+
+class StepRhythm {
+    /**
+     * Initialize the rhythm
+     * @param {Object} config - Rhythm settings (defaults to gameConfig.rhythm)
+     */
+    constructor(config = gameConfig.rhythm) {
+        this.config = config;
+
+        this.reset();
+    }
+
+    /**
+     * Start a new run's beat and tally
+     */
+    reset() {
+        this.phase = 0; // Angle of the swing (radians, -π to π)
+
+        // Rope and sideways speed underfoot at the last update, to tell how the rope is slowing
+        this.rope = null;
+        this.lastVelocity = 0;
+
+        // Tally of the run's steps
+        this.steps = 0;
+        this.onBeatSteps = 0;
+        this.totalAccuracy = 0;
+
+        // Last step judged, as { accuracy, onBeat, time }
+        this.lastStep = null;
+    }
+
+    /**
+     * Move the beat on with the rope underfoot
+     * @param {number} deltaTime - Step length in seconds
+     * @param {Rope} rope - Rope being walked
+     * @param {number} t - Rope parameter under the walker (0 = start, 1 = end)
+     * @param {number} mass - The walker's mass
+     */
+    update(deltaTime, rope, t, mass) {
+        const { lockRate, minSway } = this.config;
+        const frequency = rope.getSwayFrequency(t, mass);
+
+        this.phase += frequency * deltaTime;
+
+        // A spring pulls back toward the middle as hard as it is pushed out: offset = -acceleration / frequency²
+        const velocity = rope.getLateralVelocityAt(t);
+        const acceleration = rope === this.rope ? (velocity - this.lastVelocity) / deltaTime : 0;
+        this.rope = rope;
+        this.lastVelocity = velocity;
+
+        // Pull the beat toward the swing the rope shows, when there is enough of one to read
+        const swing = -acceleration / (frequency * frequency);
+        const speed = velocity / frequency;
+        if (Math.hypot(swing, speed) >= minSway) {
+            const drift = wrapAngle(Math.atan2(swing, speed) - this.phase);
+            this.phase += drift * Math.min(1, lockRate * deltaTime);
+        }
+
+        this.phase = wrapAngle(this.phase);
+    }
+
+    /**
+     * Get how far the rope is from its nearest beat
+     * @returns {number} - 0 on the beat, 1 halfway between two beats
+     */
+    getBeatOffset() {
+        return Math.asin(Math.min(1, Math.abs(Math.cos(this.phase)))) / (Math.PI / 2);
+    }
+
+    /**
+     * Judge a step taken now and add it to the tally
+     * @param {number} time - Simulated time of the step
+     * @returns {Object} - { accuracy, onBeat }: accuracy is 1 on the beat, 0 halfway between beats
+     */
+    judgeStep(time) {
+        const offset = this.getBeatOffset();
+        const accuracy = 1 - offset;
+        const onBeat = offset <= this.config.window;
+
+        this.steps++;
+        this.totalAccuracy += accuracy;
+        if (onBeat) {
+            this.onBeatSteps++;
+        }
+
+        this.lastStep = { accuracy, onBeat, time };
+        return { accuracy, onBeat };
+    }
+
+    /**
+     * Get the run's timing so far
+     * @returns {Object|null} - { steps, onBeatSteps, accuracy } with accuracy the average from 0 to 1, or null before any step
+     */
+    getScore() {
+        if (this.steps === 0) return null;
+
+        return {
+            steps: this.steps,
+            onBeatSteps: this.onBeatSteps,
+            accuracy: this.totalAccuracy / this.steps
+        };
+    }
+}
+
+/**
+ * Bring an angle into -π to π
+ * @param {number} angle - Angle in radians
+ * @returns {number} - The same angle, between -π and π
+ */
+function wrapAngle(angle) {
+    return angle - Math.PI * 2 * Math.round(angle / (Math.PI * 2));
+}
+
+export { StepRhythm };
@@ -0,0 +1,177 @@
+/**
+ * StepRhythm.test.js
+ * Rhythm step mode: one press per step, a beat read from the rope's swing and judging steps against it
+ */
+
+import * as THREE from 'three';
+import gameConfig from '../../config/gameConfig.js';
+import { Rope } from './Rope.js';
+import { StepRhythm } from './StepRhythm.js';
+import { loadLevelConfig, createRun, balanceOnly, balancingBot, runUntil } from './testHelpers.js';
+
+const FIXED_STEP = gameConfig.simulation.fixedTimeStep;
+const MASS = 70;
+
+/**
+ * Start a rhythm-mode run on twin-peaks, standing on the rope
+ * @returns {Simulation} - Simulation with the walker just onto the rope
+ */
+function createRhythmRun() {
+    const simulation = createRun(loadLevelConfig('twin-peaks'), 1);
+    simulation.setRhythmMode(true);
+    expect(runUntil(simulation, balancingBot, () => !simulation.character.isOnPlatform)).toBe(true);
+    simulation.character.stopMoving();
+    runUntil(simulation, balanceOnly, () => !simulation.character.takingStep);
+    return simulation;
+}
+
+/**
+ * Press forward whenever a timing rule says so, releasing it in between
+ * @param {Function} shouldStep - Called with the simulation, true to press for a step now
+ * @returns {Function} - Controller for Simulation.run
+ */
+function pressWhen(shouldStep) {
+    return (simulation) => {
+        const character = simulation.character;
+        if (!character.takingStep && shouldStep(simulation)) {
+            character.moveForward();
+        } else {
+            character.stopMoving();
+        }
+        balanceOnly(simulation);
+    };
+}
+
+describe('StepRhythm', () => {
+    test('takes one step per press, however long forward is held', () => {
+        const simulation = createRhythmRun();
+        const character = simulation.character;
+        let steps = 0;
+        character.addListener('stepStart', () => steps++);
+
+        simulation.run((sim) => {
+            character.moveForward();
+            balanceOnly(sim);
+        }, { maxTime: simulation.time + 3 });
+
+        expect(steps).toBe(1);
+        expect(character.takingStep).toBe(false);
+    });
+
+    test('walks on with every fresh press', () => {
+        const simulation = createRhythmRun();
+        let steps = 0;
+        simulation.character.addListener('stepStart', () => steps++);
+
+        simulation.run(pressWhen(() => true), { maxTime: simulation.time + 5 });
+
+        expect(steps).toBeGreaterThan(3);
+    });
+
+    test('beats when a swinging rope stops at either end of its swing', () => {
+        const rope = new Rope(new THREE.Vector3(0, 10, 0), new THREE.Vector3(0, 10, -30));
+        const rhythm = new StepRhythm(gameConfig.rhythm);
+        rope.setLoad(0.5, MASS);
+        rope.applyImpulse(0.5, 1.5, 0);
+
+        // Give the beat a few swings to lock on
+        const offsets = [];
+        for (let time = 0; time < 8; time += FIXED_STEP) {
+            rope.update(FIXED_STEP);
+            rhythm.update(FIXED_STEP, rope, 0.5, MASS);
+            if (time > 5) {
+                offsets.push({ speed: Math.abs(rope.getLateralVelocityAt(0.5)), beat: rhythm.getBeatOffset() });
+            }
+        }
+
+        const fastest = Math.max(...offsets.map(({ speed }) => speed));
+        const atEnds = offsets.filter(({ speed }) => speed < fastest * 0.1);
+        const inMiddle = offsets.filter(({ speed }) => speed > fastest * 0.9);
+        expect(atEnds.length).toBeGreaterThan(0);
+        expect(inMiddle.length).toBeGreaterThan(0);
+        expect(Math.max(...atEnds.map(({ beat }) => beat))).toBeLessThan(0.2);
+        expect(Math.min(...inMiddle.map(({ beat }) => beat))).toBeGreaterThan(0.7);
+    });
+
+    test('keeps time at the rope swing frequency while the rope is too still to read', () => {
+        const rope = new Rope(new THREE.Vector3(0, 10, 0), new THREE.Vector3(0, 10, -30));
+        const rhythm = new StepRhythm(gameConfig.rhythm);
+        const frequency = rope.getSwayFrequency(0.5, MASS);
+
+        rhythm.update(0.1, rope, 0.5, MASS);
+
+        expect(rhythm.phase).toBeCloseTo(frequency * 0.1, 9);
+    });
+
+    test('judges steps against the beat and keeps a tally', () => {
+        const rhythm = new StepRhythm(gameConfig.rhythm);
+        expect(rhythm.getScore()).toBe(null);
+
+        rhythm.phase = Math.PI / 2;
+        expect(rhythm.judgeStep(1)).toEqual({ accuracy: 1, onBeat: true });
+        rhythm.phase = 0;
+        expect(rhythm.judgeStep(2)).toEqual({ accuracy: 0, onBeat: false });
+
+        expect(rhythm.getScore()).toEqual({ steps: 2, onBeatSteps: 1, accuracy: 0.5 });
+        expect(rhythm.lastStep.time).toBe(2);
+
+        rhythm.reset();
+        expect(rhythm.getScore()).toBe(null);
+    });
+
+    describe('during a run', () => {
+        /**
+         * Walk a while in rhythm mode, pressing by a timing rule
+         * @param {Function} shouldStep - Called with the simulation, true to press for a step now
+         * @returns {Object} - { timings, onBeat, accuracy } for the steps taken by the rule
+         */
+        const walkInRhythm = (shouldStep) => {
+            const simulation = createRhythmRun();
+            const timings = [];
+            simulation.addListener('stepTimed', (timing) => timings.push(timing));
+
+            simulation.run(pressWhen(shouldStep), { maxTime: simulation.time + 15 });
+
+            // The tally also holds the first step onto the rope, taken before the rule took over
+            expect(simulation.rhythm.getScore().steps).toBe(timings.length + 1);
+            return {
+                timings,
+                onBeat: timings.filter((timing) => timing.onBeat).length,
+                accuracy: timings.reduce((sum, timing) => sum + timing.accuracy, 0) / timings.length
+            };
+        };
+
+        test('scores a walker who steps on the beat', () => {
+            const { timings, onBeat, accuracy } = walkInRhythm((sim) => sim.rhythm.getBeatOffset() < 0.1);
+
+            expect(timings.length).toBeGreaterThan(3);
+            expect(onBeat).toBeGreaterThanOrEqual(timings.length * 0.9);
+            expect(accuracy).toBeGreaterThan(0.85);
+        });
+
+        test('marks down a walker who steps between beats', () => {
+            const { timings, onBeat, accuracy } = walkInRhythm((sim) => sim.rhythm.getBeatOffset() > 0.9);
+
+            expect(timings.length).toBeGreaterThan(3);
+            expect(onBeat).toBe(0);
+            expect(accuracy).toBeLessThan(0.15);
+        });
+
+        test('steadies a step on the beat and throws one off it', () => {
+            const lean = (onBeat) => {
+                const simulation = createRhythmRun();
+                const character = simulation.character;
+                const rhythm = simulation.rhythm;
+                runUntil(simulation, balanceOnly, () => (onBeat ? rhythm.getBeatOffset() < 0.05 : rhythm.getBeatOffset() > 0.95));
+
+                // The same step, disturbance and all, judged on or off the beat
+                const before = character.balanceImpulse;
+                simulation.judgeStepTiming(0.1);
+                return character.balanceImpulse - before;
+            };
+
+            expect(lean(true)).toBeLessThan(0);
+            expect(Math.abs(lean(false))).toBeGreaterThan(gameConfig.rhythm.mistimeEffect * 0.8);
+        });
+    });
+});
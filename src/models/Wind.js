@@ -0,0 +1,279 @@
+/**
+ * Wind.js
+ * Simulates the wind blowing across the rope
+ * Combines a smoothly ramping baseline, telegraphed gusts, calm lulls and noise-based turbulence
+ * The wind is a field over the rope parameter t (0 = start, 1 = end) and time:
+ * the exposed middle of the span catches more wind than the sheltered ends,
+ * and gust fronts enter at one end and travel along the rope
+ */
+
+import { SimplexNoise } from 'three/examples/jsm/math/SimplexNoise.js';
+import gameConfig from '../../config/gameConfig.js';
+import { Random } from './Random.js';
+
+class Wind {
+    /**
+     * Initialize the wind model
+     * @param {Object} config - Wind settings (defaults to gameConfig.physics.wind)
+     * @param {Random} random - Shared random number generator
+     */
+    constructor(config = gameConfig.physics.wind, random = new Random()) {
+        this.config = config;
+        this.random = random;
+
+        // Noise generator for turbulence
+        this.noise = new SimplexNoise(random);
+
+        // Maximum baseline strength (set every update, follows difficulty)
+        this.maxForce = 0;
+
+        // Baseline wind that ramps toward a target
+        this.baseValue = 0;
+        this.targetValue = 0;
+        this.changeTimer = 0;
+
+        // Active gust front, null when none is pending
+        this.gust = null;
+
+        // Seconds left in the current lull
+        this.lullTimer = 0;
+
+        // Time used to sample the turbulence noise
+        this.time = 0;
+    }
+
+    /**
+     * Advance the wind simulation
+     * Use sample(t) afterwards to read the wind at a point on the rope
+     * @param {number} deltaTime - Time since last update in seconds
+     * @param {number} maxForce - Maximum baseline wind strength
+     */
+    update(deltaTime, maxForce) {
+        this.maxForce = maxForce;
+        this.time += deltaTime;
+
+        // Count down an active lull
+        if (this.lullTimer > 0) {
+            this.lullTimer = Math.max(0, this.lullTimer - deltaTime);
+        }
+
+        // Periodically roll for a new baseline, gust or lull
+        this.changeTimer += deltaTime;
+        if (this.changeTimer >= this.config.changeInterval) {
+            this.changeTimer = 0;
+            this.rollWindEvent();
+        }
+
+        // Ease the baseline toward its target (calm during a lull)
+        const target = this.isLulling() ? 0 : this.targetValue;
+        const rampFactor = 1 - Math.exp(-deltaTime / this.config.rampTime);
+        this.baseValue += (target - this.baseValue) * rampFactor;
+
+        // Move the gust front along and drop it once it has passed the whole rope
+        this.updateGust(deltaTime);
+    }
+
+    /**
+     * Sample the wind at a point on the rope
+     * @param {number} t - Rope parameter (0 = start, 1 = end)
+     * @returns {number} - Signed wind, negative blows left, positive blows right
+     */
+    sample(t) {
+        // Turbulence wobbles around the baseline, varying along the rope, quieter during lulls
+        const calmFactor = this.isLulling() ? this.config.lullTurbulenceScale : 1;
+        const turbulence = this.noise.noise(
+            t * this.config.turbulenceSpatialFrequency,
+            this.time * this.config.turbulenceFrequency
+        ) * this.config.turbulence * this.maxForce * calmFactor;
+
+        return (this.baseValue + this.getGustAt(t) + turbulence) * this.getExposure(t);
+    }
+
+    /**
+     * Sample the wind at evenly spaced points ahead on the rope
+     * @param {number} t - Rope parameter to start from
+     * @param {number} distance - How far ahead to look (fraction of rope length)
+     * @param {number} count - Number of samples
+     * @param {number} direction - 1 to look toward the end of the rope, -1 toward its start
+     * @returns {Array<Object>} - List of { t, value } samples, clipped to the rope
+     */
+    preview(t, distance, count, direction = 1) {
+        const samples = [];
+
+        for (let i = 0; i < count; i++) {
+            const sampleT = Math.max(0, Math.min(1, t + direction * (distance * (i + 1)) / count));
+            samples.push({ t: sampleT, value: this.sample(sampleT) });
+        }
+
+        return samples;
+    }
+
+    /**
+     * How exposed a point on the rope is to the wind
+     * Sheltered by the mountains near the ends, fully exposed in the middle
+     * @param {number} t - Rope parameter (0 = start, 1 = end)
+     * @returns {number} - Exposure multiplier between shelterFactor and 1
+     */
+    getExposure(t) {
+        const shelter = this.config.shelterFactor;
+        return shelter + (1 - shelter) * Math.sin(Math.PI * Math.max(0, Math.min(1, t)));
+    }
+
+    /**
+     * Pick what the wind does next: a gust, a lull or a new baseline
+     */
+    rollWindEvent() {
+        const roll = this.random.random();
+
+        if (!this.gust && roll < this.config.gustChance) {
+            this.startGust();
+        } else if (roll < this.config.gustChance + this.config.lullChance) {
+            this.startLull();
+        } else {
+            this.pickNewBaseline();
+        }
+    }
+
+    /**
+     * Choose a new baseline wind to ramp toward
+     */
+    pickNewBaseline() {
+        this.targetValue = (this.random.random() * 2 - 1) * this.maxForce;
+    }
+
+    /**
+     * Schedule a gust front that enters from one end of the rope after a warning
+     */
+    startGust() {
+        const strength = this.maxForce * this.config.gustStrength * (0.7 + this.random.random() * 0.3);
+
+        this.gust = {
+            elapsed: 0,
+            direction: this.random.random() < 0.5 ? -1 : 1,
+            strength: strength,
+            origin: this.random.random() < 0.5 ? 0 : 1 // End of the rope the front enters from
+        };
+    }
+
+    /**
+     * Start a calm spell
+     */
+    startLull() {
+        this.lullTimer = this.config.lullDuration;
+    }
+
+    /**
+     * Advance the gust front and clear it once it has blown past the far end
+     * @param {number} deltaTime - Time since last update in seconds
+     * @private
+     */
+    updateGust(deltaTime) {
+        if (!this.gust) return;
+
+        this.gust.elapsed += deltaTime;
+
+        const farEnd = 1 - this.gust.origin;
+        if (this.gust.elapsed >= this.getGustArrivalTime(farEnd) + this.getGustLifetime()) {
+            this.gust = null;
+        }
+    }
+
+    /**
+     * Seconds after the gust was scheduled that its front reaches a point
+     * @param {number} t - Rope parameter (0 = start, 1 = end)
+     * @returns {number} - Arrival time in seconds
+     * @private
+     */
+    getGustArrivalTime(t) {
+        return this.config.gustWarningTime + Math.abs(t - this.gust.origin) / this.config.gustFrontSpeed;
+    }
+
+    /**
+     * How long a gust blows at any one point (rise, hold and fall)
+     * @returns {number} - Duration in seconds
+     * @private
+     */
+    getGustLifetime() {
+        return this.config.gustRiseTime + this.config.gustHoldTime + this.config.gustFallTime;
+    }
+
+    /**
+     * Gust contribution at a point on the rope
+     * @param {number} t - Rope parameter (0 = start, 1 = end)
+     * @returns {number} - Signed gust wind before exposure is applied
+     * @private
+     */
+    getGustAt(t) {
+        if (!this.gust) return 0;
+
+        const localTime = this.gust.elapsed - this.getGustArrivalTime(t);
+        return this.gust.strength * this.gust.direction * this.getGustEnvelope(localTime);
+    }
+
+    /**
+     * Gust strength over time at a single point
+     * @param {number} time - Seconds since the front arrived (negative = not yet)
+     * @returns {number} - Envelope between 0 and 1
+     * @private
+     */
+    getGustEnvelope(time) {
+        const { gustRiseTime, gustHoldTime, gustFallTime } = this.config;
+
+        if (time <= 0) return 0;
+        if (time < gustRiseTime) return this.smoothstep(time / gustRiseTime);
+
+        time -= gustRiseTime;
+        if (time < gustHoldTime) return 1;
+
+        time -= gustHoldTime;
+        if (time < gustFallTime) return 1 - this.smoothstep(time / gustFallTime);
+
+        return 0;
+    }
+
+    /**
+     * Get the warning for a gust front that has not reached a point yet
+     * @param {number} t - Rope parameter to check (0 = start, 1 = end)
+     * @returns {Object|null} - { direction, timeRemaining } or null if no gust is coming
+     */
+    getGustWarning(t) {
+        if (!this.gust) return null;
+
+        const timeRemaining = this.getGustArrivalTime(t) - this.gust.elapsed;
+        if (timeRemaining <= 0) return null;
+
+        return {
+            direction: this.gust.direction,
+            timeRemaining: timeRemaining
+        };
+    }
+
+    /**
+     * Check whether a gust is currently blowing at a point
+     * @param {number} t - Rope parameter to check (0 = start, 1 = end)
+     * @returns {boolean} - True while the gust front is passing t
+     */
+    isGusting(t) {
+        return this.getGustAt(t) !== 0;
+    }
+
+    /**
+     * Check whether the wind is in a calm lull
+     * @returns {boolean} - True during a lull
+     */
+    isLulling() {
+        return this.lullTimer > 0;
+    }
+
+    /**
+     * Smoothstep function for gust ramps
+     * @param {number} x - Input value between 0 and 1
+     * @returns {number} - Smoothed value between 0 and 1
+     * @private
+     */
+    smoothstep(x) {
+        return x * x * (3 - 2 * x);
+    }
+}
+
+export { Wind };
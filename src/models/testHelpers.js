@@ -0,0 +1,81 @@
+/**
+ * testHelpers.js
+ * Shared set-up for the headless specs: shipped levels, seeded runs and simple bots
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { LevelLoader } from './LevelLoader.js';
+import { Simulation } from './Simulation.js';
+import { Random } from './Random.js';
+
+/**
+ * Build the config for a level in assets/levels
+ * @param {string} id - Level id
+ * @returns {Object} - Resolved game configuration
+ */
+function loadLevelConfig(id) {
+    const loader = new LevelLoader();
+    const file = path.join(__dirname, '../../assets/levels', `${id}.json`);
+    return loader.toConfig(loader.parse(fs.readFileSync(file, 'utf8'), file));
+}
+
+/**
+ * Start a run on a level at normal difficulty
+ * @param {Object} config - Resolved game configuration
+ * @param {number} seed - Seed for the run
+ * @returns {Simulation} - Simulation ready to step
+ */
+function createRun(config, seed) {
+    const simulation = new Simulation(config, new Random(seed));
+    simulation.setDifficulty(config.difficultyLevels.normal);
+    simulation.reset(seed);
+    return simulation;
+}
+
+/**
+ * Lean against any tilt without walking
+ * @param {Simulation} simulation - The run being driven
+ */
+function balanceOnly(simulation) {
+    const character = simulation.character;
+    character.adjustBalance(Math.abs(character.balance) > 0.02 ? -Math.sign(character.balance) : 0);
+}
+
+/**
+ * Walk forward and lean against any tilt
+ * @param {Simulation} simulation - The run being driven
+ */
+function balancingBot(simulation) {
+    simulation.character.moveForward();
+    balanceOnly(simulation);
+}
+
+/**
+ * Stand still and lean into any tilt, to fall off the rope
+ * @param {Simulation} simulation - The run being driven
+ */
+function topplingBot(simulation) {
+    const character = simulation.character;
+    character.adjustBalance(Math.sign(character.balance) || 1);
+}
+
+/**
+ * Step a run until a condition holds
+ * @param {Simulation} simulation - The run being driven
+ * @param {Function} controller - Called before every step, like Simulation.run
+ * @param {Function} condition - Stops the run once it returns true
+ * @param {number} maxSteps - Steps to give up after
+ * @returns {boolean} - Whether the condition was met
+ */
+function runUntil(simulation, controller, condition, maxSteps = 20000) {
+    const deltaTime = simulation.config.simulation.fixedTimeStep;
+    for (let i = 0; i < maxSteps && !simulation.outcome; i++) {
+        if (condition(simulation)) return true;
+        controller(simulation, deltaTime);
+        simulation.step(deltaTime);
+    }
+    return condition(simulation);
+}
+
+export { loadLevelConfig, createRun, balanceOnly, balancingBot, topplingBot, runUntil };
@@ -18,7 +18,7 @@ class GameState {
             'START_SCREEN': ['GAMEPLAY'],
             'GAMEPLAY': ['PAUSED', 'END_SCREEN'],
             'PAUSED': ['GAMEPLAY', 'START_SCREEN'],
-            'END_SCREEN': ['START_SCREEN']
+            'END_SCREEN': ['START_SCREEN', 'GAMEPLAY'] // Continue from a checkpoint
         };
     }
     
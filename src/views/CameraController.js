@@ -9,16 +9,19 @@
  */
 
 import * as THREE from 'three';
+import gameConfig from '../../config/gameConfig.js';
 
 class CameraController {
     /**
      * Initialize the camera controller
      * @param {THREE.Scene} scene - The Three.js scene
      * @param {THREE.Camera} camera - The Three.js camera
+     * @param {Object} config - Camera settings (defaults to gameConfig.camera)
      */
-    constructor(scene, camera) {
+    constructor(scene, camera, config = gameConfig.camera) {
         this.scene = scene;
         this.camera = camera;
+        this.config = config;
         
         // Camera animation properties
         this.targetPosition = new THREE.Vector3();
@@ -30,17 +33,18 @@ class CameraController {
         this.currentAnimationSpeed = 0.1; // Default animation speed
         
         // Default camera positions
-        this.startPosition = new THREE.Vector3(0, 50, 120);
-        this.startLookAt = new THREE.Vector3(0, 0, 0);
+        this.startPosition = new THREE.Vector3().copy(config.startPosition);
+        this.startLookAt = new THREE.Vector3().copy(config.startLookAt);
         
-        this.gameplayPosition = new THREE.Vector3(0, 10, 20);
-        this.gameplayLookAt = new THREE.Vector3(0, 0, -15);
+        this.gameplayPosition = new THREE.Vector3().copy(config.gameplayPosition);
+        this.gameplayLookAt = new THREE.Vector3().copy(config.gameplayLookAt);
         
         this.platformFocusPosition = new THREE.Vector3(0, 8, 15);
         this.platformFocusLookAt = new THREE.Vector3(0, 0, -50);
         
         // Character reference for following
         this.character = null;
+        this.characterView = null;
         this.environment = null;
         
         // Mouse control properties
@@ -326,10 +330,12 @@ class CameraController {
      * Set references to game objects
      * @param {Character} character - Reference to character
      * @param {Environment} environment - Reference to environment
+     * @param {CharacterView} characterView - Reference to the character's drawn model
      */
-    setReferences(character, environment) {
+    setReferences(character, environment, characterView) {
         this.character = character;
         this.environment = environment;
+        this.characterView = characterView;
     }
     
     /**
@@ -354,7 +360,7 @@ class CameraController {
      */
     animateToGameplayPosition() {
         // Check if we have references to calculate better positions
-        if (this.character && this.character.model && this.environment && 
+        if (this.characterView && this.characterView.model && this.environment && 
             this.environment.startPlatformPosition) {
             
             // First, focus on the character on the platform
@@ -362,7 +368,7 @@ class CameraController {
             
             // After a delay, transition to gameplay position
             setTimeout(() => {
-                const characterPos = this.character.model.position.clone();
+                const characterPos = this.characterView.model.position.clone();
                 
                 // Position behind and slightly above character - closer third-person view
                 const position = new THREE.Vector3(
@@ -379,7 +385,7 @@ class CameraController {
                 );
                 
                 // Set follow target for continuous following
-                this.setFollowTarget(this.character.model);
+                this.setFollowTarget(this.characterView.model);
                 
                 // Animate with faster speed for gameplay
                 this.currentAnimationSpeed = 0.15;
@@ -492,10 +498,10 @@ class CameraController {
         } else if (this.followTarget && !this.enableMouseControls) {
             // Follow target if set and not in mouse control mode
             this.updateFollowingBehavior(deltaTime);
-        } else if (this.character && this.character.model && 
+        } else if (this.characterView && this.characterView.model && 
                   !this.character.isOnPlatform && this.character.state !== 'FALLING') {
             // Legacy follow behavior from existing code, when no explicit follow target is set
-            this.followTarget(this.character.model.position);
+            this.followTarget(this.characterView.model.position);
         }
     }
     
@@ -543,6 +549,16 @@ class CameraController {
             );
             
             this.currentLookAt.lerp(lookAtPoint, this.followLerpFactor * 1.5);
+        } else if (this.character && this.character.state === 'FALLING') {
+            // Falling - trail behind from above, looking down after the character
+            const desiredPosition = new THREE.Vector3(
+                targetPos.x,
+                targetPos.y + this.followOffset.y + 4,
+                targetPos.z + this.followOffset.z * 0.6
+            );
+            
+            this.camera.position.lerp(desiredPosition, this.followLerpFactor * 0.5);
+            this.currentLookAt.lerp(targetPos, this.followLerpFactor * 3);
         } else {
             // Standard follow behavior for rope walking
             const desiredPosition = new THREE.Vector3(
@@ -0,0 +1,905 @@
+/**
+ * CharacterView.js
+ * Draws the tightrope walker and animates its limbs
+ * Builds the Three.js model and follows the headless Character's state and events
+ */
+
+import * as THREE from 'three';
+
+// How far below standing height the model hangs when holding the rope by the hands
+const HANG_DEPTH = 1.3;
+
+// Ragdoll points fixed in the body, in model space (hands, feet and pole ends come from the limbs)
+// The chest point sits in front of the others, so the torso cannot fold flat
+const RAGDOLL_BODY_POINTS = {
+    head: new THREE.Vector3(0, 1.05, 0),
+    neck: new THREE.Vector3(0, 0.8, 0),
+    chest: new THREE.Vector3(0, 0.45, 0.15),
+    pelvis: new THREE.Vector3(0, 0.1, 0),
+    leftShoulder: new THREE.Vector3(0.3, 0.65, 0),
+    rightShoulder: new THREE.Vector3(-0.3, 0.65, 0),
+    leftHip: new THREE.Vector3(0.15, 0.1, 0),
+    rightHip: new THREE.Vector3(-0.15, 0.1, 0)
+};
+
+// Rigid links of the ragdoll: a braced torso, the head on it, limbs free to swing
+// at the shoulders and hips, and the pole let go of
+const RAGDOLL_LINKS = [
+    ['neck', 'pelvis'], ['leftShoulder', 'rightShoulder'], ['leftHip', 'rightHip'],
+    ['leftShoulder', 'neck'], ['rightShoulder', 'neck'], ['leftShoulder', 'pelvis'], ['rightShoulder', 'pelvis'],
+    ['leftHip', 'pelvis'], ['rightHip', 'pelvis'], ['leftHip', 'neck'], ['rightHip', 'neck'],
+    ['leftShoulder', 'rightHip'], ['rightShoulder', 'leftHip'],
+    ['chest', 'neck'], ['chest', 'pelvis'], ['chest', 'leftShoulder'], ['chest', 'rightShoulder'],
+    ['chest', 'leftHip'], ['chest', 'rightHip'],
+    ['head', 'neck'], ['head', 'leftShoulder'], ['head', 'rightShoulder'], ['head', 'chest'],
+    ['leftShoulder', 'leftHand'], ['rightShoulder', 'rightHand'],
+    ['leftHip', 'leftFoot'], ['rightHip', 'rightFoot'],
+    ['poleStart', 'poleEnd']
+];
+
+// Limbs hang along their own -Y axis, the head and pole lie along +Y
+const LIMB_AXIS = new THREE.Vector3(0, -1, 0);
+const UP_AXIS = new THREE.Vector3(0, 1, 0);
+
+class CharacterView {
+    /**
+     * Initialize the character view
+     * @param {THREE.Scene} scene - The Three.js scene
+     * @param {Character} character - The character model to draw
+     * @param {Course} course - Course layout, for the rope the character stands on
+     * @param {FallSequence} fall - The character's fall, for tipping, hanging and dropping (optional)
+     * @param {Ragdoll} ragdoll - Ragdoll that takes the body over when it drops (optional)
+     */
+    constructor(scene, character, course, fall = null, ragdoll = null) {
+        this.scene = scene;
+        this.character = character;
+        this.course = course;
+        this.fall = fall;
+        this.ragdoll = ragdoll;
+        
+        // Three.js model
+        this.model = null;
+        this.prevState = ''; // Track previous state for animation changes
+        this.prevBalance = 0; // Track previous balance for animation changes
+        
+        // Body parts for animation
+        this.head = null;
+        this.torso = null;
+        this.leftArm = null;
+        this.rightArm = null;
+        this.leftLeg = null;
+        this.rightLeg = null;
+        this.balancePole = null;
+        
+        // Model transforms around the last simulation step, for interpolated rendering
+        this.previousTransform = { position: new THREE.Vector3(), quaternion: new THREE.Quaternion() };
+        this.simulatedTransform = { position: new THREE.Vector3(), quaternion: new THREE.Quaternion() };
+        
+        // Animation cycles
+        this.walkCycle = 0;
+        this.balanceCycle = 0;
+        this.bodyBobHeight = 0;    // Current body bob height
+        this.strideBobAmount = 0.04; // How much the body bobs while walking
+        this.naturalArmSwing = true; // Whether to use natural arm swings (when not near rope)
+    }
+    
+    /**
+     * Load character model and animations
+     * @returns {Promise} - Promise that resolves when loading is complete
+     */
+    async load() {
+        // Create a realistic humanoid character using primitives
+        this.model = new THREE.Group();
+        
+        // Create materials
+        const skinMaterial = new THREE.MeshStandardMaterial({
+            color: 0xf5d0b0,
+            roughness: 0.7,
+            metalness: 0.1
+        });
+        
+        const clothingMaterial = new THREE.MeshStandardMaterial({
+            color: 0x2244aa,
+            roughness: 0.8,
+            metalness: 0.0
+        });
+        
+        const shoeMaterial = new THREE.MeshStandardMaterial({
+            color: 0x444444,
+            roughness: 0.9,
+            metalness: 0.1
+        });
+        
+        const poleMaterial = new THREE.MeshStandardMaterial({
+            color: 0x8B4513,
+            roughness: 0.9,
+            metalness: 0.1
+        });
+        
+        // Create body parts
+        // Head
+        const headGeometry = new THREE.SphereGeometry(0.25, 16, 16);
+        this.head = new THREE.Mesh(headGeometry, skinMaterial);
+        this.head.position.y = 0.9;
+        this.head.castShadow = true;
+        
+        // Create hair
+        const hairMaterial = new THREE.MeshStandardMaterial({
+            color: 0x3a2410,
+            roughness: 0.9,
+            metalness: 0.0
+        });
+        
+        const hairGeometry = new THREE.SphereGeometry(0.26, 16, 16, 0, Math.PI * 2, 0, Math.PI / 2);
+        const hair = new THREE.Mesh(hairGeometry, hairMaterial);
+        hair.rotation.x = Math.PI * 0.1;
+        hair.position.y = 0.02;
+        hair.position.z = -0.01;
+        this.head.add(hair);
+        
+        // Create face features
+        // Eyes
+        const eyeMaterial = new THREE.MeshBasicMaterial({ color: 0x000000 });
+        const eyeGeometry = new THREE.SphereGeometry(0.035, 8, 8);
+        
+        const leftEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
+        leftEye.position.set(0.08, 0.05, 0.22);
+        this.head.add(leftEye);
+        
+        const rightEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
+        rightEye.position.set(-0.08, 0.05, 0.22);
+        this.head.add(rightEye);
+        
+        // Torso
+        const torsoGeometry = new THREE.BoxGeometry(0.5, 0.7, 0.3);
+        this.torso = new THREE.Mesh(torsoGeometry, clothingMaterial);
+        this.torso.position.y = 0.45;
+        this.torso.castShadow = true;
+        
+        // Arms
+        const armGeometry = new THREE.CylinderGeometry(0.07, 0.07, 0.5, 8);
+        
+        this.leftArm = new THREE.Group();
+        const leftArmMesh = new THREE.Mesh(armGeometry, skinMaterial);
+        leftArmMesh.position.y = -0.25;
+        this.leftArm.add(leftArmMesh);
+        this.leftArm.position.set(0.3, 0.65, 0);
+        this.leftArm.rotation.z = -0.2;
+        
+        this.rightArm = new THREE.Group();
+        const rightArmMesh = new THREE.Mesh(armGeometry, skinMaterial);
+        rightArmMesh.position.y = -0.25;
+        this.rightArm.add(rightArmMesh);
+        this.rightArm.position.set(-0.3, 0.65, 0);
+        this.rightArm.rotation.z = 0.2;
+        
+        // Hands
+        const handGeometry = new THREE.SphereGeometry(0.08, 8, 8);
+        
+        const leftHand = new THREE.Mesh(handGeometry, skinMaterial);
+        leftHand.position.y = -0.5;
+        this.leftArm.add(leftHand);
+        
+        const rightHand = new THREE.Mesh(handGeometry, skinMaterial);
+        rightHand.position.y = -0.5;
+        this.rightArm.add(rightHand);
+        
+        // Legs
+        const legGeometry = new THREE.CylinderGeometry(0.09, 0.07, 0.6, 8);
+        
+        this.leftLeg = new THREE.Group();
+        const leftLegMesh = new THREE.Mesh(legGeometry, clothingMaterial);
+        leftLegMesh.position.y = -0.3;
+        this.leftLeg.add(leftLegMesh);
+        this.leftLeg.position.set(0.15, 0.1, 0);
+        
+        this.rightLeg = new THREE.Group();
+        const rightLegMesh = new THREE.Mesh(legGeometry, clothingMaterial);
+        rightLegMesh.position.y = -0.3;
+        this.rightLeg.add(rightLegMesh);
+        this.rightLeg.position.set(-0.15, 0.1, 0);
+        
+        // Feet
+        const footGeometry = new THREE.BoxGeometry(0.12, 0.05, 0.2);
+        
+        const leftFoot = new THREE.Mesh(footGeometry, shoeMaterial);
+        leftFoot.position.set(0, -0.6, 0.05);
+        this.leftLeg.add(leftFoot);
+        
+        const rightFoot = new THREE.Mesh(footGeometry, shoeMaterial);
+        rightFoot.position.set(0, -0.6, 0.05);
+        this.rightLeg.add(rightFoot);
+        
+        // Balance pole
+        const poleGeometry = new THREE.CylinderGeometry(0.03, 0.03, 3, 8);
+        this.balancePole = new THREE.Mesh(poleGeometry, poleMaterial);
+        this.balancePole.castShadow = true;
+        
+        // Set initial pole position to one-handed carry
+        this.updatePolePosition();
+        
+        // Assemble character
+        this.model.add(this.head);
+        this.model.add(this.torso);
+        this.model.add(this.leftArm);
+        this.model.add(this.rightArm);
+        this.model.add(this.leftLeg);
+        this.model.add(this.rightLeg);
+        this.model.add(this.balancePole);
+        
+        this.model.castShadow = true;
+        
+        // Position character at start platform
+        this.updateTransform();
+        this.syncSimulatedTransform();
+        
+        this.scene.add(this.model);
+        
+        // Follow the character's events
+        this.subscribe();
+        
+        return Promise.resolve();
+    }
+    
+    /**
+     * Subscribe to the character's events
+     */
+    subscribe() {
+        const character = this.character;
+        
+        character.addListener('poleHoldModeChange', () => this.updatePolePosition());
+        character.addListener('ropeProximityChange', () => {
+            // Update animations for the new stance
+            if (character.state === 'WALKING') {
+                this.playWalkingAnimation();
+            } else {
+                this.playIdleAnimation();
+            }
+        });
+        character.addListener('balanceInput', (direction) => this.showBalanceInput(direction));
+        character.addListener('footstep', (isLeftFoot) => this.createFootstepEffect(isLeftFoot));
+        character.addListener('slip', (direction) => this.showBalanceInput(direction)); // Arms fly out
+        character.addListener('enterRope', () => {
+            this.bodyBobHeight = 0;
+            this.prevState = ''; // Pick the rope animation on the next update
+            this.updatePolePosition();
+        });
+        character.addListener('enterPlatform', () => {
+            this.prevState = character.state;
+            this.playIdleAnimation();
+        });
+        character.addListener('reset', () => {
+            this.stopRagdoll();
+            this.prevState = '';
+            this.updatePolePosition();
+            this.updateTransform();
+            this.syncSimulatedTransform();
+        });
+    }
+    
+    /**
+     * Update the model from the character after a simulation step
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    update(deltaTime) {
+        if (!this.model) return;
+        
+        // Once the walker drops for good, the ragdoll has the body
+        if (this.ragdoll && this.fall && this.fall.phase === 'DROPPING') {
+            if (!this.ragdoll.isActive) {
+                this.startRagdoll();
+            }
+            this.updateRagdoll(deltaTime);
+            return;
+        }
+        
+        if (this.character.isOnPlatform) {
+            this.updatePlatformAnimations(deltaTime);
+            this.updateTransform();
+        } else {
+            this.updateTransform();
+            this.updateAnimations(deltaTime);
+        }
+    }
+    
+    /**
+     * Update pole position based on current state
+     */
+    updatePolePosition() {
+        if (!this.balancePole) return;
+        
+        if (this.character.poleHoldMode === 'ONE_HAND') {
+            // Hold pole in right hand, vertically
+            this.balancePole.rotation.set(0, 0, 0); // Vertical pole
+            
+            // Position it near the right hand
+            this.balancePole.position.set(-0.4, 0.4, 0.2);
+            this.balancePole.rotation.z = -Math.PI * 0.05; // Slight angle
+            
+            // Make it a bit shorter for carrying
+            this.balancePole.scale.set(0.9, 0.9, 0.9);
+        } else if (this.character.poleHoldMode === 'TWO_HAND') {
+            // Hold pole horizontally with both hands
+            this.balancePole.rotation.set(Math.PI / 2, 0, Math.PI / 2); // Horizontal pole
+            this.balancePole.position.set(0, 0.6, 0.1); // Center in front
+            
+            // Return to full scale
+            this.balancePole.scale.set(1, 1, 1);
+        }
+    }
+    
+    /**
+     * Place and orient the model from the character's state
+     */
+    updateTransform() {
+        if (!this.model) return;
+        
+        const character = this.character;
+        
+        if (character.isOnPlatform) {
+            // Position model at platform position
+            this.model.position.copy(character.platformPosition);
+            
+            // Apply body bob for realistic walking
+            if (character.state === 'WALKING') {
+                // Bob height based on step cycle
+                this.bodyBobHeight = Math.abs(Math.sin(character.footstepCycle)) * this.strideBobAmount;
+            } else {
+                // Gradually reduce bob when standing still
+                this.bodyBobHeight *= 0.8;
+            }
+            
+            // Apply vertical offset to position character directly on platform surface
+            // FURTHER REDUCED OFFSET TO ELIMINATE GAP BETWEEN FEET AND PLATFORM
+            this.model.position.y += character.height/2 - 1.0 + this.bodyBobHeight;
+            
+            // Set character rotation based on facing direction
+            this.model.rotation.set(0, character.facingDirection, 0);
+            return;
+        }
+        
+        // Calculate position along the rope being walked
+        const rope = character.getCurrentRope();
+        const point = rope.getPointAt(character.position);
+        
+        // Calculate rope tangent for orientation
+        const tangent = rope.getTangentAt(character.position);
+        
+        // Position character on rope
+        this.model.position.copy(point);
+        
+        // Raise character to stand on top of rope
+        // ADJUSTED TO MATCH PLATFORM HEIGHT REDUCTION
+        this.model.position.y += character.height / 2 - 1.0 + rope.thickness;
+        
+        // Apply balance offset (lean left/right), to the walker's own side
+        const side = character.getSideFactor();
+        const rightVector = new THREE.Vector3(1, 0, 0);
+        this.model.position.add(
+            rightVector.multiplyScalar(character.balance * 0.3 * side)
+        );
+        
+        // Orient character along rope, the way they face on it (turning round swings them through side-on)
+        const heading = character.getRopeHeading();
+        const facing = tangent.clone().applyAxisAngle(UP_AXIS, heading);
+        facing.y = tangent.y * Math.cos(heading);
+        const lookAtPoint = new THREE.Vector3().copy(point).add(facing);
+        this.model.lookAt(lookAtPoint);
+        
+        // Apply balance to rotation (tilt left/right), rolling about the way they face
+        // so the tilt holds through a turn (half a turn on from lookAt, as walking forward always was)
+        this.model.rotateZ(Math.PI + character.balance * Math.PI / 8); // Tilt up to 22.5 degrees
+        
+        if (this.fall && this.fall.isActive()) {
+            this.applyFallPose();
+        }
+    }
+    
+    /**
+     * Tip the model off the rope, hang it from the rope or drop it, as the fall goes
+     */
+    applyFallPose() {
+        const fall = this.fall;
+        const drop = fall.getDropDistance();
+        
+        if (fall.grabbed) {
+            // Hanging straight down from the rope, higher as the climb goes on
+            this.model.rotation.z = 0;
+            this.model.position.y -= HANG_DEPTH * (1 - fall.climb) + drop;
+        } else {
+            // Keep tipping from the lean until lying sideways off the rope
+            const tip = fall.getTipProgress();
+            this.model.rotation.z = fall.direction * (Math.PI / 8 + tip * Math.PI * 3 / 8);
+            this.model.position.x += fall.direction * tip * 0.6 * this.character.ropeFacing;
+            this.model.position.y -= tip * 0.5 + drop;
+        }
+        
+        // Tumble on the way down
+        if (fall.phase === 'DROPPING') {
+            this.model.rotation.x = fall.timer * 2.5;
+        }
+    }
+    
+    /**
+     * Put the model back at its last simulated transform before running simulation steps
+     */
+    restoreSimulatedTransform() {
+        if (!this.model) return;
+        
+        this.model.position.copy(this.simulatedTransform.position);
+        this.model.quaternion.copy(this.simulatedTransform.quaternion);
+    }
+    
+    /**
+     * Remember the model transform before a simulation step
+     */
+    storePreviousTransform() {
+        if (!this.model) return;
+        
+        this.previousTransform.position.copy(this.model.position);
+        this.previousTransform.quaternion.copy(this.model.quaternion);
+    }
+    
+    /**
+     * Record the simulated transform and draw the model partway back toward the previous one
+     * @param {number} alpha - Fraction of a step since the last simulation step (0 to 1)
+     */
+    interpolateTransform(alpha) {
+        if (!this.model) return;
+        
+        this.simulatedTransform.position.copy(this.model.position);
+        this.simulatedTransform.quaternion.copy(this.model.quaternion);
+        
+        this.model.position.lerpVectors(
+            this.previousTransform.position, this.simulatedTransform.position, alpha
+        );
+        this.model.quaternion.slerpQuaternions(
+            this.previousTransform.quaternion, this.simulatedTransform.quaternion, alpha
+        );
+    }
+    
+    /**
+     * Snap the stored transforms to the model, so a teleport is not interpolated
+     */
+    syncSimulatedTransform() {
+        if (!this.model) return;
+        
+        this.storePreviousTransform();
+        this.simulatedTransform.position.copy(this.model.position);
+        this.simulatedTransform.quaternion.copy(this.model.quaternion);
+    }
+    
+    /**
+     * Animate walking and turning on a platform
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    updatePlatformAnimations(deltaTime) {
+        const character = this.character;
+        
+        // Switch stance when the character starts or stops walking
+        if (this.prevState !== character.state) {
+            if (character.state === 'WALKING') {
+                this.playWalkingAnimation();
+            } else {
+                this.playIdleAnimation();
+            }
+            this.prevState = character.state;
+        }
+        
+        if (character.isMovingOnPlatform) {
+            this.updateWalkingAnimations(deltaTime);
+        }
+    }
+    
+    /**
+     * Play idle animation - for platform or rope
+     */
+    playIdleAnimation() {
+        if (this.character.isOnPlatform) {
+            // Platform idle animation
+            if (this.character.nearRope || this.character.onRopeEdge) {
+                // Near rope - ready stance
+                this.leftArm.rotation.set(0, 0, -0.3);
+                this.rightArm.rotation.set(0, 0, 0.3);
+                this.leftLeg.rotation.set(0.1, 0, 0);
+                this.rightLeg.rotation.set(0.1, 0, 0);
+                
+                // Look down at rope a bit
+                this.head.rotation.set(0.2, 0, 0);
+            } else {
+                // Regular idle stance with pole in one hand
+                this.leftArm.rotation.set(0, 0, -0.2);
+                this.rightArm.rotation.set(0.2, 0, 0.3); // Right arm holding pole
+                this.leftLeg.rotation.set(0, 0, 0);
+                this.rightLeg.rotation.set(0, 0, 0);
+                this.head.rotation.set(0, 0, 0);
+            }
+        } else {
+            // Rope idle animation - Use existing animation
+            this.leftArm.rotation.set(0, 0, -0.2);
+            this.rightArm.rotation.set(0, 0, 0.2);
+            this.leftLeg.rotation.set(0, 0, 0);
+            this.rightLeg.rotation.set(0, 0, 0);
+            this.head.rotation.set(0, 0, 0);
+            this.torso.rotation.set(0, 0, 0);
+        }
+        
+        // Update pole position based on context
+        this.updatePolePosition();
+    }
+    
+    /**
+     * Hand the body to the ragdoll, from the pose it is in now
+     * The lean and the wind throw it sideways off the rope, the top half faster so it keeps turning
+     */
+    startRagdoll() {
+        const { launchSpeed, windPush, tipSpin } = this.ragdoll.config;
+        
+        this.model.updateMatrixWorld(true);
+        
+        const positions = {};
+        for (const [name, point] of Object.entries(RAGDOLL_BODY_POINTS)) {
+            positions[name] = this.model.localToWorld(point.clone());
+        }
+        positions.leftHand = this.leftArm.localToWorld(new THREE.Vector3(0, -0.5, 0));
+        positions.rightHand = this.rightArm.localToWorld(new THREE.Vector3(0, -0.5, 0));
+        positions.leftFoot = this.leftLeg.localToWorld(new THREE.Vector3(0, -0.6, 0));
+        positions.rightFoot = this.rightLeg.localToWorld(new THREE.Vector3(0, -0.6, 0));
+        positions.poleStart = this.balancePole.localToWorld(new THREE.Vector3(0, -1.5, 0));
+        positions.poleEnd = this.balancePole.localToWorld(new THREE.Vector3(0, 1.5, 0));
+        
+        // The walker's right, level with the ground (the model's left arm is on +X)
+        const right = new THREE.Vector3(-1, 0, 0).applyQuaternion(this.model.quaternion).setY(0).normalize();
+        const up = new THREE.Vector3(0, 1, 0).applyQuaternion(this.model.quaternion);
+        
+        // A walker who was hanging has no lean left to be thrown by
+        const lean = this.fall.grabbed ? 0 : this.fall.direction * launchSpeed;
+        const sideSpeed = lean + this.character.getFeltWind() * windPush;
+        const spin = this.fall.direction * tipSpin;
+        
+        const velocities = {};
+        for (const [name, position] of Object.entries(positions)) {
+            const height = up.dot(new THREE.Vector3().subVectors(position, positions.pelvis));
+            velocities[name] = right.clone().multiplyScalar(sideSpeed + spin * Math.max(0, height));
+        }
+        
+        this.ragdoll.start(positions, RAGDOLL_LINKS, velocities);
+    }
+    
+    /**
+     * Advance the ragdoll and pose the model from it
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    updateRagdoll(deltaTime) {
+        if (!this.model || !this.ragdoll || !this.ragdoll.isActive) return;
+        
+        this.ragdoll.update(deltaTime);
+        this.applyRagdollPose();
+    }
+    
+    /**
+     * Check whether the ragdoll has the body
+     * @returns {boolean} - True from the drop until the next reset
+     */
+    isRagdollActive() {
+        return Boolean(this.ragdoll && this.ragdoll.isActive);
+    }
+    
+    /**
+     * Give the body back to the animations
+     */
+    stopRagdoll() {
+        if (!this.isRagdollActive()) return;
+        
+        this.ragdoll.stop();
+        this.model.rotation.set(0, 0, 0);
+    }
+    
+    /**
+     * Place the model on the ragdoll's torso and point each limb, the head and the pole at their points
+     */
+    applyRagdollPose() {
+        const ragdoll = this.ragdoll;
+        const point = (name) => ragdoll.getPoint(name);
+        
+        // Torso frame: up the spine, across the shoulders, and out of the chest
+        const up = new THREE.Vector3().subVectors(point('neck'), point('pelvis')).normalize();
+        const across = new THREE.Vector3().subVectors(point('leftShoulder'), point('rightShoulder'));
+        across.addScaledVector(up, -across.dot(up)).normalize();
+        const forward = new THREE.Vector3().crossVectors(across, up);
+        
+        const basis = new THREE.Matrix4().makeBasis(across, up, forward);
+        this.model.quaternion.setFromRotationMatrix(basis);
+        this.model.position.copy(point('pelvis'))
+            .sub(RAGDOLL_BODY_POINTS.pelvis.clone().applyQuaternion(this.model.quaternion));
+        
+        // Directions from here on are in the model's own space
+        const toModel = this.model.quaternion.clone().invert();
+        const localDirection = (from, to) => new THREE.Vector3()
+            .subVectors(point(to), point(from)).applyQuaternion(toModel).normalize();
+        
+        this.leftArm.quaternion.setFromUnitVectors(LIMB_AXIS, localDirection('leftShoulder', 'leftHand'));
+        this.rightArm.quaternion.setFromUnitVectors(LIMB_AXIS, localDirection('rightShoulder', 'rightHand'));
+        this.leftLeg.quaternion.setFromUnitVectors(LIMB_AXIS, localDirection('leftHip', 'leftFoot'));
+        this.rightLeg.quaternion.setFromUnitVectors(LIMB_AXIS, localDirection('rightHip', 'rightFoot'));
+        this.head.quaternion.setFromUnitVectors(UP_AXIS, localDirection('neck', 'head'));
+        
+        // The pole flies free, so place it between its ends as well as turning it
+        this.model.updateMatrixWorld(true);
+        const poleMiddle = new THREE.Vector3().addVectors(point('poleStart'), point('poleEnd')).multiplyScalar(0.5);
+        this.balancePole.position.copy(this.model.worldToLocal(poleMiddle));
+        this.balancePole.quaternion.setFromUnitVectors(UP_AXIS, localDirection('poleStart', 'poleEnd'));
+    }
+    
+    /**
+     * Play walking animation - for platform or rope
+     */
+    playWalkingAnimation() {
+        if (this.character.isOnPlatform) {
+            if (this.character.nearRope || this.character.onRopeEdge) {
+                // Careful walking near rope edge
+                this.leftArm.rotation.set(0, 0, -0.3);
+                this.rightArm.rotation.set(0, 0, 0.3);
+            } else {
+                // Normal walking on platform
+                this.leftArm.rotation.set(0, 0, -0.2);
+                this.rightArm.rotation.set(0.2, 0, 0.3); // Adjusted for pole
+            }
+        } else {
+            // Rope walking animation - use existing rope walking
+            this.leftArm.rotation.set(0, 0, -0.2);
+            this.rightArm.rotation.set(0, 0, 0.2);
+        }
+        
+        // Update pole position based on context
+        this.updatePolePosition();
+    }
+    
+    /**
+     * Update rope animations based on state and balance
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    updateAnimations(deltaTime) {
+        const stateChanged = this.prevState !== this.character.state;
+        const balanceChanged = Math.abs(this.prevBalance - this.character.balance) > 0.2;
+        
+        if (stateChanged || balanceChanged) {
+            // Stop looking up at the rope after climbing back onto it
+            if (this.prevState === 'HANGING') {
+                this.head.rotation.set(0, 0, 0);
+            }
+            
+            switch (this.character.state) {
+                case 'IDLE':
+                    this.playIdleAnimation();
+                    break;
+                case 'WALKING':
+                    this.playWalkingAnimation();
+                    break;
+                case 'BALANCING':
+                    this.playBalancingAnimation();
+                    break;
+                case 'FALLING':
+                    this.playFallingAnimation();
+                    break;
+                case 'HANGING':
+                    this.playHangingAnimation();
+                    break;
+            }
+            
+            this.prevState = this.character.state;
+            this.prevBalance = this.character.balance;
+        }
+        
+        // Update walk cycle
+        if (this.character.state === 'WALKING') {
+            this.walkCycle += deltaTime * this.character.speed * 3;
+            
+            // Move legs in walking motion, lifting them high to step over knots
+            const legSwing = this.character.currentStepHigh ? 0.9 : 0.3;
+            const legAngle = Math.sin(this.walkCycle) * legSwing;
+            this.leftLeg.rotation.x = legAngle;
+            this.rightLeg.rotation.x = -legAngle;
+            
+            // Subtle arm movement during walking
+            const armAngle = Math.sin(this.walkCycle) * 0.15;
+            this.leftArm.rotation.x = -armAngle;
+            this.rightArm.rotation.x = armAngle;
+        }
+        
+        // Update balance animations
+        if (this.character.state === 'WALKING' || this.character.state === 'BALANCING') {
+            this.balanceCycle += deltaTime * 2;
+            
+            // Adjust arms based on balance
+            const balanceAdjustment = Math.abs(this.character.balance) * 0.7;
+            
+            if (this.character.balance < -0.1) {
+                // Leaning left - raise right arm
+                this.rightArm.rotation.z = -0.8 * balanceAdjustment;
+                this.leftArm.rotation.z = -0.2;
+                
+                // Tilt pole for counterbalance
+                this.balancePole.rotation.y = -this.character.balance * 0.2;
+            } else if (this.character.balance > 0.1) {
+                // Leaning right - raise left arm
+                this.leftArm.rotation.z = 0.8 * balanceAdjustment;
+                this.rightArm.rotation.z = 0.2;
+                
+                // Tilt pole for counterbalance
+                this.balancePole.rotation.y = -this.character.balance * 0.2;
+            } else {
+                // Centered - normal arm position with subtle movement
+                const armSway = Math.sin(this.balanceCycle) * 0.05;
+                this.leftArm.rotation.z = -0.2 + armSway;
+                this.rightArm.rotation.z = 0.2 - armSway;
+                this.balancePole.rotation.y = armSway * 2;
+            }
+            
+            // Wind pushes the pole downwind and makes it flutter
+            this.balancePole.rotation.y += this.getWindPoleSway();
+            
+            // Tired arms shake the pole
+            this.balancePole.rotation.y += this.character.stamina.getTremor() * 0.05;
+            
+            // Add subtle body sway
+            const bodySway = Math.sin(this.balanceCycle * 1.5) * 0.02;
+            this.head.rotation.z = bodySway;
+            this.torso.rotation.z = bodySway;
+        }
+        
+        // Kick the legs while hanging and bend the arm that pulled last
+        if (this.character.state === 'HANGING' && this.fall) {
+            this.balanceCycle += deltaTime * 3;
+            
+            const kick = Math.sin(this.balanceCycle) * 0.25;
+            this.leftLeg.rotation.x = kick;
+            this.rightLeg.rotation.x = -kick;
+            
+            this.leftArm.rotation.x = this.fall.lastHand === 'left' ? -0.5 : 0;
+            this.rightArm.rotation.x = this.fall.lastHand === 'right' ? -0.5 : 0;
+        }
+    }
+    
+    /**
+     * Calculate the extra pole tilt caused by the current wind
+     * @returns {number} - Pole rotation offset in radians
+     */
+    getWindPoleSway() {
+        const steadyTilt = -this.character.getFeltWind() * this.character.windPoleSway;
+        const flutter = Math.sin(this.balanceCycle * 6) * Math.abs(this.character.windEffect) * this.character.windPoleSway * 0.3;
+        return steadyTilt + flutter;
+    }
+    
+    /**
+     * Play balancing animation
+     */
+    playBalancingAnimation() {
+        // Arms out for balance
+        this.leftArm.rotation.set(0, 0, -0.5);
+        this.rightArm.rotation.set(0, 0, 0.5);
+        
+        // Subtle knee bend
+        this.leftLeg.rotation.x = 0.1;
+        this.rightLeg.rotation.x = 0.1;
+    }
+    
+    /**
+     * Play falling animation
+     */
+    playFallingAnimation() {
+        // Arms flailing
+        const fallRotation = Math.sign(this.character.balance) * Math.PI / 2;
+        this.leftArm.rotation.set(0.5, 0, -0.8);
+        this.rightArm.rotation.set(0.5, 0, 0.8);
+        
+        // Legs kicking
+        this.leftLeg.rotation.set(0.5, 0, 0);
+        this.rightLeg.rotation.set(-0.3, 0, 0);
+        
+        // Panic expression - head tilted back
+        this.head.rotation.set(0.3, 0, 0);
+    }
+    
+    /**
+     * Play hanging animation - holding the rope overhead with both hands
+     */
+    playHangingAnimation() {
+        // Both arms straight up to the rope
+        this.leftArm.rotation.set(0, 0, Math.PI - 0.15);
+        this.rightArm.rotation.set(0, 0, -Math.PI + 0.15);
+        
+        // Legs dangling
+        this.leftLeg.rotation.set(0.1, 0, 0);
+        this.rightLeg.rotation.set(-0.1, 0, 0);
+        
+        // Looking up at the rope
+        this.head.rotation.set(-0.4, 0, 0);
+    }
+    
+    /**
+     * Update walking animations
+     * @param {number} deltaTime - Time since last update
+     */
+    updateWalkingAnimations(deltaTime) {
+        // Determine movement speed for animation pacing
+        const speed = this.character.playerVelocity.length();
+        
+        // Leg movements
+        const legAngle = Math.sin(this.character.footstepCycle) * 0.4; // Increased range for more natural walking
+        this.leftLeg.rotation.x = legAngle;
+        this.rightLeg.rotation.x = -legAngle;
+        
+        // Arm swing animations
+        if (this.character.nearRope || this.character.onRopeEdge || !this.naturalArmSwing) {
+            // Near rope - arms prepared for balance
+            this.leftArm.rotation.x = 0;
+            this.rightArm.rotation.x = 0;
+        } else {
+            // Natural arm swings while walking
+            // Arms swing opposite to legs
+            const armAngle = -Math.sin(this.character.footstepCycle) * 0.3;
+            this.leftArm.rotation.x = armAngle;
+            
+            // Right arm has reduced swing because it's holding the pole
+            this.rightArm.rotation.x = armAngle * 0.3;
+        }
+        
+        // Torso twist for natural walking
+        this.torso.rotation.y = Math.sin(this.character.footstepCycle) * 0.05;
+        
+        // Head looks slightly in the direction of movement
+        if (!this.character.nearRope && !this.character.onRopeEdge) {
+            this.head.rotation.y = Math.sin(this.character.footstepCycle * 0.5) * 0.05;
+        }
+        
+        // Special animations for strafing (A/D without W/S)
+        const isStrafing = (this.character.platformMovement.left || this.character.platformMovement.right) && 
+                         !(this.character.platformMovement.forward || this.character.platformMovement.backward);
+                         
+        if (isStrafing && this.character.isOnPlatform) {
+            // Tilt body into the strafe
+            if (this.character.platformMovement.left) {
+                this.torso.rotation.z = Math.max(-0.15, this.torso.rotation.z - 0.02);
+            } else if (this.character.platformMovement.right) {
+                this.torso.rotation.z = Math.min(0.15, this.torso.rotation.z + 0.02);
+            }
+        } else {
+            // Return to upright gradually
+            this.torso.rotation.z *= 0.9;
+        }
+    }
+    
+    /**
+     * Raise an arm and tilt the pole as soon as the player leans
+     * @param {number} direction - Direction to lean (-1 for left, 1 for right, 0 to stop)
+     */
+    showBalanceInput(direction) {
+        if (!this.model) return;
+        
+        if (direction < 0) {
+            // Leaning left - raise right arm
+            const intensity = Math.abs(direction) * 0.7;
+            this.rightArm.rotation.z = -0.8 * intensity;
+            this.balancePole.rotation.y = 0.3 * intensity;
+        } else if (direction > 0) {
+            // Leaning right - raise left arm
+            const intensity = Math.abs(direction) * 0.7;
+            this.leftArm.rotation.z = 0.8 * intensity;
+            this.balancePole.rotation.y = -0.3 * intensity;
+        }
+    }
+    
+    /**
+     * Create footstep effect (visual or sound)
+     * In a full implementation, this would play a sound and maybe create a dust particle
+     * @param {boolean} isLeftFoot - Which foot landed
+     */
+    createFootstepEffect(isLeftFoot) {
+        // In a full implementation, this is where you would:
+        // 1. Play footstep sound
+        // 2. Create footstep particle effect
+    }
+}
+
+export { CharacterView };
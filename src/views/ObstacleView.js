@@ -0,0 +1,225 @@
+/**
+ * ObstacleView.js
+ * Draws the obstacles on the ropes and animates them from their headless state
+ * Birds perch on the rope or circle above it, debris swings on a line from above,
+ * and knots sit on the rope
+ */
+
+import * as THREE from 'three';
+
+// How far above the rope swinging debris hangs from
+const DEBRIS_LINE_LENGTH = 6;
+
+class ObstacleView {
+    /**
+     * Initialize the obstacle view
+     * @param {THREE.Scene} scene - The Three.js scene
+     * @param {ObstacleSet} obstacleSet - The obstacles to draw
+     * @param {Course} course - Course layout, for the ropes the obstacles sit on
+     */
+    constructor(scene, obstacleSet, course) {
+        this.scene = scene;
+        this.obstacleSet = obstacleSet;
+        this.course = course;
+        
+        // One entry per obstacle, as { obstacle, model, ... }
+        this.views = [];
+        
+        // Running time for wing beats and circling
+        this.time = 0;
+    }
+    
+    /**
+     * Build a model for every obstacle
+     */
+    load() {
+        for (const obstacle of this.obstacleSet.obstacles) {
+            let view = null;
+            
+            switch (obstacle.kind) {
+                case 'bird':
+                    view = this.createBird(obstacle);
+                    break;
+                case 'debris':
+                    view = this.createDebris(obstacle);
+                    break;
+                case 'knot':
+                    view = this.createKnot(obstacle);
+                    break;
+            }
+            
+            if (view) {
+                this.scene.add(view.model);
+                this.views.push(view);
+            }
+        }
+        
+        // Start everything where the simulation has it
+        this.update(0);
+    }
+    
+    /**
+     * Build a bird: a body, a head and two wings
+     * @param {Obstacle} obstacle - The bird to draw
+     * @returns {Object} - { obstacle, model, leftWing, rightWing, circleAngle }
+     * @private
+     */
+    createBird(obstacle) {
+        const material = new THREE.MeshStandardMaterial({ color: 0x333333, roughness: 0.8 });
+        const model = new THREE.Group();
+        
+        const body = new THREE.Mesh(new THREE.SphereGeometry(0.18, 8, 6), material);
+        body.scale.set(1, 0.8, 1.5);
+        body.castShadow = true;
+        model.add(body);
+        
+        const head = new THREE.Mesh(new THREE.SphereGeometry(0.1, 8, 6), material);
+        head.position.set(0, 0.12, 0.22);
+        model.add(head);
+        
+        const beak = new THREE.Mesh(
+            new THREE.ConeGeometry(0.03, 0.1, 6),
+            new THREE.MeshStandardMaterial({ color: 0xf39c12 })
+        );
+        beak.rotation.x = Math.PI / 2;
+        beak.position.set(0, 0.12, 0.34);
+        model.add(beak);
+        
+        // Wings hinge at the body's sides
+        const wingGeometry = new THREE.BoxGeometry(0.4, 0.02, 0.2);
+        wingGeometry.translate(0.2, 0, 0);
+        const leftWing = new THREE.Mesh(wingGeometry, material);
+        leftWing.rotation.y = Math.PI;
+        const rightWing = new THREE.Mesh(wingGeometry, material);
+        model.add(leftWing, rightWing);
+        
+        return { obstacle, model, leftWing, rightWing, circleAngle: Math.random() * Math.PI * 2 };
+    }
+    
+    /**
+     * Build swinging debris: a log on a line
+     * @param {Obstacle} obstacle - The debris to draw
+     * @returns {Object} - { obstacle, model, line }
+     * @private
+     */
+    createDebris(obstacle) {
+        const model = new THREE.Group();
+        
+        const log = new THREE.Mesh(
+            new THREE.CylinderGeometry(obstacle.size / 2, obstacle.size / 2, obstacle.size * 1.5, 10),
+            new THREE.MeshStandardMaterial({ color: 0x6b4226, roughness: 1 })
+        );
+        log.rotation.z = Math.PI / 2;
+        log.castShadow = true;
+        model.add(log);
+        
+        const lineGeometry = new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(), new THREE.Vector3()]);
+        const line = new THREE.Line(lineGeometry, new THREE.LineBasicMaterial({ color: 0x222222 }));
+        this.scene.add(line);
+        
+        return { obstacle, model, line, log };
+    }
+    
+    /**
+     * Build a knot: a lump on the rope
+     * @param {Obstacle} obstacle - The knot to draw
+     * @returns {Object} - { obstacle, model }
+     * @private
+     */
+    createKnot(obstacle) {
+        const rope = this.course.ropes[obstacle.span];
+        const model = new THREE.Mesh(
+            new THREE.TorusGeometry(rope.thickness * 0.9, rope.thickness * 0.6, 8, 12),
+            new THREE.MeshStandardMaterial({ color: 0x5c3a1e, roughness: 1 })
+        );
+        model.castShadow = true;
+        
+        return { obstacle, model };
+    }
+    
+    /**
+     * Move every model to match the simulation
+     * @param {number} deltaTime - Time since last frame in seconds
+     */
+    update(deltaTime) {
+        this.time += deltaTime;
+        
+        for (const view of this.views) {
+            const { obstacle } = view;
+            const rope = this.course.ropes[obstacle.span];
+            const point = rope.getPointAt(obstacle.at);
+            
+            switch (obstacle.kind) {
+                case 'bird':
+                    this.updateBird(view, rope, point, deltaTime);
+                    break;
+                case 'debris':
+                    this.updateDebris(view, rope, point);
+                    break;
+                case 'knot':
+                    view.model.position.copy(point);
+                    view.model.lookAt(point.clone().add(rope.getTangentAt(obstacle.at)));
+                    break;
+            }
+        }
+    }
+    
+    /**
+     * Perch the bird on the rope, or circle it above while it is away
+     * @param {Object} view - The bird's view entry
+     * @param {Rope} rope - Rope it belongs to
+     * @param {THREE.Vector3} point - Its spot on the rope
+     * @param {number} deltaTime - Time since last frame in seconds
+     * @private
+     */
+    updateBird(view, rope, point, deltaTime) {
+        const { obstacle, model } = view;
+        const target = point.clone();
+        let wingBeat = 0;
+        
+        if (obstacle.isPerched) {
+            target.y += rope.thickness / 2 + 0.15;
+            model.lookAt(model.position.clone().add(rope.spanDirection));
+        } else {
+            view.circleAngle += deltaTime * 1.5;
+            target.x += Math.cos(view.circleAngle) * 4;
+            target.z += Math.sin(view.circleAngle) * 4;
+            target.y += 6;
+            wingBeat = Math.sin(this.time * 18) * 0.8;
+            model.rotation.set(0, -view.circleAngle, 0);
+        }
+        
+        // Glide between perch and circle rather than jumping
+        model.position.lerp(target, deltaTime > 0 ? Math.min(1, deltaTime * 4) : 1);
+        
+        view.leftWing.rotation.z = -wingBeat;
+        view.rightWing.rotation.z = wingBeat;
+    }
+    
+    /**
+     * Hang the debris from its line, swung out to the side
+     * @param {Object} view - The debris's view entry
+     * @param {Rope} rope - Rope it swings across
+     * @param {THREE.Vector3} point - Where its line crosses the rope
+     * @private
+     */
+    updateDebris(view, rope, point) {
+        const offset = view.obstacle.getLateralOffset();
+        const drop = Math.sqrt(Math.max(0, DEBRIS_LINE_LENGTH * DEBRIS_LINE_LENGTH - offset * offset));
+        
+        // The pivot sits above the rope, so the log passes through it at the bottom of the swing
+        const pivot = point.clone();
+        pivot.y += DEBRIS_LINE_LENGTH + rope.thickness;
+        
+        view.model.position.copy(pivot).addScaledVector(rope.lateralAxis, offset);
+        view.model.position.y -= drop;
+        view.model.lookAt(view.model.position.clone().add(rope.spanDirection));
+        
+        const positions = view.line.geometry.attributes.position;
+        positions.setXYZ(0, pivot.x, pivot.y, pivot.z);
+        positions.setXYZ(1, view.model.position.x, view.model.position.y, view.model.position.z);
+        positions.needsUpdate = true;
+    }
+}
+
+export { ObstacleView };
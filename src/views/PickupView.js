@@ -0,0 +1,72 @@
+/**
+ * PickupView.js
+ * Draws the power-up pickups floating over the ropes
+ * Each spins and bobs in its type's colour until it is collected
+ */
+
+import * as THREE from 'three';
+
+// Height of a pickup above the rope
+const FLOAT_HEIGHT = 1.2;
+
+class PickupView {
+    /**
+     * Initialize the pickup view
+     * @param {THREE.Scene} scene - The Three.js scene
+     * @param {PowerUpSet} powerUps - The pickups to draw
+     * @param {Course} course - Course layout, for the ropes the pickups sit over
+     */
+    constructor(scene, powerUps, course) {
+        this.scene = scene;
+        this.powerUps = powerUps;
+        this.course = course;
+        
+        // One entry per pickup, as { pickup, model }
+        this.views = [];
+        
+        // Running time for spinning and bobbing
+        this.time = 0;
+    }
+    
+    /**
+     * Build a model for every pickup
+     */
+    load() {
+        const geometry = new THREE.OctahedronGeometry(0.35);
+        
+        for (const pickup of this.powerUps.pickups) {
+            const model = new THREE.Mesh(geometry, new THREE.MeshStandardMaterial({
+                color: pickup.type.color,
+                emissive: pickup.type.color,
+                emissiveIntensity: 0.6,
+                roughness: 0.3
+            }));
+            model.castShadow = true;
+            
+            this.scene.add(model);
+            this.views.push({ pickup, model });
+        }
+        
+        this.update(0);
+    }
+    
+    /**
+     * Float every pickup over its spot on the rope, hiding the collected ones
+     * @param {number} deltaTime - Time since last frame in seconds
+     */
+    update(deltaTime) {
+        this.time += deltaTime;
+        
+        for (const [index, { pickup, model }] of this.views.entries()) {
+            model.visible = !pickup.collected;
+            if (!model.visible) continue;
+            
+            const rope = this.course.ropes[pickup.span];
+            model.position.copy(rope.getPointAt(pickup.at));
+            model.position.y += FLOAT_HEIGHT + Math.sin(this.time * 2 + index) * 0.15;
+            model.rotation.y = this.time * 1.5;
+        }
+    }
+}
+
+export { PickupView };
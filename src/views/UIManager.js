@@ -5,6 +5,8 @@
  * Enhanced with realistic mountain-themed UI elements
  */
 
+import { MAX_STARS } from '../models/LevelProgress.js';
+
 class UIManager {
     /**
      * Initialize the UI manager
@@ -17,20 +19,59 @@ class UIManager {
         this.startScreen = document.getElementById('start-screen');
         this.gameplayUI = document.getElementById('gameplay-ui');
         this.endScreen = document.getElementById('end-screen');
+        this.pauseMenu = document.getElementById('pause-menu');
         
         this.playButton = document.getElementById('play-button');
+        this.levelOptions = document.getElementById('level-options');
+        this.difficultySelect = document.getElementById('difficulty-select');
+        this.stepModeSelect = document.getElementById('step-mode-select');
         this.tryAgainButton = document.getElementById('try-again-button');
+        this.checkpointButton = document.getElementById('checkpoint-button');
+        this.nextLevelButton = document.getElementById('next-level-button');
         this.endMessage = document.getElementById('end-message');
         this.performanceMetrics = document.getElementById('performance-metrics');
         
+        this.pauseOptions = document.getElementById('pause-options');
+        this.pauseSettings = document.getElementById('pause-settings');
+        this.resumeButton = document.getElementById('resume-button');
+        this.restartButton = document.getElementById('restart-button');
+        this.settingsButton = document.getElementById('settings-button');
+        this.quitButton = document.getElementById('quit-button');
+        this.settingsBackButton = document.getElementById('settings-back-button');
+        this.pauseDifficultySelect = document.getElementById('pause-difficulty-select');
+        
         this.balanceIndicator = document.getElementById('balance-indicator');
         this.balanceMarker = document.getElementById('balance-marker');
+        this.staminaMeter = document.getElementById('stamina-meter');
+        this.staminaBar = document.getElementById('stamina-bar');
+        this.rhythmIndicator = document.getElementById('rhythm-indicator');
+        this.rhythmMarker = document.getElementById('rhythm-marker');
+        this.rhythmBeats = document.querySelectorAll('.rhythm-beat');
         this.windDirectionElement = document.getElementById('wind-direction');
+        this.gustWarningElement = document.getElementById('gust-warning');
+        this.windPreviewElement = document.getElementById('wind-preview');
         this.progressBar = document.getElementById('progress-bar');
+        this.progressContainer = document.getElementById('progress-container');
+        this.spanProgressElement = document.getElementById('span-progress');
+        this.timeRemainingElement = document.getElementById('time-remaining');
+        this.powerUpSlot = document.getElementById('power-up-slot');
+        this.powerUpHeldElement = document.getElementById('power-up-held');
+        this.powerUpActiveElement = document.getElementById('power-up-active');
+        this.fallPrompt = document.getElementById('fall-prompt');
+        this.fallPromptText = document.getElementById('fall-prompt-text');
+        this.climbBar = document.getElementById('climb-bar');
+        this.gripBar = document.getElementById('grip-bar');
         
         // Create notification container if it doesn't exist
         this.createNotificationContainer();
         
+        // Build difficulty pickers (start screen and pause settings) from the configured levels
+        this.createDifficultyPicker(this.difficultySelect);
+        this.createDifficultyPicker(this.pauseDifficultySelect);
+        
+        // Let the player choose between holding forward and stepping in time
+        this.createStepModePicker();
+        
         // Notification timer
         this.notificationTimeout = null;
         
@@ -70,6 +111,138 @@ class UIManager {
         this.notification = document.getElementById('notification');
     }
     
+    /**
+     * Create one button per configured difficulty level
+     * @param {HTMLElement} container - Element to add the buttons to
+     */
+    createDifficultyPicker(container) {
+        if (!container) return;
+        
+        const levels = this.game.config.difficultyLevels;
+        
+        for (const level of Object.keys(levels)) {
+            const button = document.createElement('button');
+            button.className = 'difficulty-option';
+            button.dataset.difficulty = level;
+            button.textContent = levels[level].label;
+            
+            button.addEventListener('click', () => {
+                this.game.setDifficulty(level);
+            });
+            
+            container.appendChild(button);
+        }
+    }
+    
+    /**
+     * Highlight the selected difficulty in the picker
+     * @param {string} level - The selected difficulty level
+     */
+    updateDifficultySelection(level) {
+        const options = document.querySelectorAll('.difficulty-option');
+        options.forEach((option) => {
+            option.classList.toggle('selected', option.dataset.difficulty === level);
+        });
+    }
+    
+    /**
+     * Create the buttons that switch between holding forward to walk and rhythm mode
+     */
+    createStepModePicker() {
+        if (!this.stepModeSelect) return;
+        
+        const modes = [
+            { label: 'Hold to walk', isRhythmMode: false },
+            { label: 'Rhythm', isRhythmMode: true }
+        ];
+        
+        for (const { label, isRhythmMode } of modes) {
+            const button = document.createElement('button');
+            button.className = 'step-mode-option';
+            button.dataset.rhythm = String(isRhythmMode);
+            button.textContent = label;
+            button.title = isRhythmMode
+                ? 'Press forward for every step, in time with the rope\'s swing'
+                : 'Hold forward to keep walking';
+            
+            button.addEventListener('click', () => {
+                this.game.setRhythmMode(isRhythmMode);
+            });
+            
+            this.stepModeSelect.appendChild(button);
+        }
+    }
+    
+    /**
+     * Highlight the selected step mode in the picker
+     * @param {boolean} isRhythmMode - Whether rhythm mode is selected
+     */
+    updateStepModeSelection(isRhythmMode) {
+        const options = document.querySelectorAll('.step-mode-option');
+        options.forEach((option) => {
+            option.classList.toggle('selected', option.dataset.rhythm === String(isRhythmMode));
+        });
+    }
+    
+    /**
+     * Create one button per level in the catalog
+     * Called once the catalog has loaded
+     */
+    createLevelSelect() {
+        if (!this.levelOptions) return;
+        
+        this.levelOptions.innerHTML = '';
+        
+        for (const entry of this.game.levelCatalog.entries) {
+            const button = document.createElement('button');
+            button.className = 'level-option';
+            button.dataset.level = entry.id;
+            
+            button.addEventListener('click', () => {
+                this.game.selectLevel(entry.id);
+            });
+            
+            this.levelOptions.appendChild(button);
+        }
+        
+        this.updateLevelSelect();
+    }
+    
+    /**
+     * Show each level's stars and best time, which are locked and which is selected
+     */
+    updateLevelSelect() {
+        if (!this.levelOptions || !this.game.levelCatalog) return;
+        
+        const { levelCatalog, levelProgress, level } = this.game;
+        
+        this.levelOptions.querySelectorAll('.level-option').forEach((button) => {
+            const id = button.dataset.level;
+            const entry = levelCatalog.getEntry(id);
+            const record = levelProgress.getRecord(id);
+            const isUnlocked = levelCatalog.isUnlocked(id, levelProgress);
+            
+            const details = isUnlocked
+                ? `${this.formatStars(levelProgress.getStars(id))}<br>${record ? `Best: ${record.bestTime.toFixed(1)}s` : 'Not crossed yet'}`
+                : `🔒<br>${levelCatalog.getUnlockHint(id)}`;
+            
+            button.innerHTML = `<span class="level-name">${entry.level.name}</span><span class="level-details">${details}</span>`;
+            button.title = entry.level.description || '';
+            button.disabled = !isUnlocked;
+            button.classList.toggle('locked', !isUnlocked);
+            button.classList.toggle('selected', level !== null && level.id === id);
+        });
+    }
+    
+    /**
+     * Write a star rating as filled and empty stars
+     * @param {number} stars - Stars earned
+     * @returns {string} - e.g. '★★☆'
+     */
+    formatStars(stars) {
+        return '★'.repeat(stars) + '☆'.repeat(MAX_STARS - stars);
+    }
+    
     /**
      * Add CSS styles for notifications
      */
@@ -204,6 +377,37 @@ class UIManager {
             this.game.character.resetPosition();
             this.game.cameraController.animateToStartPosition();
         });
+        
+        // Continue from checkpoint button click
+        this.checkpointButton.addEventListener('click', () => {
+            this.game.continueFromCheckpoint();
+        });
+        
+        // Next level button click
+        this.nextLevelButton.addEventListener('click', () => {
+            this.game.playNextLevel();
+        });
+        
+        // Pause menu buttons
+        this.resumeButton.addEventListener('click', () => {
+            this.game.resumeGame();
+        });
+        
+        this.restartButton.addEventListener('click', () => {
+            this.game.restartRun();
+        });
+        
+        this.settingsButton.addEventListener('click', () => {
+            this.showPauseSettings();
+        });
+        
+        this.quitButton.addEventListener('click', () => {
+            this.game.quitToMenu();
+        });
+        
+        this.settingsBackButton.addEventListener('click', () => {
+            this.hidePauseSettings();
+        });
     }
     
     /**
@@ -214,20 +418,32 @@ class UIManager {
     onGameStateChange(newState, previousState) {
         switch (newState) {
             case 'START_SCREEN':
+                this.updateLevelSelect();
                 this.showStartScreen();
                 this.hideGameplayUI();
                 this.hideEndScreen();
+                this.hidePauseMenu();
                 break;
                 
             case 'GAMEPLAY':
+                this.hidePauseMenu();
+                
+                // Resuming keeps the gameplay UI as it was
+                if (previousState === 'PAUSED') break;
+                
                 this.hideStartScreen();
                 this.showGameplayUI();
                 this.hideEndScreen();
                 
-                // Reset progress bar
+                // Reset progress bar and mark the course's checkpoints on it
                 if (this.progressBar) {
                     this.progressBar.style.width = '0%';
                 }
+                this.createCheckpointMarkers();
+                break;
+                
+            case 'PAUSED':
+                this.showPauseMenu();
                 break;
                 
             case 'END_SCREEN':
@@ -305,20 +521,48 @@ class UIManager {
                 <table>
                     <tr>
                         <td><span class="key">W</span> / <span class="key">↑</span></td>
-                        <td>Move forward</td>
+                        <td>Move forward (one press per step in rhythm mode)</td>
+                    </tr>
+                    <tr>
+                        <td><span class="key">S</span> / <span class="key">↓</span></td>
+                        <td>Move backward, step back on the rope</td>
                     </tr>
                     <tr>
                         <td><span class="key">A</span> / <span class="key">←</span></td>
-                        <td>Lean left</td>
+                        <td>Lean left (pull with the left hand when hanging)</td>
                     </tr>
                     <tr>
                         <td><span class="key">D</span> / <span class="key">→</span></td>
-                        <td>Lean right</td>
+                        <td>Lean right (pull with the right hand when hanging)</td>
+                    </tr>
+                    <tr>
+                        <td><span class="key">Q</span> / <span class="key">E</span></td>
+                        <td>Turn left / right, turn round on the rope</td>
+                    </tr>
+                    <tr>
+                        <td><span class="key">X</span></td>
+                        <td>Pull back a step</td>
+                    </tr>
+                    <tr>
+                        <td><span class="key">Space</span></td>
+                        <td>Step high (hold)</td>
+                    </tr>
+                    <tr>
+                        <td><span class="key">F</span></td>
+                        <td>Use power-up</td>
+                    </tr>
+                    <tr>
+                        <td><span class="key">G</span></td>
+                        <td>Grab the rope when falling</td>
                     </tr>
                     <tr>
                         <td><span class="key">C</span></td>
                         <td>Toggle camera mode</td>
                     </tr>
+                    <tr>
+                        <td><span class="key">Esc</span> / <span class="key">P</span></td>
+                        <td>Pause</td>
+                    </tr>
                     <tr>
                         <td><span class="key">Left-click</span></td>
                         <td>Orbit camera</td>
@@ -365,14 +609,15 @@ class UIManager {
     /**
      * Show the end screen
      * @param {string} message - The message to display
+     * @param {Object} result - The run's { stars, bestTime, isNewBest } on the level, if it has one
      */
-    showEndScreen(message = 'Journey Complete') {
+    showEndScreen(message = 'Journey Complete', result = null) {
         this.endScreen.style.display = 'flex';
         this.endMessage.textContent = message;
         
-        // Calculate performance metrics
-        const elapsedTime = Math.floor(this.game.clock.elapsedTime);
-        const distance = Math.floor(this.game.character.position * 100);
+        // Calculate performance metrics (simulated time, so pauses don't count)
+        const elapsedTime = Math.floor(this.game.simulation.time);
+        const distance = Math.floor(this.game.character.getOverallProgress() * 100);
         const minutes = Math.floor(elapsedTime / 60);
         const seconds = elapsedTime % 60;
         
@@ -381,24 +626,61 @@ class UIManager {
             ? `${minutes} min ${seconds} sec` 
             : `${seconds} seconds`;
         
+        // Difficulty the run was played on
+        const difficultyPreset = this.game.config.difficultyLevels[this.game.difficulty];
+        const difficultyLabel = difficultyPreset ? difficultyPreset.label : 'Unknown';
+        
+        // A fall after a checkpoint can carry on from it
+        const outcome = this.game.simulation.outcome;
+        const canContinue = outcome === 'FELL' && this.game.simulation.checkpoint > 0;
+        this.checkpointButton.style.display = canContinue ? 'inline-block' : 'none';
+        
+        // A crossing moves on to the next level once it is unlocked
+        const canAdvance = outcome === 'CROSSED' && this.game.getNextLevel() !== null;
+        this.nextLevelButton.style.display = canAdvance ? 'inline-block' : 'none';
+        
+        // Stars and best time on the level
+        const levelName = this.game.level ? this.game.level.name : 'Custom course';
+        let rating = '';
+        if (result && outcome === 'CROSSED') {
+            rating = `<span class="end-stars">${this.formatStars(result.stars)}</span><br>
+                Best: ${result.bestTime.toFixed(1)}s${result.isNewBest ? ' (new best!)' : ''}<br>`;
+        }
+        
+        // How well the steps kept time with the rope in rhythm mode
+        const timingScore = this.game.character.isRhythmMode ? this.game.simulation.rhythm.getScore() : null;
+        const timing = timingScore
+            ? `Step timing: ${Math.round(timingScore.accuracy * 100)}% (${timingScore.onBeatSteps} of ${timingScore.steps} steps on the beat)<br>`
+            : '';
+        
         // Different messages based on success or failure
-        if (message.includes('fell')) {
+        if (outcome === 'FELL' || outcome === 'OUT_OF_TIME') {
+            const reason = outcome === 'FELL' ? 'You lost your balance!' : 'The clock ran out!';
             this.performanceMetrics.innerHTML = `
-                <span style="color: #e74c3c;">❌ You lost your balance!</span><br>
+                <span style="color: #e74c3c;">❌ ${reason}</span><br>
+                Level: ${levelName}<br>
                 Distance: ${distance}%<br>
-                Time: ${timeString}
+                Time: ${timeString}<br>
+                ${timing}
+                Difficulty: ${difficultyLabel}<br>
+                Seed: ${this.game.random.seed}
             `;
             this.endMessage.style.color = '#e74c3c';
         } else {
             this.performanceMetrics.innerHTML = `
                 <span style="color: #2ecc71;">✓ Successfully crossed the rope!</span><br>
-                Time: ${timeString}
+                ${rating}
+                Level: ${levelName}<br>
+                Time: ${timeString}<br>
+                ${timing}
+                Difficulty: ${difficultyLabel}<br>
+                Seed: ${this.game.random.seed}
             `;
             this.endMessage.style.color = '#2ecc71';
         }
         
         // Add subtle animation to the end screen elements
-        const endElements = [this.endMessage, this.performanceMetrics, this.tryAgainButton];
+        const endElements = [this.endMessage, this.performanceMetrics, this.nextLevelButton, this.checkpointButton, this.tryAgainButton];
         endElements.forEach((element, index) => {
             if (element) {
                 element.style.opacity = 0;
@@ -420,6 +702,37 @@ class UIManager {
         this.endScreen.style.display = 'none';
     }
     
+    /**
+     * Show the pause menu with its main options
+     */
+    showPauseMenu() {
+        this.pauseMenu.style.display = 'flex';
+        this.hidePauseSettings();
+    }
+    
+    /**
+     * Hide the pause menu
+     */
+    hidePauseMenu() {
+        this.pauseMenu.style.display = 'none';
+    }
+    
+    /**
+     * Swap the pause options for the settings panel
+     */
+    showPauseSettings() {
+        this.pauseOptions.style.display = 'none';
+        this.pauseSettings.style.display = 'flex';
+    }
+    
+    /**
+     * Return from the settings panel to the pause options
+     */
+    hidePauseSettings() {
+        this.pauseSettings.style.display = 'none';
+        this.pauseOptions.style.display = 'flex';
+    }
+    
     /**
      * Update the gameplay UI elements
      * @param {number} balance - Current balance value (-1 to 1)
@@ -442,21 +755,169 @@ class UIManager {
             this.balanceMarker.style.boxShadow = '0 0 8px rgba(255, 255, 255, 0.7)';
         }
         
+        // Show how much the walker has left in them
+        this.updateStaminaMeter();
+        
+        // Swing the beat marker in rhythm mode
+        this.updateRhythmIndicator();
+        
         // Update wind direction
         this.updateWindDirection();
         
+        // Warn about incoming gusts
+        this.updateGustWarning();
+        
+        // Preview the wind on the rope ahead
+        this.updateWindPreview();
+        
         // Update progress bar
         this.updateProgressBar();
+        
+        // Count down the level's time limit
+        this.updateTimeRemaining();
+        
+        // Show the power-up in the slot and the ones in effect
+        this.updatePowerUpSlot();
+        
+        // Prompt the grab and the climb while falling
+        this.updateFallPrompt();
+    }
+    
+    /**
+     * Fill the stamina meter, flagging it once the walker starts to tire
+     */
+    updateStaminaMeter() {
+        if (!this.staminaMeter || !this.game.character) return;
+        
+        const stamina = this.game.character.stamina;
+        
+        this.staminaBar.style.width = `${stamina.value * 100}%`;
+        this.staminaMeter.classList.toggle('tired', stamina.getFatigue() > 0);
+    }
+    
+    /**
+     * Swing the beat marker with the rope underfoot and flash how the last step was timed
+     * Shown in rhythm mode while the walker is on the rope
+     */
+    updateRhythmIndicator() {
+        if (!this.rhythmIndicator) return;
+        
+        const { character, simulation } = this.game;
+        const isVisible = character.isRhythmMode && !character.isOnPlatform && !simulation.fall.isActive();
+        this.rhythmIndicator.style.display = isVisible ? 'block' : 'none';
+        if (!isVisible) return;
+        
+        const rhythm = simulation.rhythm;
+        this.rhythmMarker.style.left = `${50 + Math.sin(rhythm.phase) * 50}%`;
+        
+        // Each end is on the beat for as far as the marker swings within the window
+        const beatWidth = (1 - Math.cos(rhythm.config.window * Math.PI / 2)) * 50;
+        this.rhythmBeats.forEach((beat) => {
+            beat.style.width = `${beatWidth}%`;
+        });
+        
+        // Flash green or red just after a step
+        const lastStep = rhythm.lastStep;
+        const isFresh = lastStep !== null && simulation.time - lastStep.time < 0.3;
+        this.rhythmIndicator.classList.toggle('on-beat', isFresh && lastStep.onBeat);
+        this.rhythmIndicator.classList.toggle('off-beat', isFresh && !lastStep.onBeat);
+    }
+    
+    /**
+     * Show the power-up the walker carries and the effects running
+     */
+    updatePowerUpSlot() {
+        if (!this.powerUpSlot || !this.game.simulation) return;
+        
+        const powerUps = this.game.simulation.powerUps;
+        const held = powerUps.held && powerUps.types[powerUps.held];
+        
+        this.powerUpHeldElement.textContent = held ? `${held.label} [F]` : 'Empty';
+        this.powerUpSlot.classList.toggle('filled', Boolean(held));
+        
+        this.powerUpActiveElement.textContent = powerUps.active
+            .map((effect) => effect.remaining === null
+                ? `${effect.type.label}: ready`
+                : `${effect.type.label}: ${Math.ceil(effect.remaining)}s`)
+            .join(' · ');
+    }
+    
+    /**
+     * Show what to press during a fall, and the climb and grip left while hanging
+     */
+    updateFallPrompt() {
+        if (!this.fallPrompt || !this.game.simulation) return;
+        
+        const fall = this.game.simulation.fall;
+        const isHanging = fall.phase === 'HANGING';
+        
+        this.fallPrompt.classList.toggle('visible', fall.phase === 'TIPPING' || isHanging);
+        this.fallPrompt.classList.toggle('hanging', isHanging);
+        
+        if (fall.phase === 'TIPPING') {
+            this.fallPromptText.textContent = 'Grab the rope! [G]';
+        } else if (isHanging) {
+            this.fallPromptText.textContent = 'Climb! Alternate ← and →';
+            this.climbBar.style.width = `${fall.climb * 100}%`;
+            this.gripBar.style.width = `${fall.grip * 100}%`;
+            this.gripBar.classList.toggle('low', fall.grip < 0.3);
+        }
+    }
+    
+    /**
+     * Show the time left on levels with a time limit
+     */
+    updateTimeRemaining() {
+        if (!this.timeRemainingElement || !this.game.simulation) return;
+        
+        const remaining = this.game.simulation.getTimeRemaining();
+        if (remaining === null) {
+            this.timeRemainingElement.textContent = '';
+            return;
+        }
+        
+        this.timeRemainingElement.textContent = `Time left: ${Math.ceil(remaining)}s`;
+        this.timeRemainingElement.classList.toggle('low', remaining < 10);
+    }
+    
+    /**
+     * Mark the checkpoint platforms on the progress bar
+     */
+    createCheckpointMarkers() {
+        if (!this.progressContainer || !this.game.simulation) return;
+        
+        // Clear markers from a previous course
+        this.progressContainer.querySelectorAll('.checkpoint-marker').forEach((marker) => marker.remove());
+        
+        const course = this.game.simulation.course;
+        for (let i = 1; i < course.ropes.length; i++) {
+            const marker = document.createElement('div');
+            marker.className = 'checkpoint-marker';
+            marker.style.left = `${course.getOverallProgress(i, 0) * 100}%`;
+            this.progressContainer.appendChild(marker);
+        }
     }
     
     /**
      * Update the progress bar based on character position
+     * The bar shows the whole course, the label the current span
      */
     updateProgressBar() {
         if (this.progressBar && this.game.character) {
-            const progress = this.game.character.position * 100;
+            const character = this.game.character;
+            const progress = character.getOverallProgress() * 100;
             this.progressBar.style.width = `${progress}%`;
             
+            // Progress along the rope being walked, or the one ahead while on a platform
+            if (this.spanProgressElement) {
+                const spanCount = this.game.simulation.course.ropes.length;
+                const span = Math.min(character.platformIndex, spanCount - 1) + 1;
+                const spanProgress = character.isOnPlatform ? 0 : Math.floor(character.position * 100);
+                this.spanProgressElement.textContent = spanCount > 1
+                    ? `Span ${span}/${spanCount}: ${spanProgress}%`
+                    : '';
+            }
+            
             // Change color as progress increases
             if (progress > 80) {
                 this.progressBar.style.background = 'linear-gradient(90deg, #2ecc71, #27ae60)';
@@ -470,46 +931,47 @@ class UIManager {
     
     /**
      * Update the wind direction indicator
+     * Reads the same signed wind that pushes the character's balance
      */
     updateWindDirection() {
         const physics = this.game.physics;
         
         if (!physics || !this.windDirectionElement) return;
         
+        const wind = physics.getWind();
+        
         // No wind
-        if (physics.windForce === 0) {
+        if (wind === 0) {
             this.windDirectionElement.textContent = 'None';
             this.windDirectionElement.style.color = 'white';
+            this.windDirectionElement.style.animation = 'none';
             return;
         }
         
         // Determine wind direction and strength
+        const strength = Math.abs(wind);
         let direction = '';
         let color = '';
         
-        if (physics.windDirection > 0.2) {
-            direction = 'Right';
-            color = '#3498db'; // Light blue
-        } else if (physics.windDirection < -0.2) {
-            direction = 'Left';
-            color = '#3498db'; // Light blue
-        } else {
+        if (strength < 0.1) {
             direction = 'Mild';
             color = 'white';
+        } else {
+            direction = wind > 0 ? 'Right' : 'Left';
+            color = '#3498db'; // Light blue
         }
         
         // Add strength indicator (arrows)
-        const strength = Math.abs(physics.windForce);
         let arrows = '';
         
         if (strength > 0.35) {
-            arrows = physics.windDirection > 0 ? '→→→' : '←←←';
+            arrows = wind > 0 ? '→→→' : '←←←';
             color = '#e74c3c'; // Red
         } else if (strength > 0.15) {
-            arrows = physics.windDirection > 0 ? '→→' : '←←';
+            arrows = wind > 0 ? '→→' : '←←';
             color = '#f39c12'; // Yellow/Orange
         } else {
-            arrows = physics.windDirection > 0 ? '→' : '←';
+            arrows = wind > 0 ? '→' : '←';
         }
         
         // Display wind information
@@ -524,6 +986,72 @@ class UIManager {
         }
     }
     
+    /**
+     * Show a warning while a gust is telegraphed but has not landed yet
+     */
+    updateGustWarning() {
+        const physics = this.game.physics;
+        
+        if (!physics || !this.gustWarningElement) return;
+        
+        const warning = physics.getGustWarning(this.game.character.position);
+        
+        if (!warning) {
+            this.gustWarningElement.classList.remove('visible');
+            return;
+        }
+        
+        const arrows = warning.direction > 0 ? '→→→' : '←←←';
+        this.gustWarningElement.textContent = `⚠ Gust in ${warning.timeRemaining.toFixed(1)}s ${arrows}`;
+        this.gustWarningElement.classList.add('visible');
+    }
+    
+    /**
+     * Show the wind on the stretch of rope ahead of the character
+     * One cell per sample, nearest first, colored by strength
+     * Ahead is the way the walker faces, and the arrows are to their own left and right
+     */
+    updateWindPreview() {
+        const physics = this.game.physics;
+        const character = this.game.character;
+        
+        if (!physics || !this.windPreviewElement || !character) return;
+        
+        const side = character.getSideFactor();
+        const samples = physics.previewWind(character.position, character.ropeFacing)
+            .map((sample) => ({ t: sample.t, value: sample.value * side }));
+        
+        // Create cells once, or again if the sample count changed
+        if (this.windPreviewElement.children.length !== samples.length) {
+            this.windPreviewElement.innerHTML = '';
+            samples.forEach(() => {
+                const cell = document.createElement('div');
+                cell.className = 'wind-preview-cell';
+                this.windPreviewElement.appendChild(cell);
+            });
+        }
+        
+        samples.forEach((sample, index) => {
+            const cell = this.windPreviewElement.children[index];
+            const strength = Math.abs(sample.value);
+            
+            if (strength < 0.05) {
+                cell.textContent = '·';
+                cell.style.backgroundColor = 'rgba(255, 255, 255, 0.1)';
+            } else {
+                cell.textContent = sample.value > 0 ? '→' : '←';
+                
+                if (strength > 0.35) {
+                    cell.style.backgroundColor = 'rgba(231, 76, 60, 0.7)'; // Red
+                } else if (strength > 0.15) {
+                    cell.style.backgroundColor = 'rgba(243, 156, 18, 0.6)'; // Yellow/Orange
+                } else {
+                    cell.style.backgroundColor = 'rgba(52, 152, 219, 0.5)'; // Light blue
+                }
+            }
+        });
+    }
+    
     /**
      * Add visual shake effect to UI elements for impact
      * @param {string} elementId - The ID of the element to shake